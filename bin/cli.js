@@ -10,6 +10,10 @@ import {
   versions,
   init,
   status,
+  cache,
+  explain,
+  serve,
+  check,
   login,
   logout,
   register,
@@ -17,6 +21,7 @@ import {
   quota,
   resendEmailVerification
 } from '../src/commands/index.js'
+import { detectCI, setCIMode } from '../src/utils/ci.js'
 
 const packageJson = JSON.parse(
   fs.readFileSync(new URL('../package.json', import.meta.url))
@@ -29,31 +34,122 @@ program
   .name('launchpd')
   .description('Deploy static sites instantly to a live URL')
   .version(packageJson.version)
+  .option(
+    '--ci',
+    'Non-interactive mode: fail instead of prompting, no spinners or colors (default when CI is set or stdin is not a terminal)'
+  )
+  .option('--no-ci', 'Allow prompts even when CI mode is detected')
+  .hook('preAction', () => {
+    setCIMode(detectCI({ flag: program.opts().ci }))
+  })
 
 program
   .command('deploy')
-  .description('Deploy a folder or remote URL to a live URL')
-  .argument('[source]', 'Path to folder, GitHub repo URL, or Gist URL', '.')
+  .description('Deploy a folder, archive or remote URL to a live URL')
+  .argument(
+    '[source]',
+    'Path to folder or .zip/.tar.gz archive, - for a tarball on stdin, git repo URL (GitHub, GitLab, Bitbucket, Gitea), Gist URL, or npm:<package>[@<version>]',
+    '.'
+  )
   .option('--name <subdomain>', 'Use a custom subdomain (optional)')
   .option('-m, --message <text>', 'Deployment message (optional)')
   .option(
     '--expires <time>',
     'Auto-delete after time (e.g., 30m, 2h, 1d). Minimum: 30m'
   )
-  .option('--branch <branch>', 'Git branch to deploy from (for repo URLs)')
-  .option('--dir <path>', 'Subdirectory within the repo to deploy')
+  .option(
+    '--branch <branch>',
+    'Git branch, tag or commit to deploy (for repo URLs, overrides a ref in the URL)'
+  )
+  .option('--dir <path>', 'Subdirectory within the repo, archive or npm package to deploy')
+  .option(
+    '--asset <name>',
+    'Deploy a .zip/.tar.gz GitHub Release asset (latest release, or the release in the URL)'
+  )
+  .option(
+    '--no-cache',
+    'Always download remote sources instead of reusing ~/.staticlaunch/cache'
+  )
   .option('-y, --yes', 'Auto-confirm all prompts')
+  .option(
+    '--link',
+    'Save the subdomain to .launchpd.json without asking (new or mismatched subdomain)'
+  )
+  .option('--no-link', 'Never ask to save the subdomain to .launchpd.json')
   .option('--force', 'Force deployment even with warnings')
+  .option(
+    '--check-links',
+    'Check HTML and CSS files for links to missing or ignored files before uploading'
+  )
+  .option(
+    '--spa',
+    'Single-page app: serve index.html for unknown paths (or the "fallback" page in .launchpd.json)'
+  )
   .option(
     '-o, --open',
     'Open the site URL in the default browser after deployment'
   )
   .option('--verbose', 'Show detailed error information')
   .option('--qr', 'Show QR code for deployment')
+  .option(
+    '--concurrency <n>',
+    'Number of files to upload in parallel (default: 4)'
+  )
+  .option(
+    '--max-attempts <n>',
+    'Attempts per request before giving up, 1 disables retries (default: 3, env: LAUNCHPD_MAX_ATTEMPTS)'
+  )
+  .option(
+    '--retry-delay <ms>',
+    'Base delay for exponential retry backoff (default: 500, env: LAUNCHPD_RETRY_DELAY_MS)'
+  )
+  .option(
+    '--resume',
+    'Finish an interrupted deploy of the same version instead of starting over'
+  )
+  .option(
+    '--dry-run',
+    'Run all checks and print the deployment plan without uploading'
+  )
+  .option(
+    '--json',
+    'Print the result (or --dry-run plan) as JSON on stdout, with a stable error code on failure; messages go to stderr'
+  )
+  .option(
+    '--skip-build',
+    'Do not run the "build" command from .launchpd.json before deploying'
+  )
+  .option(
+    '--watch',
+    'Keep running and redeploy automatically when files change'
+  )
   .action(async (source, options) => {
     await deploy(source || '.', options)
   })
 
+program
+  .command('serve')
+  .description('Preview a folder locally with Launchpd hosting behavior')
+  .argument('[folder]', 'Folder to serve', '.')
+  .option('-p, --port <n>', 'Port to listen on (default: 4173)')
+  .option('--host <host>', 'Host to bind to (default: localhost)')
+  .option('--spa', 'Serve index.html for unknown paths (single-page app)')
+  .option('--verbose', 'Show detailed error information')
+  .action(async (folder, options) => {
+    await serve(folder, options)
+  })
+
+program
+  .command('check')
+  .description('Find broken links and missing assets in a folder before deploying')
+  .argument('[folder]', 'Folder to check', '.')
+  .option('--spa', 'Treat page links as served by index.html (single-page app)')
+  .option('--json', 'Output as JSON')
+  .option('--verbose', 'Show detailed error information')
+  .action(async (folder, options) => {
+    await check(folder, options)
+  })
+
 program
   .command('list')
   .description('List your past deployments')
@@ -92,6 +188,7 @@ program
   .command('init')
   .description('Initialize a new project in the current directory')
   .option('--name <subdomain>', 'Subdomain to link to')
+  .option('-y, --yes', 'Re-link without asking if the directory is already linked')
   .action(async (options) => {
     await init(options)
   })
@@ -103,19 +200,40 @@ program
     await status()
   })
 
+program
+  .command('cache')
+  .description('List or clear cached remote sources (~/.staticlaunch/cache)')
+  .argument('<action>', 'ls or clear')
+  .option('--json', 'Output as JSON (ls)')
+  .option('--verbose', 'Show detailed error information')
+  .action(async (action, options) => {
+    await cache(action, options)
+  })
+
+program
+  .command('explain')
+  .description('Explain an exit code or --json error code, or list all exit codes')
+  .argument('[code]', 'Exit code (e.g. 5) or error code (e.g. QUOTA_EXCEEDED)')
+  .option('--json', 'Output as JSON')
+  .action((code, options) => {
+    explain(code, options)
+  })
+
 // Authentication commands
 program
   .command('login')
-  .description('Login with your API key')
-  .action(async () => {
-    await login()
+  .description('Login with your API key, or save a GitHub token with "login github"')
+  .argument('[provider]', 'Third-party provider to log in to (github)')
+  .action(async (provider) => {
+    await login(provider)
   })
 
 program
   .command('logout')
-  .description('Clear stored credentials')
-  .action(async () => {
-    await logout()
+  .description('Clear stored credentials, or the saved GitHub token with "logout github"')
+  .argument('[provider]', 'Third-party provider to log out of (github)')
+  .action(async (provider) => {
+    await logout(provider)
   })
 
 program
@@ -5,12 +5,20 @@
 
 import { execFile } from 'node:child_process'
 import { promptSecret } from '../utils/prompt.js'
+import { isCIMode } from '../utils/ci.js'
 import { config } from '../config.js'
 import {
   getCredentials,
   saveCredentials,
   clearCredentials,
-  isLoggedIn
+  isLoggedIn,
+  saveGitHubToken,
+  clearGitHubToken,
+  getSavedGitHubLogin,
+  getEnvCredentials,
+  GITHUB_TOKEN_ENV_VARS,
+  API_KEY_ENV,
+  API_SECRET_ENV
 } from '../utils/credentials.js'
 import {
   success,
@@ -19,10 +27,15 @@ import {
   info,
   warning,
   spinner,
-  log
+  log,
+  registerSecret
 } from '../utils/logger.js'
 import { formatBytes } from '../utils/quota.js'
-import { handleCommonError } from '../utils/errors.js'
+import {
+  handleCommonError,
+  ERROR_CODES,
+  getExitCode
+} from '../utils/errors.js'
 import {
   resendVerification,
   createFetchTimeout,
@@ -32,6 +45,10 @@ import chalk from 'chalk'
 
 const API_BASE_URL = config.apiUrl
 const REGISTER_URL = `https://${config.domain}/`
+const GITHUB_USER_URL = 'https://api.github.com/user'
+
+/** Providers accepted by `launchpd login <provider>` and `logout <provider>` */
+const LOGIN_PROVIDERS = ['github']
 
 /**
  * Validate API key format
@@ -96,6 +113,9 @@ async function validateApiKey (apiKey) {
  * Background update credentials if new data (like apiSecret) is available
  */
 async function updateCredentialsIfNeeded (creds, result) {
+  // Credentials from the environment are never written to credentials.json
+  if (getEnvCredentials()) return
+
   if (result.user?.api_secret && !creds.apiSecret) {
     await saveCredentials({
       ...creds,
@@ -108,6 +128,8 @@ async function updateCredentialsIfNeeded (creds, result) {
 
 /**
  * Login with API key (original method)
+ * @returns {Promise<object>} The validated account and its apiKey, or
+ *   `{ errorCode }` once the failure has been reported
  */
 async function loginWithApiKey () {
   log('Enter your API key from the dashboard.')
@@ -116,12 +138,16 @@ async function loginWithApiKey () {
   const apiKey = await promptSecret('API Key: ')
 
   if (!apiKey) {
-    errorWithSuggestions('API key is required', [
-      'Get your API key from the dashboard',
-      `Visit: https://${config.domain}/settings`,
-      'Run "launchpd register" if you don\'t have an account'
-    ])
-    return null
+    errorWithSuggestions(
+      'API key is required',
+      [
+        'Get your API key from the dashboard',
+        `Visit: https://${config.domain}/settings`,
+        'Run "launchpd register" if you don\'t have an account'
+      ],
+      { code: ERROR_CODES.AUTH_FAILED }
+    )
+    return { errorCode: ERROR_CODES.AUTH_FAILED }
   }
 
   const validateSpinner = spinner('Validating API key...')
@@ -130,22 +156,30 @@ async function loginWithApiKey () {
 
   if (!result) {
     validateSpinner.fail('Invalid API key')
-    errorWithSuggestions('Please check and try again.', [
-      `Get your API key at: https://portal.${config.domain}/api-keys`,
-      'Make sure you copied the full key',
-      'API keys start with "lpd_"'
-    ])
-    return null
+    errorWithSuggestions(
+      'Please check and try again.',
+      [
+        `Get your API key at: https://portal.${config.domain}/api-keys`,
+        'Make sure you copied the full key',
+        'API keys start with "lpd_"'
+      ],
+      { code: ERROR_CODES.AUTH_FAILED }
+    )
+    return { errorCode: ERROR_CODES.AUTH_FAILED }
   }
 
   if (result.timeout) {
     validateSpinner.fail('Request timed out')
-    errorWithSuggestions('The server did not respond in time.', [
-      'Check your internet connection',
-      'Try again later',
-      'If the problem persists, check https://status.launchpd.cloud'
-    ])
-    return null
+    errorWithSuggestions(
+      'The server did not respond in time.',
+      [
+        'Check your internet connection',
+        'Try again later',
+        'If the problem persists, check https://status.launchpd.cloud'
+      ],
+      { code: ERROR_CODES.TIMEOUT }
+    )
+    return { errorCode: ERROR_CODES.TIMEOUT }
   }
 
   if (result.requires_2fa) {
@@ -153,7 +187,7 @@ async function loginWithApiKey () {
     info(
       '2FA is required for your account. Please log in via the browser or use an authenticator app.'
     )
-    return null
+    return { errorCode: ERROR_CODES.AUTH_FAILED }
   }
 
   validateSpinner.succeed('Logged in successfully!')
@@ -165,9 +199,164 @@ async function loginWithApiKey () {
 }
 
 /**
- * Login command - prompts for API key and validates it
+ * Check a GitHub token against the API
+ * @returns {Promise<{ login: string }|{ timeout: true }|null>}
+ */
+async function validateGitHubToken (token) {
+  const { signal, clear } = createFetchTimeout(API_TIMEOUT_MS)
+  try {
+    const response = await fetch(GITHUB_USER_URL, {
+      headers: {
+        Accept: 'application/vnd.github.v3+json',
+        Authorization: `Bearer ${token}`,
+        'User-Agent': 'launchpd-cli'
+      },
+      signal
+    })
+    if (!response.ok) {
+      return null
+    }
+    const data = await response.json()
+    return data?.login ? { login: data.login } : null
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      return { timeout: true }
+    }
+    return null
+  } finally {
+    clear()
+  }
+}
+
+/**
+ * Reject anything but a known login provider
+ * @returns {boolean} Whether the provider is supported
+ */
+function checkLoginProvider (provider) {
+  if (LOGIN_PROVIDERS.includes(provider)) {
+    return true
+  }
+  errorWithSuggestions(
+    `Unknown login provider: "${provider}"`,
+    [
+      `Supported providers: ${LOGIN_PROVIDERS.join(', ')}`,
+      'Run "launchpd login" without a provider to log in to Launchpd'
+    ],
+    { code: ERROR_CODES.INVALID_OPTION }
+  )
+  process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+  return false // Unreachable in production, satisfies test mocks
+}
+
+/**
+ * Save a GitHub token for private repo and secret gist deploys
+ */
+async function loginToGitHub () {
+  if (isCIMode()) {
+    errorWithSuggestions(
+      'Cannot prompt for a GitHub token in CI mode.',
+      [
+        `Set ${GITHUB_TOKEN_ENV_VARS.join(' or ')} instead`,
+        'Run with --no-ci to be asked instead'
+      ],
+      { code: ERROR_CODES.AUTH_FAILED }
+    )
+    process.exit(getExitCode(ERROR_CODES.AUTH_FAILED))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  log('\nGitHub Login\n')
+  log('Enter a GitHub personal access token with read access to your repos.')
+  log(
+    `It is only sent to ${chalk.cyan('api.github.com')}, never to archive downloads.\n`
+  )
+
+  const token = (await promptSecret('GitHub token: '))?.trim()
+  if (!token) {
+    errorWithSuggestions(
+      'GitHub token is required',
+      [
+        'Create a token at https://github.com/settings/tokens',
+        'Fine-grained tokens need "Contents: read-only" access; classic tokens need the "repo" scope (and "gist" for secret gists)'
+      ],
+      { code: ERROR_CODES.AUTH_FAILED }
+    )
+    process.exit(getExitCode(ERROR_CODES.AUTH_FAILED))
+    return
+  }
+  registerSecret(token)
+
+  const validateSpinner = spinner('Validating GitHub token...')
+  const result = await validateGitHubToken(token)
+
+  if (!result) {
+    validateSpinner.fail('Invalid GitHub token')
+    errorWithSuggestions(
+      'GitHub rejected the token.',
+      [
+        'Make sure you copied the full token',
+        'Check that the token has not expired or been revoked'
+      ],
+      { code: ERROR_CODES.AUTH_FAILED }
+    )
+    process.exit(getExitCode(ERROR_CODES.AUTH_FAILED))
+    return
+  }
+
+  if (result.timeout) {
+    validateSpinner.fail('Request timed out')
+    errorWithSuggestions(
+      'GitHub did not respond in time.',
+      ['Check your internet connection', 'Try again later'],
+      { code: ERROR_CODES.TIMEOUT }
+    )
+    process.exit(getExitCode(ERROR_CODES.TIMEOUT))
+    return
+  }
+
+  await saveGitHubToken({ token, login: result.login })
+  validateSpinner.succeed(`Logged in to GitHub as ${chalk.cyan(result.login)}`)
+
+  const envVar = GITHUB_TOKEN_ENV_VARS.find((name) => process.env[name])
+  if (envVar) {
+    warning(`${envVar} is set and takes precedence over the saved token`)
+  }
+}
+
+/**
+ * Remove the saved GitHub token
  */
-export async function login () {
+async function logoutFromGitHub () {
+  const saved = await getSavedGitHubLogin()
+  if (!(await clearGitHubToken())) {
+    warning('No saved GitHub token')
+    return
+  }
+
+  success('Removed saved GitHub token')
+  if (saved?.login) {
+    info(`Was logged in to GitHub as: ${chalk.cyan(saved.login)}`)
+  }
+}
+
+/**
+ * Login command - prompts for API key and validates it.
+ * `launchpd login github` saves a GitHub token instead.
+ * @param {string} [provider] - Third-party provider to log in to
+ */
+export async function login (provider) {
+  if (provider) {
+    if (checkLoginProvider(provider)) {
+      await loginToGitHub()
+    }
+    return
+  }
+
+  if (getEnvCredentials()) {
+    info(`Using the API key in ${API_KEY_ENV}; nothing to log in to`)
+    return
+  }
+
   // Check if already logged in
   if (await isLoggedIn()) {
     const creds = await getCredentials()
@@ -176,11 +365,25 @@ export async function login () {
     return
   }
 
+  if (isCIMode()) {
+    errorWithSuggestions(
+      'Cannot prompt for an API key in CI mode.',
+      [
+        `Set ${API_KEY_ENV} and ${API_SECRET_ENV} to authenticate without logging in`,
+        'Run with --no-ci to be asked instead'
+      ],
+      { code: ERROR_CODES.AUTH_FAILED }
+    )
+    process.exit(getExitCode(ERROR_CODES.AUTH_FAILED))
+    return // Unreachable in production, satisfies test mocks
+  }
+
   log('\nLaunchpd Login\n')
 
   const result = await loginWithApiKey()
-  if (!result) {
-    process.exit(1)
+  if (result.errorCode) {
+    process.exit(getExitCode(result.errorCode))
+    return // Unreachable in production, satisfies test mocks
   }
   const apiKey = result.apiKey
 
@@ -222,9 +425,23 @@ export async function login () {
 }
 
 /**
- * Logout command - clears stored credentials and invalidates server session
+ * Logout command - clears stored credentials and invalidates server session.
+ * `launchpd logout github` removes the saved GitHub token instead.
+ * @param {string} [provider] - Third-party provider to log out of
  */
-export async function logout () {
+export async function logout (provider) {
+  if (provider) {
+    if (checkLoginProvider(provider)) {
+      await logoutFromGitHub()
+    }
+    return
+  }
+
+  if (getEnvCredentials()) {
+    warning(`Using the API key in ${API_KEY_ENV}; unset it to log out`)
+    return
+  }
+
   const loggedIn = await isLoggedIn()
 
   if (!loggedIn) {
@@ -315,6 +532,18 @@ export async function whoami () {
   const result = await validateApiKey(creds.apiKey)
 
   if (!result) {
+    if (getEnvCredentials()) {
+      errorWithSuggestions(
+        `The API key in ${API_KEY_ENV} is invalid.`,
+        [
+          `Check the value of ${API_KEY_ENV}`,
+          `Get your API key at: https://portal.${config.domain}/api-keys`
+        ],
+        { code: ERROR_CODES.AUTH_FAILED }
+      )
+      process.exit(getExitCode(ERROR_CODES.AUTH_FAILED))
+      return // Unreachable in production, satisfies test mocks
+    }
     warning('Session expired or API key invalid')
     await clearCredentials()
     error('Please login again with: launchpd login')
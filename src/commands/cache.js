@@ -0,0 +1,105 @@
+/**
+ * Cache command - list or clear the remote source cache
+ */
+
+import { listCache, clearCache } from '../utils/sourceCache.js'
+import {
+  errorWithSuggestions,
+  success,
+  info,
+  formatSize,
+  log
+} from '../utils/logger.js'
+import { ERROR_CODES, getExitCode } from '../utils/errors.js'
+import chalk from 'chalk'
+
+/** Supported cache actions */
+export const CACHE_ACTIONS = ['ls', 'clear']
+
+/**
+ * List or clear cached remote sources
+ * @param {string} action - "ls" or "clear"
+ * @param {object} options - Command options
+ * @param {boolean} options.json - Output as JSON (ls only)
+ * @param {boolean} options.verbose - Show verbose error details
+ */
+export async function cache (action, options = {}) {
+  const verbose = options.verbose || false
+
+  if (!CACHE_ACTIONS.includes(action)) {
+    errorWithSuggestions(
+      `Unknown cache action: "${action}"`,
+      [
+        'Use "launchpd cache ls" to list cached sources',
+        'Use "launchpd cache clear" to delete them'
+      ],
+      { verbose, code: ERROR_CODES.INVALID_OPTION }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  try {
+    if (action === 'clear') {
+      const { count, bytes } = await clearCache()
+      success(
+        count > 0
+          ? `Cleared ${count} cached source(s) (${formatSize(bytes)})`
+          : 'Cache is already empty'
+      )
+      return
+    }
+
+    const { dir, entries, totalBytes, maxBytes } = await listCache()
+
+    if (options.json) {
+      log(JSON.stringify({ dir, entries, totalBytes, maxBytes }, null, 2))
+      return
+    }
+
+    if (entries.length === 0) {
+      info(`No cached sources in ${chalk.cyan(dir)}`)
+      return
+    }
+
+    log('')
+    log(chalk.bold('Cached Sources:'))
+    log(chalk.gray('─'.repeat(80)))
+    log(
+      chalk.gray(`${padRight('SOURCE', 56)}${padRight('SIZE', 12)}LAST USED`)
+    )
+    log(chalk.gray('─'.repeat(80)))
+
+    for (const entry of entries) {
+      log(
+        `${chalk.cyan(padRight(entry.label, 56))}${chalk.white(padRight(formatSize(entry.size), 12))}${chalk.gray(new Date(entry.lastUsedAt).toLocaleDateString())}`
+      )
+    }
+
+    log(chalk.gray('─'.repeat(80)))
+    log(
+      chalk.gray(
+        `Total: ${entries.length} source(s), ${formatSize(totalBytes)} of ${formatSize(maxBytes)} in ${dir}`
+      )
+    )
+    log('')
+  } catch (err) {
+    errorWithSuggestions(
+      `Failed to ${action === 'clear' ? 'clear' : 'list'} the cache: ${err.message}`,
+      [
+        'Check that ~/.staticlaunch/cache is readable and writable',
+        'Try running with --verbose for more details'
+      ],
+      { verbose, cause: err, code: ERROR_CODES.UNKNOWN_ERROR }
+    )
+    process.exit(getExitCode(ERROR_CODES.UNKNOWN_ERROR))
+  }
+}
+
+/**
+ * Pad string to the right
+ */
+function padRight (str, len) {
+  if (str.length >= len) return `${str.substring(0, len - 1)} `
+  return `${str}${' '.repeat(len - str.length)}`
+}
@@ -0,0 +1,158 @@
+/**
+ * Check command - find broken links and missing assets before deploying
+ */
+
+import { existsSync, statSync } from 'node:fs'
+import { resolve } from 'node:path'
+import chalk from 'chalk'
+import { findPublishDir } from '../utils/projectConfig.js'
+import { loadIgnoreMatcher } from '../utils/ignore.js'
+import { loadSiteRules } from '../utils/siteRules.js'
+import { checkLinks, describeBrokenLink } from '../utils/linkChecker.js'
+import {
+  errorWithSuggestions,
+  info,
+  log,
+  spinner
+} from '../utils/logger.js'
+import { ConfigError, ERROR_CODES, getExitCode } from '../utils/errors.js'
+
+/**
+ * Check the publish directory of a project root, like deploy does (without
+ * running the build); settings deploy rejects exit with INVALID_CONFIG
+ */
+async function resolveCheckedFolder (folderPath, verbose) {
+  let publish = null
+  try {
+    publish = await findPublishDir(folderPath)
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err
+    errorWithSuggestions(err.message, err.suggestions, {
+      verbose,
+      code: ERROR_CODES.INVALID_CONFIG
+    })
+    process.exit(getExitCode(ERROR_CODES.INVALID_CONFIG))
+    return null // Unreachable in production, satisfies test mocks
+  }
+  if (!publish?.path) return folderPath
+  if (publish.build) {
+    info(`Checking "${publish.publicDir}" (run "${publish.build}" first to refresh it)`)
+  }
+  return publish.path
+}
+
+/**
+ * Print the broken links grouped by the file that contains them (links are
+ * sorted by file)
+ */
+function printBrokenLinks (broken) {
+  let currentFile = null
+  for (const link of broken) {
+    if (link.file !== currentFile) {
+      currentFile = link.file
+      log('')
+      log(chalk.bold(link.file))
+    }
+    log(
+      `  ${chalk.gray(String(link.line).padStart(5))}  ${chalk.cyan(link.url)}  ${chalk.yellow(describeBrokenLink(link))}`
+    )
+  }
+  log('')
+}
+
+/**
+ * Report the links and asset references of the HTML and CSS files a deploy
+ * would upload that point to missing or ignored files
+ * @param {string} folder - Folder to check
+ * @param {object} options - Command options
+ * @param {boolean} options.spa - Page links are served by the index.html
+ *   fallback
+ * @param {boolean} options.json - Output as JSON
+ * @param {boolean} options.verbose - Show verbose error details
+ */
+export async function check (folder, options = {}) {
+  const verbose = options.verbose || false
+
+  const folderPath = await resolveCheckedFolder(
+    resolve(folder || '.'),
+    verbose
+  )
+  if (!folderPath) return // Unreachable in production, satisfies test mocks
+  if (!existsSync(folderPath) || !statSync(folderPath).isDirectory()) {
+    errorWithSuggestions(
+      `Folder not found: ${folderPath}`,
+      [
+        'Check the path is correct',
+        'Build the project first if it deploys a "publicDir"'
+      ],
+      { verbose, code: ERROR_CODES.SOURCE_NOT_FOUND }
+    )
+    process.exit(getExitCode(ERROR_CODES.SOURCE_NOT_FOUND))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  const matcher = await loadIgnoreMatcher(folderPath)
+  const rules = await loadSiteRules(folderPath, undefined, { spa: options.spa })
+  if (rules.errors.length > 0) {
+    errorWithSuggestions(
+      'Invalid redirect or header rules.',
+      rules.errors,
+      { verbose, code: ERROR_CODES.INVALID_CONFIG }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_CONFIG))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  const checkSpinner = spinner('Checking links...')
+  const result = await checkLinks(folderPath, matcher, rules)
+
+  if (options.json) {
+    checkSpinner.stop()
+    log(
+      JSON.stringify(
+        {
+          folder: folderPath,
+          checkedFiles: result.checkedFiles,
+          references: result.references,
+          broken: result.broken.map((link) => ({
+            file: link.file,
+            line: link.line,
+            url: link.url,
+            target: link.target,
+            reason: link.reason,
+            message: describeBrokenLink(link)
+          }))
+        },
+        null,
+        2
+      )
+    )
+    if (result.broken.length > 0) {
+      process.exit(getExitCode(ERROR_CODES.BROKEN_LINKS))
+    }
+    return
+  }
+
+  if (result.broken.length === 0) {
+    checkSpinner.succeed(
+      `No broken links (${result.references} reference(s) in ${result.checkedFiles} file(s))`
+    )
+    return
+  }
+
+  const fileCount = new Set(result.broken.map((link) => link.file)).size
+  checkSpinner.fail(
+    `Found ${result.broken.length} broken link(s) in ${fileCount} file(s)`
+  )
+  printBrokenLinks(result.broken)
+  errorWithSuggestions(
+    'Some links point to files that would not be deployed.',
+    [
+      'Add the missing files, or fix the links listed above',
+      'Links to excluded files: change the rules in .launchpdignore or the "ignore" setting in .launchpd.json',
+      'Moved pages: add a redirect rule (_redirects or "redirects" in .launchpd.json)'
+    ],
+    { verbose, code: ERROR_CODES.BROKEN_LINKS }
+  )
+  process.exit(getExitCode(ERROR_CODES.BROKEN_LINKS))
+}
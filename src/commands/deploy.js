@@ -2,24 +2,35 @@ import { existsSync, statSync } from 'node:fs'
 import { execFile } from 'node:child_process'
 import chalk from 'chalk'
 import { readdir } from 'node:fs/promises'
-import { resolve, basename, join, relative, sep } from 'node:path'
+import {
+  resolve,
+  basename,
+  join,
+  relative,
+  sep,
+  posix
+} from 'node:path'
 import { generateSubdomain } from '../utils/id.js'
-import { uploadFolder, finalizeUpload } from '../utils/upload.js'
+import {
+  uploadFolder,
+  planUpload,
+  finalizeUpload,
+  DEFAULT_UPLOAD_CONCURRENCY,
+  MAX_UPLOAD_CONCURRENCY
+} from '../utils/upload.js'
 import { getNextVersion } from '../utils/metadata.js'
 import { saveLocalDeployment } from '../utils/localConfig.js'
 import {
   getNextVersionFromAPI,
   checkSubdomainAvailable,
-  listSubdomains,
-  MaintenanceError,
-  NetworkError,
-  AuthError
+  listSubdomains
 } from '../utils/api.js'
 import {
   getProjectConfig,
   findProjectRoot,
   updateProjectConfig,
-  initProjectConfig
+  initProjectConfig,
+  findPublishDir
 } from '../utils/projectConfig.js'
 import {
   success,
@@ -28,7 +39,10 @@ import {
   warning,
   spinner,
   log,
-  raw
+  raw,
+  setJsonOutput,
+  getRecordedWarnings,
+  registerSecret
 } from '../utils/logger.js'
 import {
   calculateExpiresAt,
@@ -39,23 +53,92 @@ import {
   displayQuotaWarnings,
   formatBytes
 } from '../utils/quota.js'
-import { getCredentials } from '../utils/credentials.js'
+import {
+  getCredentials,
+  getGitHubToken,
+  API_KEY_ENV
+} from '../utils/credentials.js'
 import { validateStaticOnly } from '../utils/validator.js'
-import { isIgnored } from '../utils/ignore.js'
+import { loadIgnoreMatcher } from '../utils/ignore.js'
+import { loadSiteRules, findMissingPages } from '../utils/siteRules.js'
+import { checkLinks, describeBrokenLink } from '../utils/linkChecker.js'
 import { prompt } from '../utils/prompt.js'
-import { handleCommonError } from '../utils/errors.js'
+import { isCIMode } from '../utils/ci.js'
+import {
+  MaintenanceError,
+  NetworkError,
+  ConfigError,
+  handleCommonError,
+  getErrorCode,
+  getExitCode,
+  ERROR_CODES
+} from '../utils/errors.js'
+import { configureRetry } from '../utils/retry.js'
+import { runShellCommand } from '../utils/shell.js'
+import { getHooks, runHook, HOOK_NAMES } from '../utils/hooks.js'
+import {
+  startDeployJournal,
+  recordUploadedFile,
+  getDeployJournal,
+  clearDeployJournal,
+  findJournaledSubdomain
+} from '../utils/journal.js'
 import {
   isRemoteUrl,
+  isArchivePath,
   parseRemoteUrl,
   fetchRemoteSource,
-  cleanupTempDir
+  extractLocalArchive,
+  extractArchiveStream,
+  cleanupTempDir,
+  STDIN_SOURCE
 } from '../utils/remoteSource.js'
+import { watchFolder } from '../utils/watch.js'
+import {
+  isGitHubActions,
+  annotateWarning,
+  toWorkspacePath,
+  setOutputs,
+  appendStepSummary,
+  formatDeploySummary
+} from '../utils/githubActions.js'
 import QRCode from 'qrcode'
 
 // ============================================================================
 // Helper Functions (extracted to reduce cyclomatic complexity)
 // ============================================================================
 
+/**
+ * A failed deploy step, with the suggestions to report. runDeploy reports it,
+ * runs the onError hook and rethrows it; deploy() exits with the exit code of
+ * its error code.
+ */
+class DeployError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} suggestions
+   * @param {object} options
+   * @param {string} options.code - One of ERROR_CODES
+   * @param {Error} [options.cause]
+   * @param {object} [options.details] - Reported as `error.details` with --json
+   */
+  constructor (message, suggestions, { code, cause, details }) {
+    super(message, { cause })
+    this.name = 'DeployError'
+    this.suggestions = suggestions
+    this.code = code
+    this.details = details
+  }
+}
+
+/**
+ * Whether the deploy is authenticated. Credentials from LAUNCHPD_API_KEY have
+ * no email, so only the API key tells.
+ */
+function isAuthenticated (creds) {
+  return Boolean(creds?.apiKey)
+}
+
 /**
  * Validate subdomain contains only safe DNS characters
  * @param {string} subdomain - The subdomain to validate
@@ -72,10 +155,21 @@ function validateSubdomain (subdomain) {
   return subdomain
 }
 
+/**
+ * Get a path relative to the deployed folder with POSIX separators,
+ * as expected by the ignore matcher
+ */
+function toRelativePosixPath (folderPath, file) {
+  const parentDir = file.parentPath || file.path
+  return relative(folderPath, join(parentDir, file.name))
+    .split(sep)
+    .join(posix.sep)
+}
+
 /**
  * Calculate total size of a folder (excluding ignored files)
  */
-async function calculateFolderSize (folderPath) {
+async function calculateFolderSize (folderPath, ignoreMatcher) {
   const files = await readdir(folderPath, {
     recursive: true,
     withFileTypes: true
@@ -83,16 +177,13 @@ async function calculateFolderSize (folderPath) {
   let totalSize = 0
 
   for (const file of files) {
-    const parentDir = file.parentPath || file.path
-    const relativePath = relative(folderPath, join(parentDir, file.name))
-    const pathParts = relativePath.split(sep)
-
-    if (pathParts.some((part) => isIgnored(part, file.isDirectory()))) {
+    const relativePath = toRelativePosixPath(folderPath, file)
+    if (ignoreMatcher.ignores(relativePath, file.isDirectory())) {
       continue
     }
 
     if (file.isFile()) {
-      const fullPath = join(parentDir, file.name)
+      const fullPath = join(file.parentPath || file.path, file.name)
       try {
         const stats = statSync(fullPath)
         totalSize += stats.size
@@ -108,103 +199,378 @@ async function calculateFolderSize (folderPath) {
 /**
  * Parse and validate expiration option
  */
-function parseExpiration (expiresOption, verbose) {
+function parseExpiration (expiresOption) {
   if (!expiresOption) return null
 
   try {
     return calculateExpiresAt(expiresOption)
   } catch (err) {
-    errorWithSuggestions(
+    throw new DeployError(
       err.message,
       [
         'Use format like: 30m, 2h, 1d, 7d',
         'Minimum expiration is 30 minutes',
         'Examples: --expires 1h, --expires 2d'
       ],
-      { verbose, cause: err }
+      { cause: err, code: ERROR_CODES.INVALID_OPTION }
+    )
+  }
+}
+
+/**
+ * Parse and validate the upload concurrency (flag takes precedence over config)
+ */
+function parseConcurrency (value) {
+  if (value === undefined || value === null) return DEFAULT_UPLOAD_CONCURRENCY
+
+  const concurrency = Number(value)
+  if (
+    !Number.isInteger(concurrency) ||
+    concurrency < 1 ||
+    concurrency > MAX_UPLOAD_CONCURRENCY
+  ) {
+    throw new DeployError(
+      `Invalid concurrency: "${value}"`,
+      [
+        `Use a whole number between 1 and ${MAX_UPLOAD_CONCURRENCY}`,
+        'Example: launchpd deploy . --concurrency 8',
+        'Or set "concurrency": 8 in .launchpd.json'
+      ],
+      { code: ERROR_CODES.INVALID_OPTION }
+    )
+  }
+  return concurrency
+}
+
+/**
+ * Apply --max-attempts / --retry-delay to the shared retry policy
+ */
+function applyRetryOptions (options, verbose) {
+  try {
+    configureRetry({
+      maxAttempts: options.maxAttempts,
+      baseDelayMs: options.retryDelay,
+      verbose
+    })
+  } catch (err) {
+    throw new DeployError(
+      err.message,
+      [
+        'Example: launchpd deploy . --max-attempts 5 --retry-delay 1000',
+        'Use --max-attempts 1 to disable retries'
+      ],
+      { cause: err, code: ERROR_CODES.INVALID_OPTION }
     )
-    process.exit(1)
-    return null // Unreachable, but satisfies static analysis
   }
 }
 
 /**
  * Validate required options
  */
-function validateOptions (options, folderPath, verbose) {
-  if (!options.message) {
-    errorWithSuggestions(
+function validateOptions (options, folderPath) {
+  // A resumed deploy reuses the message of the interrupted one, and a dry
+  // run deploys nothing
+  if (!options.message && !options.resume && !options.dryRun) {
+    throw new DeployError(
       'Deployment message is required.',
       [
         'Use -m or --message to provide a description',
         'Example: launchpd deploy . -m "Fix layout"',
         'Example: launchpd deploy . -m "Initial deployment"'
       ],
-      { verbose }
+      { code: ERROR_CODES.INVALID_OPTION }
     )
-    process.exit(1)
   }
 
   if (!existsSync(folderPath)) {
-    errorWithSuggestions(
+    throw new DeployError(
       `Folder not found: ${folderPath}`,
       [
         'Check the path is correct',
         'Use an absolute path or path relative to current directory',
         `Current directory: ${process.cwd()}`
       ],
-      { verbose }
+      { code: ERROR_CODES.SOURCE_NOT_FOUND }
+    )
+  }
+}
+
+/**
+ * Run the project's build command, exiting with its exit code on failure
+ */
+async function runBuildStep (command, projectRoot, options) {
+  if (options.skipBuild) {
+    info(`Skipping build (--skip-build): ${command}`)
+    return
+  }
+  if (options.dryRun) {
+    info(`Dry run: not running the build command "${command}"`)
+    return
+  }
+  if (options.resume) {
+    // The interrupted deploy already uploaded part of the previous output
+    info('Resuming: skipping the build and deploying the existing output')
+    return
+  }
+
+  info(`Running build: ${chalk.cyan(command)}`)
+  let exitCode = 0
+  try {
+    exitCode = await runShellCommand(command, {
+      cwd: projectRoot,
+      stdoutToStderr: Boolean(options.json)
+    })
+  } catch (err) {
+    throw new DeployError(
+      `Could not run build command: ${err.message}`,
+      [
+        'Check the "build" setting in .launchpd.json',
+        'Use --skip-build to deploy the existing output'
+      ],
+      { cause: err, code: ERROR_CODES.BUILD_FAILED }
+    )
+  }
+
+  if (exitCode !== 0) {
+    throw new DeployError(
+      `Build failed with exit code ${exitCode}: ${command}`,
+      [
+        'Fix the build errors above and deploy again',
+        'Use --skip-build to deploy the output of the last successful build'
+      ],
+      {
+        code: ERROR_CODES.BUILD_FAILED,
+        details: { command, commandExitCode: exitCode }
+      }
     )
-    process.exit(1)
   }
+  success('Build completed')
+}
+
+/**
+ * Apply the `build` and `publicDir` settings of .launchpd.json when deploying
+ * a project root: run the build, then deploy the publish directory
+ * @returns {Promise<string>} Folder to deploy
+ */
+async function resolvePublishDir (folderPath, options) {
+  let publish = null
+  try {
+    publish = await findPublishDir(folderPath)
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err
+    throw new DeployError(err.message, err.suggestions, {
+      code: ERROR_CODES.INVALID_CONFIG
+    })
+  }
+  if (!publish) {
+    return folderPath
+  }
+
+  const { projectRoot, build, publicDir, path: publishPath } = publish
+  if (build) {
+    await runBuildStep(build, projectRoot, options)
+  }
+  if (!publishPath) {
+    return folderPath
+  }
+
+  if (!existsSync(publishPath) || !statSync(publishPath).isDirectory()) {
+    throw new DeployError(
+      `Publish directory not found: ${publishPath}`,
+      [
+        build
+          ? `Check that "${build}" writes its output to "${publicDir}"`
+          : 'Build the project before deploying',
+        'Check the "publicDir" setting in .launchpd.json'
+      ],
+      { code: ERROR_CODES.INVALID_CONFIG }
+    )
+  }
+
+  info(`Deploying publish directory: ${relative(projectRoot, publishPath) || '.'}`)
+  return publishPath
+}
+
+/**
+ * Load the lifecycle hooks of a local project. Hooks from a remote source's
+ * .launchpd.json are never run, as they would execute fetched code.
+ */
+function loadDeployHooks (projectConfig, isRemote) {
+  if (isRemote) {
+    if (projectConfig?.hooks) {
+      warning('Skipping hooks defined in the remote .launchpd.json')
+    }
+    return {}
+  }
+
+  try {
+    return getHooks(projectConfig)
+  } catch (err) {
+    throw new DeployError(
+      err.message,
+      [
+        `Supported hooks: ${HOOK_NAMES.join(', ')}`,
+        'Example: "hooks": { "predeploy": "npm run sitemap" }'
+      ],
+      { code: ERROR_CODES.INVALID_CONFIG }
+    )
+  }
+}
+
+/**
+ * Run a lifecycle hook if it is configured
+ * @returns {Promise<number|null>} Exit code, or null if the hook is not set
+ */
+async function runDeployHook (name, hooks, context, { cwd, json }) {
+  const command = hooks[name]
+  if (!command) return null
+
+  info(`Running ${name} hook: ${chalk.cyan(command)}`)
+  try {
+    return await runHook(name, command, context, {
+      cwd,
+      stdoutToStderr: Boolean(json)
+    })
+  } catch (err) {
+    warning(`Could not run ${name} hook: ${err.message}`)
+    return 1
+  }
+}
+
+/**
+ * Run the predeploy hook, blocking the deploy when it fails
+ */
+async function runPredeployHook (hooks, context, hookOptions) {
+  const exitCode = await runDeployHook(
+    'predeploy',
+    hooks,
+    context,
+    hookOptions
+  )
+  if (!exitCode) return
+
+  throw new DeployError(
+    `Deployment blocked: predeploy hook failed with exit code ${exitCode}`,
+    [
+      `Hook command: ${hooks.predeploy}`,
+      'Fix the hook or update "hooks.predeploy" in .launchpd.json'
+    ],
+    {
+      code: ERROR_CODES.HOOK_FAILED,
+      details: { command: hooks.predeploy, commandExitCode: exitCode }
+    }
+  )
 }
 
 /**
  * Scan folder and return active file count
  */
-async function scanFolder (folderPath, verbose) {
+async function scanFolder (folderPath, ignoreMatcher) {
   const scanSpinner = spinner('Scanning folder...')
   const files = await readdir(folderPath, {
     recursive: true,
     withFileTypes: true
   })
 
-  const activeFiles = files.filter((file) => {
-    if (!file.isFile()) return false
-    const parentDir = file.parentPath || file.path
-    const relativePath = relative(folderPath, join(parentDir, file.name))
-    const pathParts = relativePath.split(sep)
-    return !pathParts.some((part) => isIgnored(part, file.isDirectory()))
-  })
+  const activeFiles = files.filter(
+    (file) =>
+      file.isFile() &&
+      !ignoreMatcher.ignores(toRelativePosixPath(folderPath, file), false)
+  )
 
   const fileCount = activeFiles.length
 
   if (fileCount === 0) {
     scanSpinner.fail('Folder is empty or only contains ignored files')
-    errorWithSuggestions(
+    throw new DeployError(
       'Nothing to deploy.',
       [
         'Add some files to your folder',
         'Make sure your files are not in ignored directories (like node_modules)',
+        'Check the rules in .launchpdignore and the "ignore" setting in .launchpd.json',
         'Make sure index.html exists for static sites'
       ],
-      { verbose }
+      { code: ERROR_CODES.NOTHING_TO_DEPLOY }
     )
-    process.exit(1)
   }
 
-  scanSpinner.succeed(
-    `Found ${fileCount} file(s) (ignored system files skipped)`
-  )
+  scanSpinner.succeed(`Found ${fileCount} file(s) (ignored files skipped)`)
   return fileCount
 }
 
+/**
+ * Check the HTML and CSS files for links to missing or ignored files
+ * (--check-links); broken links block the deploy unless --force is passed
+ */
+async function checkBrokenLinks (folderPath, ignoreMatcher, options) {
+  const linkSpinner = spinner('Checking links...')
+  // Invalid rules are reported by loadRoutingRules once the files are validated
+  const rules = await loadSiteRules(folderPath, undefined, { spa: options.spa })
+  const result = await checkLinks(folderPath, ignoreMatcher, rules)
+
+  if (result.broken.length === 0) {
+    linkSpinner.succeed(
+      `No broken links (${result.references} reference(s) in ${result.checkedFiles} file(s))`
+    )
+    return
+  }
+
+  const brokenList = result.broken.map(
+    (link) => `${link.file}:${link.line} ${link.url} (${describeBrokenLink(link)})`
+  )
+  if (isGitHubActions()) {
+    for (const [index, link] of result.broken.entries()) {
+      annotateWarning(`Broken link: ${brokenList[index]}`, {
+        file: toWorkspacePath(join(folderPath, link.file)),
+        line: String(link.line),
+        title: 'Launchpd links'
+      })
+    }
+  }
+
+  if (options.force) {
+    linkSpinner.warn(
+      `Found ${result.broken.length} broken link(s), but proceeding due to --force`
+    )
+    for (const entry of brokenList) {
+      warning(`Broken link: ${entry}`)
+    }
+    return
+  }
+
+  linkSpinner.fail(
+    `Deployment blocked: ${result.broken.length} broken link(s) found`
+  )
+  const moreCount =
+    brokenList.length > 10 ? [`...and ${brokenList.length - 10} more`] : []
+  throw new DeployError(
+    'Some links point to files that would not be deployed.',
+    [
+      ...brokenList.slice(0, 10),
+      ...moreCount,
+      'Add the missing files, or fix the links',
+      'Links to excluded files: change the rules in .launchpdignore or the "ignore" setting in .launchpd.json',
+      'Run "launchpd check" to list every broken link, or deploy with --force'
+    ],
+    { code: ERROR_CODES.BROKEN_LINKS }
+  )
+}
+
 /**
  * Validate static-only files
  */
-async function validateStaticFiles (folderPath, options, verbose) {
+async function validateStaticFiles (folderPath, ignoreMatcher, options) {
   const validationSpinner = spinner('Validating files...')
-  const validation = await validateStaticOnly(folderPath)
+  const validation = await validateStaticOnly(folderPath, ignoreMatcher)
+
+  if (!validation.success && isGitHubActions()) {
+    for (const path of validation.violationPaths || []) {
+      annotateWarning(`Non-static file: ${path}`, {
+        file: toWorkspacePath(join(folderPath, path)),
+        title: 'Launchpd validation'
+      })
+    }
+  }
 
   if (!validation.success) {
     if (options.force) {
@@ -225,29 +591,88 @@ async function validateStaticFiles (folderPath, options, verbose) {
         validation.violations.length > 10
           ? `   - ...and ${validation.violations.length - 10} more`
           : ''
-      errorWithSuggestions(
+      throw new DeployError(
         'Your project contains files that are not allowed.',
         [
           'Launchpd only supports static files (HTML, CSS, JS, images, etc.)',
           'Remove framework files, backend code, and build metadata:',
           ...violationList,
           moreCount,
-          'If you use a framework (React, Vue, etc.), deploy the "dist" or "build" folder instead.'
+          'If you use a framework (React, Vue, etc.), deploy the "dist" or "build" folder instead.',
+          'Or exclude source files with a .launchpdignore file (gitignore syntax)'
         ],
-        { verbose }
+        { code: ERROR_CODES.VALIDATION_FAILED }
       )
-      process.exit(1)
     }
   } else {
     validationSpinner.succeed('Project validated (Static files only)')
   }
 }
 
+/**
+ * Load and validate the redirect and header rules and the fallback and 404
+ * pages of the deployed folder
+ */
+async function loadRoutingRules (folderPath, ignoreMatcher, options) {
+  const rules = await loadSiteRules(folderPath, undefined, {
+    spa: options.spa
+  })
+
+  if (rules.errors.length > 0) {
+    const moreCount =
+      rules.errors.length > 10
+        ? [`...and ${rules.errors.length - 10} more`]
+        : []
+    throw new DeployError(
+      'Invalid redirect or header rules.',
+      [
+        ...rules.errors.slice(0, 10),
+        ...moreCount,
+        'Redirects: "<from> <to> [status]" per line, e.g. "/old /new 301"',
+        'Headers: a path, then indented "Name: value" lines'
+      ],
+      { code: ERROR_CODES.INVALID_CONFIG }
+    )
+  }
+
+  if (rules.redirects.length > 0 || rules.headers.length > 0) {
+    info(
+      `Loaded ${rules.redirects.length} redirect rule(s) and ${rules.headers.length} header rule(s)`
+    )
+  }
+  if (rules.fallback) {
+    info(`Unknown paths will serve ${rules.fallback} (single-page app)`)
+  }
+  for (const message of findMissingPages(folderPath, ignoreMatcher, rules)) {
+    warning(message)
+  }
+  return rules
+}
+
 /**
  * Resolve subdomain from options/config
+ * @param {string|null} [fixedSubdomain] - Subdomain of a watched site, which
+ *   every redeploy reuses
  */
-async function resolveSubdomain (options, folderPath, creds, verbose) {
-  if (options.name && !creds?.email) {
+async function resolveSubdomain (
+  options,
+  folderPath,
+  creds,
+  source,
+  fixedSubdomain = null
+) {
+  if (fixedSubdomain) {
+    const projectRoot = findProjectRoot(folderPath)
+    const config = await getProjectConfig(projectRoot)
+    return {
+      subdomain: fixedSubdomain,
+      configSubdomain: config?.subdomain || null,
+      projectRoot,
+      projectConfig: config
+    }
+  }
+
+  if (options.name && !isAuthenticated(creds)) {
     warning('Custom subdomains require registration!')
     info('Anonymous deployments use random subdomains.')
     info('Run "launchpd register" to use --name option.')
@@ -255,7 +680,7 @@ async function resolveSubdomain (options, folderPath, creds, verbose) {
   }
 
   let subdomain =
-    options.name && creds?.email ? options.name.toLowerCase() : null
+    options.name && isAuthenticated(creds) ? options.name.toLowerCase() : null
   const projectRoot = findProjectRoot(folderPath)
   const config = await getProjectConfig(projectRoot)
   const configSubdomain = config?.subdomain || null
@@ -264,6 +689,9 @@ async function resolveSubdomain (options, folderPath, creds, verbose) {
     if (configSubdomain) {
       subdomain = configSubdomain
       info(`Using project subdomain: ${chalk.bold(subdomain)}`)
+    } else if (options.resume) {
+      // Random subdomains are only recorded in the journal
+      subdomain = (await findJournaledSubdomain(source)) || generateSubdomain()
     } else {
       subdomain = generateSubdomain()
     }
@@ -280,19 +708,18 @@ async function resolveSubdomain (options, folderPath, creds, verbose) {
   try {
     subdomain = validateSubdomain(subdomain)
   } catch (err) {
-    errorWithSuggestions(
+    throw new DeployError(
       err.message,
       [
         'Subdomain must start and end with alphanumeric characters',
         'Only lowercase letters, numbers, and hyphens are allowed',
         'Example: my-site-123'
       ],
-      { verbose }
+      { code: ERROR_CODES.INVALID_SUBDOMAIN }
     )
-    process.exit(1)
   }
 
-  return { subdomain, configSubdomain, projectRoot }
+  return { subdomain, configSubdomain, projectRoot, projectConfig: config }
 }
 
 /**
@@ -308,8 +735,17 @@ async function handleSubdomainMismatch (
     `Mismatch: This project is linked to ${chalk.bold(configSubdomain)} but you are deploying to ${chalk.bold(subdomain)}`
   )
 
-  let shouldUpdate = options.yes
-  if (!shouldUpdate) {
+  if (options.dryRun) {
+    info('Dry run: project configuration left unchanged.')
+    return
+  }
+
+  let shouldUpdate = getLinkChoice(options)
+  if (shouldUpdate === undefined) {
+    if (options.noPrompts) {
+      info('Project configuration left unchanged (use --link to update it).')
+      return
+    }
     const confirm = await prompt(
       `Would you like to update this project's default subdomain to "${subdomain}"? (Y/N): `
     )
@@ -343,15 +779,17 @@ async function checkSubdomainOwnership (subdomain) {
         checkSpinner.fail(
           `Subdomain "${subdomain}" is already taken by another user`
         )
-        warning(
-          'You do not own this subdomain. Please choose a different name.'
+        throw new DeployError(
+          'You do not own this subdomain. Please choose a different name.',
+          ['Deploy with --name <subdomain> to pick another subdomain'],
+          { code: ERROR_CODES.SUBDOMAIN_TAKEN }
         )
-        process.exit(1)
       }
     } else {
       checkSpinner.succeed(`Subdomain "${subdomain}" is available`)
     }
-  } catch {
+  } catch (err) {
+    if (err instanceof DeployError) throw err
     checkSpinner.warn(
       'Could not verify subdomain availability (skipping check)'
     )
@@ -359,21 +797,89 @@ async function checkSubdomainOwnership (subdomain) {
 }
 
 /**
- * Prompt for auto-init if needed
+ * Load the journal of an interrupted deploy for --resume
+ */
+async function loadResumeJournal (subdomain, source) {
+  const resumeSpinner = spinner('Looking for an interrupted deploy...')
+  const journal = await getDeployJournal(subdomain)
+
+  if (!journal) {
+    resumeSpinner.fail(`No interrupted deploy found for "${subdomain}"`)
+    throw new DeployError(
+      'Nothing to resume.',
+      [
+        'Deploys are journaled only while files are uploading',
+        'Check the subdomain with --name, or run "launchpd deploy" without --resume'
+      ],
+      { code: ERROR_CODES.RESUME_FAILED }
+    )
+  }
+
+  // A newer version means this one was finalized (or replaced) since
+  const nextVersion = await getNextVersionFromAPI(subdomain)
+  if (nextVersion !== null && nextVersion > journal.version) {
+    resumeSpinner.fail(`Version ${journal.version} was already finalized`)
+    await clearDeployJournal(subdomain)
+    throw new DeployError(
+      `Cannot resume version ${journal.version} of "${subdomain}".`,
+      ['Run "launchpd deploy" without --resume to deploy a new version'],
+      { code: ERROR_CODES.RESUME_FAILED }
+    )
+  }
+
+  resumeSpinner.succeed(
+    `Resuming version ${journal.version} (${journal.uploaded.length} file(s) already uploaded)`
+  )
+  if (journal.source !== source) {
+    warning(
+      `The interrupted deploy was started from ${journal.source}; changed files will be uploaded again.`
+    )
+  }
+  return journal
+}
+
+/**
+ * Answer to "save the subdomain to .launchpd.json?" given by --link /
+ * --no-link or --yes
+ * @returns {boolean|undefined} undefined when the user has to be asked
+ */
+function getLinkChoice (options) {
+  if (typeof options.link === 'boolean') return options.link
+  return options.yes ? true : undefined
+}
+
+/**
+ * Prompt for auto-init if needed. An existing .launchpd.json without a
+ * subdomain (e.g. one that only sets publicDir) is linked in place.
  */
-async function promptAutoInit (options, configSubdomain, subdomain, folderPath) {
-  if (options.name && !configSubdomain) {
+async function promptAutoInit (
+  options,
+  configSubdomain,
+  subdomain,
+  folderPath,
+  configRoot = null
+) {
+  if (!options.name || configSubdomain) return
+
+  let shouldLink = getLinkChoice(options)
+  if (shouldLink === undefined) {
+    if (options.noPrompts) return
     const confirm = await prompt(
-      `\nRun "launchpd init" to link '${folderPath}' to '${subdomain}'? (Y/N): `
+      `\nRun "launchpd init" to link '${configRoot || folderPath}' to '${subdomain}'? (Y/N): `
     )
-    if (
+    shouldLink =
       confirm.toLowerCase() === 'y' ||
       confirm.toLowerCase() === 'yes' ||
       confirm === ''
-    ) {
+  }
+
+  if (shouldLink) {
+    if (configRoot) {
+      await updateProjectConfig({ subdomain }, configRoot)
+    } else {
       await initProjectConfig(subdomain, folderPath)
-      success('Project initialized! Future deploys here can skip --name.')
     }
+    success('Project initialized! Future deploys here can skip --name.')
   }
 }
 
@@ -400,38 +906,189 @@ async function checkDeploymentQuota (
       )
     } else {
       quotaSpinner.fail('Deployment blocked due to quota limits')
-      info('Try running "launchpd quota" to check your storage.')
-      info('Use --force to try anyway (if you think this is a mistake)')
-      process.exit(1)
+      throw new DeployError(
+        'Deployment blocked due to quota limits.',
+        [
+          'Try running "launchpd quota" to check your storage.',
+          'Use --force to try anyway (if you think this is a mistake)'
+        ],
+        { code: ERROR_CODES.QUOTA_EXCEEDED }
+      )
     }
   } else {
     quotaSpinner.succeed('Quota check passed')
   }
 
   displayQuotaWarnings(quotaCheck.warnings)
+  if (isGitHubActions()) {
+    for (const message of quotaCheck.warnings || []) {
+      annotateWarning(message, { title: 'Launchpd quota' })
+    }
+  }
+  return quotaCheck
 }
 
 /**
- * Perform the actual upload
+ * Resolve the version to upload: the journaled one when resuming,
+ * otherwise the next free version
  */
-async function performUpload (
-  folderPath,
-  subdomain,
-  fileCount,
-  expiresAt,
-  options
-) {
+async function resolveVersion (subdomain, resumeJournal, dryRun = false) {
+  if (resumeJournal) return resumeJournal.version
+
   const versionSpinner = spinner('Fetching version info...')
   let version = await getNextVersionFromAPI(subdomain)
   if (version === null) {
     version = await getNextVersion(subdomain)
   }
-  versionSpinner.succeed(`Deploying as version ${version}`)
+  versionSpinner.succeed(
+    `${dryRun ? 'Would deploy' : 'Deploying'} as version ${version}`
+  )
+  return version
+}
+
+/**
+ * Summarize how a deploy would affect the account quota
+ */
+function getQuotaImpact (quotaCheck, addedBytes) {
+  const quota = quotaCheck?.quota
+  const storageUsed = quota?.usage?.storageUsed ?? null
+  return {
+    allowed: quotaCheck?.allowed ?? null,
+    isNewSite: quotaCheck?.isNewSite ?? null,
+    addedBytes,
+    storageUsed,
+    storageAfter: storageUsed === null ? null : storageUsed + addedBytes,
+    storageLimit: quota?.limits?.maxStorageBytes ?? null,
+    sitesRemaining: quota?.usage?.sitesRemaining ?? null,
+    warnings: quotaCheck?.warnings || []
+  }
+}
+
+/**
+ * Print the deployment plan of a --dry-run
+ */
+function printDryRunPlan (report) {
+  const statusLabels = {
+    new: chalk.green('+ new      '),
+    changed: chalk.yellow('~ changed  '),
+    unchanged: chalk.gray('= unchanged')
+  }
+  const pathWidth = Math.min(
+    60,
+    Math.max(4, ...report.files.map((file) => file.path.length))
+  )
+
+  log('')
+  log(chalk.bold(`Files (${report.files.length}):`))
+  for (const file of report.files) {
+    log(
+      `  ${statusLabels[file.status]}  ${file.path.padEnd(pathWidth)}  ${chalk.gray(file.contentType.padEnd(24))}  ${formatBytes(file.size)}`
+    )
+  }
+
+  if (report.ignored.length > 0) {
+    log('')
+    log(chalk.bold(`Ignored (${report.ignored.length}):`))
+    for (const entry of report.ignored) {
+      const count = entry.files ? ` (${entry.files} file(s))` : ''
+      log(chalk.gray(`  ${entry.path}${count} - ${entry.reason}`))
+    }
+  }
+
+  const { totals, quota } = report
+  log('')
+  info(`Target: ${report.url} (version ${report.version})`)
+  info(
+    `Would upload ${totals.uploadFiles} file(s) (${formatBytes(totals.uploadBytes)}), ${totals.unchangedFiles} unchanged, ${formatBytes(totals.bytes)} total`
+  )
+  if (quota.storageLimit !== null && quota.storageAfter !== null) {
+    info(
+      `Storage after deploy: ${formatBytes(quota.storageAfter)} of ${formatBytes(quota.storageLimit)} (${quota.isNewSite ? 'new site' : 'update'})`
+    )
+  } else {
+    info(`Storage added: ${formatBytes(quota.addedBytes)}`)
+  }
+  success('Dry run complete. Nothing was uploaded.')
+}
 
+/**
+ * Build (and print) the plan of a --dry-run instead of uploading
+ */
+async function performDryRun (folderPath, subdomain, url, {
+  version,
+  source,
+  ignoreMatcher,
+  expiresAt,
+  quotaCheck,
+  estimatedBytes,
+  siteRules,
+  json
+}) {
+  const planSpinner = spinner('Planning upload...')
+  const plan = await planUpload(folderPath, subdomain, version, {
+    ignoreMatcher
+  })
+  planSpinner.succeed(`Planned ${plan.files.length} file(s)`)
+
+  const toUpload = plan.files.filter((file) => file.status !== 'unchanged')
+  const report = {
+    dryRun: true,
+    source,
+    subdomain,
+    url,
+    version,
+    expiresAt: expiresAt?.toISOString() || null,
+    files: plan.files.map(({ path, contentType, size, status }) => ({
+      path,
+      contentType,
+      size,
+      status
+    })),
+    ignored: plan.ignored,
+    totals: {
+      files: plan.files.length,
+      bytes: plan.totalBytes,
+      uploadFiles: toUpload.length,
+      uploadBytes: toUpload.reduce((sum, file) => sum + file.size, 0),
+      unchangedFiles: plan.files.length - toUpload.length
+    },
+    quota: getQuotaImpact(quotaCheck, estimatedBytes),
+    redirects: siteRules?.redirects || [],
+    headers: siteRules?.headers || [],
+    fallback: siteRules?.fallback || null,
+    notFoundPage: siteRules?.notFoundPage || null
+  }
+
+  if (json) {
+    raw(JSON.stringify(report, null, 2))
+  } else {
+    printDryRunPlan(report)
+  }
+  return report
+}
+
+/**
+ * Perform the actual upload, journaling progress so it can be resumed.
+ * A repo commit is sent with the finalize request so the version can be
+ * traced back to it, along with the redirect and header rules and the
+ * fallback and 404 pages.
+ */
+async function performUpload (folderPath, subdomain, fileCount, expiresAt, {
+  version,
+  message,
+  source,
+  ignoreMatcher,
+  concurrency = DEFAULT_UPLOAD_CONCURRENCY,
+  resumeJournal = null,
+  commit = null,
+  siteRules = null,
+  timer = null
+}) {
   const folderName = basename(folderPath)
+  const expiresAtIso = expiresAt?.toISOString() || null
   const uploadSpinner = spinner(`Uploading files... 0/${fileCount}`)
 
-  const { totalBytes } = await uploadFolder(
+  const result = await uploadFolder(
     folderPath,
     subdomain,
     version,
@@ -439,12 +1096,38 @@ async function performUpload (
       uploadSpinner.update(
         `Uploading files... ${uploaded}/${total} (${fileName})`
       )
+    },
+    {
+      concurrency,
+      ignoreMatcher,
+      resumeFrom: resumeJournal,
+      onManifest: (manifest, resumed) =>
+        startDeployJournal(
+          {
+            subdomain,
+            version,
+            source,
+            folderName,
+            message,
+            expiresAt: expiresAtIso,
+            manifest
+          },
+          resumed
+        ),
+      onFileUploaded: (filePath) => recordUploadedFile(subdomain, filePath)
     }
   )
+  const { totalBytes } = result
 
+  // Unchanged files are carried forward from the active version
+  const unchangedNote = result.skipped ? `, ${result.skipped} unchanged` : ''
+  const resumedNote = result.resumed
+    ? `, ${result.resumed} already uploaded`
+    : ''
   uploadSpinner.succeed(
-    `Uploaded ${fileCount} files (${formatBytes(totalBytes)})`
+    `Uploaded ${result.uploaded} file(s) (${formatBytes(result.uploadedBytes)})${unchangedNote}${resumedNote}`
   )
+  timer?.mark('upload')
 
   const finalizeSpinner = spinner('Finalizing deployment...')
   await finalizeUpload(
@@ -453,10 +1136,21 @@ async function performUpload (
     fileCount,
     totalBytes,
     folderName,
-    expiresAt?.toISOString() || null,
-    options.message
+    expiresAtIso,
+    message,
+    {
+      manifest: result.manifest,
+      carryForward: result.carryForward,
+      ...(commit && { commit: commit.sha, ref: commit.ref }),
+      ...(siteRules?.redirects.length > 0 && { redirects: siteRules.redirects }),
+      ...(siteRules?.headers.length > 0 && { headers: siteRules.headers }),
+      ...(siteRules?.fallback && { fallback: siteRules.fallback }),
+      ...(siteRules?.notFoundPage && { notFoundPage: siteRules.notFoundPage })
+    }
   )
   finalizeSpinner.succeed('Deployment finalized')
+  timer?.mark('finalize')
+  await clearDeployJournal(subdomain)
 
   await saveLocalDeployment({
     subdomain,
@@ -465,10 +1159,15 @@ async function performUpload (
     totalBytes,
     version,
     timestamp: new Date().toISOString(),
-    expiresAt: expiresAt?.toISOString() || null
+    expiresAt: expiresAtIso
   })
 
-  return { version, totalBytes }
+  return {
+    version,
+    totalBytes,
+    uploaded: result.uploaded,
+    unchanged: result.skipped || 0
+  }
 }
 
 /**
@@ -483,7 +1182,7 @@ async function showPostDeploymentInfo (url, options, expiresAt, creds, verbose)
     warning(`Expires: ${formatTimeRemaining(expiresAt)}`)
   }
 
-  if (!creds?.email) {
+  if (!isAuthenticated(creds)) {
     showAnonymousWarnings()
   }
 
@@ -558,29 +1257,74 @@ async function showQRCode (url, verbose) {
 }
 
 /**
- * Handle upload errors with appropriate messages
+ * Get the command that resumes an interrupted upload, or null if nothing
+ * was journaled
  */
-function handleUploadError (err, verbose) {
-  if (
-    handleCommonError(err, {
-      error: (msg) => errorWithSuggestions(msg, [], { verbose }),
-      info,
-      warning
+async function getResumeCommand (subdomain, source, options) {
+  const journal = await getDeployJournal(subdomain).catch(() => null)
+  if (!journal) return null
+  const nameFlag = options.name ? ` --name ${subdomain}` : ''
+  return `launchpd deploy ${source}${nameFlag} --resume`
+}
+
+/**
+ * Write the deploy result to the step outputs and job summary of a GitHub
+ * Actions job. A failure to write them only warns: the site is live.
+ */
+function publishGitHubActionsResult (deployment) {
+  try {
+    setOutputs({
+      url: deployment.url,
+      subdomain: deployment.subdomain,
+      version: deployment.version
     })
-  ) {
-    process.exit(1)
+    appendStepSummary(formatDeploySummary(deployment))
+  } catch (err) {
+    warning(`Could not write the GitHub Actions outputs: ${err.message}`)
   }
+}
+
+/**
+ * Report a deploy failure thrown by the deploy steps
+ * @param {DeployError} err
+ * @param {boolean} verbose
+ */
+function reportDeployError (err, verbose) {
+  errorWithSuggestions(err.message, err.suggestions, {
+    verbose,
+    cause: err.cause,
+    code: err.code,
+    details: err.details
+  })
+}
 
+/**
+ * Report an API, network or upload error with appropriate messages
+ * @param {Error} err
+ * @param {boolean} verbose
+ * @param {string|null} resumeCommand - Command that resumes the interrupted
+ *   upload, if one was journaled
+ * @returns {string} Error code of the failure
+ */
+function handleUploadError (err, verbose, resumeCommand = null) {
+  const resumeTips = resumeCommand
+    ? [`Run "${resumeCommand}" to finish uploading this version`]
+    : []
+  const code = getErrorCode(err, ERROR_CODES.UPLOAD_FAILED)
+
+  // Checked before handleCommonError, which does not know about resuming:
+  // these are the failures worth retrying with --resume
   if (err instanceof MaintenanceError || err.isMaintenanceError) {
     errorWithSuggestions(
       '⚠️ LaunchPd is under maintenance',
       [
         'Please try again in a few minutes',
-        'Check https://status.launchpd.cloud for updates'
+        'Check https://status.launchpd.cloud for updates',
+        ...resumeTips
       ],
-      { verbose }
+      { verbose, code }
     )
-    process.exit(1)
+    return code
   }
 
   if (err instanceof NetworkError || err.isNetworkError) {
@@ -589,31 +1333,31 @@ function handleUploadError (err, verbose) {
       [
         'Check your internet connection',
         'The API server may be temporarily unavailable',
-        'Check https://status.launchpd.cloud for service status'
+        'Check https://status.launchpd.cloud for service status',
+        ...resumeTips
       ],
-      { verbose, cause: err }
+      { verbose, cause: err, code }
     )
-    process.exit(1)
+    return code
   }
 
-  if (err instanceof AuthError || err.isAuthError) {
-    errorWithSuggestions(
-      'Authentication failed',
-      [
-        'Run "launchpd login" to authenticate',
-        'Your API key may have expired or been revoked'
-      ],
-      { verbose, cause: err }
-    )
-    process.exit(1)
+  if (
+    handleCommonError(err, {
+      error: (msg) => errorWithSuggestions(msg, [], { verbose, code }),
+      info,
+      warning
+    })
+  ) {
+    return code
   }
 
-  const suggestions = getErrorSuggestions(err)
+  const suggestions = [...getErrorSuggestions(err), ...resumeTips]
   errorWithSuggestions(`Upload failed: ${err.message}`, suggestions, {
     verbose,
-    cause: err
+    cause: err,
+    code
   })
-  process.exit(1)
+  return code
 }
 
 /**
@@ -661,125 +1405,629 @@ function getErrorSuggestions (err) {
 // ============================================================================
 
 /**
- * Deploy a local folder or remote URL to StaticLaunch
- * @param {string} source - Path to folder, GitHub repo URL, or Gist URL
- * @param {object} options - Command options
- * @param {string} options.name - Custom subdomain
- * @param {string} options.expires - Expiration time (e.g., "30m", "2h", "1d")
- * @param {boolean} options.verbose - Show verbose error details
- * @param {string} options.branch - Git branch (for repo URLs)
- * @param {string} options.dir - Subdirectory within repo to deploy
+ * Measure consecutive deploy phases for the --json output. Each mark()
+ * records the time since the previous one.
  */
-export async function deploy (source, options) {
-  const verbose = options.verbose || false
-  let folderPath = null
-  let tempDir = null
+function createPhaseTimer () {
+  const startedAt = Date.now()
+  const durationsMs = {}
+  let last = startedAt
+  return {
+    mark (phase) {
+      const now = Date.now()
+      durationsMs[phase] = now - last
+      last = now
+    },
+    /** @returns {Record<string, number>} Milliseconds per phase, plus total */
+    getDurations () {
+      return { ...durationsMs, total: Date.now() - startedAt }
+    }
+  }
+}
 
-  // Detect remote URL vs local folder
+/**
+ * Look up the GitHub token for a github.com repo or gist. The token is
+ * registered with the logger so it never shows up in output.
+ * @returns {Promise<string|null>}
+ */
+async function getRemoteSourceToken (parsed, verbose) {
+  // npm packages come from a registry, and other git hosts have their own tokens
+  const isGitHub =
+    parsed.type === 'gist' ||
+    (parsed.type === 'repo' && (!parsed.provider || parsed.provider === 'github'))
+  if (!isGitHub) return null
+
+  const auth = await getGitHubToken()
+  if (!auth) return null
+
+  registerSecret(auth.token)
+  if (verbose) {
+    info(`Using GitHub token from ${auth.source}`)
+  }
+  return auth.token
+}
+
+/**
+ * Extract a local archive, or a tarball piped to stdin, into a temp dir
+ * @returns {Promise<{ tempDir: string, folderPath: string }|null>}
+ */
+async function extractArchiveSource (source, options) {
+  const fromStdin = source === STDIN_SOURCE
+  const label = fromStdin ? 'stdin' : source
+  const stdinExample = 'Example: tar cz dist | launchpd deploy - -m "ci"'
+
+  if (fromStdin && process.stdin.isTTY) {
+    throw new DeployError(
+      'No archive piped to stdin.',
+      [stdinExample, 'Use "launchpd deploy ." to deploy the current folder'],
+      { code: ERROR_CODES.ARCHIVE_INVALID }
+    )
+  }
+
+  const extractSpinner = spinner(`Extracting archive from ${label}...`)
+  try {
+    const result = fromStdin
+      ? await extractArchiveStream(process.stdin, { dir: options.dir })
+      : await extractLocalArchive(resolve(source), { dir: options.dir })
+    extractSpinner.succeed(`Extracted archive from ${label}`)
+    return result
+  } catch (err) {
+    extractSpinner.fail('Failed to extract archive')
+    throw new DeployError(
+      `Archive extraction failed: ${err.message}`,
+      fromStdin
+        ? [
+            'Pipe a tar or tar.gz stream to stdin',
+            stdinExample,
+            'Use --dir to deploy a folder inside the archive'
+          ]
+        : [
+            'Check that the file exists and is a valid .zip, .tar, .tar.gz or .tgz archive',
+            'Use --dir to deploy a folder inside the archive',
+            'To deploy a folder named like an archive, add a trailing slash'
+          ],
+      { cause: err, code: ERROR_CODES.ARCHIVE_INVALID }
+    )
+  }
+}
+
+/**
+ * Fetch a remote source or extract an archive into a temp dir, or resolve a
+ * local folder
+ * @returns {Promise<{ folderPath: string, tempDir: string|null, commit: object|null, sourceInfo: object|null }>}
+ */
+async function resolveDeploySource (source, options, verbose) {
   if (isRemoteUrl(source)) {
     const fetchSpinner = spinner('Fetching remote source...')
     try {
       const parsed = parseRemoteUrl(source)
-      const sourceLabel =
-        parsed.type === 'gist'
-          ? `Gist (${parsed.gistId})`
-          : `${parsed.owner}/${parsed.repo}`
+      let sourceLabel = `${parsed.owner}/${parsed.repo}`
+      if (parsed.type === 'gist') {
+        sourceLabel = `Gist (${parsed.gistId})`
+      } else if (parsed.type === 'npm') {
+        sourceLabel = parsed.name
+      } else if (parsed.host) {
+        sourceLabel = `${parsed.host}/${sourceLabel}`
+      }
       fetchSpinner.update(`Downloading from ${sourceLabel}...`)
 
       const result = await fetchRemoteSource(parsed, {
         branch: options.branch,
-        dir: options.dir
+        dir: options.dir,
+        asset: options.asset,
+        githubToken: await getRemoteSourceToken(parsed, verbose),
+        cache: options.cache !== false
       })
-      tempDir = result.tempDir
-      folderPath = result.folderPath
-      fetchSpinner.succeed(`Downloaded from ${parsed.type}: ${sourceLabel}`)
+      const commit = result.commit || null
+      let note = ''
+      if (result.release) {
+        note = ` (release ${result.release.tag}, asset ${result.release.asset})`
+      } else if (result.package) {
+        note = `@${result.package.version}`
+      } else if (commit) {
+        note = ` @ ${commit.ref ? `${commit.ref} ` : ''}(${commit.sha.slice(0, 7)})`
+      }
+      fetchSpinner.succeed(
+        result.cached
+          ? `Using cached ${parsed.type}: ${sourceLabel}${note}`
+          : `Downloaded from ${parsed.type}: ${sourceLabel}${note}`
+      )
+      return {
+        folderPath: result.folderPath,
+        tempDir: result.tempDir,
+        commit,
+        sourceInfo: {
+          type: parsed.type,
+          location: source,
+          ...(commit && { commit: commit.sha, ref: commit.ref }),
+          ...(result.release && { release: result.release }),
+          ...(result.package && { package: result.package }),
+          cached: Boolean(result.cached)
+        }
+      }
     } catch (err) {
       fetchSpinner.fail('Failed to fetch remote source')
-      errorWithSuggestions(
+      // Timeouts, connection failures, rate limits and server errors are
+      // worth retrying; anything else needs a different source or options
+      const code = getErrorCode(err, ERROR_CODES.REMOTE_FETCH_FAILED)
+      if (code !== ERROR_CODES.REMOTE_FETCH_FAILED) {
+        throw new DeployError(
+          `Remote fetch failed: ${err.message}`,
+          [
+            'Check your internet connection',
+            'Try again in a few minutes; rate limits and server errors are temporary',
+            'For GitHub rate limits, set GITHUB_TOKEN or run "launchpd login github"'
+          ],
+          { cause: err, code }
+        )
+      }
+      throw new DeployError(
         `Remote fetch failed: ${err.message}`,
         [
           'Check that the URL is correct and the resource is public',
+          'For private GitHub repos and secret gists, set GITHUB_TOKEN or run "launchpd login github"',
           'For repos, verify the branch exists with --branch',
+          'For --asset, check the release exists and lists the asset',
+          'For self-hosted git servers, list them in LAUNCHPD_GIT_HOSTS (e.g. git.example.com=gitea)',
           'For gists, make sure the gist ID is correct',
-          'Check your internet connection'
+          'For npm packages, check the name and version (set npm_config_registry for another registry)'
         ],
-        { verbose, cause: err }
+        { cause: err, code }
       )
-      process.exit(1)
-      return // Unreachable in production, satisfies test mocks
     }
-  } else {
-    folderPath = resolve(source)
   }
 
+  if (options.asset) {
+    throw new DeployError(
+      '--asset only works with GitHub repo or release URLs.',
+      [
+        'Example: launchpd deploy https://github.com/user/repo/releases/latest --asset site.zip -m "release"'
+      ],
+      { code: ERROR_CODES.INVALID_OPTION }
+    )
+  }
+
+  if (source === STDIN_SOURCE || isArchivePath(source)) {
+    const result = await extractArchiveSource(source, options)
+    return {
+      folderPath: result.folderPath,
+      tempDir: result.tempDir,
+      commit: null,
+      sourceInfo:
+        source === STDIN_SOURCE
+          ? { type: 'stdin', location: 'stdin' }
+          : { type: 'archive', location: resolve(source) }
+    }
+  }
+
+  return {
+    folderPath: resolve(source),
+    tempDir: null,
+    commit: null,
+    sourceInfo: null
+  }
+}
+
+/**
+ * Run a single deploy (see deploy() for the options)
+ * @param {string} source - Path to folder or archive, "-" for stdin, git repo URL, or Gist URL
+ * @param {object} deployOptions - Command options
+ * @param {object} [watchContext] - Set for automatic redeploys in watch mode
+ * @param {string} [watchContext.subdomain] - Subdomain of the watched site
+ * @param {() => Promise<void>} [watchContext.afterPredeploy] - Called once the
+ *   predeploy hook succeeded, so the watcher does not redeploy for the files
+ *   it wrote (this deploy uploads them)
+ * @returns {Promise<{subdomain: string, version: number, url: string, folderPath: string}|undefined>}
+ *   The deployed site, or undefined for dry runs
+ */
+async function runDeploy (source, deployOptions, watchContext = {}) {
+  const { subdomain: watchedSubdomain = null, afterPredeploy } = watchContext
+  // stdin carries the archive, --json owns stdout and CI mode has no one to
+  // answer, so nothing can be asked interactively
+  const fromStdin = source === STDIN_SOURCE
+  const options =
+    fromStdin || deployOptions.json || isCIMode()
+      ? {
+          ...deployOptions,
+          noPrompts: true,
+          // A tarball on stdin has no project folder to link
+          ...(fromStdin && { link: false })
+        }
+      : deployOptions
+  const verbose = options.verbose || false
+  const dryRun = options.dryRun || false
+  const json = Boolean(options.json)
+  const timer = createPhaseTimer()
+  let tempDir = null
+  // Set once the hooks are loaded, for the onError hook
+  let hooks = {}
+  let hookContext = null
+  let hookOptions = null
+  let resumeCommand = null
+
+  // Keep stdout for the JSON document; progress and messages go to stderr
+  if (json) setJsonOutput()
+
   try {
-    // Parse and validate
-    const expiresAt = parseExpiration(options.expires, verbose)
-    validateOptions(options, folderPath, verbose)
+    applyRetryOptions(options, verbose)
+    const resolved = await resolveDeploySource(source, options, verbose)
+    tempDir = resolved.tempDir
+    let { folderPath, sourceInfo } = resolved
+    const { commit } = resolved
+    timer.mark('source')
 
-    // Scan and validate folder
-    const fileCount = await scanFolder(folderPath, verbose)
-    await validateStaticFiles(folderPath, options, verbose)
+    // Parse and validate
+    let expiresAt = parseExpiration(options.expires)
+    validateOptions(options, folderPath)
+    if (!tempDir) {
+      folderPath = await resolvePublishDir(folderPath, options)
+      sourceInfo = { type: 'folder', location: folderPath }
+    }
+    timer.mark('build')
+    let sourceLabel = tempDir ? source : folderPath
+    if (source === STDIN_SOURCE) sourceLabel = 'stdin'
 
     // Resolve subdomain
     const creds = await getCredentials()
-    const { subdomain, configSubdomain } = await resolveSubdomain(
-      options,
-      folderPath,
-      creds,
-      verbose
+    const { subdomain, configSubdomain, projectRoot, projectConfig } =
+      await resolveSubdomain(
+        options,
+        folderPath,
+        creds,
+        sourceLabel,
+        watchedSubdomain
+      )
+    const concurrency = parseConcurrency(
+      options.concurrency ?? projectConfig?.concurrency
     )
     const url = `https://${subdomain}.launchpd.cloud`
+    hooks = loadDeployHooks(projectConfig, Boolean(tempDir))
+    hookContext = {
+      subdomain,
+      version: null,
+      url,
+      message: options.message || null,
+      source: sourceLabel
+    }
+    hookOptions = { cwd: projectRoot || folderPath, json: options.json }
 
-    // Check subdomain availability
-    await checkSubdomainOwnership(subdomain)
+    // Check subdomain availability (already done for a watched site)
+    if (!watchedSubdomain) {
+      await checkSubdomainOwnership(subdomain)
+    }
 
-    // Auto-init prompt (skip for remote URLs — no local project to init)
-    if (!tempDir) {
-      await promptAutoInit(options, configSubdomain, subdomain, folderPath)
+    // Dry runs neither read nor change the deploy journal
+    let resumeJournal = null
+    if (options.resume && !dryRun) {
+      resumeJournal = await loadResumeJournal(subdomain, sourceLabel)
+      if (!options.expires && resumeJournal.expiresAt) {
+        expiresAt = new Date(resumeJournal.expiresAt)
+      }
+    } else if (!dryRun && (await getDeployJournal(subdomain))) {
+      warning(
+        'An earlier deploy to this subdomain was interrupted; starting over (use --resume to finish it instead).'
+      )
+    }
+    const message = options.message || resumeJournal?.message || null
+    const version = await resolveVersion(subdomain, resumeJournal, dryRun)
+    hookContext = { ...hookContext, version, message }
+    timer.mark('prepare')
+
+    // The predeploy hook runs before the folder is scanned, so files it
+    // generates (e.g. a sitemap) are validated and uploaded
+    if (dryRun) {
+      if (Object.keys(hooks).length > 0) {
+        info('Dry run: lifecycle hooks are not run')
+      }
+    } else {
+      await runPredeployHook(hooks, hookContext, hookOptions)
+      if (hooks.predeploy) await afterPredeploy?.()
+    }
+    timer.mark('predeploy')
+
+    // Scan and validate folder with the project's ignore rules
+    const ignoreMatcher = await loadIgnoreMatcher(folderPath)
+    const fileCount = await scanFolder(folderPath, ignoreMatcher)
+    timer.mark('scan')
+    if (options.checkLinks) {
+      await checkBrokenLinks(folderPath, ignoreMatcher, options)
+    }
+    await validateStaticFiles(folderPath, ignoreMatcher, options)
+    const siteRules = await loadRoutingRules(folderPath, ignoreMatcher, options)
+    timer.mark('validate')
+
+    // Auto-init prompt (skip for remote URLs — no local project to init,
+    // for dry runs, which never write project config, and for watch redeploys)
+    if (!tempDir && !dryRun && !watchedSubdomain) {
+      await promptAutoInit(
+        options,
+        configSubdomain,
+        subdomain,
+        folderPath,
+        projectConfig ? projectRoot : null
+      )
     }
 
     // Calculate size and check quota
     const sizeSpinner = spinner('Calculating folder size...')
-    const estimatedBytes = await calculateFolderSize(folderPath)
+    const estimatedBytes = await calculateFolderSize(
+      folderPath,
+      ignoreMatcher
+    )
     sizeSpinner.succeed(`Size: ${formatBytes(estimatedBytes)}`)
 
-    await checkDeploymentQuota(
+    const quotaCheck = await checkDeploymentQuota(
       subdomain,
       estimatedBytes,
       configSubdomain,
       options
     )
+    timer.mark('quota')
 
     // Show deployment info
-    if (creds?.email) {
-      info(`Deploying as: ${creds.email}`)
+    if (isAuthenticated(creds)) {
+      info(`Deploying as: ${creds.email || `the API key in ${API_KEY_ENV}`}`)
     } else {
       info('Deploying as: anonymous (run "launchpd login" for more quota)')
     }
-    const sourceLabel = tempDir ? source : folderPath
     info(`Deploying ${fileCount} file(s) from ${sourceLabel}`)
     info(`Target: ${url}`)
 
+    if (dryRun) {
+      await performDryRun(folderPath, subdomain, url, {
+        version,
+        source: sourceLabel,
+        ignoreMatcher,
+        expiresAt,
+        quotaCheck,
+        estimatedBytes,
+        siteRules,
+        json
+      })
+      return
+    }
+
     // Perform upload
+    let uploadResult
     try {
-      const { version } = await performUpload(
+      uploadResult = await performUpload(
         folderPath,
         subdomain,
         fileCount,
         expiresAt,
-        options
+        {
+          version,
+          message,
+          source: sourceLabel,
+          ignoreMatcher,
+          concurrency,
+          resumeJournal,
+          commit,
+          siteRules,
+          timer
+        }
       )
-      success(`Deployed successfully! (v${version})`)
-      log(`\n${url}`)
-      await showPostDeploymentInfo(url, options, expiresAt, creds, verbose)
     } catch (err) {
-      handleUploadError(err, verbose)
+      resumeCommand = await getResumeCommand(subdomain, source, options)
+      throw err
     }
+    success(`Deployed successfully! (v${version})`)
+    log(`\n${url}`)
+    await showPostDeploymentInfo(url, options, expiresAt, creds, verbose)
+
+    const exitCode = await runDeployHook(
+      'postdeploy',
+      hooks,
+      hookContext,
+      hookOptions
+    )
+    if (exitCode) {
+      warning(
+        `postdeploy hook failed with exit code ${exitCode} (the deployment itself succeeded)`
+      )
+    }
+    timer.mark('postdeploy')
+
+    if (isGitHubActions()) {
+      publishGitHubActionsResult({
+        subdomain,
+        url,
+        version,
+        fileCount,
+        totalBytes: uploadResult.totalBytes,
+        uploadedFiles: uploadResult.uploaded,
+        unchangedFiles: uploadResult.unchanged,
+        expiresAt,
+        message,
+        quotaWarnings: quotaCheck?.warnings || []
+      })
+    }
+
+    if (json) {
+      raw(
+        JSON.stringify(
+          {
+            ok: true,
+            subdomain,
+            url,
+            version,
+            fileCount,
+            totalBytes: uploadResult.totalBytes,
+            uploadedFiles: uploadResult.uploaded,
+            unchangedFiles: uploadResult.unchanged,
+            expiresAt: expiresAt?.toISOString() || null,
+            message,
+            source: sourceInfo,
+            durationsMs: timer.getDurations(),
+            warnings: getRecordedWarnings()
+          },
+          null,
+          2
+        )
+      )
+    }
+
+    return { subdomain, version, url, folderPath }
+  } catch (err) {
+    // Reported here, while --json output is still on
+    let failure = err
+    if (err instanceof DeployError) {
+      reportDeployError(err, verbose)
+    } else {
+      const code = handleUploadError(err, verbose, resumeCommand)
+      failure = new DeployError(err.message, [], { code, cause: err })
+    }
+    // Dry runs do not run hooks
+    if (hookContext && !dryRun) {
+      await runDeployHook(
+        'onError',
+        hooks,
+        { ...hookContext, error: err.message },
+        hookOptions
+      )
+    }
+    throw failure
   } finally {
     // Clean up temp directory if we fetched from a remote source
     if (tempDir) {
       await cleanupTempDir(tempDir)
     }
+    if (json) setJsonOutput(false)
+  }
+}
+
+/**
+ * Run an automatic redeploy. A failed redeploy does not exit, so the watcher
+ * keeps running.
+ */
+async function runWatchRedeploy (source, options, watchContext) {
+  try {
+    return await runDeploy(source, options, watchContext)
+  } catch {
+    // runDeploy already reported the error
+    warning('Redeploy failed; waiting for the next change.')
+    return null
+  }
+}
+
+/**
+ * Deploy, then watch the deployed folder and redeploy on changes until
+ * interrupted (Ctrl+C)
+ */
+async function deployAndWatch (source, options) {
+  const verbose = options.verbose || false
+
+  if (options.json) {
+    setJsonOutput()
+    errorWithSuggestions(
+      '--watch cannot be combined with --json.',
+      ['Run --json without --watch to get one JSON document per deploy'],
+      { verbose, code: ERROR_CODES.INVALID_OPTION }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  if (
+    isRemoteUrl(source) ||
+    isArchivePath(source) ||
+    source === STDIN_SOURCE ||
+    options.dryRun
+  ) {
+    errorWithSuggestions(
+      options.dryRun
+        ? '--watch cannot be combined with --dry-run.'
+        : '--watch only works with local folders.',
+      [
+        'Example: launchpd deploy ./site --watch',
+        'Run --dry-run without --watch to preview a deploy'
+      ],
+      { verbose, code: ERROR_CODES.INVALID_OPTION }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  const first = await runDeploy(source, {
+    ...options,
+    message: options.message || 'watch: initial deploy'
+  })
+  if (!first) return
+
+  // Redeploys reuse the site of the first deploy and never rebuild: the
+  // build writes into the watched folder and would trigger itself
+  const redeployOptions = {
+    ...options,
+    resume: false,
+    open: false,
+    qr: false,
+    skipBuild: true
+  }
+  const watchingMessage = `Watching ${first.folderPath} for changes (press Ctrl+C to stop)`
+
+  const watcher = await watchFolder(first.folderPath, {
+    matcher: await loadIgnoreMatcher(first.folderPath),
+    reloadMatcher: () => loadIgnoreMatcher(first.folderPath),
+    onChange: async (paths) => {
+      const message = `watch: ${paths.length} ${paths.length === 1 ? 'file' : 'files'} changed`
+      const shown = paths.slice(0, 5).join(', ')
+      const more = paths.length > 5 ? `, +${paths.length - 5} more` : ''
+      log('')
+      info(`${message}: ${shown}${more}`)
+      await runWatchRedeploy(
+        source,
+        { ...redeployOptions, message },
+        { subdomain: first.subdomain, afterPredeploy: () => watcher.sync() }
+      )
+      info(watchingMessage)
+    }
+  })
+  log('')
+  info(watchingMessage)
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', () => {
+      watcher.close()
+      log('')
+      info('Stopped watching.')
+      resolve()
+    })
+  })
+}
+
+/**
+ * Deploy a local folder, local archive, tarball on stdin or remote URL to StaticLaunch
+ * @param {string} source - Path to folder or archive, "-" for stdin, git repo URL, or Gist URL
+ * @param {object} options - Command options
+ * @param {string} options.name - Custom subdomain
+ * @param {string} options.expires - Expiration time (e.g., "30m", "2h", "1d")
+ * @param {boolean} options.verbose - Show verbose error details
+ * @param {string} options.branch - Git branch, tag or ref (for repo URLs)
+ * @param {string} options.dir - Subdirectory within the repo or archive to deploy
+ * @param {string|number} options.concurrency - Parallel file uploads
+ * @param {string|number} options.maxAttempts - Attempts per request before giving up
+ * @param {string|number} options.retryDelay - Base retry backoff in milliseconds
+ * @param {boolean} options.resume - Finish the interrupted deploy of this subdomain
+ * @param {boolean} options.dryRun - Print the deployment plan without uploading
+ * @param {boolean} options.json - Print the result (or --dry-run plan) as one
+ *   JSON document on stdout, with errors as { ok: false, error: { code } }
+ * @param {boolean} options.skipBuild - Do not run the configured build command
+ * @param {boolean} options.link - Save the subdomain to .launchpd.json without
+ *   asking (true) or never ask (false)
+ * @param {boolean} options.watch - Keep redeploying when files change
+ * @param {boolean} options.spa - Serve index.html for unknown paths
+ *   (single-page app), like `spa: true` in .launchpd.json
+ * @param {boolean} options.checkLinks - Check for broken links and missing
+ *   assets before uploading (with --force, they are only warnings)
+ */
+export async function deploy (source, options) {
+  try {
+    if (options.watch) {
+      return await deployAndWatch(source, options)
+    }
+    return await runDeploy(source, options)
+  } catch (err) {
+    if (!(err instanceof DeployError)) throw err
+    process.exit(getExitCode(err.code))
   }
 }
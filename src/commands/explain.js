@@ -0,0 +1,240 @@
+/**
+ * Explain command - describe a process exit code or error code
+ */
+
+import {
+  EXIT_CODES,
+  ERROR_CODES,
+  getExitCode,
+  getErrorCodesForExitCode
+} from '../utils/errors.js'
+import { errorWithSuggestions, log } from '../utils/logger.js'
+import chalk from 'chalk'
+
+/** Summary, cause and remediation of each exit code */
+export const EXIT_CODE_DETAILS = Object.freeze({
+  [EXIT_CODES.SUCCESS]: {
+    summary: 'Success',
+    cause: 'The command completed successfully.',
+    remediation: [],
+    retry: 'Not needed'
+  },
+  [EXIT_CODES.GENERAL_ERROR]: {
+    summary: 'Unexpected failure',
+    cause:
+      'An unexpected failure, such as an upload the server rejected.',
+    remediation: [
+      'Run the command again with --verbose to see the underlying error',
+      'Check https://status.launchpd.cloud if it keeps failing'
+    ],
+    retry: 'Maybe, once'
+  },
+  [EXIT_CODES.INVALID_USAGE]: {
+    summary: 'Invalid option, config or subdomain name',
+    cause:
+      'An option, a .launchpd.json setting or the subdomain name is invalid, or there is no interrupted deploy to --resume.',
+    remediation: [
+      'Fix the option or setting named in the error',
+      'Run "launchpd <command> --help" to list the options'
+    ],
+    retry: 'No, the command has to change'
+  },
+  [EXIT_CODES.VALIDATION_FAILED]: {
+    summary: 'Source missing, invalid or not static',
+    cause:
+      'The source cannot be deployed: the folder or archive is missing, empty or invalid, a remote source could not be fetched, it contains files that are not static, or its pages link to files that are not deployed.',
+    remediation: [
+      'Check the folder, archive or URL you are deploying',
+      'Exclude server-side files with .launchpdignore, or deploy with --force',
+      'Use --dir to deploy a subfolder of an archive or repository',
+      'Run "launchpd check" to list broken links and missing assets'
+    ],
+    retry: 'No, the source has to change'
+  },
+  [EXIT_CODES.SUBDOMAIN_TAKEN]: {
+    summary: 'Subdomain owned by another account',
+    cause: 'The subdomain belongs to another account.',
+    remediation: [
+      'Deploy with --name <subdomain> to pick another subdomain',
+      'Run "launchpd list" to see the subdomains you own'
+    ],
+    retry: 'No'
+  },
+  [EXIT_CODES.QUOTA_EXCEEDED]: {
+    summary: 'Plan limit reached',
+    cause:
+      "The deploy would exceed your plan's limit on sites, storage or versions.",
+    remediation: [
+      'Run "launchpd quota" to check your usage',
+      'Delete old deployments or let them expire',
+      'Run "launchpd register" for higher limits'
+    ],
+    retry: 'No, usage has to go down first'
+  },
+  [EXIT_CODES.AUTH_FAILED]: {
+    summary: 'Missing or invalid credentials',
+    cause:
+      'The API key is missing, invalid or revoked, or the command needs an account.',
+    remediation: [
+      'Run "launchpd login", or set LAUNCHPD_API_KEY and LAUNCHPD_API_SECRET in CI',
+      'Run "launchpd whoami" to check the current account'
+    ],
+    retry: 'No, someone has to fix the credentials'
+  },
+  [EXIT_CODES.NETWORK_ERROR]: {
+    summary: 'Network failure or timeout',
+    cause: 'Launchpd could not be reached or did not respond in time.',
+    remediation: [
+      'Check your internet connection',
+      'Retry, or raise --max-attempts and --retry-delay',
+      'A failed upload can be finished with "launchpd deploy --resume"'
+    ],
+    retry: 'Yes, with backoff'
+  },
+  [EXIT_CODES.MAINTENANCE]: {
+    summary: 'Launchpd is under maintenance',
+    cause: 'Launchpd is under maintenance.',
+    remediation: [
+      'Try again in a few minutes',
+      'Check https://status.launchpd.cloud for updates'
+    ],
+    retry: 'Yes, after a few minutes'
+  },
+  [EXIT_CODES.NOT_FOUND]: {
+    summary: 'Deployment or version not found',
+    cause:
+      'The subdomain has no deployments, the requested version does not exist, or there is no earlier version to roll back to.',
+    remediation: [
+      'Run "launchpd versions <subdomain>" to see the available versions',
+      'Check the subdomain name'
+    ],
+    retry: 'No'
+  },
+  [EXIT_CODES.COMMAND_FAILED]: {
+    summary: 'Build command or predeploy hook failed',
+    cause:
+      'The "build" command or the predeploy hook in .launchpd.json failed or could not be run. Its own exit code is in the error message (and in "error.details.commandExitCode" with --json).',
+    remediation: [
+      'Fix the errors printed by the command and deploy again',
+      'Use --skip-build to deploy the output of the last successful build'
+    ],
+    retry: 'No, the command has to be fixed'
+  }
+})
+
+/**
+ * Resolve an exit code ("5") or error code ("QUOTA_EXCEEDED")
+ * @returns {{ exitCode: number, errorCode: string|null }|null}
+ */
+function resolveCode (input) {
+  const value = String(input).trim()
+
+  if (/^\d+$/.test(value)) {
+    const exitCode = Number(value)
+    return Object.values(EXIT_CODES).includes(exitCode)
+      ? { exitCode, errorCode: null }
+      : null
+  }
+
+  const name = value.toUpperCase().replaceAll('-', '_')
+  if (ERROR_CODES[name]) {
+    return { exitCode: getExitCode(name), errorCode: name }
+  }
+  if (name in EXIT_CODES) {
+    return { exitCode: EXIT_CODES[name], errorCode: null }
+  }
+  return null
+}
+
+/**
+ * Get the name of an exit code
+ */
+function getExitCodeName (exitCode) {
+  return Object.keys(EXIT_CODES).find((name) => EXIT_CODES[name] === exitCode)
+}
+
+/**
+ * Describe an exit code for output
+ */
+function describeExitCode (exitCode) {
+  return {
+    exitCode,
+    name: getExitCodeName(exitCode),
+    ...EXIT_CODE_DETAILS[exitCode],
+    errorCodes: getErrorCodesForExitCode(exitCode)
+  }
+}
+
+/**
+ * Print the cause and remediation of an exit code or error code, or list
+ * every exit code
+ * @param {string} [code] - Exit code ("5") or error code ("QUOTA_EXCEEDED")
+ * @param {object} options - Command options
+ * @param {boolean} options.json - Output as JSON
+ */
+export function explain (code, options = {}) {
+  if (code === undefined) {
+    const all = Object.values(EXIT_CODES).map(describeExitCode)
+    if (options.json) {
+      log(JSON.stringify(all, null, 2))
+      return
+    }
+
+    log('')
+    log(chalk.bold('Exit codes:'))
+    log('')
+    for (const { exitCode, name, summary } of all) {
+      log(
+        `  ${chalk.cyan(String(exitCode).padEnd(4))}${chalk.bold(name.padEnd(20))}${chalk.gray(summary)}`
+      )
+    }
+    log('')
+    log(chalk.gray('Run "launchpd explain <code>" for the remediation.'))
+    log('')
+    return
+  }
+
+  const resolved = resolveCode(code)
+  if (!resolved) {
+    errorWithSuggestions(
+      `Unknown exit code or error code: "${code}"`,
+      [
+        `Exit codes: ${Object.values(EXIT_CODES).join(', ')}`,
+        'Error codes are the "error.code" values of --json output, e.g. QUOTA_EXCEEDED',
+        'Run "launchpd explain" to list every exit code'
+      ],
+      { code: ERROR_CODES.INVALID_OPTION }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  const details = describeExitCode(resolved.exitCode)
+  if (options.json) {
+    log(JSON.stringify({ ...details, errorCode: resolved.errorCode }, null, 2))
+    return
+  }
+
+  log('')
+  log(
+    chalk.bold(
+      `Exit code ${details.exitCode}: ${details.name}` +
+        (resolved.errorCode ? ` (error code ${resolved.errorCode})` : '')
+    )
+  )
+  log('')
+  log(`${chalk.gray('Cause:')} ${details.cause}`)
+  if (details.remediation.length > 0) {
+    log('')
+    log(chalk.gray('What to do:'))
+    for (const step of details.remediation) {
+      log(`   • ${step}`)
+    }
+  }
+  log('')
+  log(`${chalk.gray('Retry:')} ${details.retry}`)
+  if (details.errorCodes.length > 0) {
+    log(`${chalk.gray('Error codes:')} ${details.errorCodes.join(', ')}`)
+  }
+  log('')
+}
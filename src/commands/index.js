@@ -8,6 +8,10 @@ export { rollback } from './rollback.js'
 export { versions } from './versions.js'
 export { init } from './init.js'
 export { status } from './status.js'
+export { cache } from './cache.js'
+export { explain } from './explain.js'
+export { serve } from './serve.js'
+export { check } from './check.js'
 export {
   login,
   logout,
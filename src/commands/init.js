@@ -18,12 +18,15 @@ import {
   warning
 } from '../utils/logger.js'
 import { prompt } from '../utils/prompt.js'
+import { isCIMode } from '../utils/ci.js'
+import { ERROR_CODES, getExitCode } from '../utils/errors.js'
 import chalk from 'chalk'
 
 /**
  * Initialize a new project in the current directory
  * @param {object} options - Command options
  * @param {string} options.name - Optional subdomain name
+ * @param {boolean} options.yes - Re-link an already linked directory without asking
  */
 export async function init (options) {
   const projectRoot = findProjectRoot()
@@ -33,11 +36,22 @@ export async function init (options) {
       `This directory is already part of a Launchpd project linked to: ${chalk.bold(config?.subdomain)}`
     )
 
-    const confirm = await prompt(
-      'Would you like to re-link this project to a different subdomain? (y/N): '
-    )
-    if (confirm.toLowerCase() !== 'y' && confirm.toLowerCase() !== 'yes') {
-      return
+    if (!options.yes) {
+      if (isCIMode()) {
+        errorWithSuggestions(
+          'Refusing to re-link the project without confirmation in CI mode.',
+          ['Pass --yes to re-link it', 'Run with --no-ci to be asked instead'],
+          { code: ERROR_CODES.INVALID_OPTION }
+        )
+        process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+        return // Unreachable in production, satisfies test mocks
+      }
+      const confirm = await prompt(
+        'Would you like to re-link this project to a different subdomain? (y/N): '
+      )
+      if (confirm.toLowerCase() !== 'y' && confirm.toLowerCase() !== 'yes') {
+        return
+      }
     }
   }
 
@@ -51,6 +65,16 @@ export async function init (options) {
 
   let subdomain = options.name
 
+  if (!subdomain && isCIMode()) {
+    errorWithSuggestions(
+      'A subdomain is required in CI mode.',
+      ['Pass --name <subdomain>', 'Run with --no-ci to be asked instead'],
+      { code: ERROR_CODES.INVALID_OPTION }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+    return // Unreachable in production, satisfies test mocks
+  }
+
   if (!subdomain) {
     info('Linking this directory to a Launchpd subdomain...')
     subdomain = await prompt('Enter subdomain name (e.g. my-awesome-site): ')
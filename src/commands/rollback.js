@@ -15,6 +15,11 @@ import {
   spinner,
   log
 } from '../utils/logger.js'
+import {
+  ERROR_CODES,
+  getErrorCode,
+  getExitCode
+} from '../utils/errors.js'
 import chalk from 'chalk'
 
 /**
@@ -60,15 +65,15 @@ export async function rollback (subdomainInput, options) {
           'Check the subdomain name is correct',
           'Run "launchpd list" to see your deployments'
         ],
-        { verbose }
+        { verbose, code: ERROR_CODES.VERSION_NOT_FOUND }
       )
-      process.exit(1)
+      process.exit(getExitCode(ERROR_CODES.VERSION_NOT_FOUND))
     }
 
     if (versions.length === 1) {
       fetchSpinner.warn('Only one version exists')
       warning('Nothing to rollback to.')
-      process.exit(1)
+      process.exit(getExitCode(ERROR_CODES.VERSION_NOT_FOUND))
     }
 
     fetchSpinner.succeed(`Found ${versions.length} versions`)
@@ -93,7 +98,7 @@ export async function rollback (subdomainInput, options) {
             `  ${chalk.cyan(versionLabel)}${message} - ${chalk.gray(v.timestamp)}${marker}`
           )
         })
-        process.exit(1)
+        process.exit(getExitCode(ERROR_CODES.VERSION_NOT_FOUND))
       }
     } else {
       // Default: rollback to previous version
@@ -103,7 +108,7 @@ export async function rollback (subdomainInput, options) {
       const currentIndex = sortedVersions.indexOf(currentActive)
       if (currentIndex === sortedVersions.length - 1) {
         warning('Already at the oldest version. Cannot rollback further.')
-        process.exit(1)
+        process.exit(getExitCode(ERROR_CODES.VERSION_NOT_FOUND))
       }
       targetVersion = sortedVersions[currentIndex + 1]
     }
@@ -147,6 +152,7 @@ export async function rollback (subdomainInput, options) {
       `Restored deployment from: ${chalk.gray(targetDeployment?.timestamp || 'unknown')}`
     )
   } catch (err) {
+    const code = getErrorCode(err)
     errorWithSuggestions(
       `Rollback failed: ${err.message}`,
       [
@@ -154,8 +160,8 @@ export async function rollback (subdomainInput, options) {
         'Verify the subdomain and version exist',
         'Run "launchpd versions <subdomain>" to see available versions'
       ],
-      { verbose, cause: err }
+      { verbose, cause: err, code }
     )
-    process.exit(1)
+    process.exit(getExitCode(code))
   }
 }
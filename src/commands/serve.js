@@ -0,0 +1,180 @@
+/**
+ * Serve command - preview a folder locally as Launchpd would host it
+ */
+
+import { existsSync, statSync } from 'node:fs'
+import { resolve } from 'node:path'
+import chalk from 'chalk'
+import { findPublishDir } from '../utils/projectConfig.js'
+import { loadIgnoreMatcher } from '../utils/ignore.js'
+import { validateStaticOnly } from '../utils/validator.js'
+import { createPreviewServer } from '../utils/previewServer.js'
+import { loadSiteRules, findMissingPages } from '../utils/siteRules.js'
+import {
+  errorWithSuggestions,
+  info,
+  log,
+  success,
+  warning
+} from '../utils/logger.js'
+import { ConfigError, ERROR_CODES, getExitCode } from '../utils/errors.js'
+
+/** Port used when --port is not given */
+export const DEFAULT_SERVE_PORT = 4173
+
+/**
+ * Serve the publish directory of a project root, like deploy does (without
+ * running the build); settings deploy rejects exit with INVALID_CONFIG
+ */
+async function resolveServedFolder (folderPath, verbose) {
+  let publish = null
+  try {
+    publish = await findPublishDir(folderPath)
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err
+    errorWithSuggestions(err.message, err.suggestions, {
+      verbose,
+      code: ERROR_CODES.INVALID_CONFIG
+    })
+    process.exit(getExitCode(ERROR_CODES.INVALID_CONFIG))
+    return null // Unreachable in production, satisfies test mocks
+  }
+  if (!publish?.path) return folderPath
+  if (publish.build) {
+    info(`Serving "${publish.publicDir}" (run "${publish.build}" first to refresh it)`)
+  }
+  return publish.path
+}
+
+/**
+ * Start the server and resolve once it listens
+ */
+function listen (server, port, host) {
+  return new Promise((resolvePromise, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => {
+      server.off('error', reject)
+      resolvePromise()
+    })
+  })
+}
+
+/**
+ * Serve a folder locally with the same files, MIME types and routing
+ * (index.html, trailing slash, 404 and fallback pages, redirect and header
+ * rules) as a deployment, until interrupted
+ * @param {string} folder - Folder to serve
+ * @param {object} options - Command options
+ * @param {string|number} options.port - Port to listen on
+ * @param {string} options.host - Host to bind to
+ * @param {boolean} options.spa - Serve index.html for unknown paths
+ * @param {boolean} options.verbose - Show verbose error details
+ */
+export async function serve (folder, options = {}) {
+  const verbose = options.verbose || false
+  const host = options.host || 'localhost'
+  const port =
+    options.port === undefined ? DEFAULT_SERVE_PORT : Number(options.port)
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    errorWithSuggestions(
+      `Invalid --port "${options.port}": expected a number from 0 to 65535.`,
+      [`Example: launchpd serve . --port ${DEFAULT_SERVE_PORT}`],
+      { verbose, code: ERROR_CODES.INVALID_OPTION }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  const folderPath = await resolveServedFolder(
+    resolve(folder || '.'),
+    verbose
+  )
+  if (!folderPath) return // Unreachable in production, satisfies test mocks
+  if (!existsSync(folderPath) || !statSync(folderPath).isDirectory()) {
+    errorWithSuggestions(
+      `Folder not found: ${folderPath}`,
+      [
+        'Check the path is correct',
+        'Build the project first if it serves a "publicDir"'
+      ],
+      { verbose, code: ERROR_CODES.SOURCE_NOT_FOUND }
+    )
+    process.exit(getExitCode(ERROR_CODES.SOURCE_NOT_FOUND))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  const matcher = await loadIgnoreMatcher(folderPath)
+  const validation = await validateStaticOnly(folderPath, matcher)
+  if (!validation.success) {
+    warning(
+      `Non-static files are not served: ${validation.violations.join(', ')}`
+    )
+    info('Deploying this folder fails unless you pass --force.')
+  }
+
+  const rules = await loadSiteRules(folderPath, undefined, { spa: options.spa })
+  if (rules.errors.length > 0) {
+    errorWithSuggestions(
+      'Invalid redirect or header rules.',
+      rules.errors,
+      { verbose, code: ERROR_CODES.INVALID_CONFIG }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_CONFIG))
+    return // Unreachable in production, satisfies test mocks
+  }
+  for (const message of findMissingPages(folderPath, matcher, rules)) {
+    warning(message)
+  }
+
+  const server = createPreviewServer(folderPath, {
+    matcher,
+    violationPaths: validation.violationPaths,
+    redirects: rules.redirects,
+    headers: rules.headers,
+    fallback: rules.fallback,
+    notFoundPage: rules.notFoundPage,
+    onWarning: (message) => warning(message),
+    onRequest: ({ method, url, status }) => {
+      const color = status >= 400 ? chalk.yellow : chalk.gray
+      log(color(`${status} ${method} ${url}`))
+    }
+  })
+
+  try {
+    await listen(server, port, host)
+  } catch (err) {
+    errorWithSuggestions(
+      err.code === 'EADDRINUSE'
+        ? `Port ${port} is already in use.`
+        : `Could not start the server: ${err.message}`,
+      ['Pick another port with --port <n>'],
+      { verbose, cause: err, code: ERROR_CODES.INVALID_OPTION }
+    )
+    process.exit(getExitCode(ERROR_CODES.INVALID_OPTION))
+    return // Unreachable in production, satisfies test mocks
+  }
+
+  const address = server.address()
+  const url = `http://${host}:${address.port}`
+  success(`Serving ${folderPath}`)
+  if (rules.redirects.length > 0 || rules.headers.length > 0) {
+    info(
+      `Applying ${rules.redirects.length} redirect rule(s) and ${rules.headers.length} header rule(s)`
+    )
+  }
+  if (rules.fallback) {
+    info(`Unknown paths serve ${rules.fallback} (single-page app)`)
+  }
+  log(`\n  ${chalk.cyan(url)}\n`)
+  info('Only files that would be deployed are served (press Ctrl+C to stop)')
+
+  await new Promise((resolvePromise) => {
+    process.once('SIGINT', () => {
+      server.close()
+      log('')
+      info('Stopped serving.')
+      resolvePromise()
+    })
+  })
+}
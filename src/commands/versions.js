@@ -13,6 +13,11 @@ import {
   formatSize,
   log
 } from '../utils/logger.js'
+import {
+  ERROR_CODES,
+  getErrorCode,
+  getExitCode
+} from '../utils/errors.js'
 import chalk from 'chalk'
 
 /**
@@ -33,9 +38,9 @@ export async function versions (subdomainInput, options) {
         'Run "launchpd login" to log in to your account',
         'Run "launchpd register" to create a new account'
       ],
-      { verbose }
+      { verbose, code: ERROR_CODES.AUTH_FAILED }
     )
-    process.exit(1)
+    process.exit(getExitCode(ERROR_CODES.AUTH_FAILED))
   }
 
   if (options.to) {
@@ -77,9 +82,9 @@ export async function versions (subdomainInput, options) {
           'Run "launchpd list" to see your deployments',
           'Deploy a new site with "launchpd deploy ./folder"'
         ],
-        { verbose }
+        { verbose, code: ERROR_CODES.VERSION_NOT_FOUND }
       )
-      process.exit(1)
+      process.exit(getExitCode(ERROR_CODES.VERSION_NOT_FOUND))
     }
 
     fetchSpinner.succeed(`Found ${versionList.length} version(s)`)
@@ -153,6 +158,7 @@ export async function versions (subdomainInput, options) {
     )
     log('')
   } catch (err) {
+    const code = getErrorCode(err)
     errorWithSuggestions(
       `Failed to list versions: ${err.message}`,
       [
@@ -160,8 +166,8 @@ export async function versions (subdomainInput, options) {
         'Verify the subdomain exists',
         'Try running with --verbose for more details'
       ],
-      { verbose, cause: err }
+      { verbose, cause: err, code }
     )
-    process.exit(1)
+    process.exit(getExitCode(code))
   }
 }
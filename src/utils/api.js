@@ -8,6 +8,7 @@ import { getApiKey, getApiSecret } from './credentials.js'
 import { createHmac } from 'node:crypto'
 import { getMachineId } from './machineId.js'
 import { validateEndpoint } from './endpoint.js'
+import { withRetry } from './retry.js'
 import {
   APIError,
   MaintenanceError,
@@ -21,6 +22,9 @@ const API_BASE_URL = config.apiUrl
 /** Fetch timeout for LaunchPd API requests in milliseconds (30 seconds) */
 export const API_TIMEOUT_MS = 30_000
 
+/** HTTP methods that are safe to repeat after a transient failure */
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'])
+
 // Re-export error classes for convenience
 export {
   APIError,
@@ -33,14 +37,26 @@ export {
 /**
  * Create an AbortController with a timeout.
  * @param {number} ms - Timeout in milliseconds
+ * @param {AbortSignal} [parentSignal] - Optional signal that also aborts the request
  * @returns {{ signal: AbortSignal, clear: () => void }}
  */
-export function createFetchTimeout (ms) {
+export function createFetchTimeout (ms, parentSignal = null) {
   const controller = new AbortController()
   const timer = setTimeout(() => controller.abort(), ms)
+  const onParentAbort = () => controller.abort()
+
+  if (parentSignal?.aborted) {
+    controller.abort()
+  } else {
+    parentSignal?.addEventListener('abort', onParentAbort, { once: true })
+  }
+
   return {
     signal: controller.signal,
-    clear: () => clearTimeout(timer)
+    clear: () => {
+      clearTimeout(timer)
+      parentSignal?.removeEventListener('abort', onParentAbort)
+    }
   }
 }
 
@@ -53,43 +69,62 @@ export async function apiRequest (endpoint, options = {}) {
 
   const apiKey = await getApiKey()
   const apiSecret = await getApiSecret()
-  const headers = {
-    'Content-Type': 'application/json',
-    'X-API-Key': apiKey,
-    'X-Device-Fingerprint': getMachineId(),
-    ...options.headers
-  }
+  const method = (options.method || 'GET').toUpperCase()
+
+  /**
+   * Build request headers; signed per attempt so retries get a fresh timestamp
+   */
+  const buildHeaders = () => {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-API-Key': apiKey,
+      'X-Device-Fingerprint': getMachineId(),
+      ...options.headers
+    }
 
-  // Add HMAC signature if secret is available
-  if (apiSecret) {
-    const timestamp = Date.now().toString()
-    const method = (options.method || 'GET').toUpperCase()
-    const body = options.body || ''
-
-    // HMAC-SHA256 for REQUEST SIGNING - this is NOT password hashing.
-    // The request body (which may contain passwords) is signed to authenticate
-    // the API request. Password hashing happens server-side using bcrypt/argon2.
-    // skipcq: JS-D003 - HMAC-SHA256 is appropriate for request signing
-    const hmac = createHmac('sha256', apiSecret)
-    hmac.update(method)
-    hmac.update(endpoint)
-    hmac.update(timestamp)
-    // skipcq: JS-D003 - Request body signing, not password storage
-    hmac.update(body)
-
-    const signature = hmac.digest('hex')
-
-    headers['X-Timestamp'] = timestamp
-    headers['X-Signature'] = signature
+    // Add HMAC signature if secret is available
+    if (apiSecret) {
+      const timestamp = Date.now().toString()
+      const body = options.body || ''
+
+      // HMAC-SHA256 for REQUEST SIGNING - this is NOT password hashing.
+      // The request body (which may contain passwords) is signed to authenticate
+      // the API request. Password hashing happens server-side using bcrypt/argon2.
+      // skipcq: JS-D003 - HMAC-SHA256 is appropriate for request signing
+      const hmac = createHmac('sha256', apiSecret)
+      hmac.update(method)
+      hmac.update(endpoint)
+      hmac.update(timestamp)
+      // skipcq: JS-D003 - Request body signing, not password storage
+      hmac.update(body)
+
+      const signature = hmac.digest('hex')
+
+      headers['X-Timestamp'] = timestamp
+      headers['X-Signature'] = signature
+    }
+    return headers
   }
 
-  const { signal, clear } = createFetchTimeout(API_TIMEOUT_MS)
   try {
-    const response = await fetch(url, {
-      ...options,
-      headers,
-      signal
-    })
+    const response = await withRetry(
+      async () => {
+        const { signal, clear } = createFetchTimeout(API_TIMEOUT_MS)
+        try {
+          return await fetch(url, {
+            ...options,
+            headers: buildHeaders(),
+            signal
+          })
+        } finally {
+          clear()
+        }
+      },
+      {
+        label: `${method} ${endpoint}`,
+        idempotent: IDEMPOTENT_METHODS.has(method)
+      }
+    )
 
     // Handle maintenance mode (503 with maintenance_mode flag)
     if (response.status === 503) {
@@ -149,8 +184,6 @@ export async function apiRequest (endpoint, options = {}) {
       throw new NetworkError('Unable to connect to LaunchPd servers')
     }
     throw err
-  } finally {
-    clear()
   }
 }
 
@@ -214,6 +247,13 @@ export function getVersions (subdomain) {
   return apiRequest(`/api/versions/${subdomain}`)
 }
 
+/**
+ * Get the file manifest (path -> hash, size, MIME type) of the active version
+ */
+export function getActiveManifest (subdomain) {
+  return apiRequest(`/api/versions/${subdomain}/manifest`)
+}
+
 /**
  * Rollback to a specific version
  */
@@ -298,6 +338,7 @@ export default {
   listDeployments,
   getDeployment,
   getVersions,
+  getActiveManifest,
   rollbackVersion,
   checkSubdomainAvailable,
   reserveSubdomain,
@@ -0,0 +1,48 @@
+/**
+ * Non-interactive CI mode
+ *
+ * Enabled with --ci, or automatically when CI is set or stdin is not a
+ * terminal. Commands never wait for input in this mode: prompts take their
+ * answer from a flag or fail fast, and spinners and colors are disabled.
+ */
+
+import { setPlainOutput } from './logger.js'
+
+let ciMode = false
+
+/**
+ * Decide whether to run in CI mode
+ * @param {object} [options]
+ * @param {boolean} [options.flag] - --ci (true) or --no-ci (false); unset to auto-detect
+ * @param {object} [options.env] - Environment variables
+ * @param {object} [options.stdin] - Input stream
+ * @returns {boolean}
+ */
+export function detectCI ({
+  flag,
+  env = process.env,
+  stdin = process.stdin
+} = {}) {
+  if (typeof flag === 'boolean') return flag
+
+  const ci = env.CI?.trim().toLowerCase()
+  if (ci && ci !== 'false' && ci !== '0') return true
+  return !stdin?.isTTY
+}
+
+/**
+ * Turn CI mode on or off
+ * @param {boolean} enabled
+ */
+export function setCIMode (enabled = true) {
+  ciMode = enabled
+  setPlainOutput(enabled)
+}
+
+/**
+ * Whether commands must run without prompting
+ * @returns {boolean}
+ */
+export function isCIMode () {
+  return ciMode
+}
@@ -23,6 +23,13 @@ function getCredentialsPath () {
   return join(getConfigDir(), 'credentials.json')
 }
 
+/**
+ * Get the saved GitHub token path (written by `launchpd login github`)
+ */
+function getGitHubTokenPath () {
+  return join(getConfigDir(), 'github.json')
+}
+
 /**
  * Get the client token path (for anonymous tracking)
  */
@@ -62,11 +69,37 @@ export async function getClientToken () {
   return token
 }
 
+/** Environment variables holding CI credentials, which are never saved */
+export const API_KEY_ENV = 'LAUNCHPD_API_KEY'
+export const API_SECRET_ENV = 'LAUNCHPD_API_SECRET'
+
 /**
- * Get stored credentials
+ * Get credentials from LAUNCHPD_API_KEY / LAUNCHPD_API_SECRET
+ * @returns {{apiKey: string, apiSecret: string|null, userId: null, email: null, tier: string, savedAt: null} | null}
+ */
+export function getEnvCredentials () {
+  const apiKey = process.env[API_KEY_ENV]?.trim()
+  if (!apiKey) return null
+
+  return {
+    apiKey,
+    apiSecret: process.env[API_SECRET_ENV]?.trim() || null,
+    userId: null,
+    email: null,
+    tier: 'free',
+    savedAt: null
+  }
+}
+
+/**
+ * Get stored credentials. LAUNCHPD_API_KEY takes precedence over
+ * credentials.json.
  * @returns {Promise<{apiKey: string, userId: string, email: string, tier: string} | null>}
  */
 export async function getCredentials () {
+  const envCredentials = getEnvCredentials()
+  if (envCredentials) return envCredentials
+
   const filePath = getCredentialsPath()
   try {
     if (existsSync(filePath)) {
@@ -154,3 +187,78 @@ export async function getApiSecret () {
   const creds = await getCredentials()
   return creds?.apiSecret || process.env.STATICLAUNCH_API_SECRET || null
 }
+
+/** Environment variables checked for a GitHub token, in order */
+export const GITHUB_TOKEN_ENV_VARS = ['GITHUB_TOKEN', 'GH_TOKEN']
+
+/**
+ * Get the GitHub token used for private repos and gists: GITHUB_TOKEN,
+ * then GH_TOKEN, then the token saved by `launchpd login github`
+ * @returns {Promise<{ token: string, source: string }|null>}
+ */
+export async function getGitHubToken () {
+  for (const name of GITHUB_TOKEN_ENV_VARS) {
+    const token = process.env[name]?.trim()
+    if (token) return { token, source: name }
+  }
+
+  const saved = await getSavedGitHubLogin()
+  return saved ? { token: saved.token, source: 'launchpd login github' } : null
+}
+
+/**
+ * Get the GitHub login saved by `launchpd login github`
+ * @returns {Promise<{ token: string, login: string|null, savedAt: string|null }|null>}
+ */
+export async function getSavedGitHubLogin () {
+  try {
+    const data = JSON.parse(await readFile(getGitHubTokenPath(), 'utf-8'))
+    if (typeof data.token === 'string' && data.token) {
+      return {
+        token: data.token,
+        login: data.login || null,
+        savedAt: data.savedAt || null
+      }
+    }
+  } catch {
+    // Missing, corrupted or invalid JSON file
+  }
+  return null
+}
+
+/**
+ * Save a GitHub token (owner-only permissions)
+ * @param {{ token: string, login?: string }} githubLogin
+ */
+export async function saveGitHubToken ({ token, login }) {
+  await ensureConfigDir()
+
+  const data = {
+    token,
+    login: login || null,
+    savedAt: new Date().toISOString()
+  }
+  await writeFile(getGitHubTokenPath(), JSON.stringify(data, null, 2), {
+    encoding: 'utf-8',
+    mode: 0o600
+  })
+
+  try {
+    await chmod(getGitHubTokenPath(), 0o600)
+  } catch {
+    // chmod may not be fully supported on Windows, ignore gracefully
+  }
+}
+
+/**
+ * Delete the saved GitHub token
+ * @returns {Promise<boolean>} Whether a token was removed
+ */
+export async function clearGitHubToken () {
+  try {
+    await unlink(getGitHubTokenPath())
+    return true
+  } catch {
+    return false
+  }
+}
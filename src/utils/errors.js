@@ -62,6 +62,18 @@ export class NetworkError extends Error {
   }
 }
 
+/**
+ * Config error - thrown for invalid settings in .launchpd.json
+ */
+export class ConfigError extends Error {
+  constructor (message, suggestions = []) {
+    super(message)
+    this.name = 'ConfigError'
+    this.isConfigError = true
+    this.suggestions = suggestions
+  }
+}
+
 /**
  * Two-factor authentication required error
  */
@@ -77,6 +89,125 @@ export class TwoFactorRequiredError extends APIError {
   }
 }
 
+/**
+ * Stable error codes, reported as `error.code` in `--json` output. Scripts
+ * match on them, so existing codes are never renamed or reused.
+ */
+export const ERROR_CODES = Object.freeze({
+  INVALID_OPTION: 'INVALID_OPTION',
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  SOURCE_NOT_FOUND: 'SOURCE_NOT_FOUND',
+  REMOTE_FETCH_FAILED: 'REMOTE_FETCH_FAILED',
+  ARCHIVE_INVALID: 'ARCHIVE_INVALID',
+  BUILD_FAILED: 'BUILD_FAILED',
+  HOOK_FAILED: 'HOOK_FAILED',
+  NOTHING_TO_DEPLOY: 'NOTHING_TO_DEPLOY',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  BROKEN_LINKS: 'BROKEN_LINKS',
+  INVALID_SUBDOMAIN: 'INVALID_SUBDOMAIN',
+  SUBDOMAIN_TAKEN: 'SUBDOMAIN_TAKEN',
+  RESUME_FAILED: 'RESUME_FAILED',
+  VERSION_NOT_FOUND: 'VERSION_NOT_FOUND',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  MAINTENANCE: 'MAINTENANCE',
+  TIMEOUT: 'TIMEOUT',
+  UPLOAD_FAILED: 'UPLOAD_FAILED',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+})
+
+/**
+ * Process exit codes, one per failure category, so scripts can tell a
+ * rejection from a failure worth retrying. Like ERROR_CODES they are stable;
+ * `launchpd explain <code>` describes each one. The exit code of a failing
+ * build command or predeploy hook is reported in the error instead.
+ */
+export const EXIT_CODES = Object.freeze({
+  SUCCESS: 0,
+  GENERAL_ERROR: 1,
+  INVALID_USAGE: 2,
+  VALIDATION_FAILED: 3,
+  SUBDOMAIN_TAKEN: 4,
+  QUOTA_EXCEEDED: 5,
+  AUTH_FAILED: 6,
+  NETWORK_ERROR: 7,
+  MAINTENANCE: 8,
+  NOT_FOUND: 9,
+  COMMAND_FAILED: 10
+})
+
+/** Exit code of each error code; anything unlisted is a GENERAL_ERROR */
+const EXIT_CODE_BY_ERROR_CODE = Object.freeze({
+  [ERROR_CODES.INVALID_OPTION]: EXIT_CODES.INVALID_USAGE,
+  [ERROR_CODES.INVALID_CONFIG]: EXIT_CODES.INVALID_USAGE,
+  [ERROR_CODES.INVALID_SUBDOMAIN]: EXIT_CODES.INVALID_USAGE,
+  [ERROR_CODES.RESUME_FAILED]: EXIT_CODES.INVALID_USAGE,
+  [ERROR_CODES.SOURCE_NOT_FOUND]: EXIT_CODES.VALIDATION_FAILED,
+  [ERROR_CODES.REMOTE_FETCH_FAILED]: EXIT_CODES.VALIDATION_FAILED,
+  [ERROR_CODES.ARCHIVE_INVALID]: EXIT_CODES.VALIDATION_FAILED,
+  [ERROR_CODES.NOTHING_TO_DEPLOY]: EXIT_CODES.VALIDATION_FAILED,
+  [ERROR_CODES.VALIDATION_FAILED]: EXIT_CODES.VALIDATION_FAILED,
+  [ERROR_CODES.BROKEN_LINKS]: EXIT_CODES.VALIDATION_FAILED,
+  [ERROR_CODES.SUBDOMAIN_TAKEN]: EXIT_CODES.SUBDOMAIN_TAKEN,
+  [ERROR_CODES.QUOTA_EXCEEDED]: EXIT_CODES.QUOTA_EXCEEDED,
+  [ERROR_CODES.AUTH_FAILED]: EXIT_CODES.AUTH_FAILED,
+  [ERROR_CODES.NETWORK_ERROR]: EXIT_CODES.NETWORK_ERROR,
+  [ERROR_CODES.TIMEOUT]: EXIT_CODES.NETWORK_ERROR,
+  [ERROR_CODES.MAINTENANCE]: EXIT_CODES.MAINTENANCE,
+  [ERROR_CODES.VERSION_NOT_FOUND]: EXIT_CODES.NOT_FOUND,
+  [ERROR_CODES.BUILD_FAILED]: EXIT_CODES.COMMAND_FAILED,
+  [ERROR_CODES.HOOK_FAILED]: EXIT_CODES.COMMAND_FAILED
+})
+
+/**
+ * Get the process exit code for an error code
+ * @param {string} errorCode - One of ERROR_CODES
+ * @returns {number} One of EXIT_CODES
+ */
+export function getExitCode (errorCode) {
+  return EXIT_CODE_BY_ERROR_CODE[errorCode] ?? EXIT_CODES.GENERAL_ERROR
+}
+
+/**
+ * Get the error codes reported with an exit code
+ * @param {number} exitCode - One of EXIT_CODES
+ * @returns {string[]}
+ */
+export function getErrorCodesForExitCode (exitCode) {
+  return Object.values(ERROR_CODES).filter(
+    (errorCode) => getExitCode(errorCode) === exitCode
+  )
+}
+
+/**
+ * Get the stable error code of an API, network or config error
+ * @param {Error} err - The error to classify
+ * @param {string} fallback - Code for errors of any other kind
+ * @returns {string} One of ERROR_CODES
+ */
+export function getErrorCode (err, fallback = ERROR_CODES.UNKNOWN_ERROR) {
+  if (err instanceof MaintenanceError || err?.isMaintenanceError) {
+    return ERROR_CODES.MAINTENANCE
+  }
+  if (err instanceof AuthError || err?.isAuthError) {
+    return ERROR_CODES.AUTH_FAILED
+  }
+  if (err instanceof QuotaError || err?.isQuotaError) {
+    return ERROR_CODES.QUOTA_EXCEEDED
+  }
+  if (err instanceof NetworkError || err?.isNetworkError) {
+    return ERROR_CODES.NETWORK_ERROR
+  }
+  if (err?.name === 'AbortError') {
+    return ERROR_CODES.TIMEOUT
+  }
+  if (err instanceof ConfigError || err?.isConfigError) {
+    return ERROR_CODES.INVALID_CONFIG
+  }
+  return fallback
+}
+
 /**
  * Handle common errors with user-friendly messages
  * @param {Error} err - The error to handle
@@ -130,5 +261,10 @@ export default {
   QuotaError,
   NetworkError,
   TwoFactorRequiredError,
+  ERROR_CODES,
+  EXIT_CODES,
+  getErrorCode,
+  getExitCode,
+  getErrorCodesForExitCode,
   handleCommonError
 }
@@ -0,0 +1,167 @@
+/**
+ * GitHub Actions integration
+ *
+ * When a deploy runs in a GitHub Actions job (GITHUB_ACTIONS=true), its
+ * result is written to the step outputs ($GITHUB_OUTPUT) and the job summary
+ * ($GITHUB_STEP_SUMMARY), and warnings become workflow annotations.
+ */
+
+import { appendFileSync } from 'node:fs'
+import { randomUUID } from 'node:crypto'
+import { isAbsolute, relative, resolve, sep, posix } from 'node:path'
+import { log } from './logger.js'
+import { formatBytes } from './quota.js'
+
+/** Renders the QR code image linked from the step summary */
+export const QR_CODE_SERVICE_URL = 'https://api.qrserver.com/v1/create-qr-code/'
+
+/**
+ * Whether we are running in a GitHub Actions job
+ * @param {object} [env] - Environment variables
+ * @returns {boolean}
+ */
+export function isGitHubActions (env = process.env) {
+  return env.GITHUB_ACTIONS === 'true'
+}
+
+/**
+ * Escape the message of a workflow command
+ */
+function escapeData (value) {
+  return String(value)
+    .replaceAll('%', '%25')
+    .replaceAll('\r', '%0D')
+    .replaceAll('\n', '%0A')
+}
+
+/**
+ * Escape a property (file, title) of a workflow command
+ */
+function escapeProperty (value) {
+  return escapeData(value).replaceAll(':', '%3A').replaceAll(',', '%2C')
+}
+
+/**
+ * Get the path of a file relative to the workspace, as annotations expect
+ * @param {string} filePath - Absolute path
+ * @param {object} [env] - Environment variables
+ * @returns {string|null} Null for files outside the workspace
+ */
+export function toWorkspacePath (filePath, env = process.env) {
+  const workspace = resolve(env.GITHUB_WORKSPACE || process.cwd())
+  const path = relative(workspace, resolve(filePath))
+  if (!path || path.startsWith('..') || isAbsolute(path)) return null
+  return path.split(sep).join(posix.sep)
+}
+
+/**
+ * Emit a warning annotation, attached to a file when one is given
+ * @param {string} message
+ * @param {object} [properties]
+ * @param {string} [properties.file] - Path relative to the workspace
+ * @param {string} [properties.line] - Line in the file
+ * @param {string} [properties.title] - Annotation title
+ */
+export function annotateWarning (message, properties = {}) {
+  const props = Object.entries(properties)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${escapeProperty(value)}`)
+    .join(',')
+  log(`::warning${props ? ` ${props}` : ''}::${escapeData(message)}`)
+}
+
+/**
+ * Append step outputs to $GITHUB_OUTPUT
+ * @param {Record<string, string|number>} outputs
+ * @param {object} [env] - Environment variables
+ * @returns {boolean} False when $GITHUB_OUTPUT is not set
+ */
+export function setOutputs (outputs, env = process.env) {
+  if (!env.GITHUB_OUTPUT) return false
+
+  const lines = Object.entries(outputs).map(([name, value]) => {
+    const text = String(value ?? '')
+    if (!text.includes('\n')) return `${name}=${text}\n`
+    const delimiter = `ghadelimiter_${randomUUID()}`
+    return `${name}<<${delimiter}\n${text}\n${delimiter}\n`
+  })
+  appendFileSync(env.GITHUB_OUTPUT, lines.join(''))
+  return true
+}
+
+/**
+ * Append Markdown to the job summary ($GITHUB_STEP_SUMMARY)
+ * @param {string} markdown
+ * @param {object} [env] - Environment variables
+ * @returns {boolean} False when $GITHUB_STEP_SUMMARY is not set
+ */
+export function appendStepSummary (markdown, env = process.env) {
+  if (!env.GITHUB_STEP_SUMMARY) return false
+  appendFileSync(env.GITHUB_STEP_SUMMARY, `${markdown}\n`)
+  return true
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeCell (value) {
+  return String(value).replaceAll('|', String.raw`\|`).replaceAll('\n', ' ')
+}
+
+/**
+ * Build the Markdown job summary of a deploy
+ * @param {object} deployment
+ * @param {string} deployment.subdomain
+ * @param {string} deployment.url
+ * @param {number} deployment.version
+ * @param {number} deployment.fileCount
+ * @param {number} deployment.totalBytes
+ * @param {number} [deployment.uploadedFiles]
+ * @param {number} [deployment.unchangedFiles]
+ * @param {Date|null} [deployment.expiresAt]
+ * @param {string|null} [deployment.message]
+ * @param {string[]} [deployment.quotaWarnings]
+ * @returns {string}
+ */
+export function formatDeploySummary (deployment) {
+  const {
+    subdomain,
+    url,
+    version,
+    fileCount,
+    totalBytes,
+    uploadedFiles,
+    unchangedFiles,
+    expiresAt = null,
+    message = null,
+    quotaWarnings = []
+  } = deployment
+
+  const files =
+    typeof uploadedFiles === 'number'
+      ? `${fileCount} (${uploadedFiles} uploaded, ${unchangedFiles ?? 0} unchanged)`
+      : String(fileCount)
+  const qrCodeUrl = `${QR_CODE_SERVICE_URL}?size=300x300&data=${encodeURIComponent(url)}`
+  const rows = [
+    ['URL', `[${url}](${url})`],
+    ['Version', `v${version}`],
+    ...(message ? [['Message', escapeCell(message)]] : []),
+    ['Files', files],
+    ['Size', formatBytes(totalBytes)],
+    ['Expires', expiresAt ? expiresAt.toISOString() : 'Never'],
+    ['QR code', `[Open QR code](${qrCodeUrl})`]
+  ]
+
+  const lines = [
+    `## 🚀 Deployed ${subdomain} (v${version})`,
+    '',
+    '| | |',
+    '| :-- | :-- |',
+    ...rows.map(([name, value]) => `| ${name} | ${value} |`)
+  ]
+  if (quotaWarnings.length > 0) {
+    lines.push('', '### ⚠️ Quota warnings', '')
+    lines.push(...quotaWarnings.map((w) => `- ${w}`))
+  }
+  return `${lines.join('\n')}\n`
+}
@@ -0,0 +1,95 @@
+/**
+ * Deploy lifecycle hooks configured in .launchpd.json
+ *
+ *   "hooks": {
+ *     "predeploy": "npm run sitemap",      // a non-zero exit blocks the deploy
+ *     "postdeploy": "./scripts/purge.sh",  // after a successful deploy
+ *     "onError": "./scripts/notify.sh"     // after a failed deploy
+ *   }
+ *
+ * Hooks run through the shell with the deploy context passed as
+ * LAUNCHPD_* environment variables.
+ */
+
+import { runShellCommand } from './shell.js'
+
+/** Supported hook names */
+export const HOOK_NAMES = ['predeploy', 'postdeploy', 'onError']
+
+/**
+ * Read and validate the hooks of a project config
+ * @param {object|null} config - Parsed .launchpd.json
+ * @returns {{ predeploy?: string, postdeploy?: string, onError?: string }}
+ * @throws {Error} If `hooks` is not an object of known hook commands
+ */
+export function getHooks (config) {
+  const hooks = config?.hooks
+  if (hooks === undefined || hooks === null) return {}
+
+  if (typeof hooks !== 'object' || Array.isArray(hooks)) {
+    throw new Error(
+      'Invalid "hooks" in .launchpd.json: expected an object of hook commands.'
+    )
+  }
+
+  const result = {}
+  for (const [name, command] of Object.entries(hooks)) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new Error(
+        `Unknown hook "${name}" in .launchpd.json. Supported hooks: ${HOOK_NAMES.join(', ')}.`
+      )
+    }
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new Error(
+        `Invalid "hooks.${name}" in .launchpd.json: expected a shell command.`
+      )
+    }
+    result[name] = command
+  }
+  return result
+}
+
+/**
+ * Build the environment variables passed to a hook
+ * @param {object} context
+ * @param {string} context.hook - Hook name
+ * @param {string} context.subdomain - Target subdomain
+ * @param {number} context.version - Version being deployed
+ * @param {string} context.url - Site URL
+ * @param {string|null} [context.message] - Deployment message
+ * @param {string} context.source - Folder path or remote URL being deployed
+ * @param {string} [context.error] - Error message (onError only)
+ * @returns {Record<string, string>}
+ */
+export function getHookEnv (context) {
+  const env = {
+    LAUNCHPD_HOOK: context.hook,
+    LAUNCHPD_SUBDOMAIN: context.subdomain,
+    LAUNCHPD_VERSION: String(context.version ?? ''),
+    LAUNCHPD_URL: context.url,
+    LAUNCHPD_MESSAGE: context.message || '',
+    LAUNCHPD_SOURCE: context.source
+  }
+  if (context.error) {
+    env.LAUNCHPD_ERROR = context.error
+  }
+  return env
+}
+
+/**
+ * Run a hook command with the deploy context
+ * @param {string} name - Hook name
+ * @param {string} command - Shell command
+ * @param {object} context - Deploy context (see getHookEnv)
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory (the project root)
+ * @param {boolean} [options.stdoutToStderr] - Keep stdout clean for --json
+ * @returns {Promise<number>} Exit code of the hook
+ */
+export function runHook (name, command, context, options = {}) {
+  return runShellCommand(command, {
+    cwd: options.cwd,
+    env: getHookEnv({ ...context, hook: name }),
+    stdoutToStderr: options.stdoutToStderr
+  })
+}
@@ -1,7 +1,21 @@
 /**
- * Shared ignore lists for Launchpd CLI
+ * Shared ignore rules for Launchpd CLI
+ *
+ * Built-in lists are always applied first. Projects can add rules with
+ * gitignore semantics (globs, `!` negation, anchored paths, `dir/` patterns):
+ *   1. `ignore` array in .launchpd.json
+ *   2. .launchpdignore in the deployed folder
+ *   3. `include` array in .launchpd.json (re-includes, like `!pattern`)
+ * Later rules win, and a path inside an ignored directory stays ignored.
  */
 
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { findProjectRoot, getProjectConfig } from './projectConfig.js'
+
+/** Name of the per-folder ignore file */
+export const IGNORE_FILE_NAME = '.launchpdignore'
+
 // Directories to ignore during scanning, validation, and upload
 export const IGNORE_DIRECTORIES = new Set([
   'node_modules',
@@ -26,6 +40,7 @@ export const IGNORE_DIRECTORIES = new Set([
 // Files to ignore during scanning, validation, and upload
 export const IGNORE_FILES = new Set([
   '.launchpd.json',
+  IGNORE_FILE_NAME,
   'package-lock.json',
   'yarn.lock',
   'pnpm-lock.yaml',
@@ -38,8 +53,12 @@ export const IGNORE_FILES = new Set([
   'LICENSE'
 ])
 
+// Files to ignore only at the root of the deployed folder: redirect and
+// header rules are sent as deploy metadata instead
+export const IGNORE_ROOT_FILES = new Set(['_redirects', '_headers'])
+
 /**
- * Check if a path or filename should be ignored
+ * Check if a path or filename is on the built-in ignore lists
  * @param {string} name - Base name of the file or directory
  * @param {boolean} isDir - Whether the path is a directory
  * @returns {boolean}
@@ -50,3 +69,243 @@ export function isIgnored (name, isDir = false) {
   }
   return IGNORE_FILES.has(name) || IGNORE_DIRECTORIES.has(name)
 }
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char
+ */
+function escapeRegExp (char) {
+  return char.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&')
+}
+
+/**
+ * Translate a gitignore glob (without leading `!` or trailing `/`) to a
+ * regular expression source
+ * @param {string} glob
+ * @returns {string}
+ */
+function globToRegExpSource (glob) {
+  let source = ''
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+
+    if (char === '*') {
+      const isDoubleStar = glob[i + 1] === '*'
+      const atSegmentStart = i === 0 || glob[i - 1] === '/'
+      const next = glob[i + 2]
+
+      if (isDoubleStar && atSegmentStart && next === '/') {
+        // "**/" matches zero or more directories
+        source += '(?:.*/)?'
+        i += 2
+      } else if (isDoubleStar && atSegmentStart && next === undefined) {
+        // Trailing "**" matches everything inside
+        source += '.+'
+        i += 1
+      } else {
+        // "*" (or a "**" inside a segment) stays within one segment
+        source += '[^/]*'
+        if (isDoubleStar) i += 1
+      }
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2)
+      if (end === -1) {
+        source += '\\['
+        continue
+      }
+      let body = glob.slice(i + 1, end).replace(/\\/g, '\\\\')
+      if (body.startsWith('!')) body = `^${body.slice(1)}`
+      source += `(?!/)[${body}]`
+      i = end
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[i + 1])
+      i += 1
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+
+  return source
+}
+
+/**
+ * Compile one gitignore-style pattern
+ * @param {string} line - Pattern, e.g. `drafts/**`, `!README.md`, `/src/`
+ * @param {string} source - Where the pattern came from (used in reasons)
+ * @returns {{pattern: string, source: string, negated: boolean, dirOnly: boolean, regex: RegExp}|null}
+ *   null for blank lines and comments
+ */
+export function compileIgnorePattern (line, source) {
+  // Trailing spaces are ignored unless escaped
+  let pattern = line.replace(/(?<!\\)\s+$/, '')
+  if (!pattern || pattern.startsWith('#')) return null
+
+  let negated = false
+  if (pattern.startsWith('!')) {
+    negated = true
+    pattern = pattern.slice(1)
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1)
+  }
+
+  let dirOnly = false
+  if (pattern.endsWith('/')) {
+    dirOnly = true
+    pattern = pattern.slice(0, -1)
+  }
+
+  // A slash at the start or in the middle anchors the pattern to the root;
+  // otherwise it matches a name at any depth
+  const anchored = pattern.includes('/')
+  if (pattern.startsWith('/')) pattern = pattern.slice(1)
+  if (!pattern) return null
+
+  const body = globToRegExpSource(pattern)
+  const regex = new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`)
+
+  return { pattern: line.trim(), source, negated, dirOnly, regex }
+}
+
+/**
+ * Parse the contents of a .launchpdignore file
+ * @param {string} text
+ * @param {string} [source]
+ * @returns {Array<object>} Compiled rules in file order
+ */
+export function parseIgnoreFile (text, source = IGNORE_FILE_NAME) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => compileIgnorePattern(line, source))
+    .filter(Boolean)
+}
+
+/**
+ * Compile an `ignore` or `include` setting from .launchpd.json
+ * @param {string|string[]|undefined} value
+ * @param {string} source
+ * @param {boolean} include - Treat every pattern as a re-include
+ */
+function compileConfigPatterns (value, source, include) {
+  return [value ?? []]
+    .flat()
+    .filter((pattern) => typeof pattern === 'string')
+    .map((pattern) => {
+      const rule = compileIgnorePattern(
+        include ? pattern.replace(/^!/, '') : pattern,
+        source
+      )
+      return rule && include ? { ...rule, negated: true } : rule
+    })
+    .filter(Boolean)
+}
+
+// Built-in lists as rules; file names never match directories
+const DEFAULT_RULES = [
+  ...[...IGNORE_DIRECTORIES].map((name) =>
+    compileIgnorePattern(name, 'default')
+  ),
+  ...[...IGNORE_FILES].map((name) => ({
+    ...compileIgnorePattern(name, 'default'),
+    fileOnly: true
+  })),
+  ...[...IGNORE_ROOT_FILES].map((name) => ({
+    ...compileIgnorePattern(`/${name}`, 'default'),
+    fileOnly: true
+  }))
+]
+
+/**
+ * Create a matcher from the built-in rules plus project rules
+ * @param {object} [options]
+ * @param {string} [options.ignoreFile] - Contents of .launchpdignore
+ * @param {object|null} [options.config] - Parsed .launchpd.json
+ * @returns {{ ignores: (path: string, isDir?: boolean) => boolean, check: (path: string, isDir?: boolean) => {ignored: boolean, rule: object|null, path: string} }}
+ */
+export function createIgnoreMatcher ({ ignoreFile = '', config = null } = {}) {
+  const rules = [
+    ...DEFAULT_RULES,
+    ...compileConfigPatterns(config?.ignore, '.launchpd.json ignore', false),
+    ...parseIgnoreFile(ignoreFile),
+    ...compileConfigPatterns(config?.include, '.launchpd.json include', true)
+  ]
+  const dirCache = new Map()
+
+  /**
+   * Find the last rule matching a path (later rules take precedence)
+   */
+  const lastMatch = (path, isDir) => {
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const rule = rules[i]
+      if (rule.dirOnly && !isDir) continue
+      if (rule.fileOnly && isDir) continue
+      if (rule.regex.test(path)) return rule
+    }
+    return null
+  }
+
+  /**
+   * Check a path relative to the deployed folder (POSIX separators)
+   */
+  const check = (path, isDir = false) => {
+    const parts = path.split('/').filter(Boolean)
+
+    // A path inside an ignored directory cannot be re-included
+    for (let i = 1; i < parts.length; i++) {
+      const dirPath = parts.slice(0, i).join('/')
+      if (!dirCache.has(dirPath)) {
+        dirCache.set(dirPath, lastMatch(dirPath, true))
+      }
+      const rule = dirCache.get(dirPath)
+      if (rule && !rule.negated) {
+        return { ignored: true, rule, path: dirPath }
+      }
+    }
+
+    const fullPath = parts.join('/')
+    const rule = lastMatch(fullPath, isDir)
+    return { ignored: Boolean(rule && !rule.negated), rule, path: fullPath }
+  }
+
+  return {
+    check,
+    ignores: (path, isDir = false) => check(path, isDir).ignored
+  }
+}
+
+/**
+ * Load the ignore rules that apply to a folder: its .launchpdignore plus the
+ * `ignore`/`include` settings of the nearest .launchpd.json
+ * @param {string} folderPath - Folder being deployed
+ * @param {object|null} [projectConfig] - Already-loaded project config
+ * @returns {Promise<ReturnType<typeof createIgnoreMatcher>>}
+ */
+export async function loadIgnoreMatcher (folderPath, projectConfig) {
+  const config =
+    projectConfig === undefined
+      ? await getProjectConfig(findProjectRoot(folderPath))
+      : projectConfig
+
+  let ignoreFile = ''
+  try {
+    ignoreFile = await readFile(join(folderPath, IGNORE_FILE_NAME), 'utf8')
+  } catch {
+    // No .launchpdignore in this folder
+  }
+
+  return createIgnoreMatcher({ ignoreFile, config })
+}
+
+/**
+ * Explain which rule ignored a path
+ * @param {{pattern: string, source: string}} rule
+ * @returns {string}
+ */
+export function describeIgnoreRule (rule) {
+  if (rule.source === 'default') {
+    return `built-in ignore list ("${rule.pattern}")`
+  }
+  return `${rule.source}: "${rule.pattern}"`
+}
@@ -2,9 +2,11 @@
  * Utils index - exports all utility functions
  */
 
+export * from './ci.js'
 export * from './credentials.js'
 export * from './errors.js'
 export * from './expiration.js'
+export * from './githubActions.js'
 export * from './id.js'
 export * from './localConfig.js'
 export * from './logger.js'
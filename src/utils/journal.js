@@ -0,0 +1,155 @@
+/**
+ * Deploy journal for resumable deployments
+ * Stored in ~/.staticlaunch/journals/<subdomain>.json (the upload plan) and
+ * ~/.staticlaunch/journals/<subdomain>.uploaded (one uploaded path per line).
+ *
+ * The uploaded list is append-only so recording a file stays cheap and an
+ * interrupted write can lose at most the last, partial line.
+ */
+
+import fs from 'node:fs'
+import fsp from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+/**
+ * Get the journal directory path
+ */
+function getJournalDir () {
+  return path.join(os.homedir(), '.staticlaunch', 'journals')
+}
+
+/**
+ * Get the journal file paths for a subdomain
+ * @param {string} subdomain
+ */
+function getJournalPaths (subdomain) {
+  const dir = getJournalDir()
+  return {
+    plan: path.join(dir, `${subdomain}.json`),
+    uploaded: path.join(dir, `${subdomain}.uploaded`)
+  }
+}
+
+/**
+ * Start a journal for a deploy, replacing any previous one for the subdomain
+ * @param {object} journal - Deploy plan
+ * @param {string} journal.subdomain - Target subdomain
+ * @param {number} journal.version - Version being uploaded
+ * @param {string} journal.source - Folder path or remote URL being deployed
+ * @param {string} journal.folderName - Folder name sent on finalize
+ * @param {string|null} journal.message - Deployment message
+ * @param {string|null} journal.expiresAt - Expiration ISO timestamp
+ * @param {object} journal.manifest - Manifest returned by uploadFolder
+ * @param {string[]} [uploaded] - Paths already on the server (when resuming)
+ */
+export async function startDeployJournal (journal, uploaded = []) {
+  await fsp.mkdir(getJournalDir(), { recursive: true })
+
+  const paths = getJournalPaths(journal.subdomain)
+  const content = JSON.stringify(
+    { ...journal, startedAt: new Date().toISOString() },
+    null,
+    2
+  )
+  const lines = uploaded.map((filePath) => `${filePath}\n`).join('')
+
+  // The uploaded list goes first and the plan is swapped in atomically, so
+  // an interrupted write never pairs a new plan with stale entries
+  await fsp.writeFile(paths.uploaded, lines, 'utf-8')
+  await fsp.writeFile(`${paths.plan}.tmp`, content, 'utf-8')
+  await fsp.rename(`${paths.plan}.tmp`, paths.plan)
+}
+
+/**
+ * Record that a file of the journaled version reached the server
+ * @param {string} subdomain
+ * @param {string} filePath - POSIX path relative to the deployed folder
+ */
+export async function recordUploadedFile (subdomain, filePath) {
+  const { uploaded } = getJournalPaths(subdomain)
+  await fsp.appendFile(uploaded, `${filePath}\n`, 'utf-8')
+}
+
+/**
+ * Get the journal of an unfinished deploy
+ * @param {string} subdomain
+ * @returns {Promise<object|null>} The plan plus an `uploaded` array of paths,
+ *   or null if there is no (readable) journal
+ */
+export async function getDeployJournal (subdomain) {
+  const paths = getJournalPaths(subdomain)
+  if (!fs.existsSync(paths.plan)) {
+    return null
+  }
+
+  let journal = null
+  try {
+    journal = JSON.parse(await fsp.readFile(paths.plan, 'utf-8'))
+  } catch {
+    return null
+  }
+  if (!journal?.version || !journal.manifest) {
+    return null
+  }
+
+  let lines = []
+  try {
+    lines = (await fsp.readFile(paths.uploaded, 'utf-8')).split('\n')
+  } catch {
+    // No files were recorded before the interruption
+  }
+
+  // Only keep paths that belong to the plan; this also drops a
+  // partially-written last line
+  const uploaded = [...new Set(lines)].filter((line) =>
+    Object.hasOwn(journal.manifest, line)
+  )
+
+  return { ...journal, uploaded }
+}
+
+/**
+ * Remove the journal once a deploy is finalized (or abandoned)
+ * @param {string} subdomain
+ */
+export async function clearDeployJournal (subdomain) {
+  const paths = getJournalPaths(subdomain)
+  await fsp.rm(paths.plan, { force: true })
+  await fsp.rm(paths.uploaded, { force: true })
+}
+
+/**
+ * Find the subdomain of the most recent unfinished deploy of a source.
+ * Used when resuming a deploy whose subdomain was randomly generated.
+ * @param {string} source - Folder path or remote URL being deployed
+ * @returns {Promise<string|null>}
+ */
+export async function findJournaledSubdomain (source) {
+  let names = []
+  try {
+    names = await fsp.readdir(getJournalDir())
+  } catch {
+    return null
+  }
+
+  let latest = null
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue
+    try {
+      const journal = JSON.parse(
+        await fsp.readFile(path.join(getJournalDir(), name), 'utf-8')
+      )
+      if (
+        journal.source === source &&
+        (!latest || journal.startedAt > latest.startedAt)
+      ) {
+        latest = journal
+      }
+    } catch {
+      // Skip unreadable journals
+    }
+  }
+
+  return latest?.subdomain || null
+}
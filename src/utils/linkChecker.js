@@ -0,0 +1,316 @@
+/**
+ * Broken link and missing asset checker
+ *
+ * Parses the HTML and CSS files a deploy would upload and reports local
+ * references (href, src, srcset, poster, CSS url() and @import) to files
+ * that are not in the upload set: files that do not exist, and files that
+ * exist but are excluded by the ignore rules (e.g. a linked README.md or a
+ * script under build/). References resolve like the platform serves them:
+ *   - "/path" is relative to the deployed folder, anything else to the file
+ *   - "dir/" and "dir" resolve to "dir/index.html"
+ *   - paths matched by a redirect rule, and page links when a single-page
+ *     app fallback is configured, are not broken
+ * External URLs, data: URIs, fragment-only links and template placeholders
+ * are skipped.
+ */
+
+import { readdir, readFile } from 'node:fs/promises'
+import { statSync } from 'node:fs'
+import { extname, join, relative, sep, posix } from 'node:path'
+import { describeIgnoreRule } from './ignore.js'
+import { findRedirect } from './siteRules.js'
+
+/** Extensions of the files parsed for references */
+export const HTML_EXTENSIONS = new Set(['.html', '.htm'])
+export const CSS_EXTENSIONS = new Set(['.css'])
+
+/** Attributes holding a single URL, on any element */
+const URL_ATTRIBUTES = new Set(['href', 'src', 'poster'])
+
+/** Elements whose href navigates to a page rather than loading an asset */
+const PAGE_LINK_TAGS = new Set(['a', 'area'])
+
+const TAG_PATTERN = /<([a-zA-Z][\w:-]*)(\s[^>]*)?>/g
+const ATTRIBUTE_PATTERN =
+  /\s([a-zA-Z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g
+const SCRIPT_BODY_PATTERN = /(<script\b[^>]*>)([\s\S]*?)(?=<\/script>)/gi
+const STYLE_BLOCK_PATTERN = /<style\b[^>]*>([\s\S]*?)<\/style>/gi
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]*))\s*\)/gi
+const CSS_IMPORT_PATTERN = /@import\s+(?:"([^"]*)"|'([^']*)')/gi
+const SCHEME_PATTERN = /^[a-zA-Z][a-zA-Z\d+.-]*:/
+const PLACEHOLDER_PATTERN = /\{\{|\$\{|<%/
+
+/**
+ * Blank out text (comments, inline scripts), keeping offsets and line
+ * numbers intact
+ */
+function blank (text) {
+  return text.replace(/[^\n]/g, ' ')
+}
+
+/**
+ * Map offsets in a text to 1-based line numbers
+ */
+function createLineLookup (text) {
+  const lineStarts = [0]
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1)
+  }
+  return (offset) => {
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
+      if (lineStarts[mid] <= offset) low = mid
+      else high = mid - 1
+    }
+    return low + 1
+  }
+}
+
+/**
+ * Split a srcset attribute into its URLs (each candidate is a URL,
+ * optionally followed by a width or density descriptor)
+ */
+function parseSrcset (value) {
+  const urls = []
+  let rest = value
+  while (rest) {
+    rest = rest.replace(/^[\s,]+/, '')
+    const url = rest.match(/^\S+/)?.[0]
+    if (!url) break
+    rest = rest.slice(url.length)
+    if (url.endsWith(',')) {
+      urls.push(url.replace(/,+$/, ''))
+      continue
+    }
+    urls.push(url)
+    const end = rest.indexOf(',')
+    rest = end === -1 ? '' : rest.slice(end + 1)
+  }
+  return urls
+}
+
+/**
+ * Extract the url() and @import references of a stylesheet
+ * @param {string} css
+ * @param {number} [offset] - Offset of the stylesheet in its file
+ * @returns {{ url: string, offset: number }[]}
+ */
+function extractCssReferences (css, offset = 0) {
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, blank)
+  const references = []
+  for (const pattern of [CSS_URL_PATTERN, CSS_IMPORT_PATTERN]) {
+    for (const match of text.matchAll(pattern)) {
+      const url = match[1] ?? match[2] ?? match[3] ?? ''
+      references.push({ url, offset: offset + match.index })
+    }
+  }
+  return references.sort((a, b) => a.offset - b.offset)
+}
+
+/**
+ * Extract the references of an HTML document
+ * @returns {{ url: string, offset: number, page: boolean }[]}
+ *   `page` is set for links that navigate to another page
+ */
+function extractHtmlReferences (html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(SCRIPT_BODY_PATTERN, (script, tag, body) => tag + blank(body))
+  const references = []
+
+  for (const tag of text.matchAll(TAG_PATTERN)) {
+    const name = tag[1].toLowerCase()
+    const attributes = tag[2] || ''
+    const attributesOffset = tag.index + 1 + tag[1].length
+
+    for (const attribute of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+      const attributeName = attribute[1].toLowerCase()
+      const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? ''
+      const offset = attributesOffset + attribute.index
+
+      const isUrl =
+        URL_ATTRIBUTES.has(attributeName) ||
+        (attributeName === 'data' && name === 'object')
+      if (isUrl) {
+        references.push({
+          url: value,
+          offset,
+          page: attributeName === 'href' && PAGE_LINK_TAGS.has(name)
+        })
+      } else if (attributeName === 'srcset') {
+        for (const url of parseSrcset(value)) {
+          references.push({ url, offset, page: false })
+        }
+      } else if (attributeName === 'style') {
+        for (const reference of extractCssReferences(value, offset)) {
+          references.push({ ...reference, page: false })
+        }
+      }
+    }
+  }
+
+  for (const block of text.matchAll(STYLE_BLOCK_PATTERN)) {
+    const cssOffset = block.index + block[0].indexOf('>') + 1
+    for (const reference of extractCssReferences(block[1], cssOffset)) {
+      references.push({ ...reference, page: false })
+    }
+  }
+  return references.sort((a, b) => a.offset - b.offset)
+}
+
+/**
+ * Resolve a reference to a path relative to the folder
+ * @param {string} url - Reference as written in the file
+ * @param {string} file - Referencing file, relative to the folder
+ * @returns {string|null} Null for references that are not checked
+ *   (external, data:, fragment-only, templated); paths of folders end
+ *   with "/"
+ */
+export function resolveReference (url, file) {
+  const value = url.trim()
+  if (
+    !value ||
+    value.startsWith('#') ||
+    value.startsWith('//') ||
+    SCHEME_PATTERN.test(value) ||
+    PLACEHOLDER_PATTERN.test(value)
+  ) {
+    return null
+  }
+
+  let path = value.split(/[?#]/)[0]
+  if (!path) return null
+  try {
+    path = decodeURI(path)
+  } catch {
+    // Keep malformed escapes as written
+  }
+
+  const isFolder = path.endsWith('/')
+  const base = path.startsWith('/') ? '/' : posix.join('/', posix.dirname(file))
+  const resolved = posix.join(base, path).replace(/^\/+/, '')
+  if (resolved === '' || resolved === '.') return ''
+  return isFolder && !resolved.endsWith('/') ? `${resolved}/` : resolved
+}
+
+/**
+ * Check one resolved reference against the upload set
+ * @returns {{ reason: 'missing'|'ignored', rule?: object }|null} Null when
+ *   the reference is served
+ */
+function checkTarget (folderPath, target, page, context) {
+  const candidates =
+    target === '' || target.endsWith('/')
+      ? [`${target}index.html`]
+      : [target, `${target}/index.html`]
+
+  if (candidates.some((candidate) => context.uploadSet.has(candidate))) {
+    return null
+  }
+  if (findRedirect(context.redirects, `/${target}`, false)) {
+    return null
+  }
+  if (page && context.fallback) {
+    return null
+  }
+
+  for (const candidate of candidates) {
+    const stats = statSync(join(folderPath, candidate), {
+      throwIfNoEntry: false
+    })
+    if (!stats?.isFile()) continue
+    const ignore = context.matcher.check(candidate, false)
+    if (ignore.ignored) {
+      return { reason: 'ignored', rule: ignore.rule }
+    }
+  }
+  return { reason: 'missing' }
+}
+
+/**
+ * Describe a broken link for humans
+ * @param {{ reason: string, rule?: object }} link
+ * @returns {string}
+ */
+export function describeBrokenLink (link) {
+  return link.reason === 'ignored'
+    ? `excluded by ${describeIgnoreRule(link.rule)}`
+    : 'file not found'
+}
+
+/**
+ * Check the HTML and CSS files a folder would upload for broken links
+ * @param {string} folderPath - Folder being deployed
+ * @param {object} matcher - Ignore matcher from loadIgnoreMatcher
+ * @param {object} [site]
+ * @param {object[]} [site.redirects] - Redirect rules from loadSiteRules
+ * @param {string|null} [site.fallback] - Single-page app fallback page
+ * @returns {Promise<{ checkedFiles: number, references: number, broken: object[] }>}
+ *   Each broken link is `{ file, line, url, target, reason, rule? }`: `file`
+ *   and `target` are relative to the folder, `reason` is "missing" or
+ *   "ignored" (with the ignore `rule`)
+ */
+export async function checkLinks (folderPath, matcher, site = {}) {
+  const entries = await readdir(folderPath, {
+    recursive: true,
+    withFileTypes: true
+  })
+  const uploadSet = new Set()
+  for (const entry of entries) {
+    if (!entry.isFile()) continue
+    const parentDir = entry.parentPath || entry.path || folderPath
+    const path = relative(folderPath, join(parentDir, entry.name))
+      .split(sep)
+      .join(posix.sep)
+    if (!matcher.ignores(path, false)) uploadSet.add(path)
+  }
+
+  const context = {
+    matcher,
+    uploadSet,
+    redirects: site.redirects || [],
+    fallback: site.fallback || null
+  }
+  const broken = []
+  let checkedFiles = 0
+  let references = 0
+
+  for (const file of [...uploadSet].sort()) {
+    const ext = extname(file).toLowerCase()
+    const isHtml = HTML_EXTENSIONS.has(ext)
+    if (!isHtml && !CSS_EXTENSIONS.has(ext)) continue
+
+    let text
+    try {
+      text = await readFile(join(folderPath, file), 'utf8')
+    } catch {
+      continue
+    }
+    checkedFiles++
+
+    const lineOf = createLineLookup(text)
+    const found = isHtml
+      ? extractHtmlReferences(text)
+      : extractCssReferences(text).map((r) => ({ ...r, page: false }))
+
+    for (const reference of found) {
+      const target = resolveReference(reference.url, file)
+      if (target === null) continue
+      references++
+      const result = checkTarget(folderPath, target, reference.page, context)
+      if (result) {
+        broken.push({
+          file,
+          line: lineOf(reference.offset),
+          url: reference.url.trim(),
+          target,
+          ...result
+        })
+      }
+    }
+  }
+
+  return { checkedFiles, references, broken }
+}
@@ -1,15 +1,124 @@
 import chalk from 'chalk'
 import ora from 'ora'
+import { ERROR_CODES } from './errors.js'
 
 // Store active spinner reference
 let activeSpinner = null
 
+// Send human-readable output to stderr (keeps stdout clean for --json)
+let humanOutputToStderr = false
+
+// Machine-readable output (--json): warnings are recorded for the JSON
+// document, and the first error is printed to stdout as a JSON object
+let jsonOutput = false
+let jsonErrorPrinted = false
+let recordedWarnings = []
+
+// Plain output (CI mode): no spinner animation and no colors
+let plainOutput = false
+let colorLevel = chalk.level
+
+// Secrets (e.g. GitHub tokens) masked in everything the logger prints
+const secrets = new Set()
+
+/**
+ * Mask a secret in all further output, including verbose stack traces
+ * @param {string} secret
+ */
+export function registerSecret (secret) {
+  if (typeof secret === 'string' && secret.length >= 4) {
+    secrets.add(secret)
+  }
+}
+
+/**
+ * Replace registered secrets in a value with "***"
+ * @param {any} value - Strings are redacted; anything else is returned as is
+ * @returns {any}
+ */
+export function redact (value) {
+  if (typeof value !== 'string') return value
+  let text = value
+  for (const secret of secrets) {
+    text = text.split(secret).join('***')
+  }
+  return text
+}
+
+/**
+ * Route human-readable messages to stderr instead of stdout.
+ * Use when stdout carries machine-readable output; `raw()` is not affected.
+ * @param {boolean} enabled
+ */
+export function redirectToStderr (enabled = true) {
+  humanOutputToStderr = enabled
+}
+
+/**
+ * Switch to machine-readable output for --json: human-readable messages go
+ * to stderr, warnings are recorded (see getRecordedWarnings), and the first
+ * errorWithSuggestions() also prints `{ ok: false, error: { code, message,
+ * suggestions } }` to stdout
+ * @param {boolean} enabled
+ */
+export function setJsonOutput (enabled = true) {
+  jsonOutput = enabled
+  jsonErrorPrinted = false
+  recordedWarnings = []
+  redirectToStderr(enabled)
+}
+
+/**
+ * Disable spinner animation and colors, for logs that are not a terminal.
+ * Spinners still print their final line.
+ * @param {boolean} enabled
+ */
+export function setPlainOutput (enabled = true) {
+  if (enabled === plainOutput) return
+  if (enabled) {
+    colorLevel = chalk.level
+    chalk.level = 0
+  } else {
+    chalk.level = colorLevel
+  }
+  plainOutput = enabled
+}
+
+/**
+ * Get the warnings logged since setJsonOutput() was enabled
+ * @returns {string[]}
+ */
+export function getRecordedWarnings () {
+  return [...recordedWarnings]
+}
+
+/**
+ * Record a warning for the --json document
+ */
+function recordWarning (message) {
+  if (jsonOutput) {
+    recordedWarnings.push(redact(message))
+  }
+}
+
+/**
+ * Write a human-readable line to stdout (or stderr when redirected)
+ */
+function write (...args) {
+  const output = args.map(redact)
+  if (humanOutputToStderr) {
+    console.error(...output)
+  } else {
+    console.log(...output)
+  }
+}
+
 /**
  * Log a success message
  * @param {string} message
  */
 export function success (message) {
-  console.log(chalk.green.bold('✓'), chalk.green(message))
+  write(chalk.green.bold('✓'), chalk.green(message))
 }
 
 /**
@@ -20,11 +129,11 @@ export function success (message) {
  * @param {Error} options.cause - Original error for verbose mode
  */
 export function error (message, options = {}) {
-  console.error(chalk.red.bold('✗'), chalk.red(message))
+  console.error(chalk.red.bold('✗'), chalk.red(redact(message)))
   if (options.verbose && options.cause) {
     console.error(chalk.gray('  Stack trace:'))
     console.error(
-      chalk.gray('  ' + (options.cause.stack || options.cause.message))
+      chalk.gray('  ' + redact(options.cause.stack || options.cause.message))
     )
   }
 }
@@ -34,7 +143,7 @@ export function error (message, options = {}) {
  * @param {string} message
  */
 export function info (message) {
-  console.log(chalk.blue('ℹ'), chalk.white(message))
+  write(chalk.blue('ℹ'), chalk.white(message))
 }
 
 /**
@@ -42,7 +151,8 @@ export function info (message) {
  * @param {string} message
  */
 export function warning (message) {
-  console.log(chalk.yellow.bold('⚠'), chalk.yellow(message))
+  recordWarning(message)
+  write(chalk.yellow.bold('⚠'), chalk.yellow(message))
 }
 
 /**
@@ -50,7 +160,7 @@ export function warning (message) {
  * @param {string} message
  */
 export function log (message = '') {
-  console.log(message)
+  write(message)
 }
 
 /**
@@ -74,9 +184,10 @@ export function raw (data, method = 'log') {
  */
 export function spinner (text) {
   activeSpinner = ora({
-    text,
+    text: redact(text),
     color: 'cyan',
-    spinner: 'dots'
+    spinner: 'dots',
+    ...(plainOutput && { isEnabled: false })
   }).start()
 
   return {
@@ -86,7 +197,7 @@ export function spinner (text) {
      */
     update (newText) {
       if (activeSpinner) {
-        activeSpinner.text = newText
+        activeSpinner.text = redact(newText)
       }
     },
 
@@ -96,7 +207,7 @@ export function spinner (text) {
      */
     succeed (message) {
       if (activeSpinner) {
-        activeSpinner.succeed(chalk.green(message))
+        activeSpinner.succeed(chalk.green(redact(message)))
         activeSpinner = null
       }
     },
@@ -107,7 +218,7 @@ export function spinner (text) {
      */
     fail (message) {
       if (activeSpinner) {
-        activeSpinner.fail(chalk.red(message))
+        activeSpinner.fail(chalk.red(redact(message)))
         activeSpinner = null
       }
     },
@@ -118,7 +229,7 @@ export function spinner (text) {
      */
     info (message) {
       if (activeSpinner) {
-        activeSpinner.info(chalk.blue(message))
+        activeSpinner.info(chalk.blue(redact(message)))
         activeSpinner = null
       }
     },
@@ -128,8 +239,9 @@ export function spinner (text) {
      * @param {string} text - Warning message
      */
     warn (message) {
+      recordWarning(message)
       if (activeSpinner) {
-        activeSpinner.warn(chalk.yellow(message))
+        activeSpinner.warn(chalk.yellow(redact(message)))
         activeSpinner = null
       }
     },
@@ -167,9 +279,31 @@ export function formatSize (bytes, decimals = 2) {
  * @param {string} message - Error message
  * @param {string[]} suggestions - Array of suggested actions
  * @param {object} options - Error options
+ * @param {boolean} options.verbose - Show verbose error details
+ * @param {Error} options.cause - Original error for verbose mode
+ * @param {string} options.code - Stable error code for --json output (ERROR_CODES)
+ * @param {object} [options.details] - Extra fields for the --json error
  */
 export function errorWithSuggestions (message, suggestions = [], options = {}) {
   error(message, options)
+  if (jsonOutput && !jsonErrorPrinted) {
+    jsonErrorPrinted = true
+    console.log(
+      JSON.stringify(
+        {
+          ok: false,
+          error: {
+            code: options.code || ERROR_CODES.UNKNOWN_ERROR,
+            message: redact(message),
+            suggestions: suggestions.filter(Boolean).map(redact),
+            ...(options.details && { details: options.details })
+          }
+        },
+        null,
+        2
+      )
+    )
+  }
   if (suggestions.length > 0) {
     log('')
     log(chalk.yellow('💡 Suggestions:'))
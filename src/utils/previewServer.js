@@ -0,0 +1,270 @@
+/**
+ * Local preview server with Launchpd hosting semantics
+ *
+ * Serves only the files `uploadFolder` would upload, with the same MIME
+ * types, and routes requests like the platform does:
+ *   - "/dir/" serves "dir/index.html"
+ *   - "/dir" redirects (301) to "/dir/" when "dir/index.html" exists
+ *   - anything else that is not a deployed file serves the single-page app
+ *     fallback, or is a 404 with the body of the deployed 404 page
+ *     ("404.html" unless configured) when there is one
+ * Redirect and header rules (see siteRules.js) apply as they do when
+ * deployed. Requests for files that exist locally but would not be deployed
+ * (ignored, or non-static files rejected by validateStaticOnly) are 404s
+ * too, and are reported through `onWarning`.
+ */
+
+import { createServer, STATUS_CODES } from 'node:http'
+import { createReadStream } from 'node:fs'
+import { stat } from 'node:fs/promises'
+import { join, posix } from 'node:path'
+import mime from 'mime-types'
+import { describeIgnoreRule } from './ignore.js'
+import { findRedirect, getHeadersFor } from './siteRules.js'
+
+/** Page served (with status 404) for paths that are not deployed */
+export const NOT_FOUND_PAGE = '404.html'
+
+/**
+ * Check whether a path relative to the folder would be deployed as a file
+ * @returns {Promise<{deployed: boolean, exists: boolean, reason?: string}>}
+ */
+async function checkFile (folderPath, relativePath, site) {
+  const stats = await stat(join(folderPath, relativePath)).catch(() => null)
+  if (!stats?.isFile()) {
+    return { deployed: false, exists: false }
+  }
+
+  const ignore = site.matcher.check(relativePath, false)
+  if (ignore.ignored) {
+    return {
+      deployed: false,
+      exists: true,
+      reason: `ignored by ${describeIgnoreRule(ignore.rule)}`
+    }
+  }
+  if (site.blockedPaths.has(relativePath)) {
+    return {
+      deployed: false,
+      exists: true,
+      reason: 'not a static file (static-only validation fails without --force)'
+    }
+  }
+  return { deployed: true, exists: true }
+}
+
+/**
+ * Find the deployed file for a request path: the file itself, or the
+ * index.html of a folder (`redirect` is set when the path lacks the
+ * trailing slash)
+ * @returns {Promise<{file: string, redirect?: string}|null>}
+ */
+async function findDeployedFile (folderPath, pathname, site, warnings) {
+  const relativePath = pathname.replace(/^\/+/, '')
+  const candidates = []
+  if (relativePath === '' || pathname.endsWith('/')) {
+    candidates.push({ path: posix.join(relativePath, 'index.html') })
+  } else {
+    candidates.push({ path: relativePath })
+    candidates.push({
+      path: posix.join(relativePath, 'index.html'),
+      redirect: `${pathname}/`
+    })
+  }
+
+  for (const candidate of candidates) {
+    const result = await checkFile(folderPath, candidate.path, site)
+    if (result.deployed) {
+      return candidate.redirect
+        ? { file: candidate.path, redirect: candidate.redirect }
+        : { file: candidate.path }
+    }
+    if (result.exists) {
+      warnings.push(`${candidate.path} is ${result.reason}`)
+    }
+  }
+  return null
+}
+
+/**
+ * Apply a matching redirect rule: 3xx rules redirect, others serve the
+ * target with the rule's status
+ */
+async function applyRedirect (folderPath, { rule, target }, search, site) {
+  if (rule.status >= 300 && rule.status < 400) {
+    const location = target.includes('?') ? target : `${target}${search}`
+    return { status: rule.status, location, warnings: [] }
+  }
+
+  if (!target.startsWith('/')) {
+    return {
+      status: 502,
+      warnings: [`rewriting to ${target} (proxying) is not previewed locally`]
+    }
+  }
+
+  const warnings = []
+  const targetPath = posix.normalize(target.split('?')[0])
+  const found = await findDeployedFile(folderPath, targetPath, site, warnings)
+  if (found) {
+    return { status: rule.status, file: found.file, warnings }
+  }
+  warnings.push(`the target ${targetPath} of "${rule.from} ${rule.to}" is not deployed`)
+  return notFound(folderPath, site, warnings)
+}
+
+/**
+ * Respond to a path nothing matched: the single-page app fallback with
+ * status 200, else the deployed 404 page or an empty 404
+ */
+async function notFound (folderPath, site, warnings) {
+  if (site.fallback) {
+    const fallback = await checkFile(folderPath, site.fallback, site)
+    if (fallback.deployed) {
+      return { status: 200, file: site.fallback, warnings }
+    }
+  }
+
+  const notFoundPage = site.notFoundPage || NOT_FOUND_PAGE
+  const page = await checkFile(folderPath, notFoundPage, site)
+  return page.deployed
+    ? { status: 404, file: notFoundPage, warnings }
+    : { status: 404, warnings }
+}
+
+/**
+ * Resolve a request path the way Launchpd hosting does
+ * @param {string} folderPath - Served folder
+ * @param {string} pathname - Decoded URL path (starting with "/")
+ * @param {object} site
+ * @param {object} site.matcher - Ignore matcher from loadIgnoreMatcher
+ * @param {Set<string>} site.blockedPaths - Paths rejected by validateStaticOnly
+ * @param {object[]} [site.redirects] - Rules from loadSiteRules
+ * @param {string|null} [site.fallback] - Single-page app fallback page
+ * @param {string|null} [site.notFoundPage] - 404 page (default "404.html")
+ * @param {string} [search] - Query string, kept on redirects
+ * @returns {Promise<{status: number, file?: string, location?: string, warnings: string[]}>}
+ *   `file` is relative to the folder; `warnings` lists why a request
+ *   would not be served as expected in production
+ */
+export async function resolveRequest (folderPath, pathname, site, search = '') {
+  const warnings = []
+  const normalized = posix.normalize(pathname)
+
+  if (normalized.replace(/^\/+/, '').startsWith('..') || normalized.includes('\0')) {
+    return { status: 404, warnings }
+  }
+
+  const found = await findDeployedFile(folderPath, normalized, site, warnings)
+  const redirect = findRedirect(site.redirects || [], normalized, Boolean(found))
+  if (redirect) {
+    return applyRedirect(folderPath, redirect, search, site)
+  }
+
+  if (found?.redirect) {
+    return { status: 301, location: `${found.redirect}${search}`, warnings }
+  }
+  if (found) {
+    return { status: 200, file: found.file, warnings }
+  }
+  return notFound(folderPath, site, warnings)
+}
+
+/**
+ * Create the preview server for a folder (call `listen()` to start it)
+ * @param {string} folderPath - Folder to serve
+ * @param {object} site
+ * @param {object} site.matcher - Ignore matcher from loadIgnoreMatcher
+ * @param {string[]} [site.violationPaths] - Paths rejected by validateStaticOnly
+ * @param {object[]} [site.redirects] - Redirect rules from loadSiteRules
+ * @param {object[]} [site.headers] - Header rules from loadSiteRules
+ * @param {string|null} [site.fallback] - Single-page app fallback page
+ * @param {string|null} [site.notFoundPage] - 404 page (default "404.html")
+ * @param {(message: string) => void} [site.onWarning] - Called for each
+ *   request that would not be served like this in production
+ * @param {(request: {method: string, url: string, status: number}) => void} [site.onRequest]
+ * @returns {import('node:http').Server}
+ */
+export function createPreviewServer (folderPath, site) {
+  const context = {
+    matcher: site.matcher,
+    blockedPaths: new Set(site.violationPaths || []),
+    redirects: site.redirects || [],
+    fallback: site.fallback || null,
+    notFoundPage: site.notFoundPage || null
+  }
+
+  return createServer(async (req, res) => {
+    const finish = (status, headers = {}, body = '') => {
+      res.writeHead(status, headers)
+      res.end(req.method === 'HEAD' ? undefined : body)
+      site.onRequest?.({ method: req.method, url: req.url, status })
+    }
+    const plainText = (status) => ({
+      'Content-Type': 'text/plain',
+      ...(status === 405 && { Allow: 'GET, HEAD' })
+    })
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      finish(405, plainText(405), `405 ${STATUS_CODES[405]}`)
+      return
+    }
+
+    let url
+    let pathname
+    try {
+      url = new URL(req.url, 'http://localhost')
+      pathname = decodeURIComponent(url.pathname)
+    } catch {
+      finish(400, plainText(400), `400 ${STATUS_CODES[400]}`)
+      return
+    }
+
+    try {
+      const result = await resolveRequest(folderPath, pathname, context, url.search)
+      const prefix =
+        result.status === 404
+          ? `${req.method} ${url.pathname} would 404 in production`
+          : `${req.method} ${url.pathname}`
+      for (const message of result.warnings) {
+        site.onWarning?.(`${prefix}: ${message}`)
+      }
+
+      const headers = getHeadersFor(site.headers || [], pathname)
+      if (result.location) {
+        finish(result.status, { ...headers, Location: result.location })
+        return
+      }
+      if (!result.file) {
+        finish(
+          result.status,
+          { ...headers, ...plainText(result.status) },
+          `${result.status} ${STATUS_CODES[result.status]}`
+        )
+        return
+      }
+
+      const filePath = join(folderPath, result.file)
+      const { size } = await stat(filePath)
+      res.writeHead(result.status, {
+        'Content-Type':
+          mime.lookup(result.file) || 'application/octet-stream',
+        'Cache-Control': 'no-cache',
+        ...headers,
+        'Content-Length': size
+      })
+      site.onRequest?.({ method: req.method, url: req.url, status: result.status })
+      if (req.method === 'HEAD') {
+        res.end()
+        return
+      }
+      createReadStream(filePath)
+        .on('error', () => res.destroy())
+        .pipe(res)
+    } catch (err) {
+      if (!res.headersSent) {
+        finish(500, plainText(500), `500 ${err.message}`)
+      }
+    }
+  })
+}
@@ -1,6 +1,7 @@
 import { existsSync } from 'node:fs'
 import { readFile, writeFile } from 'node:fs/promises'
-import { join, resolve } from 'node:path'
+import { isAbsolute, join, relative, resolve, sep } from 'node:path'
+import { ConfigError } from './errors.js'
 
 const PROJECT_CONFIG_FILE = '.launchpd.json'
 
@@ -38,6 +39,65 @@ export async function getProjectConfig (projectDir = findProjectRoot()) {
   return null
 }
 
+/**
+ * Get the build command and publish directory (`build` and `publicDir`) of
+ * a folder that is a project root. deploy runs the build and uploads the
+ * publish directory; serve and check use the directory as is.
+ * @param {string} folderPath - Absolute path of the folder
+ * @returns {Promise<{ projectRoot: string, build: string|null, publicDir: string|null, path: string|null }|null>}
+ *   null if the folder is not a project root or sets neither setting;
+ *   `path` is the absolute publish directory (null without `publicDir`)
+ * @throws {ConfigError} If a setting is not a non-empty string, or
+ *   `publicDir` is outside the project
+ */
+export async function findPublishDir (folderPath) {
+  const projectRoot = findProjectRoot(folderPath)
+  if (!projectRoot || resolve(projectRoot) !== folderPath) {
+    return null
+  }
+
+  const config = await getProjectConfig(projectRoot)
+  const { build, publicDir } = config || {}
+  if (build === undefined && publicDir === undefined) {
+    return null
+  }
+
+  for (const [key, value] of Object.entries({ build, publicDir })) {
+    if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+      throw new ConfigError(
+        `Invalid "${key}" in .launchpd.json: expected a non-empty string.`,
+        [
+          'Example: { "build": "npm run build", "publicDir": "dist" }',
+          `Remove "${key}" to use the project folder as-is`
+        ]
+      )
+    }
+  }
+
+  let path = null
+  if (publicDir) {
+    path = resolve(projectRoot, publicDir)
+    const relativePath = relative(projectRoot, path)
+    if (
+      relativePath === '..' ||
+      relativePath.startsWith(`..${sep}`) ||
+      isAbsolute(relativePath)
+    ) {
+      throw new ConfigError(
+        `Invalid "publicDir" in .launchpd.json: "${publicDir}" is outside the project.`,
+        ['Use a path inside the project, e.g. "dist" or "build"']
+      )
+    }
+  }
+
+  return {
+    projectRoot,
+    build: build || null,
+    publicDir: publicDir || null,
+    path
+  }
+}
+
 /**
  * Save project configuration
  */
@@ -0,0 +1,38 @@
+/**
+ * Bitbucket Cloud adapter
+ */
+
+import { parseOwnerRepo, encodeRefPath } from './path.js'
+
+const BITBUCKET_API = 'https://api.bitbucket.org/2.0'
+
+/** @type {import('./registry.js').GitProvider} */
+export const bitbucket = {
+  name: 'bitbucket',
+  label: 'Bitbucket',
+  headers: {},
+  rateLimitHint: '',
+  parsePath: parseOwnerRepo,
+  urlFormat: () => 'https://bitbucket.org/{workspace}/{repo}',
+  // Archive downloads redirect to Bitbucket's upload storage
+  getAllowedHosts: () => [
+    'bitbucket.org',
+    'api.bitbucket.org',
+    'bbuseruploads.s3.amazonaws.com'
+  ],
+
+  // Archives need an explicit ref, so look up the main branch when none is given
+  getArchiveUrl: async ({ owner, repo }, ref, fetchJson) => {
+    let target = ref
+    if (!target) {
+      const data = await fetchJson(`${BITBUCKET_API}/repositories/${owner}/${repo}`)
+      target = data?.mainbranch?.name
+      if (!target) {
+        throw new Error(
+          `Could not determine the main branch of "${owner}/${repo}". Pass it with --branch.`
+        )
+      }
+    }
+    return `https://bitbucket.org/${owner}/${repo}/get/${encodeRefPath(target)}.tar.gz`
+  }
+}
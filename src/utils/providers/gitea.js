@@ -0,0 +1,31 @@
+/**
+ * Gitea adapter (self-hosted; also works for Forgejo)
+ */
+
+import { parseOwnerRepo, encodeRefPath } from './path.js'
+
+/** @type {import('./registry.js').GitProvider} */
+export const gitea = {
+  name: 'gitea',
+  label: 'Gitea',
+  headers: {},
+  rateLimitHint: '',
+  parsePath: parseOwnerRepo,
+  urlFormat: (host) => `https://${host}/{owner}/{repo}`,
+  getAllowedHosts: (host) => [host],
+
+  // Archives need an explicit ref, so look up the default branch when none is given
+  getArchiveUrl: async ({ host, owner, repo }, ref, fetchJson) => {
+    const api = `https://${host}/api/v1/repos/${owner}/${repo}`
+    let target = ref
+    if (!target) {
+      target = (await fetchJson(api))?.default_branch
+      if (!target) {
+        throw new Error(
+          `Could not determine the default branch of "${owner}/${repo}". Pass it with --branch.`
+        )
+      }
+    }
+    return `${api}/archive/${encodeRefPath(target)}.tar.gz`
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * GitHub and GitHub Enterprise Server adapters
+ */
+
+import { parseOwnerRepo, encodeRefPath } from './path.js'
+
+const GITHUB_HEADERS = { Accept: 'application/vnd.github.v3+json' }
+
+/**
+ * Decode a URL path segment, keeping it as is if it is malformed
+ * @param {string} segment
+ * @returns {string}
+ */
+function decodeSegment (segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return segment
+  }
+}
+
+/**
+ * Read owner/repo plus the ref and folder of GitHub web URLs:
+ *   /tree/{ref}/{path}, /blob/{ref}/{file}, /commit/{sha}, /releases/tag/{tag}
+ * Release URLs (including /releases/latest) also set `release`, the tag
+ * whose assets `--asset` picks from.
+ *
+ * Branch names may contain "/", so for tree and blob URLs the first segment
+ * is only a guess at the ref; fetchRepo moves folder segments into the ref
+ * until it resolves.
+ * @param {string[]} segments - URL path segments
+ * @returns {{ owner: string, repo: string, ref?: string, dir?: string, release?: string }|null}
+ */
+export function parseGitHubPath (segments) {
+  const repoPath = parseOwnerRepo(segments)
+  if (!repoPath) return null
+
+  const [kind, ...rest] = segments.slice(2)
+  const parts = rest.map(decodeSegment)
+
+  if ((kind === 'tree' || kind === 'blob') && parts.length > 0) {
+    const [ref, ...path] = parts
+    // A blob URL points at a file; deploy the folder that contains it
+    if (kind === 'blob') path.pop()
+    return path.length > 0
+      ? { ...repoPath, ref, dir: path.join('/') }
+      : { ...repoPath, ref }
+  }
+  if (kind === 'commit' && parts.length === 1) {
+    return { ...repoPath, ref: parts[0] }
+  }
+  if (kind === 'releases' && parts[0] === 'tag' && parts.length > 1) {
+    const tag = parts.slice(1).join('/')
+    return { ...repoPath, ref: tag, release: tag }
+  }
+  if (kind === 'releases' && parts[0] === 'latest' && parts.length === 1) {
+    return { ...repoPath, release: 'latest' }
+  }
+  return repoPath
+}
+
+/**
+ * Resolve a ref to a commit SHA via the commits API (the default branch if
+ * no ref is given)
+ * @param {string} apiBase - e.g. https://api.github.com
+ * @returns {Promise<string|null>} null if the ref does not exist
+ */
+async function resolveGitHubCommit (apiBase, { owner, repo }, ref, fetchJson) {
+  const refQuery = ref ? `sha=${encodeURIComponent(ref)}&` : ''
+  const commits = await fetchJson(
+    `${apiBase}/repos/${owner}/${repo}/commits?${refQuery}per_page=1`
+  )
+  return (Array.isArray(commits) && commits[0]?.sha) || null
+}
+
+/**
+ * Releases API URL for a tag, or for the latest release
+ * @param {string} apiBase - e.g. https://api.github.com
+ * @returns {string}
+ */
+function getGitHubReleaseUrl (apiBase, { owner, repo }, tag) {
+  const release =
+    tag === 'latest' ? 'latest' : `tags/${encodeURIComponent(tag)}`
+  return `${apiBase}/repos/${owner}/${repo}/releases/${release}`
+}
+
+/** @type {import('./registry.js').GitProvider} */
+export const github = {
+  name: 'github',
+  label: 'GitHub',
+  headers: GITHUB_HEADERS,
+  rateLimitHint:
+    ' Unauthenticated requests are limited to 60/hour. Set GITHUB_TOKEN or run "launchpd login github" to raise the limit.',
+  // The GitHub token is only ever sent to the API, never to codeload
+  authHost: 'api.github.com',
+  parsePath: parseGitHubPath,
+  urlFormat: () => 'https://github.com/{user}/{repo}',
+  // Tarballs redirect from the API to codeload, release assets to object storage
+  getAllowedHosts: () => [
+    'api.github.com',
+    'codeload.github.com',
+    'objects.githubusercontent.com',
+    'release-assets.githubusercontent.com'
+  ],
+  getArchiveUrl: async ({ owner, repo }, ref) =>
+    `https://api.github.com/repos/${owner}/${repo}/tarball/${ref ? encodeRefPath(ref) : ''}`,
+  resolveCommit: (parsed, ref, fetchJson) =>
+    resolveGitHubCommit('https://api.github.com', parsed, ref, fetchJson),
+  getReleaseUrl: (parsed, tag) =>
+    getGitHubReleaseUrl('https://api.github.com', parsed, tag)
+}
+
+/** @type {import('./registry.js').GitProvider} */
+export const githubEnterprise = {
+  name: 'github-enterprise',
+  label: 'GitHub Enterprise',
+  headers: GITHUB_HEADERS,
+  rateLimitHint: '',
+  parsePath: parseGitHubPath,
+  urlFormat: (host) => `https://${host}/{owner}/{repo}`,
+  // With subdomain isolation, tarballs are served from codeload.<host> and
+  // release assets from media.<host>
+  getAllowedHosts: (host) => [host, `codeload.${host}`, `media.${host}`],
+  getArchiveUrl: async ({ host, owner, repo }, ref) =>
+    `https://${host}/api/v3/repos/${owner}/${repo}/tarball/${ref ? encodeRefPath(ref) : ''}`,
+  resolveCommit: (parsed, ref, fetchJson) =>
+    resolveGitHubCommit(`https://${parsed.host}/api/v3`, parsed, ref, fetchJson),
+  getReleaseUrl: (parsed, tag) =>
+    getGitHubReleaseUrl(`https://${parsed.host}/api/v3`, parsed, tag)
+}
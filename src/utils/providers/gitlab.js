@@ -0,0 +1,37 @@
+/**
+ * GitLab adapter (gitlab.com and self-managed instances)
+ */
+
+import { stripGitSuffix } from './path.js'
+
+/** @type {import('./registry.js').GitProvider} */
+export const gitlab = {
+  name: 'gitlab',
+  label: 'GitLab',
+  headers: {},
+  rateLimitHint: '',
+
+  /**
+   * Projects can be nested in subgroups; UI pages such as
+   * /group/project/-/tree/main start after a "-" segment
+   */
+  parsePath: (segments) => {
+    const end = segments.indexOf('-')
+    const path = end === -1 ? segments : segments.slice(0, end)
+    if (path.length < 2) return null
+    return {
+      owner: path.slice(0, -1).join('/'),
+      repo: stripGitSuffix(path.at(-1))
+    }
+  },
+
+  urlFormat: (host) => `https://${host}/{group}/{project}`,
+  getAllowedHosts: (host) => [host],
+
+  // Without a ref, GitLab archives the default branch
+  getArchiveUrl: async ({ host, owner, repo }, ref) => {
+    const project = encodeURIComponent(`${owner}/${repo}`)
+    const query = ref ? `?sha=${encodeURIComponent(ref)}` : ''
+    return `https://${host}/api/v4/projects/${project}/repository/archive.tar.gz${query}`
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * URL path helpers shared by the git provider adapters
+ */
+
+/**
+ * Read `{owner}/{repo}` from the first two path segments
+ * @param {string[]} segments - URL path segments
+ * @returns {{ owner: string, repo: string }|null} null if a segment is missing
+ */
+export function parseOwnerRepo (segments) {
+  if (segments.length < 2) return null
+  return { owner: segments[0], repo: stripGitSuffix(segments[1]) }
+}
+
+/**
+ * Remove a trailing ".git" from a clone URL's repo name
+ * @param {string} name
+ * @returns {string}
+ */
+export function stripGitSuffix (name) {
+  return name.endsWith('.git') ? name.slice(0, -4) : name
+}
+
+/**
+ * Encode a branch, tag or SHA for use in a URL path, keeping "/" separators
+ * @param {string} ref
+ * @returns {string}
+ */
+export function encodeRefPath (ref) {
+  return ref.split('/').map(encodeURIComponent).join('/')
+}
@@ -0,0 +1,127 @@
+/**
+ * Git hosting providers for remote repo deploys
+ *
+ * github.com, gitlab.com and bitbucket.org are recognized automatically.
+ * Self-hosted servers must be opted in with LAUNCHPD_GIT_HOSTS:
+ *
+ *   LAUNCHPD_GIT_HOSTS="git.example.com=gitea,ghe.corp.com=github-enterprise"
+ *
+ * Only these hosts are ever contacted, and archive downloads may only
+ * redirect to the hosts each provider allows (SSRF protection).
+ */
+
+import { github, githubEnterprise } from './github.js'
+import { gitlab } from './gitlab.js'
+import { bitbucket } from './bitbucket.js'
+import { gitea } from './gitea.js'
+
+/**
+ * @typedef {object} GitProvider
+ * @property {string} name - Provider id, as used in LAUNCHPD_GIT_HOSTS
+ * @property {string} label - Display name
+ * @property {Record<string, string>} headers - Extra request headers
+ * @property {string} rateLimitHint - Appended to unauthenticated rate limit errors
+ * @property {string} [authHost] - The only host a user token is sent to
+ * @property {(segments: string[]) => { owner: string, repo: string, ref?: string, dir?: string, release?: string }|null} parsePath
+ *   Read the repo (and any ref or folder in the URL) from URL path segments;
+ *   null if incomplete
+ * @property {(host: string) => string} urlFormat - Expected URL format, for errors
+ * @property {(host: string) => string[]} getAllowedHosts - Hosts that API and
+ *   archive requests may be sent or redirected to
+ * @property {(parsed: { host: string, owner: string, repo: string }, ref: string|undefined, fetchJson: (url: string) => Promise<object>) => Promise<string>} getArchiveUrl
+ *   URL of the tar.gz archive for a ref (the default branch if omitted)
+ * @property {(parsed: { host: string, owner: string, repo: string }, ref: string|undefined, fetchJson: (url: string) => Promise<object|null>) => Promise<string|null>} [resolveCommit]
+ *   Commit SHA a ref points to (the default branch if omitted), or null if the
+ *   ref does not exist. Providers without it deploy unpinned refs.
+ * @property {(parsed: { host: string, owner: string, repo: string }, tag: string) => string} [getReleaseUrl]
+ *   Releases API URL for a tag or 'latest'; providers without it cannot
+ *   deploy release assets
+ */
+
+/** Environment variable mapping self-hosted git servers to providers */
+export const GIT_HOSTS_ENV = 'LAUNCHPD_GIT_HOSTS'
+
+/** @type {Record<string, GitProvider>} */
+export const PROVIDERS = {
+  github,
+  'github-enterprise': githubEnterprise,
+  gitlab,
+  bitbucket,
+  gitea
+}
+
+/** Providers that can be configured for self-hosted servers */
+export const SELF_HOSTED_PROVIDERS = ['github-enterprise', 'gitlab', 'gitea']
+
+/** Public hosts recognized without configuration */
+const PUBLIC_HOSTS = new Map([
+  ['github.com', 'github'],
+  ['gitlab.com', 'gitlab'],
+  ['bitbucket.org', 'bitbucket']
+])
+
+/**
+ * Split LAUNCHPD_GIT_HOSTS into host/provider pairs
+ * @param {string} [value]
+ * @returns {Array<[string, string]>} Lower-cased [host, provider] pairs
+ */
+function readGitHostsSetting (value = process.env[GIT_HOSTS_ENV]) {
+  if (!value) return []
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [host = '', provider = ''] = entry.split('=')
+      return [host.trim().toLowerCase(), provider.trim().toLowerCase()]
+    })
+}
+
+/**
+ * Check whether a hostname is a known or configured git host
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export function isGitHost (hostname) {
+  const host = hostname.toLowerCase()
+  return (
+    PUBLIC_HOSTS.has(host) ||
+    readGitHostsSetting().some(([configured]) => configured === host)
+  )
+}
+
+/**
+ * Look up the provider serving a hostname
+ * @param {string} hostname
+ * @returns {GitProvider|null} null if the host is neither public nor configured
+ * @throws {Error} If LAUNCHPD_GIT_HOSTS maps the host to an unknown provider
+ */
+export function getProviderForHost (hostname) {
+  const host = hostname.toLowerCase()
+  if (PUBLIC_HOSTS.has(host)) return PROVIDERS[PUBLIC_HOSTS.get(host)]
+
+  const entry = readGitHostsSetting().find(([configured]) => configured === host)
+  if (!entry) return null
+
+  const [, name] = entry
+  if (!SELF_HOSTED_PROVIDERS.includes(name)) {
+    throw new Error(
+      `Invalid ${GIT_HOSTS_ENV} entry for "${host}": unknown provider "${name}". Supported providers: ${SELF_HOSTED_PROVIDERS.join(', ')}.`
+    )
+  }
+  return PROVIDERS[name]
+}
+
+/**
+ * Get a provider by name
+ * @param {string} [name] - Defaults to GitHub
+ * @returns {GitProvider}
+ * @throws {Error} If the provider does not exist
+ */
+export function getProvider (name = 'github') {
+  const provider = PROVIDERS[name]
+  if (!provider) {
+    throw new Error(`Unknown git provider: "${name}"`)
+  }
+  return provider
+}
@@ -1,37 +1,64 @@
 /**
- * Remote Source Utility - Fetch and deploy from GitHub Gist/Repo URLs
+ * Remote Source Utility - Fetch and deploy from Gist and git repo URLs
  *
  * Supports:
  *   - https://gist.github.com/{user}/{gist_id}
  *   - https://github.com/{user}/{repo}
+ *   - https://gitlab.com/{group}/{project}, https://bitbucket.org/{workspace}/{repo}
+ *   - Self-hosted GitHub Enterprise, GitLab and Gitea servers listed in
+ *     LAUNCHPD_GIT_HOSTS (see providers/registry.js)
+ *   - GitHub Release assets (`--asset site.zip`), extracted like local archives
+ *   - npm package tarballs (`npm:@scope/name@1.2.3`) from the registry in
+ *     npm_config_registry, verified against the registry's integrity hash
+ *   - Local .zip, .tar, .tar.gz and .tgz archives (same extraction limits)
+ *   - A tar or tar.gz stream piped to stdin (`launchpd deploy -`)
  *
  * Security features:
  *   - Path traversal prevention (--dir escape)
  *   - Download size limits (100MB max)
  *   - Symlink stripping during tar extraction
  *   - Tarball bomb protection (file count + depth limits)
- *   - GitHub rate limit handling
+ *   - Rate limit handling for every provider
  *   - Gist filename sanitization (including Windows reserved names)
- *   - SSRF protection on raw_url downloads
+ *   - SSRF protection on raw_url downloads and repo archive redirects
  *   - Content-Type validation on repo tarballs
  *   - Fetch timeout via AbortController (30s)
  *   - Content-Length pre-check for truncated gist file downloads
+ *   - GitHub tokens are sent to api.github.com only, never to codeload or
+ *     raw_url downloads
  *
  * Optimizations:
  *   - Parallel gist file downloads (5 concurrent)
- *   - Skip ignored files during tar extraction
+ *   - Skip ignored files during tar extraction, including the repo's own
+ *     .launchpdignore and .launchpd.json ignore/include rules
  *   - Early Content-Length bail-out for raw gist file fetches
  */
 
-import { mkdtemp, writeFile, rm } from 'node:fs/promises'
-import { join, resolve, sep, posix } from 'node:path'
+import { createReadStream, createWriteStream } from 'node:fs'
+import { mkdtemp, mkdir, readFile, writeFile, rm, stat } from 'node:fs/promises'
+import { dirname, join, resolve, sep, posix } from 'node:path'
 import { tmpdir } from 'node:os'
-import { createGunzip } from 'node:zlib'
 import { Readable, Transform } from 'node:stream'
 import { pipeline } from 'node:stream/promises'
+import { createHash } from 'node:crypto'
 import * as tar from 'tar'
-import { isIgnored } from './ignore.js'
+import { createIgnoreMatcher, IGNORE_FILE_NAME } from './ignore.js'
 import { createFetchTimeout } from './api.js'
+import { getRetryAfterMs, isTransientError } from './retry.js'
+import { NetworkError } from './errors.js'
+import {
+  getProvider,
+  getProviderForHost,
+  isGitHost,
+  GIT_HOSTS_ENV
+} from './providers/registry.js'
+import { readZipEntries } from './zip.js'
+import {
+  getCachedArchive,
+  addCachedArchive,
+  getCachedEtag,
+  saveCachedEtag
+} from './sourceCache.js'
 
 // ============================================================================
 // Constants & Limits
@@ -46,6 +73,9 @@ const USER_AGENT = 'launchpd-cli'
 /** Maximum download size in bytes (100MB) */
 export const MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024
 
+/** Maximum total size of the files unpacked from a local .zip archive (500MB) */
+export const MAX_UNPACKED_BYTES = 500 * 1024 * 1024
+
 /** Maximum number of files allowed in a tarball extraction */
 export const MAX_FILE_COUNT = 10_000
 
@@ -55,6 +85,39 @@ export const MAX_EXTRACT_DEPTH = 50
 /** Maximum number of concurrent gist file downloads */
 export const GIST_PARALLEL_LIMIT = 5
 
+/** Largest .launchpdignore/.launchpd.json read from a repo tarball (1MB) */
+const MAX_RULES_FILE_BYTES = 1024 * 1024
+
+/** Deploy source that reads a tarball from stdin */
+export const STDIN_SOURCE = '-'
+
+/** Prefix of npm package sources, e.g. npm:@scope/docs-site@2.3.1 */
+export const NPM_PREFIX = 'npm:'
+
+/** Environment variable with the npm registry URL, as set by npm itself */
+export const NPM_REGISTRY_ENV = 'npm_config_registry'
+
+/** Registry used when npm_config_registry is not set */
+const DEFAULT_NPM_REGISTRY = 'https://registry.npmjs.org/'
+
+/** Valid npm package name, optionally scoped */
+const NPM_NAME_PATTERN = /^(?:@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/
+
+/** Exact version or dist-tag; ranges are not supported */
+const NPM_VERSION_PATTERN = /^[\w.+-]+$/
+
+/** Integrity algorithms accepted from npm metadata, strongest first */
+const NPM_INTEGRITY_ALGORITHMS = ['sha512', 'sha384', 'sha256']
+
+/** A full 40-character commit SHA */
+const FULL_SHA_PATTERN = /^[0-9a-f]{40}$/i
+
+/** File extensions deployed as local archives */
+const ARCHIVE_EXTENSION_PATTERN = /\.(zip|tar|tgz|tar\.gz)$/i
+
+/** Maximum redirects followed for a repo archive or API request */
+const MAX_REDIRECTS = 5
+
 /** Fetch timeout in milliseconds (30 seconds) */
 export const FETCH_TIMEOUT_MS = 30_000
 
@@ -105,22 +168,65 @@ const WINDOWS_RESERVED_NAMES = new Set([
  */
 export function isRemoteUrl (input) {
   if (!input || typeof input !== 'string') return false
-  return (
-    input.startsWith('https://github.com/') ||
-    input.startsWith('https://gist.github.com/')
-  )
+  if (input.startsWith(NPM_PREFIX)) return true
+  if (input.startsWith('https://gist.github.com/')) return true
+  if (!input.startsWith('https://')) return false
+
+  try {
+    return isGitHost(new URL(input).host)
+  } catch {
+    return false
+  }
 }
 
 /**
- * Parse a GitHub URL into its components
- * @param {string} url - The GitHub URL
- * @returns {{ type: 'gist'|'repo', owner: string, repo?: string, gistId?: string }}
- * @throws {Error} If the URL format is not recognized
+ * Check if the input is a local archive to deploy (.zip, .tar, .tar.gz, .tgz)
+ * @param {string} input - The deploy source argument
+ * @returns {boolean}
+ */
+export function isArchivePath (input) {
+  if (!input || typeof input !== 'string' || isRemoteUrl(input)) return false
+  return ARCHIVE_EXTENSION_PATTERN.test(input)
+}
+
+/**
+ * Parse an npm package source: npm:<package>[@<version or dist-tag>]
+ * @param {string} spec - e.g. npm:@scope/docs-site@2.3.1
+ * @returns {{ type: 'npm', name: string, version?: string }}
+ * @throws {Error} If the package name or version is invalid
+ */
+function parseNpmSpec (spec) {
+  const body = spec.slice(NPM_PREFIX.length)
+  // The first character of a scoped name is "@" too
+  const at = body.lastIndexOf('@')
+  const name = at > 0 ? body.slice(0, at) : body
+  const version = at > 0 ? body.slice(at + 1) : undefined
+
+  if (name.length > 214 || !NPM_NAME_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid npm package: "${spec}". Expected format: npm:<package>[@<version>] (e.g. npm:@scope/docs-site@2.3.1)`
+    )
+  }
+  if (version !== undefined && !NPM_VERSION_PATTERN.test(version)) {
+    throw new Error(
+      `Invalid npm version "${version}" in "${spec}". Use an exact version (1.2.3) or a dist-tag (latest); ranges are not supported.`
+    )
+  }
+  return { type: 'npm', name, ...(version && { version }) }
+}
+
+/**
+ * Parse a Gist or git repo URL, or an npm package source, into its components
+ * @param {string} url - The Gist or repo URL, or npm:<package>[@<version>]
+ * @returns {{ type: 'gist'|'repo'|'npm', owner?: string, repo?: string, gistId?: string, provider?: string, host?: string, name?: string, version?: string }}
+ *   `provider` and `host` are set for repos not hosted on github.com
+ * @throws {Error} If the URL format or host is not recognized
  */
 export function parseRemoteUrl (url) {
   if (!url || typeof url !== 'string') {
     throw new Error('URL is required')
   }
+  if (url.startsWith(NPM_PREFIX)) return parseNpmSpec(url)
 
   let parsed = null
   try {
@@ -155,22 +261,28 @@ export function parseRemoteUrl (url) {
     }
   }
 
-  // Repo URL: https://github.com/{user}/{repo}
-  if (parsed.hostname === 'github.com') {
-    if (segments.length < 2) {
+  // Repo URL: https://{host}/{owner}/{repo}
+  const provider = getProviderForHost(parsed.host)
+  if (provider) {
+    const repoPath = provider.parsePath(segments)
+    if (!repoPath) {
       throw new Error(
-        `Invalid GitHub URL: "${url}". Expected format: https://github.com/{user}/{repo}`
+        `Invalid ${provider.label} URL: "${url}". Expected format: ${provider.urlFormat(parsed.host)}`
       )
     }
+    if (provider.name === 'github') {
+      return { type: 'repo', ...repoPath }
+    }
     return {
       type: 'repo',
-      owner: segments[0],
-      repo: segments[1]
+      provider: provider.name,
+      host: parsed.host,
+      ...repoPath
     }
   }
 
   throw new Error(
-    `Unsupported URL host: "${parsed.hostname}". Only github.com and gist.github.com are supported.`
+    `Unsupported URL host: "${parsed.host}". Supported hosts are github.com, gist.github.com, gitlab.com and bitbucket.org; add self-hosted servers to ${GIT_HOSTS_ENV} (e.g. "git.example.com=gitea").`
   )
 }
 
@@ -179,25 +291,64 @@ export function parseRemoteUrl (url) {
 // ============================================================================
 
 /**
- * Check GitHub API rate limit headers and throw if exhausted
+ * Check rate limit responses and throw if exhausted: 429 from any provider,
+ * or GitHub's 403 with no remaining requests
  * @param {Response} response - The fetch response
- * @throws {Error} If rate limit is exhausted
+ * @param {import('./providers/registry.js').GitProvider} [provider]
+ * @param {boolean} [authenticated] - Omit the unauthenticated-limit hint
+ * @throws {NetworkError} If rate limit is exhausted (worth retrying later)
  */
-function checkRateLimit (response) {
+function checkRateLimit (
+  response,
+  provider = getProvider(),
+  authenticated = false
+) {
   const remaining = response.headers.get('X-RateLimit-Remaining')
-  const resetTimestamp = response.headers.get('X-RateLimit-Reset')
-
-  if (response.status === 403 && remaining === '0') {
-    const resetDate = resetTimestamp
-      ? new Date(Number.parseInt(resetTimestamp) * 1000)
-      : null
-    const resetMsg = resetDate
-      ? ` Rate limit resets at ${resetDate.toLocaleTimeString()}.`
-      : ''
-    throw new Error(
-      `GitHub API rate limit exceeded.${resetMsg} Unauthenticated requests are limited to 60/hour.`
+
+  if (response.status === 429 || (response.status === 403 && remaining === '0')) {
+    const waitMs = getRetryAfterMs(response)
+    const resetMsg =
+      waitMs === null
+        ? ''
+        : ` Rate limit resets at ${new Date(Date.now() + waitMs).toLocaleTimeString()}.`
+    throw new NetworkError(
+      `${provider.label} API rate limit exceeded.${resetMsg}${authenticated ? '' : provider.rateLimitHint}`
+    )
+  }
+}
+
+/**
+ * Create the error for a failed response. Server errors are NetworkErrors:
+ * the request may succeed when retried, unlike a 404 or a 403.
+ * @param {Response} response
+ * @param {string} message
+ * @returns {Error}
+ */
+function createResponseError (response, message) {
+  return response.status >= 500 || response.status === 408
+    ? new NetworkError(message)
+    : new Error(message)
+}
+
+/**
+ * Turn a failed fetch() call into a NetworkError when it is a timeout or a
+ * connection failure (DNS, reset, refused); other errors are returned as is
+ * @param {Error} err
+ * @param {string} description - What was fetched
+ * @returns {Error}
+ */
+function toFetchError (err, description) {
+  if (err.name === 'AbortError') {
+    return new NetworkError(
+      `Request timed out while ${description}. The server did not respond within ${FETCH_TIMEOUT_MS / 1000}s.`
+    )
+  }
+  if (isTransientError(err)) {
+    return new NetworkError(
+      `Network error while ${description}: ${err.cause?.code || err.message}`
     )
   }
+  return err
 }
 
 /**
@@ -292,9 +443,10 @@ function validateRawUrl (rawUrl) {
 /**
  * Create a Transform stream that enforces a maximum byte limit
  * @param {number} maxBytes - Maximum allowed bytes
+ * @param {string} [message] - Error message when the limit is exceeded
  * @returns {Transform} A transform stream that throws if limit is exceeded
  */
-export function createSizeLimitStream (maxBytes) {
+export function createSizeLimitStream (maxBytes, message) {
   let bytesReceived = 0
   return new Transform({
     transform (chunk, _encoding, callback) {
@@ -302,7 +454,8 @@ export function createSizeLimitStream (maxBytes) {
       if (bytesReceived > maxBytes) {
         callback(
           new Error(
-            `Download exceeds maximum size limit of ${Math.round(maxBytes / 1024 / 1024)}MB. Aborting.`
+            message ||
+              `Download exceeds maximum size limit of ${Math.round(maxBytes / 1024 / 1024)}MB. Aborting.`
           )
         )
         return
@@ -312,14 +465,49 @@ export function createSizeLimitStream (maxBytes) {
   })
 }
 
+/**
+ * Normalize a --dir value to a POSIX path relative to the repo root
+ * @param {string} [dir]
+ * @returns {string} '' for the repo root
+ */
+function toArchiveRoot (dir) {
+  if (!dir) return ''
+  const normalized = posix.normalize(dir.replace(/\\/g, '/'))
+  return normalized.replace(/^(\.\/|\/)+|\/+$/g, '').replace(/^\.$/, '')
+}
+
 /**
  * Create a tar filter function that enforces security limits
  * Prevents: symlinks, excessive file count, deep nesting, ignored files
+ * @param {object} [options]
+ * @param {object} [options.matcher] - Ignore matcher for the deployed folder
+ *   (defaults to the built-in rules)
+ * @param {number} [options.strip] - Leading path segments removed on extraction
+ * @param {string} [options.root] - Deployed folder inside the archive (--dir)
  * @returns {{ filter: Function, getStats: Function }}
  */
-export function createTarFilter () {
+export function createTarFilter (options = {}) {
+  const { matcher = createIgnoreMatcher(), strip = 1, root = '' } = options
+  const defaults = createIgnoreMatcher()
+  const rootPrefix = root ? `${root}/` : ''
   let fileCount = 0
 
+  /**
+   * Apply the ignore rules to a path relative to the repo root. Project rules
+   * only apply inside the deployed folder; the rest of the repo (which is
+   * never uploaded) only skips the built-in ignore list.
+   */
+  const isSkipped = (relativePath, isDir) => {
+    if (!root) return matcher.ignores(relativePath, isDir)
+    if (relativePath.startsWith(rootPrefix)) {
+      return matcher.ignores(relativePath.slice(rootPrefix.length), isDir)
+    }
+    // Always keep the deployed folder and its parents, even when their
+    // names are on the built-in list (e.g. --dir dist)
+    if (rootPrefix.startsWith(`${relativePath}/`)) return false
+    return defaults.ignores(relativePath, isDir)
+  }
+
   const filter = (path, entry) => {
     // Block symlinks and hard links
     if (entry.type === 'SymbolicLink' || entry.type === 'Link') {
@@ -330,22 +518,22 @@ export function createTarFilter () {
     fileCount++
     if (fileCount > MAX_FILE_COUNT) {
       throw new Error(
-        `Tarball exceeds maximum file count of ${MAX_FILE_COUNT}. This may be a tar bomb.`
+        `Archive exceeds maximum file count of ${MAX_FILE_COUNT}. This may be a tar bomb.`
       )
     }
 
     // Enforce depth limit
-    const depth = path.split('/').filter(Boolean).length
-    if (depth > MAX_EXTRACT_DEPTH) {
+    const parts = path.split('/').filter(Boolean)
+    if (parts.length > MAX_EXTRACT_DEPTH) {
       throw new Error(
-        `Tarball exceeds maximum directory depth of ${MAX_EXTRACT_DEPTH}. This may be a tar bomb.`
+        `Archive exceeds maximum directory depth of ${MAX_EXTRACT_DEPTH}. This may be a tar bomb.`
       )
     }
 
-    // Skip ignored files/directories (node_modules, .git, etc.)
-    const parts = path.split('/').filter(Boolean)
-    const name = parts[parts.length - 1]
-    return !(name && isIgnored(name, entry.type === 'Directory'))
+    // Skip ignored files/directories; tar passes paths before stripping
+    const relativePath = parts.slice(strip).join('/')
+    if (!relativePath) return true
+    return !isSkipped(relativePath, entry.type === 'Directory')
   }
 
   /** @returns {{ fileCount: number }} Snapshot of extraction statistics */
@@ -353,48 +541,296 @@ export function createTarFilter () {
   return { filter, getStats }
 }
 
+/**
+ * Record the top-level name of an archive entry
+ * @param {Map<string, boolean>} topLevel - Name → whether it is a directory
+ * @param {string} path - Entry path inside the archive
+ * @param {string} type - Entry type ('File', 'Directory', ...)
+ */
+function trackTopLevel (topLevel, path, type) {
+  const parts = path.split('/').filter(Boolean)
+  if (parts.length === 0) return
+  const isDir = parts.length > 1 || type === 'Directory'
+  topLevel.set(parts[0], Boolean(topLevel.get(parts[0])) || isDir)
+}
+
+/**
+ * Leading segments to strip from a local archive: archives that wrap
+ * everything in a single folder (e.g. "site/index.html") deploy that folder
+ * @param {Map<string, boolean>} topLevel - See trackTopLevel
+ * @returns {number}
+ */
+function getArchiveStrip (topLevel) {
+  const [isDir] = topLevel.values()
+  return topLevel.size === 1 && isDir ? 1 : 0
+}
+
+/**
+ * Check whether an archive entry is a .launchpdignore/.launchpd.json worth
+ * reading for ignore rules
+ * @param {string} path - Entry path inside the archive
+ * @param {string} type - Entry type
+ * @param {number} size - Entry size in bytes
+ * @returns {boolean}
+ */
+function isRuleFileEntry (path, type, size) {
+  const name = posix.basename(path)
+  return (
+    type === 'File' &&
+    size <= MAX_RULES_FILE_BYTES &&
+    (name === IGNORE_FILE_NAME || name === '.launchpd.json')
+  )
+}
+
+/**
+ * Read a tarball's top-level names and its ignore rule files
+ * @param {string} archivePath - Tarball (gzip is detected automatically)
+ * @returns {Promise<{ topLevel: Map<string, boolean>, ruleFiles: Map<string, string> }>}
+ *   ruleFiles maps archive paths to file contents
+ */
+async function scanTarArchive (archivePath) {
+  const topLevel = new Map()
+  const ruleFiles = new Map()
+
+  await tar.list({
+    file: archivePath,
+    onReadEntry: (entry) => {
+      trackTopLevel(topLevel, entry.path, entry.type)
+      if (!isRuleFileEntry(entry.path, entry.type, entry.size)) return
+
+      const chunks = []
+      entry.on('data', (chunk) => chunks.push(chunk))
+      entry.on('end', () => {
+        ruleFiles.set(entry.path, Buffer.concat(chunks).toString('utf8'))
+      })
+    }
+  })
+
+  return { topLevel, ruleFiles }
+}
+
+/**
+ * Build the ignore matcher for an archive from the deployed folder's
+ * .launchpdignore and the nearest .launchpd.json at or above it
+ * @param {Map<string, string>} ruleFiles - Archive path → file contents
+ * @param {string} root - Deployed folder inside the archive ('' for the root)
+ * @param {number} strip - Leading path segments removed on extraction
+ * @returns {ReturnType<typeof createIgnoreMatcher>}
+ */
+function createArchiveMatcher (ruleFiles, root, strip) {
+  const contents = new Map()
+  for (const [path, text] of ruleFiles) {
+    contents.set(path.split('/').filter(Boolean).slice(strip).join('/'), text)
+  }
+
+  const rootPrefix = root ? `${root}/` : ''
+  const configPaths = []
+  const rootParts = root ? root.split('/') : []
+  for (let i = rootParts.length; i >= 0; i--) {
+    configPaths.push([...rootParts.slice(0, i), '.launchpd.json'].join('/'))
+  }
+
+  let config = null
+  const configText = configPaths
+    .map((path) => contents.get(path))
+    .find((text) => text !== undefined)
+  if (configText) {
+    try {
+      config = JSON.parse(configText)
+    } catch {
+      // Invalid project config: fall back to the built-in rules
+    }
+  }
+
+  return createIgnoreMatcher({
+    ignoreFile: contents.get(`${rootPrefix}${IGNORE_FILE_NAME}`) || '',
+    config
+  })
+}
+
+/**
+ * Resolve an archive entry inside the extraction directory
+ * @param {string} tempDir - Extraction directory
+ * @param {string} relativePath - Entry path after stripping
+ * @returns {string} Absolute path inside tempDir
+ * @throws {Error} If the entry would be written outside tempDir
+ */
+function resolveEntryPath (tempDir, relativePath) {
+  const target = resolve(tempDir, relativePath)
+  if (!target.startsWith(resolve(tempDir) + sep)) {
+    throw new Error(
+      `Unsafe path in archive: "${relativePath}". Entries must not escape the extraction directory.`
+    )
+  }
+  return target
+}
+
+/**
+ * Extract a local .zip archive with the same protections as tarballs
+ * @param {string} archivePath - Zip file
+ * @param {string} tempDir - Extraction directory
+ * @param {string} root - Deployed folder inside the archive (--dir)
+ */
+async function extractZip (archivePath, tempDir, root) {
+  const entries = readZipEntries(await readFile(archivePath))
+
+  const topLevel = new Map()
+  const ruleFiles = new Map()
+  for (const entry of entries) {
+    trackTopLevel(topLevel, entry.path, entry.type)
+    if (isRuleFileEntry(entry.path, entry.type, entry.size)) {
+      ruleFiles.set(entry.path, entry.read().toString('utf8'))
+    }
+  }
+
+  const strip = getArchiveStrip(topLevel)
+  const matcher = createArchiveMatcher(ruleFiles, root, strip)
+  const { filter } = createTarFilter({ matcher, root, strip })
+  const limitMessage = `Archive expands beyond maximum unpacked size of ${Math.round(MAX_UNPACKED_BYTES / 1024 / 1024)}MB. This may be a zip bomb.`
+  let unpackedBytes = 0
+
+  for (const entry of entries) {
+    if (!filter(entry.path, entry)) continue
+    const relativePath = entry.path
+      .split('/')
+      .filter(Boolean)
+      .slice(strip)
+      .join('/')
+    if (!relativePath) continue
+
+    const target = resolveEntryPath(tempDir, relativePath)
+    if (entry.type === 'Directory') {
+      await mkdir(target, { recursive: true })
+    } else {
+      // Check the declared size before inflating anything; the streams
+      // enforce it while writing
+      const remaining = MAX_UNPACKED_BYTES - unpackedBytes
+      if (entry.size > remaining) {
+        throw new Error(limitMessage)
+      }
+      await mkdir(dirname(target), { recursive: true })
+      await pipeline(
+        entry.stream(),
+        createSizeLimitStream(remaining, limitMessage),
+        createWriteStream(target)
+      )
+      unpackedBytes += entry.size
+    }
+  }
+}
+
+/**
+ * Extract a local .tar/.tar.gz/.tgz archive
+ * @param {string} archivePath - Tarball
+ * @param {string} tempDir - Extraction directory
+ * @param {string} root - Deployed folder inside the archive (--dir)
+ */
+async function extractTar (archivePath, tempDir, root) {
+  const { topLevel, ruleFiles } = await scanTarArchive(archivePath)
+  const strip = getArchiveStrip(topLevel)
+  const matcher = createArchiveMatcher(ruleFiles, root, strip)
+  const { filter } = createTarFilter({ matcher, root, strip })
+
+  // tar drops absolute paths and ".." segments unless preservePaths is set
+  await tar.extract({ file: archivePath, cwd: tempDir, strip, filter })
+}
+
 // ============================================================================
 // Fetchers
 // ============================================================================
 
 /**
- * Fetch content from a GitHub Gist into a temp directory.
- * Validates filenames and downloads truncated files in parallel.
- * @param {string} gistId - The Gist ID
+ * Cache key of a gist revision
+ * @param {string} gistId
+ * @param {string} revision - Version from the gist's history
+ */
+function getGistCacheKey (gistId, revision) {
+  return `gist:${gistId}@${revision}`
+}
+
+/**
+ * Extract a cached gist snapshot into a new temp directory
+ * @param {string} snapshotPath - Archive from the cache
  * @returns {Promise<string>} Path to the directory containing gist files
  */
-async function fetchGist (gistId) {
-  const { signal, clear } = createFetchTimeout(FETCH_TIMEOUT_MS)
-  let response = null
+async function extractGistSnapshot (snapshotPath) {
+  const tempDir = await mkdtemp(join(tmpdir(), 'launchpd-gist-'))
   try {
-    response = await fetch(`${GITHUB_API}/gists/${gistId}`, {
-      headers: {
-        Accept: 'application/vnd.github.v3+json',
-        'User-Agent': USER_AGENT
-      },
-      signal
-    })
+    const { filter } = createTarFilter()
+    await tar.extract({ file: snapshotPath, cwd: tempDir, filter })
+    return tempDir
   } catch (err) {
-    if (err.name === 'AbortError') {
-      throw new Error(
-        `Request timed out while fetching Gist "${gistId}". The server did not respond within ${FETCH_TIMEOUT_MS / 1000}s.`
-      )
-    }
+    await cleanupTempDir(tempDir)
     throw err
+  }
+}
+
+/**
+ * Store the files of a gist revision in the cache as a tar.gz snapshot
+ * @param {string} key - See getGistCacheKey
+ * @param {string} tempDir - Directory containing the gist files
+ * @param {string[]} filenames - Validated gist filenames
+ * @param {string} label - Shown by `launchpd cache ls`
+ */
+async function cacheGistSnapshot (key, tempDir, filenames, label) {
+  const snapshotDir = await mkdtemp(join(tmpdir(), 'launchpd-archive-'))
+  try {
+    const snapshotPath = join(snapshotDir, 'gist.tar.gz')
+    await tar.create({ gzip: true, file: snapshotPath, cwd: tempDir }, filenames)
+    await addCachedArchive(key, snapshotPath, label)
   } finally {
-    clear()
+    await rm(snapshotDir, { recursive: true, force: true }).catch(() => {})
   }
+}
+
+/**
+ * Fetch content from a GitHub Gist into a temp directory.
+ * Validates filenames and downloads truncated files in parallel.
+ * With the cache enabled, a gist whose revision was deployed before is
+ * confirmed with If-None-Match and restored from its cached snapshot.
+ * @param {string} gistId - The Gist ID
+ * @param {string|null} [token] - GitHub token, for secret gists
+ * @param {boolean} [cache] - Use ~/.staticlaunch/cache
+ * @returns {Promise<{ tempDir: string, cached: boolean }>} tempDir contains
+ *   the gist files
+ */
+async function fetchGist (gistId, token = null, cache = false) {
+  const url = `${GITHUB_API}/gists/${gistId}`
+
+  // Only revalidate when the snapshot of the saved revision still exists
+  const saved = cache ? await getCachedEtag(url) : null
+  const snapshotPath = saved?.data?.revision
+    ? await getCachedArchive(getGistCacheKey(gistId, saved.data.revision))
+    : null
+
+  const response = await fetchFromProvider(
+    getProvider('github'),
+    'github.com',
+    url,
+    {
+      description: `Gist "${gistId}"`,
+      token,
+      headers: snapshotPath ? { 'If-None-Match': saved.etag } : {}
+    }
+  )
 
   // Check rate limit before checking status
-  checkRateLimit(response)
+  checkRateLimit(response, getProvider('github'), Boolean(token))
+
+  if (snapshotPath && response.status === 304) {
+    return { tempDir: await extractGistSnapshot(snapshotPath), cached: true }
+  }
 
   if (!response.ok) {
     if (response.status === 404) {
       throw new Error(
-        `Gist not found: "${gistId}". Make sure the Gist exists and is public.`
+        token
+          ? `Gist not found: "${gistId}". Make sure the Gist exists and your GitHub token can access it.`
+          : `Gist not found: "${gistId}". Make sure the Gist exists and is public, or set GITHUB_TOKEN (or run "launchpd login github") for secret gists.`
       )
     }
-    throw new Error(
+    throw createResponseError(
+      response,
       `GitHub API error (${response.status}): Failed to fetch Gist "${gistId}".`
     )
   }
@@ -471,18 +907,16 @@ async function fetchGist (gistId) {
           signal: rawSignal
         })
       } catch (err) {
-        if (err.name === 'AbortError') {
-          throw new Error(
-            `Request timed out while downloading file "${filename}" from Gist. The server did not respond within ${FETCH_TIMEOUT_MS / 1000}s.`
-          )
-        }
-        throw err
+        throw toFetchError(err, `downloading file "${filename}" from Gist`)
       } finally {
         rawClear()
       }
 
       if (!rawResponse.ok) {
-        throw new Error(`Failed to download file "${filename}" from Gist.`)
+        throw createResponseError(
+          rawResponse,
+          `Failed to download file "${filename}" from Gist.`
+        )
       }
 
       // Content-Length pre-check for truncated gist files (optimization)
@@ -524,7 +958,20 @@ async function fetchGist (gistId) {
       }
     }
 
-    return tempDir
+    const revision = data.history?.[0]?.version
+    if (cache && revision) {
+      // A full or read-only cache must never fail the deploy
+      await cacheGistSnapshot(
+        getGistCacheKey(gistId, revision),
+        tempDir,
+        Object.keys(files),
+        `gist ${gistId}@${revision.slice(0, 7)}`
+      ).catch(() => {})
+      const etag = response.headers.get('ETag')
+      if (etag) await saveCachedEtag(url, etag, { revision }).catch(() => {})
+    }
+
+    return { tempDir, cached: false }
   } catch (err) {
     // Best-effort cleanup of temp directory on error
     try {
@@ -537,54 +984,164 @@ async function fetchGist (gistId) {
 }
 
 /**
- * Fetch and extract a GitHub repo tarball into a temp directory.
- * Enforces size limits, strips symlinks, and protects against tar bombs.
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} [branch] - Branch/tag/ref (defaults to repo default branch)
- * @returns {Promise<string>} Path to the extracted repo root
+ * Fetch from a git provider, following redirects only to the hosts the
+ * provider allows (SSRF protection). The token is attached per hop and only
+ * for the provider's auth host, so redirects to codeload never receive it.
+ * @param {import('./providers/registry.js').GitProvider} provider
+ * @param {string} host - Repo host (with port, if any)
+ * @param {string} url - Request URL
+ * @param {{ description: string, token?: string|null, headers?: Record<string, string>, protocol?: string }} options
+ *   description names what is fetched in errors; token is only sent to the
+ *   provider's auth host; headers override the provider's defaults; protocol
+ *   is https: unless the user configured an http registry
+ * @returns {Promise<Response>}
  */
-async function fetchRepo (owner, repo, branch) {
-  const ref = branch || ''
-  const tarballUrl = `${GITHUB_API}/repos/${owner}/${repo}/tarball/${ref}`
-
-  const { signal, clear } = createFetchTimeout(FETCH_TIMEOUT_MS)
-  let response = null
-  try {
-    response = await fetch(tarballUrl, {
-      headers: {
-        Accept: 'application/vnd.github.v3+json',
-        'User-Agent': USER_AGENT
-      },
-      redirect: 'follow',
-      signal
-    })
-  } catch (err) {
-    if (err.name === 'AbortError') {
+async function fetchFromProvider (provider, host, url, options) {
+  const {
+    description,
+    token = null,
+    headers: extraHeaders = {},
+    protocol = 'https:'
+  } = options
+  const allowedHosts = new Set(provider.getAllowedHosts(host))
+  let currentUrl = url
+
+  for (let redirects = 0; ; redirects++) {
+    const target = new URL(currentUrl)
+    if (target.protocol !== protocol || !allowedHosts.has(target.host)) {
       throw new Error(
-        `Request timed out while fetching repository "${owner}/${repo}". The server did not respond within ${FETCH_TIMEOUT_MS / 1000}s.`
+        `Refusing to fetch ${description} from untrusted host "${target.host}". Only ${[...allowedHosts].join(', ')} are allowed for ${provider.label}.`
       )
     }
-    throw err
-  } finally {
-    clear()
+
+    const headers = {
+      ...provider.headers,
+      ...extraHeaders,
+      'User-Agent': USER_AGENT
+    }
+    if (token && provider.authHost && target.host === provider.authHost) {
+      headers.Authorization = `Bearer ${token}`
+    }
+
+    const { signal, clear } = createFetchTimeout(FETCH_TIMEOUT_MS)
+    let response = null
+    try {
+      response = await fetch(currentUrl, { headers, redirect: 'manual', signal })
+    } catch (err) {
+      throw toFetchError(err, `fetching ${description}`)
+    } finally {
+      clear()
+    }
+
+    const location =
+      response.status >= 300 && response.status < 400
+        ? response.headers.get('Location')
+        : null
+    if (!location) return response
+
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Too many redirects while fetching ${description}.`)
+    }
+    currentUrl = new URL(location, currentUrl).href
   }
+}
 
+/**
+ * Throw a descriptive error for a failed repo API or archive response
+ * @param {Response} response
+ * @param {import('./providers/registry.js').GitProvider} provider
+ * @param {{ owner: string, repo: string }} parsed
+ * @param {string} [branch]
+ * @param {boolean} [authenticated] - Whether a token was sent
+ */
+function checkRepoResponse (
+  response,
+  provider,
+  parsed,
+  branch,
+  authenticated = false
+) {
   // Check rate limit before checking status
-  checkRateLimit(response)
+  checkRateLimit(response, provider, authenticated)
 
   if (!response.ok) {
     if (response.status === 404) {
-      const branchMsg = branch ? ` (branch: "${branch}")` : ''
       throw new Error(
-        `Repository not found: "${owner}/${repo}"${branchMsg}. Make sure the repo exists and is public.`
+        getRepoNotFoundMessage(provider, parsed, branch, authenticated)
       )
     }
-    throw new Error(
-      `GitHub API error (${response.status}): Failed to fetch repo "${owner}/${repo}".`
+    throw createResponseError(
+      response,
+      `${provider.label} API error (${response.status}): Failed to fetch repo "${parsed.owner}/${parsed.repo}".`
     )
   }
+}
 
+/**
+ * Error message for a repo, or a branch of it, that does not exist
+ * @param {import('./providers/registry.js').GitProvider} provider
+ * @param {{ owner: string, repo: string }} parsed
+ * @param {string} [branch]
+ * @param {boolean} [authenticated] - Whether a token was sent
+ * @returns {string}
+ */
+function getRepoNotFoundMessage (provider, parsed, branch, authenticated) {
+  const branchMsg = branch ? ` (branch: "${branch}")` : ''
+  return `Repository not found: "${parsed.owner}/${parsed.repo}"${branchMsg}. ${getRepoAccessHint(provider, 'repo', authenticated)}`
+}
+
+/**
+ * Suggest how to reach something that may be private
+ * @param {import('./providers/registry.js').GitProvider} provider
+ * @param {string} what - e.g. "repo" or "release"
+ * @param {boolean} authenticated - Whether a token was sent
+ * @returns {string}
+ */
+function getRepoAccessHint (provider, what, authenticated) {
+  if (authenticated) {
+    return `Make sure the ${what} exists and your GitHub token can access it.`
+  }
+  if (provider.authHost) {
+    return `Make sure the ${what} exists and is public, or set GITHUB_TOKEN (or run "launchpd login github") for private repos.`
+  }
+  return `Make sure the ${what} exists and is public.`
+}
+
+/**
+ * Resolve a ref to a commit SHA. When the ref and folder both came from a
+ * tree/blob URL, folder segments are moved into the ref until it resolves,
+ * since branch names may contain "/" (tree/feature/nav/docs).
+ * @param {import('./providers/registry.js').GitProvider} provider
+ * @param {{ host: string, owner: string, repo: string }} repoInfo
+ * @param {string|undefined} branch
+ * @param {string|undefined} dir
+ * @param {boolean} splitDir - Whether dir segments may belong to the ref
+ * @param {(url: string) => Promise<object|null>} fetchJson - Returns null on 404/422
+ * @returns {Promise<{ sha: string, ref: string|undefined, dir: string|undefined }|null>}
+ */
+async function resolveRepoCommit (provider, repoInfo, branch, dir, splitDir, fetchJson) {
+  let ref = branch
+  let path = dir ? dir.split('/') : []
+
+  for (;;) {
+    const sha = await provider.resolveCommit(repoInfo, ref, fetchJson)
+    if (sha) {
+      return { sha, ref, dir: path.length > 0 ? path.join('/') : undefined }
+    }
+    if (!splitDir || !ref || path.length === 0) return null
+    ref = `${ref}/${path[0]}`
+    path = path.slice(1)
+  }
+}
+
+/**
+ * Download a repo or package archive to a file, rejecting error pages and
+ * oversized archives
+ * @param {Response} response - Archive response
+ * @param {string} archivePath - Where to write the archive
+ * @param {string} [what] - What is downloaded, for errors
+ */
+async function downloadArchive (response, archivePath, what = 'repository') {
   // Content-Type validation: must be a tar/gzip stream, not an HTML error page
   const contentType = response.headers.get('Content-Type') || ''
   if (
@@ -592,7 +1149,7 @@ async function fetchRepo (owner, repo, branch) {
     contentType.includes('application/json')
   ) {
     throw new Error(
-      `Unexpected Content-Type "${contentType}" for repository tarball. Expected a binary archive. The repository may not be accessible or the URL may be incorrect.`
+      `Unexpected Content-Type "${contentType}" for ${what} tarball. Expected a binary archive. The ${what} may not be accessible or the URL may be incorrect.`
     )
   }
 
@@ -602,31 +1159,457 @@ async function fetchRepo (owner, repo, branch) {
   )
   if (contentLength > MAX_DOWNLOAD_BYTES) {
     throw new Error(
-      `Repository tarball (${Math.round(contentLength / 1024 / 1024)}MB) exceeds maximum size limit of ${Math.round(MAX_DOWNLOAD_BYTES / 1024 / 1024)}MB.`
+      `${what[0].toUpperCase()}${what.slice(1)} archive (${Math.round(contentLength / 1024 / 1024)}MB) exceeds maximum size limit of ${Math.round(MAX_DOWNLOAD_BYTES / 1024 / 1024)}MB.`
     )
   }
 
-  // Create temp directory
-  const tempDir = await mkdtemp(join(tmpdir(), 'launchpd-repo-'))
+  // Download the tarball with the size limit enforced
+  await pipeline(
+    Readable.fromWeb(response.body),
+    createSizeLimitStream(MAX_DOWNLOAD_BYTES),
+    createWriteStream(archivePath)
+  )
+}
 
-  // Create security filters
-  const { filter } = createTarFilter()
-  const sizeLimitStream = createSizeLimitStream(MAX_DOWNLOAD_BYTES)
+/**
+ * Extract a tarball whose files sit in one top-level directory (repo
+ * archives, npm packages) with all protections, applying its own ignore rules
+ * @param {string} archivePath - tar or tar.gz file
+ * @param {string} tempDir - Directory to extract into
+ * @param {string} [dir] - Subdirectory that will be deployed (--dir)
+ */
+async function extractWrappedTarball (archivePath, tempDir, dir) {
+  // Read the archive's own ignore rules before extracting anything
+  const root = toArchiveRoot(dir)
+  const { ruleFiles } = await scanTarArchive(archivePath)
+  const matcher = createArchiveMatcher(ruleFiles, root, 1)
+  const { filter } = createTarFilter({ matcher, root })
+
+  // Extract tarball with all protections (gzip is detected automatically)
+  await tar.extract({
+    file: archivePath,
+    cwd: tempDir,
+    strip: 1, // e.g. "user-repo-sha/" in repo archives, "package/" in npm tarballs
+    filter
+  })
+}
 
-  // Extract tarball with all protections
-  const body = Readable.fromWeb(response.body)
-  await pipeline(
-    body,
-    sizeLimitStream,
-    createGunzip(),
-    tar.extract({
-      cwd: tempDir,
-      strip: 1, // GitHub tarballs have a top-level directory like "user-repo-sha/"
-      filter
+/**
+ * Fetch and extract a repo tarball into a temp directory.
+ * Enforces size limits, strips symlinks, and protects against tar bombs.
+ * Providers that can resolve refs download the exact commit, so the
+ * deployed files match the SHA that is recorded. With the cache enabled,
+ * ref lookups are revalidated with their ETag and the archive of a commit
+ * that was deployed before is reused instead of downloaded.
+ * @param {{ owner: string, repo: string, provider?: string, host?: string }} parsed
+ *   Repo from parseRemoteUrl (GitHub when no provider is set)
+ * @param {string} [branch] - Branch/tag/ref (defaults to repo default branch)
+ * @param {string} [dir] - Subdirectory that will be deployed (--dir)
+ * @param {{ token?: string|null, splitDir?: boolean, cache?: boolean }} [options]
+ *   token: GitHub token, for private repos; splitDir: dir segments may belong
+ *   to the ref (see resolveRepoCommit); cache: use ~/.staticlaunch/cache
+ * @returns {Promise<{ tempDir: string, commit: { sha: string, ref: string|null }|null, dir: string|undefined, cached: boolean }>}
+ *   dir is the folder to deploy, after any segments were moved into the ref
+ */
+async function fetchRepo (parsed, branch, dir, options = {}) {
+  const { token = null, splitDir = false, cache = false } = options
+  const provider = getProvider(parsed.provider)
+  const repoInfo = { ...parsed, host: parsed.host || 'github.com' }
+  const repoName = `${parsed.owner}/${parsed.repo}`
+  const description = `repository "${repoName}"`
+  // Tokens only apply to providers with an auth host (github.com)
+  const authToken = provider.authHost ? token : null
+
+  // Some providers look up the default branch before building the URL.
+  // Ref lookups may be missing (null) and are revalidated with their ETag.
+  const fetchJson = async (url, { allowMissing = false, revalidate = false } = {}) => {
+    const saved = revalidate ? await getCachedEtag(url) : null
+    const response = await fetchFromProvider(provider, repoInfo.host, url, {
+      description,
+      token: authToken,
+      headers: saved ? { 'If-None-Match': saved.etag } : {}
     })
+    if (saved && response.status === 304) return saved.data
+    if (allowMissing && (response.status === 404 || response.status === 422)) {
+      return null
+    }
+    checkRepoResponse(response, provider, parsed, branch, Boolean(authToken))
+    const data = await response.json()
+    const etag = response.headers.get('ETag')
+    if (revalidate && etag) await saveCachedEtag(url, etag, data)
+    return data
+  }
+
+  // /releases/latest without --asset deploys the source of the latest tag
+  if (!branch && parsed.release === 'latest' && provider.getReleaseUrl) {
+    const release = await fetchRelease(provider, repoInfo, 'latest', authToken)
+    branch = release.tag_name
+  }
+
+  let commit = null
+  if (provider.resolveCommit && FULL_SHA_PATTERN.test(branch || '')) {
+    // A full SHA is already exact; there is nothing to look up
+    commit = { sha: branch.toLowerCase(), ref: branch }
+  } else if (provider.resolveCommit) {
+    const resolved = await resolveRepoCommit(
+      provider,
+      repoInfo,
+      branch,
+      dir,
+      splitDir,
+      (url) => fetchJson(url, { allowMissing: true, revalidate: cache })
+    )
+    // The commits API cannot tell a missing repo from a missing ref
+    if (!resolved) {
+      throw new Error(
+        getRepoNotFoundMessage(provider, parsed, branch, Boolean(authToken))
+      )
+    }
+    commit = { sha: resolved.sha, ref: resolved.ref || null }
+    dir = resolved.dir
+  }
+
+  // Only pinned commits are cached; a branch archive changes with each push
+  const cacheKey =
+    cache && commit ? `${provider.name}:${repoInfo.host}/${repoName}@${commit.sha}` : null
+  const cachedArchive = cacheKey ? await getCachedArchive(cacheKey) : null
+
+  // Create temp directories: one for the download, one for the extracted repo
+  const tempDir = await mkdtemp(join(tmpdir(), 'launchpd-repo-'))
+  const archiveDir = await mkdtemp(join(tmpdir(), 'launchpd-archive-'))
+  const archivePath = cachedArchive || join(archiveDir, 'repo.tar.gz')
+
+  try {
+    if (!cachedArchive) {
+      const archiveUrl = await provider.getArchiveUrl(
+        repoInfo,
+        commit ? commit.sha : branch,
+        fetchJson
+      )
+      const response = await fetchFromProvider(provider, repoInfo.host, archiveUrl, {
+        description,
+        token: authToken
+      })
+      checkRepoResponse(response, provider, parsed, branch, Boolean(authToken))
+      await downloadArchive(response, archivePath)
+    }
+
+    await extractWrappedTarball(archivePath, tempDir, dir)
+
+    if (cacheKey && !cachedArchive) {
+      const label = `${repoInfo.host}/${repoName}@${commit.sha.slice(0, 7)}`
+      // A full or read-only cache must never fail the deploy
+      await addCachedArchive(cacheKey, archivePath, label).catch(() => {})
+    }
+  } catch (err) {
+    await cleanupTempDir(tempDir)
+    throw err
+  } finally {
+    await rm(archiveDir, { recursive: true, force: true }).catch(() => {})
+  }
+
+  return { tempDir, commit, dir, cached: Boolean(cachedArchive) }
+}
+
+/**
+ * Fetch release metadata from the provider's releases API
+ * @param {import('./providers/registry.js').GitProvider} provider
+ * @param {{ host: string, owner: string, repo: string }} repoInfo
+ * @param {string} tag - Release tag, or 'latest'
+ * @param {string|null} token
+ * @returns {Promise<{ tag_name: string, assets?: Array<{ name: string, size: number, url: string }> }>}
+ */
+async function fetchRelease (provider, repoInfo, tag, token) {
+  const label = tag === 'latest' ? 'latest release' : `release "${tag}"`
+  const repoName = `"${repoInfo.owner}/${repoInfo.repo}"`
+  const response = await fetchFromProvider(
+    provider,
+    repoInfo.host,
+    provider.getReleaseUrl(repoInfo, tag),
+    { description: `${label} of ${repoName}`, token }
   )
 
-  return tempDir
+  // Check rate limit before checking status
+  checkRateLimit(response, provider, Boolean(token))
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      throw new Error(
+        `No ${label} found in ${repoName}. ${getRepoAccessHint(provider, 'release', Boolean(token))}`
+      )
+    }
+    throw createResponseError(
+      response,
+      `${provider.label} API error (${response.status}): Failed to fetch ${label} of ${repoName}.`
+    )
+  }
+  return response.json()
+}
+
+/**
+ * Download a release asset (.zip/.tar/.tar.gz/.tgz) and extract it into a
+ * temp directory with the same limits as local archives
+ * @param {{ owner: string, repo: string, provider?: string, host?: string }} parsed
+ * @param {string} tag - Release tag, or 'latest'
+ * @param {string} assetName - Asset file name (--asset)
+ * @param {string} [dir] - Subdirectory that will be deployed (--dir)
+ * @param {string|null} [token] - GitHub token, for private repos
+ * @returns {Promise<{ tempDir: string, folderPath: string, release: { tag: string, asset: string } }>}
+ */
+async function fetchReleaseAsset (parsed, tag, assetName, dir, token = null) {
+  const provider = getProvider(parsed.provider)
+  if (!provider.getReleaseUrl) {
+    throw new Error(
+      `Release assets are not supported for ${provider.label} repos. Only GitHub and GitHub Enterprise releases can be deployed with --asset.`
+    )
+  }
+  const repoInfo = { ...parsed, host: parsed.host || 'github.com' }
+  const authToken = provider.authHost ? token : null
+
+  const release = await fetchRelease(provider, repoInfo, tag, authToken)
+  const releaseTag = release.tag_name || tag
+  const assets = Array.isArray(release.assets) ? release.assets : []
+  const asset = assets.find((candidate) => candidate.name === assetName)
+  if (!asset) {
+    const available = assets.map((candidate) => candidate.name).join(', ')
+    throw new Error(
+      `Release "${releaseTag}" has no asset named "${assetName}". Available assets: ${available || 'none'}.`
+    )
+  }
+
+  const extension = ARCHIVE_EXTENSION_PATTERN.exec(asset.name)
+  if (!extension) {
+    throw new Error(
+      `Release asset "${asset.name}" is not a .zip, .tar, .tar.gz or .tgz archive.`
+    )
+  }
+  if (asset.size > MAX_DOWNLOAD_BYTES) {
+    throw new Error(
+      `Release asset (${Math.round(asset.size / 1024 / 1024)}MB) exceeds maximum size limit of ${Math.round(MAX_DOWNLOAD_BYTES / 1024 / 1024)}MB.`
+    )
+  }
+
+  // The API URL works for private repos and redirects to object storage
+  const description = `release asset "${asset.name}"`
+  const response = await fetchFromProvider(provider, repoInfo.host, asset.url, {
+    description,
+    token: authToken,
+    headers: { Accept: 'application/octet-stream' }
+  })
+  checkRateLimit(response, provider, Boolean(authToken))
+  if (!response.ok) {
+    throw createResponseError(
+      response,
+      `${provider.label} API error (${response.status}): Failed to download ${description}.`
+    )
+  }
+
+  const contentLength = Number.parseInt(
+    response.headers.get('Content-Length') || '0'
+  )
+  if (contentLength > MAX_DOWNLOAD_BYTES) {
+    throw new Error(
+      `Release asset (${Math.round(contentLength / 1024 / 1024)}MB) exceeds maximum size limit of ${Math.round(MAX_DOWNLOAD_BYTES / 1024 / 1024)}MB.`
+    )
+  }
+
+  // The asset name only picks the archive format; it never becomes a path
+  const archiveDir = await mkdtemp(join(tmpdir(), 'launchpd-archive-'))
+  const archivePath = join(archiveDir, `asset${extension[0].toLowerCase()}`)
+
+  try {
+    await pipeline(
+      Readable.fromWeb(response.body),
+      createSizeLimitStream(MAX_DOWNLOAD_BYTES),
+      createWriteStream(archivePath)
+    )
+    const result = await extractLocalArchive(archivePath, { dir })
+    return { ...result, release: { tag: releaseTag, asset: asset.name } }
+  } finally {
+    await rm(archiveDir, { recursive: true, force: true }).catch(() => {})
+  }
+}
+
+/**
+ * Get the npm registry from npm_config_registry, or the public registry
+ * @returns {URL} Registry URL, always ending in "/"
+ * @throws {Error} If the setting is not an http(s) URL
+ */
+function getNpmRegistry () {
+  const value =
+    process.env[NPM_REGISTRY_ENV] ||
+    process.env[NPM_REGISTRY_ENV.toUpperCase()] ||
+    DEFAULT_NPM_REGISTRY
+  let registry = null
+  try {
+    registry = new URL(value.endsWith('/') ? value : `${value}/`)
+  } catch {
+    registry = null
+  }
+  if (!registry || !['https:', 'http:'].includes(registry.protocol)) {
+    throw new Error(
+      `Invalid ${NPM_REGISTRY_ENV}: "${value}". Expected a registry URL such as ${DEFAULT_NPM_REGISTRY}`
+    )
+  }
+  return registry
+}
+
+/**
+ * Pick the checksum to verify an npm tarball with: the strongest integrity
+ * hash, or the legacy sha1 shasum
+ * @param {{ integrity?: string, shasum?: string }} dist - Version's dist metadata
+ * @param {string} packageLabel - name@version, for errors
+ * @returns {{ algorithm: string, digest: string, encoding: 'base64'|'hex' }}
+ * @throws {Error} If the metadata has no usable checksum
+ */
+function getNpmChecksum (dist, packageLabel) {
+  const hashes = String(dist.integrity || '').split(/\s+/)
+  for (const algorithm of NPM_INTEGRITY_ALGORITHMS) {
+    const hash = hashes.find((entry) => entry.startsWith(`${algorithm}-`))
+    if (hash) {
+      // Drop any SRI options ("?opt") after the digest
+      const digest = hash.slice(algorithm.length + 1).split('?')[0]
+      return { algorithm, digest, encoding: 'base64' }
+    }
+  }
+  if (dist.shasum) {
+    return { algorithm: 'sha1', digest: dist.shasum.toLowerCase(), encoding: 'hex' }
+  }
+  throw new Error(
+    `npm package "${packageLabel}" has no integrity checksum in the registry metadata. Refusing to deploy an unverified tarball.`
+  )
+}
+
+/**
+ * Verify a downloaded npm tarball against its registry checksum
+ * @param {string} archivePath - Downloaded tarball
+ * @param {{ algorithm: string, digest: string, encoding: 'base64'|'hex' }} checksum
+ * @param {string} packageLabel - name@version, for errors
+ * @throws {Error} If the tarball does not match
+ */
+async function verifyNpmChecksum (archivePath, checksum, packageLabel) {
+  const hash = createHash(checksum.algorithm)
+  for await (const chunk of createReadStream(archivePath)) {
+    hash.update(chunk)
+  }
+  if (hash.digest(checksum.encoding) !== checksum.digest) {
+    throw new Error(
+      `Integrity check failed for npm package "${packageLabel}": the downloaded tarball does not match the registry's ${checksum.algorithm} checksum.`
+    )
+  }
+}
+
+/**
+ * Fetch an npm package tarball from the registry and extract it into a temp
+ * directory. The version (or dist-tag, "latest" by default) is resolved
+ * through the registry metadata, the tarball must be served by the same
+ * registry and match its integrity hash, and it is extracted like a repo
+ * archive. Published versions never change, so with the cache enabled a
+ * version deployed before is not downloaded again.
+ * @param {{ name: string, version?: string }} parsed - From parseRemoteUrl
+ * @param {string} [dir] - Subdirectory that will be deployed (--dir)
+ * @param {{ cache?: boolean }} [options] - cache: use ~/.staticlaunch/cache
+ * @returns {Promise<{ tempDir: string, cached: boolean, package: { name: string, version: string } }>}
+ */
+async function fetchNpmPackage (parsed, dir, options = {}) {
+  const registry = getNpmRegistry()
+  const provider = {
+    name: 'npm',
+    label: 'npm registry',
+    headers: {
+      // Abbreviated metadata: only what installing (and deploying) needs
+      Accept: 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8'
+    },
+    rateLimitHint: '',
+    getAllowedHosts: () => [registry.host]
+  }
+  const tag = parsed.version || 'latest'
+
+  const response = await fetchFromProvider(
+    provider,
+    registry.host,
+    new URL(parsed.name.replace('/', '%2f'), registry).href,
+    { description: `npm package "${parsed.name}"`, protocol: registry.protocol }
+  )
+  checkRateLimit(response, provider, true)
+  if (response.status === 404) {
+    throw new Error(
+      `npm package "${parsed.name}" not found in ${registry.href}. Check the name, or set ${NPM_REGISTRY_ENV} for a private registry.`
+    )
+  }
+  if (!response.ok) {
+    throw createResponseError(
+      response,
+      `npm registry error (${response.status}): Failed to fetch package "${parsed.name}" from ${registry.href}.`
+    )
+  }
+
+  const metadata = await response.json()
+  const version = metadata.versions?.[tag] ? tag : metadata['dist-tags']?.[tag]
+  const dist = metadata.versions?.[version]?.dist
+  if (!dist?.tarball) {
+    const tags = Object.keys(metadata['dist-tags'] || {})
+    throw new Error(
+      `Version or dist-tag "${tag}" not found for npm package "${parsed.name}".${tags.length > 0 ? ` Available dist-tags: ${tags.join(', ')}.` : ''}`
+    )
+  }
+
+  const packageLabel = `${parsed.name}@${version}`
+  const checksum = getNpmChecksum(dist, packageLabel)
+  const cacheKey = options.cache
+    ? `npm:${registry.host}${registry.pathname}${packageLabel}`
+    : null
+  const cachedArchive = cacheKey ? await getCachedArchive(cacheKey) : null
+
+  const tempDir = await mkdtemp(join(tmpdir(), 'launchpd-npm-'))
+  const archiveDir = await mkdtemp(join(tmpdir(), 'launchpd-archive-'))
+  const archivePath = cachedArchive || join(archiveDir, 'package.tgz')
+
+  try {
+    if (!cachedArchive) {
+      // SSRF protection: only download tarballs the registry itself serves
+      const tarballUrl = URL.canParse(dist.tarball) ? new URL(dist.tarball) : null
+      if (tarballUrl?.origin !== registry.origin) {
+        throw new Error(
+          `Refusing to download npm package "${packageLabel}" from "${tarballUrl?.host || dist.tarball}". Tarballs must be served by the registry (${registry.host}).`
+        )
+      }
+      const tarball = await fetchFromProvider(provider, registry.host, tarballUrl.href, {
+        description: `npm package "${packageLabel}"`,
+        protocol: registry.protocol,
+        headers: { Accept: '*/*' }
+      })
+      checkRateLimit(tarball, provider, true)
+      if (!tarball.ok) {
+        throw createResponseError(
+          tarball,
+          `npm registry error (${tarball.status}): Failed to download "${packageLabel}".`
+        )
+      }
+      await downloadArchive(tarball, archivePath, 'package')
+      await verifyNpmChecksum(archivePath, checksum, packageLabel)
+    }
+
+    await extractWrappedTarball(archivePath, tempDir, dir)
+
+    if (cacheKey && !cachedArchive) {
+      // A full or read-only cache must never fail the deploy
+      await addCachedArchive(cacheKey, archivePath, `npm ${packageLabel}`).catch(
+        () => {}
+      )
+    }
+  } catch (err) {
+    await cleanupTempDir(tempDir)
+    throw err
+  } finally {
+    await rm(archiveDir, { recursive: true, force: true }).catch(() => {})
+  }
+
+  return {
+    tempDir,
+    cached: Boolean(cachedArchive),
+    package: { name: parsed.name, version }
+  }
 }
 
 // ============================================================================
@@ -634,29 +1617,91 @@ async function fetchRepo (owner, repo, branch) {
 // ============================================================================
 
 /**
- * Fetch remote source (Gist or Repo) and return the path to deploy from
- * @param {{ type: 'gist'|'repo', owner: string, repo?: string, gistId?: string }} parsed
- * @param {{ branch?: string, dir?: string }} options
- * @returns {Promise<{ tempDir: string, folderPath: string }>}
+ * Fetch remote source (Gist, Repo, release asset or npm package) and return
+ * the path to deploy from. --branch and --dir take precedence over a ref or folder in
+ * the URL.
+ * @param {{ type: 'gist'|'repo'|'npm', owner?: string, repo?: string, gistId?: string, provider?: string, host?: string, ref?: string, dir?: string, release?: string, name?: string, version?: string }} parsed
+ * @param {{ branch?: string, dir?: string, asset?: string, githubToken?: string|null, cache?: boolean }} options
+ *   asset deploys a release asset (from the URL's release, or the latest);
+ *   githubToken is sent to api.github.com only (private repos and secret gists);
+ *   cache reuses commits, gist revisions and npm versions from ~/.staticlaunch/cache
+ * @returns {Promise<{ tempDir: string, folderPath: string, commit: { sha: string, ref: string|null }|null, cached?: boolean, release?: { tag: string, asset: string }, package?: { name: string, version: string } }>}
+ *   commit is the exact repo commit deployed, when the provider can resolve it;
+ *   cached is true when nothing was downloaded; package is the npm version
+ *   deployed
  */
 export async function fetchRemoteSource (parsed, options = {}) {
   let tempDir = null
+  let dir = options.dir
+  let commit = null
+  let cached = false
+  let npmPackage = null
+  const token = options.githubToken || null
+  const cache = options.cache === true
+
+  if (parsed.type === 'npm' && options.branch !== undefined) {
+    throw new Error(
+      '--branch only works with git repo URLs. Put the version in the source instead, e.g. npm:<package>@1.2.3.'
+    )
+  }
+
+  if (options.asset) {
+    if (parsed.type !== 'repo') {
+      throw new Error('--asset only works with GitHub repo or release URLs.')
+    }
+    if (options.branch !== undefined) {
+      throw new Error(
+        '--asset cannot be combined with --branch. Use a /releases/tag/<tag> URL to pick the release.'
+      )
+    }
+    const result = await fetchReleaseAsset(
+      parsed,
+      parsed.release || 'latest',
+      options.asset,
+      options.dir,
+      token
+    )
+    return { ...result, commit: null }
+  }
 
   try {
     if (parsed.type === 'gist') {
-      tempDir = await fetchGist(parsed.gistId)
+      const result = await fetchGist(parsed.gistId, token, cache)
+      tempDir = result.tempDir
+      cached = result.cached
     } else if (parsed.type === 'repo') {
-      tempDir = await fetchRepo(parsed.owner, parsed.repo, options.branch)
+      const branch = options.branch ?? parsed.ref
+      // A tree URL's folder may hold the rest of a branch name with "/"
+      const splitDir =
+        options.branch === undefined && options.dir === undefined && Boolean(parsed.dir)
+      const result = await fetchRepo(parsed, branch, options.dir ?? parsed.dir, {
+        token,
+        splitDir,
+        cache
+      })
+      tempDir = result.tempDir
+      commit = result.commit
+      dir = result.dir
+      cached = result.cached
+    } else if (parsed.type === 'npm') {
+      const result = await fetchNpmPackage(parsed, dir, { cache })
+      tempDir = result.tempDir
+      cached = result.cached
+      npmPackage = result.package
     } else {
       throw new Error(`Unknown remote source type: "${parsed.type}"`)
     }
 
     // Resolve subdirectory if --dir was specified (with path traversal check)
-    const folderPath = options.dir
-      ? validateDirPath(tempDir, options.dir)
-      : tempDir
+    const folderPath = dir ? validateDirPath(tempDir, dir) : tempDir
 
-    return { tempDir, folderPath }
+    return {
+      tempDir,
+      folderPath,
+      commit,
+      cached,
+      ...(npmPackage && { package: npmPackage })
+    }
   } catch (err) {
     // Best-effort cleanup if tempDir was created but an error occurred afterward
     if (tempDir) {
@@ -667,7 +1712,79 @@ export async function fetchRemoteSource (parsed, options = {}) {
 }
 
 /**
- * Clean up a temporary directory created by fetchRemoteSource
+ * Extract a local archive into a temp directory and return the path to
+ * deploy from. A single top-level folder wrapping the whole archive is
+ * stripped, and --dir is resolved against what remains.
+ * @param {string} archivePath - .zip, .tar, .tar.gz or .tgz file
+ * @param {{ dir?: string }} [options]
+ * @returns {Promise<{ tempDir: string, folderPath: string }>}
+ */
+export async function extractLocalArchive (archivePath, options = {}) {
+  const stats = await stat(archivePath).catch(() => null)
+  if (!stats?.isFile()) {
+    throw new Error(`Archive not found: ${archivePath}`)
+  }
+  if (stats.size > MAX_DOWNLOAD_BYTES) {
+    throw new Error(
+      `Archive (${Math.round(stats.size / 1024 / 1024)}MB) exceeds maximum size limit of ${Math.round(MAX_DOWNLOAD_BYTES / 1024 / 1024)}MB.`
+    )
+  }
+
+  const tempDir = await mkdtemp(join(tmpdir(), 'launchpd-local-'))
+
+  try {
+    const root = toArchiveRoot(options.dir)
+    if (/\.zip$/i.test(archivePath)) {
+      await extractZip(archivePath, tempDir, root)
+    } else {
+      await extractTar(archivePath, tempDir, root)
+    }
+
+    // Resolve subdirectory if --dir was specified (with path traversal check)
+    const folderPath = options.dir
+      ? validateDirPath(tempDir, options.dir)
+      : tempDir
+
+    return { tempDir, folderPath }
+  } catch (err) {
+    await cleanupTempDir(tempDir)
+    throw err
+  }
+}
+
+/**
+ * Extract a tar or tar.gz stream (e.g. stdin) into a temp directory. The
+ * stream is spooled to a temp file under the download size limit first,
+ * because ignore rules are read before anything is extracted.
+ * @param {import('node:stream').Readable} input - Tarball stream
+ * @param {{ dir?: string }} [options]
+ * @returns {Promise<{ tempDir: string, folderPath: string }>}
+ */
+export async function extractArchiveStream (input, options = {}) {
+  const archiveDir = await mkdtemp(join(tmpdir(), 'launchpd-archive-'))
+  const archivePath = join(archiveDir, 'stream.tar')
+
+  try {
+    await pipeline(
+      input,
+      createSizeLimitStream(MAX_DOWNLOAD_BYTES),
+      createWriteStream(archivePath)
+    )
+
+    const { size } = await stat(archivePath)
+    if (size === 0) {
+      throw new Error('No archive data received.')
+    }
+
+    return await extractLocalArchive(archivePath, options)
+  } finally {
+    await rm(archiveDir, { recursive: true, force: true }).catch(() => {})
+  }
+}
+
+/**
+ * Clean up a temporary directory created by fetchRemoteSource,
+ * extractLocalArchive or extractArchiveStream
  * @param {string} tempDir - Path to the temp directory
  */
 export async function cleanupTempDir (tempDir) {
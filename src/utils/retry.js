@@ -0,0 +1,244 @@
+/**
+ * Retry policy for LaunchPd API requests and file uploads
+ *
+ * - Jittered exponential backoff between attempts
+ * - Honors Retry-After and X-RateLimit-Reset response headers
+ * - Retries 429/503 always (the server did not process the request)
+ * - Retries other transient failures (408, 500, 502, 504, connection resets,
+ *   timeouts) only for idempotent requests
+ *
+ * Configurable via LAUNCHPD_MAX_ATTEMPTS / LAUNCHPD_RETRY_DELAY_MS or
+ * configureRetry() (used by the --max-attempts / --retry-delay flags).
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises'
+import { warning } from './logger.js'
+
+/** Default maximum attempts per request, including the first one */
+export const DEFAULT_MAX_ATTEMPTS = 3
+
+/** Default base delay for exponential backoff in milliseconds */
+export const DEFAULT_RETRY_DELAY_MS = 500
+
+/** Longest wait between attempts; longer server hints fail immediately */
+export const MAX_RETRY_DELAY_MS = 30_000
+
+/** Status codes that are always safe to retry */
+const ALWAYS_RETRYABLE_STATUS = new Set([429, 503])
+
+/** Status codes that are only retried for idempotent requests */
+const IDEMPOTENT_RETRYABLE_STATUS = new Set([408, 500, 502, 504])
+
+/** Network error codes considered transient */
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+])
+
+/**
+ * Parse a non-negative whole number setting, returning null when invalid
+ * @param {string|number|undefined} value
+ * @returns {number|null}
+ */
+function parseWholeNumber (value) {
+  if (value === undefined || value === null || value === '') return null
+  const parsed = Number(value)
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : null
+}
+
+/**
+ * Build the initial policy from environment variables
+ */
+function readEnvPolicy () {
+  const maxAttempts = parseWholeNumber(process.env.LAUNCHPD_MAX_ATTEMPTS)
+  const baseDelayMs = parseWholeNumber(process.env.LAUNCHPD_RETRY_DELAY_MS)
+  return {
+    maxAttempts: maxAttempts >= 1 ? maxAttempts : DEFAULT_MAX_ATTEMPTS,
+    baseDelayMs: baseDelayMs ?? DEFAULT_RETRY_DELAY_MS,
+    verbose: false
+  }
+}
+
+let policy = readEnvPolicy()
+
+/**
+ * Override the active retry policy
+ * @param {object} overrides
+ * @param {number|string} [overrides.maxAttempts] - Attempts per request (>= 1)
+ * @param {number|string} [overrides.baseDelayMs] - Base backoff delay (>= 0)
+ * @param {boolean} [overrides.verbose] - Log each retry
+ * @throws {Error} If a value is not a valid whole number
+ */
+export function configureRetry (overrides = {}) {
+  const next = { ...policy }
+
+  if (overrides.maxAttempts !== undefined) {
+    const maxAttempts = parseWholeNumber(overrides.maxAttempts)
+    if (!maxAttempts) {
+      throw new Error(
+        `Invalid max attempts: "${overrides.maxAttempts}". Use a whole number of 1 or more.`
+      )
+    }
+    next.maxAttempts = maxAttempts
+  }
+
+  if (overrides.baseDelayMs !== undefined) {
+    const baseDelayMs = parseWholeNumber(overrides.baseDelayMs)
+    if (baseDelayMs === null) {
+      throw new Error(
+        `Invalid retry delay: "${overrides.baseDelayMs}". Use a whole number of milliseconds.`
+      )
+    }
+    next.baseDelayMs = baseDelayMs
+  }
+
+  if (overrides.verbose !== undefined) {
+    next.verbose = Boolean(overrides.verbose)
+  }
+
+  policy = next
+}
+
+/**
+ * Get a copy of the active retry policy
+ * @returns {{ maxAttempts: number, baseDelayMs: number, verbose: boolean }}
+ */
+export function getRetryPolicy () {
+  return { ...policy }
+}
+
+/**
+ * Reset the policy to environment/default values
+ */
+export function resetRetryPolicy () {
+  policy = readEnvPolicy()
+}
+
+/**
+ * Read the server's requested wait from Retry-After or X-RateLimit-Reset
+ * @param {Response} response
+ * @returns {number|null} Delay in milliseconds, or null if no hint was given
+ */
+export function getRetryAfterMs (response) {
+  const header = (name) => response.headers?.get?.(name) ?? null
+
+  const retryAfter = header('Retry-After')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+    const date = Date.parse(retryAfter)
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now())
+  }
+
+  const reset = Number(header('X-RateLimit-Reset'))
+  if (reset > 0) {
+    // Epoch seconds (GitHub style) or seconds until reset
+    const resetMs = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000
+    return Math.max(0, resetMs)
+  }
+
+  return null
+}
+
+/**
+ * Compute a jittered exponential backoff delay
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay (attempt) {
+  const exponential = policy.baseDelayMs * 2 ** (attempt - 1)
+  const capped = Math.min(exponential, MAX_RETRY_DELAY_MS)
+  // "Equal jitter": half fixed, half random
+  return Math.round(capped / 2 + Math.random() * (capped / 2))
+}
+
+/**
+ * Check whether a thrown fetch error is a transient network failure
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isTransientError (err) {
+  if (err.name === 'AbortError') return true // request timeout
+  const code = err.code || err.cause?.code
+  if (code && RETRYABLE_ERROR_CODES.has(code)) return true
+  return err.message === 'fetch failed'
+}
+
+/**
+ * Wait before the next attempt, logging it in verbose mode
+ * @returns {Promise<boolean>} false if the wait was cancelled
+ */
+async function waitBeforeRetry (label, reason, delay, attempt, signal) {
+  if (policy.verbose) {
+    warning(
+      `${label} failed (${reason}). Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${policy.maxAttempts})`
+    )
+  }
+  try {
+    await sleep(delay, undefined, signal ? { signal } : {})
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Run a fetch attempt with retries according to the active policy.
+ * The attempt function is called once per try and must return a fetch Response
+ * (or throw a network error). Signatures and timeouts should be created inside it.
+ * @param {(attempt: number) => Promise<Response>} attemptFn
+ * @param {object} options
+ * @param {string} [options.label] - Human-readable name used in retry logs
+ * @param {boolean} [options.idempotent] - Whether repeating the request is safe
+ * @param {AbortSignal} [options.signal] - Stops retrying once aborted
+ * @returns {Promise<Response>} The last response received
+ */
+export async function withRetry (attemptFn, options = {}) {
+  const { label = 'Request', idempotent = true, signal = null } = options
+
+  for (let attempt = 1; ; attempt++) {
+    const isLastAttempt = attempt >= policy.maxAttempts
+    let response = null
+
+    try {
+      response = await attemptFn(attempt)
+    } catch (err) {
+      if (
+        isLastAttempt ||
+        signal?.aborted ||
+        !idempotent ||
+        !isTransientError(err)
+      ) {
+        throw err
+      }
+      const reason = err.cause?.code || err.code || err.message
+      const delay = getBackoffDelay(attempt)
+      if (!(await waitBeforeRetry(label, reason, delay, attempt, signal))) {
+        throw err
+      }
+      continue
+    }
+
+    const status = response.status
+    const retryable =
+      ALWAYS_RETRYABLE_STATUS.has(status) ||
+      (idempotent && IDEMPOTENT_RETRYABLE_STATUS.has(status))
+    if (isLastAttempt || !retryable) return response
+
+    const hinted = getRetryAfterMs(response)
+    if (hinted !== null && hinted > MAX_RETRY_DELAY_MS) return response
+
+    const delay = hinted ?? getBackoffDelay(attempt)
+    // Release the connection held by the discarded response
+    await response.body?.cancel?.().catch(() => {})
+    const reason = `HTTP ${status}`
+    if (!(await waitBeforeRetry(label, reason, delay, attempt, signal))) {
+      return response
+    }
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Shell command runner for project scripts (e.g. the `build` command)
+ * Output is streamed to the terminal as the command runs.
+ */
+
+import { spawn } from 'node:child_process'
+
+/**
+ * Run a command through the system shell
+ * @param {string} command - Command line, e.g. "npm run build"
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {object} [options.env] - Extra environment variables
+ * @param {boolean} [options.stdoutToStderr] - Send the command's stdout to
+ *   stderr (keeps stdout clean for machine-readable output)
+ * @returns {Promise<number>} Exit code (1 if the command was killed by a signal)
+ * @throws {Error} If the shell could not be started
+ */
+export function runShellCommand (command, options = {}) {
+  const { cwd = process.cwd(), env = {}, stdoutToStderr = false } = options
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      cwd,
+      env: { ...process.env, ...env },
+      shell: true,
+      stdio: ['inherit', stdoutToStderr ? process.stderr : 'inherit', 'inherit']
+    })
+
+    child.on('error', reject)
+    child.on('close', (code) => resolve(code ?? 1))
+  })
+}
@@ -0,0 +1,473 @@
+/**
+ * Redirect and custom header rules
+ *
+ * Rules come from `_redirects` and `_headers` files in the deployed folder
+ * (Netlify syntax) and from `redirects` / `headers` in .launchpd.json:
+ *
+ *   # _redirects: from, to, optional status (default 301, "!" forces it)
+ *   /old-post        /blog/new-post
+ *   /blog/:year/*    /posts/:year/:splat   302
+ *   /app/*           /app/index.html       200
+ *
+ *   # _headers: a path, then indented "Name: value" lines
+ *   /*
+ *     X-Frame-Options: DENY
+ *
+ *   "redirects": [{ "from": "/old", "to": "/new", "status": 301, "force": false }],
+ *   "headers": [{ "for": "/*", "values": { "X-Frame-Options": "DENY" } }]
+ *
+ * A redirect applies when its path matches and no deployed file does, or
+ * always when forced. All matching header rules apply.
+ *
+ * .launchpd.json also sets the pages served for paths nothing else matches:
+ * `spa: true` (or `fallback: "app.html"`) serves the fallback with status
+ * 200, for client-side routing; otherwise `notFoundPage` (default
+ * "404.html") is served with status 404.
+ */
+
+import { statSync } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { join, posix } from 'node:path'
+import { findProjectRoot, getProjectConfig } from './projectConfig.js'
+
+/** Name of the redirect rules file */
+export const REDIRECTS_FILE_NAME = '_redirects'
+
+/** Name of the header rules file */
+export const HEADERS_FILE_NAME = '_headers'
+
+/** Status codes a redirect rule may use; 200 rewrites, 4xx serve the target */
+export const REDIRECT_STATUSES = [200, 301, 302, 303, 307, 308, 404, 410]
+
+const DEFAULT_REDIRECT_STATUS = 301
+const PLACEHOLDER = /:([A-Za-z_]\w*)/g
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/
+
+/**
+ * Compile a rule path ("/blog/:year/*") to a regular expression with one
+ * group per placeholder, the splat last
+ * @throws {Error} If the path is not a valid rule path
+ */
+function compilePath (path) {
+  if (!path.startsWith('/')) {
+    throw new Error(`path "${path}" must start with "/"`)
+  }
+
+  const trimmed = trimTrailingSlash(path)
+  const hasSplat = trimmed.endsWith('/*')
+  const body = hasSplat ? trimmed.slice(0, -2) : trimmed
+  if (body.includes('*')) {
+    throw new Error(`path "${path}" may only end with "*"`)
+  }
+
+  const names = []
+  const segments = []
+  for (const segment of body.split('/')) {
+    if (/^:[A-Za-z_]\w*$/.test(segment)) {
+      names.push(segment.slice(1))
+      segments.push('([^/]+)')
+    } else {
+      segments.push(segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    }
+  }
+  const source = segments.join('/')
+  if (hasSplat) names.push('splat')
+
+  return {
+    regex: new RegExp(`^${source}${hasSplat ? '(?:/(.*))?' : ''}$`),
+    names
+  }
+}
+
+/**
+ * Remove the trailing slash of a path, except for the root
+ */
+function trimTrailingSlash (path) {
+  return path.length > 1 && path.endsWith('/') ? path.slice(0, -1) : path
+}
+
+/**
+ * Match a request path against a compiled rule path
+ * @returns {Record<string, string>|null} Placeholder values, or null
+ */
+function matchPath (compiled, pathname) {
+  const match = compiled.regex.exec(trimTrailingSlash(pathname))
+  if (!match) return null
+  return Object.fromEntries(
+    compiled.names.map((name, i) => [name, match[i + 1] ?? ''])
+  )
+}
+
+/**
+ * Validate one redirect rule and return it in its metadata shape
+ * @throws {Error} If the rule is invalid
+ */
+function createRedirect ({ from, to, status = DEFAULT_REDIRECT_STATUS, force = false }) {
+  if (typeof from !== 'string' || typeof to !== 'string' || !from || !to) {
+    throw new Error('expected a "from" and a "to" path')
+  }
+  const compiled = compilePath(from)
+
+  if (!to.startsWith('/') && !/^https?:\/\//.test(to)) {
+    throw new Error(`target "${to}" must start with "/" or http(s)://`)
+  }
+  for (const [, name] of to.matchAll(PLACEHOLDER)) {
+    if (!compiled.names.includes(name)) {
+      throw new Error(
+        name === 'splat'
+          ? `target uses ":splat" but "${from}" has no "*"`
+          : `target uses ":${name}", which "${from}" does not define`
+      )
+    }
+  }
+  if (!REDIRECT_STATUSES.includes(status)) {
+    throw new Error(
+      `unsupported status ${status} (use one of ${REDIRECT_STATUSES.join(', ')})`
+    )
+  }
+  if (typeof force !== 'boolean') {
+    throw new Error('"force" must be true or false')
+  }
+
+  return { from, to, status, force }
+}
+
+/**
+ * Validate one header rule and return it in its metadata shape
+ * @throws {Error} If the rule is invalid
+ */
+function createHeaderRule (path, values) {
+  compilePath(path)
+  for (const [name, value] of Object.entries(values)) {
+    validateHeader(name, value)
+  }
+  return { for: path, values }
+}
+
+/**
+ * Validate a header name and value
+ * @throws {Error} If either is invalid
+ */
+function validateHeader (name, value) {
+  if (!HEADER_NAME.test(name)) {
+    throw new Error(`invalid header name "${name}"`)
+  }
+  if (typeof value !== 'string' || !value.trim() || /[\r\n]/.test(value)) {
+    throw new Error(`header "${name}" needs a single-line value`)
+  }
+}
+
+/**
+ * Parse a _redirects file
+ * @param {string} text - File contents
+ * @param {string} [source] - File name used in error messages
+ * @returns {{ redirects: object[], errors: string[] }} Errors are prefixed
+ *   with "<source>:<line>:"
+ */
+export function parseRedirectsFile (text, source = REDIRECTS_FILE_NAME) {
+  const redirects = []
+  const errors = []
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim()
+    if (!line) return
+
+    try {
+      const [from, to, statusField, ...rest] = line.split(/\s+/)
+      if (!to) {
+        throw new Error('expected "<from> <to> [status]"')
+      }
+      if (rest.length > 0) {
+        throw new Error(
+          `unexpected "${rest.join(' ')}" (conditions such as Country= or Role= are not supported)`
+        )
+      }
+
+      let status = DEFAULT_REDIRECT_STATUS
+      let force = false
+      if (statusField !== undefined) {
+        const match = /^(\d{3})(!?)$/.exec(statusField)
+        if (!match) {
+          throw new Error(`invalid status "${statusField}"`)
+        }
+        status = Number(match[1])
+        force = match[2] === '!'
+      }
+      redirects.push(createRedirect({ from, to, status, force }))
+    } catch (err) {
+      errors.push(`${source}:${index + 1}: ${err.message}`)
+    }
+  })
+
+  return { redirects, errors }
+}
+
+/**
+ * Parse a _headers file
+ * @param {string} text - File contents
+ * @param {string} [source] - File name used in error messages
+ * @returns {{ headers: object[], errors: string[] }} Errors are prefixed
+ *   with "<source>:<line>:"
+ */
+export function parseHeadersFile (text, source = HEADERS_FILE_NAME) {
+  const headers = []
+  const errors = []
+  let current = null
+
+  const flush = () => {
+    if (current && !current.invalid) {
+      if (Object.keys(current.values).length === 0) {
+        errors.push(`${source}:${current.line}: path "${current.path}" has no headers`)
+      } else {
+        headers.push({ for: current.path, values: current.values })
+      }
+    }
+    current = null
+  }
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1
+    if (!rawLine.trim() || rawLine.trim().startsWith('#')) return
+
+    if (!/^\s/.test(rawLine)) {
+      flush()
+      current = { path: rawLine.trim(), values: {}, line: lineNumber }
+      try {
+        compilePath(current.path)
+      } catch (err) {
+        errors.push(`${source}:${lineNumber}: ${err.message}`)
+        current.invalid = true
+      }
+      return
+    }
+
+    if (!current) {
+      errors.push(`${source}:${lineNumber}: header without a path above it`)
+      return
+    }
+    const separator = rawLine.indexOf(':')
+    if (separator === -1) {
+      errors.push(`${source}:${lineNumber}: expected "Name: value"`)
+      return
+    }
+    const name = rawLine.slice(0, separator).trim()
+    const value = rawLine.slice(separator + 1).trim()
+    try {
+      validateHeader(name, value)
+    } catch (err) {
+      errors.push(`${source}:${lineNumber}: ${err.message}`)
+      return
+    }
+    current.values[name] = current.values[name]
+      ? `${current.values[name]}, ${value}`
+      : value
+  })
+  flush()
+
+  return { headers, errors }
+}
+
+/**
+ * Read the `redirects` and `headers` sections of .launchpd.json
+ * @param {object|null} config - Parsed .launchpd.json
+ * @returns {{ redirects: object[], headers: object[], errors: string[] }}
+ */
+export function parseConfigRules (config) {
+  const redirects = []
+  const headers = []
+  const errors = []
+
+  for (const key of ['redirects', 'headers']) {
+    const rules = config?.[key]
+    if (rules === undefined || rules === null) continue
+    if (!Array.isArray(rules)) {
+      errors.push(`.launchpd.json: "${key}" must be an array`)
+      continue
+    }
+
+    rules.forEach((rule, index) => {
+      try {
+        if (!rule || typeof rule !== 'object') {
+          throw new Error('expected an object')
+        }
+        if (key === 'redirects') {
+          redirects.push(createRedirect(rule))
+        } else {
+          if (typeof rule.for !== 'string' || !rule.values || typeof rule.values !== 'object') {
+            throw new Error('expected { "for": "<path>", "values": { ... } }')
+          }
+          headers.push(createHeaderRule(rule.for, rule.values))
+        }
+      } catch (err) {
+        errors.push(`.launchpd.json: ${key}[${index}]: ${err.message}`)
+      }
+    })
+  }
+
+  return { redirects, headers, errors }
+}
+
+/**
+ * Normalize a page path from .launchpd.json ("/index.html" -> "index.html")
+ * @throws {Error} If the path is empty or leaves the site
+ */
+function normalizePagePath (key, value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`"${key}" must be a file path, e.g. "index.html"`)
+  }
+  const path = posix.normalize(value.trim().replaceAll('\\', '/')).replace(/^\/+/, '')
+  if (!path || path === '.' || path.startsWith('..') || path.endsWith('/')) {
+    throw new Error(`"${key}" must be a file inside the site, got "${value}"`)
+  }
+  return path
+}
+
+/**
+ * Read the fallback and 404 page settings of .launchpd.json
+ * @param {object|null} config - Parsed .launchpd.json
+ * @param {object} [options]
+ * @param {boolean} [options.spa] - --spa: fall back to index.html unless
+ *   `fallback` names another page
+ * @returns {{ fallback: string|null, notFoundPage: string|null, errors: string[] }}
+ */
+export function parsePageSettings (config, { spa = false } = {}) {
+  const errors = []
+  let fallback = null
+  let notFoundPage = null
+
+  if (config?.spa !== undefined && typeof config.spa !== 'boolean') {
+    errors.push('.launchpd.json: "spa" must be true or false')
+  }
+  try {
+    if (config?.fallback !== undefined && config.fallback !== null) {
+      fallback = normalizePagePath('fallback', config.fallback)
+    } else if (spa || config?.spa === true) {
+      fallback = 'index.html'
+    }
+  } catch (err) {
+    errors.push(`.launchpd.json: ${err.message}`)
+  }
+  try {
+    if (config?.notFoundPage !== undefined && config.notFoundPage !== null) {
+      notFoundPage = normalizePagePath('notFoundPage', config.notFoundPage)
+    }
+  } catch (err) {
+    errors.push(`.launchpd.json: ${err.message}`)
+  }
+
+  return { fallback, notFoundPage, errors }
+}
+
+/**
+ * List the configured fallback and 404 pages that are not in the upload
+ * set (missing, or excluded by the ignore rules)
+ * @param {string} folderPath - Folder being deployed or served
+ * @param {object} matcher - Ignore matcher from loadIgnoreMatcher
+ * @param {{ fallback: string|null, notFoundPage: string|null }} pages
+ * @returns {string[]} Warning messages
+ */
+export function findMissingPages (folderPath, matcher, pages) {
+  const warnings = []
+  const labels = { fallback: 'SPA fallback', notFoundPage: '404 page' }
+
+  for (const [key, label] of Object.entries(labels)) {
+    const page = pages[key]
+    if (!page) continue
+    const stats = statSync(join(folderPath, page), { throwIfNoEntry: false })
+    if (!stats?.isFile()) {
+      warnings.push(`The ${label} "${page}" does not exist in the deployed folder.`)
+    } else if (matcher.ignores(page)) {
+      warnings.push(`The ${label} "${page}" is excluded by the ignore rules.`)
+    }
+  }
+  return warnings
+}
+
+/**
+ * Read a rules file, or '' when the folder has none
+ */
+async function readRulesFile (folderPath, name) {
+  try {
+    return await readFile(join(folderPath, name), 'utf8')
+  } catch {
+    return ''
+  }
+}
+
+/**
+ * Load and validate the redirect and header rules of a folder (its
+ * _redirects and _headers files, then the nearest .launchpd.json) and the
+ * fallback and 404 pages
+ * @param {string} folderPath - Folder being deployed or served
+ * @param {object|null} [projectConfig] - Already-loaded project config
+ * @param {object} [options]
+ * @param {boolean} [options.spa] - --spa was passed
+ * @returns {Promise<{ redirects: object[], headers: object[], fallback: string|null, notFoundPage: string|null, errors: string[] }>}
+ */
+export async function loadSiteRules (folderPath, projectConfig, options = {}) {
+  const config =
+    projectConfig === undefined
+      ? await getProjectConfig(findProjectRoot(folderPath))
+      : projectConfig
+
+  const redirectsFile = parseRedirectsFile(
+    await readRulesFile(folderPath, REDIRECTS_FILE_NAME)
+  )
+  const headersFile = parseHeadersFile(
+    await readRulesFile(folderPath, HEADERS_FILE_NAME)
+  )
+  const configRules = parseConfigRules(config)
+  const pages = parsePageSettings(config, options)
+
+  return {
+    redirects: [...redirectsFile.redirects, ...configRules.redirects],
+    headers: [...headersFile.headers, ...configRules.headers],
+    fallback: pages.fallback,
+    notFoundPage: pages.notFoundPage,
+    errors: [
+      ...redirectsFile.errors,
+      ...headersFile.errors,
+      ...configRules.errors,
+      ...pages.errors
+    ]
+  }
+}
+
+/**
+ * Find the redirect for a request path
+ * @param {object[]} redirects - Validated redirect rules
+ * @param {string} pathname - Request path
+ * @param {boolean} fileExists - Whether a deployed file matches the path
+ *   (only forced rules apply then)
+ * @returns {{ rule: object, target: string }|null}
+ */
+export function findRedirect (redirects, pathname, fileExists = false) {
+  for (const rule of redirects) {
+    if (fileExists && !rule.force) continue
+    const params = matchPath(compilePath(rule.from), pathname)
+    if (!params) continue
+    const target = rule.to.replace(PLACEHOLDER, (placeholder, name) =>
+      name in params ? params[name] : placeholder
+    )
+    return { rule, target }
+  }
+  return null
+}
+
+/**
+ * Get the custom headers for a request path. Values of a header set by
+ * several rules are joined with ", ".
+ * @param {object[]} headers - Validated header rules
+ * @param {string} pathname - Request path
+ * @returns {Record<string, string>}
+ */
+export function getHeadersFor (headers, pathname) {
+  const result = {}
+  for (const rule of headers) {
+    if (!matchPath(compilePath(rule.for), pathname)) continue
+    for (const [name, value] of Object.entries(rule.values)) {
+      result[name] = result[name] ? `${result[name]}, ${value}` : value
+    }
+  }
+  return result
+}
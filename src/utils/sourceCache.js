@@ -0,0 +1,214 @@
+/**
+ * On-disk cache of remote sources, stored in ~/.staticlaunch/cache
+ *
+ * Archives are keyed by provider, repo and commit SHA (or gist revision), so
+ * an entry never goes stale. index.json records each archive's size and last
+ * use, and the least recently used archives are evicted once the cache grows
+ * past its size limit.
+ *
+ * etags.json keeps the ETag of the API lookups that resolve a ref to a
+ * commit, so an unchanged ref is confirmed with a 304 that downloads nothing
+ * and does not count against the API rate limit.
+ */
+
+import fsp from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+import { createHash } from 'node:crypto'
+
+/** Default cache size limit (500MB) */
+export const DEFAULT_CACHE_MAX_BYTES = 500 * 1024 * 1024
+
+/** Environment variable overriding the cache size limit, in MB */
+export const CACHE_MAX_ENV = 'LAUNCHPD_CACHE_MAX_MB'
+
+/** ETags kept at most; the oldest are dropped first */
+const MAX_ETAGS = 200
+
+/**
+ * Get the cache directory path
+ */
+export function getCacheDir () {
+  return path.join(os.homedir(), '.staticlaunch', 'cache')
+}
+
+/**
+ * Get the cache size limit from LAUNCHPD_CACHE_MAX_MB, or the default
+ * @returns {number} Limit in bytes
+ */
+export function getCacheMaxBytes () {
+  const value = Number(process.env[CACHE_MAX_ENV])
+  return Number.isFinite(value) && value > 0
+    ? Math.round(value * 1024 * 1024)
+    : DEFAULT_CACHE_MAX_BYTES
+}
+
+/**
+ * Read a JSON file from the cache directory
+ * @returns {Promise<object>} Parsed content, or {} if missing or corrupted
+ */
+async function readCacheFile (name) {
+  try {
+    const data = JSON.parse(
+      await fsp.readFile(path.join(getCacheDir(), name), 'utf-8')
+    )
+    return data && typeof data === 'object' ? data : {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Write a JSON file to the cache directory atomically
+ */
+async function writeCacheFile (name, data) {
+  const dir = getCacheDir()
+  await fsp.mkdir(dir, { recursive: true })
+  const filePath = path.join(dir, name)
+  await fsp.writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2), 'utf-8')
+  await fsp.rename(`${filePath}.tmp`, filePath)
+}
+
+/**
+ * Read the archive index
+ * @returns {Promise<Record<string, { file: string, size: number, label: string, createdAt: string, lastUsedAt: string }>>}
+ */
+async function readIndex () {
+  const index = await readCacheFile('index.json')
+  return index.entries && typeof index.entries === 'object' ? index.entries : {}
+}
+
+/**
+ * Write the archive index
+ */
+async function writeIndex (entries) {
+  await writeCacheFile('index.json', { version: 1, entries })
+}
+
+/**
+ * Get a cached archive, marking it as recently used
+ * @param {string} key - e.g. "github:github.com/org/site@<sha>"
+ * @returns {Promise<string|null>} Path to the archive, or null on a miss
+ */
+export async function getCachedArchive (key) {
+  const entries = await readIndex()
+  const entry = entries[key]
+  if (!entry) return null
+
+  const filePath = path.join(getCacheDir(), entry.file)
+  const stats = await fsp.stat(filePath).catch(() => null)
+  if (!stats?.isFile()) {
+    // The archive was removed behind our back; forget it
+    delete entries[key]
+    await writeIndex(entries)
+    return null
+  }
+
+  entry.lastUsedAt = new Date().toISOString()
+  await writeIndex(entries)
+  return filePath
+}
+
+/**
+ * Copy an archive into the cache, evicting the least recently used archives
+ * that no longer fit. Archives larger than the whole cache are not stored.
+ * @param {string} key - Cache key (see getCachedArchive)
+ * @param {string} archivePath - Archive to copy
+ * @param {string} label - Human-readable source, shown by `launchpd cache ls`
+ * @returns {Promise<boolean>} Whether the archive was cached
+ */
+export async function addCachedArchive (key, archivePath, label) {
+  const maxBytes = getCacheMaxBytes()
+  const { size } = await fsp.stat(archivePath)
+  if (size > maxBytes) return false
+
+  const dir = getCacheDir()
+  await fsp.mkdir(dir, { recursive: true })
+  const file = `${createHash('sha256').update(key).digest('hex').slice(0, 32)}.tgz`
+  const filePath = path.join(dir, file)
+  await fsp.copyFile(archivePath, `${filePath}.tmp`)
+  await fsp.rename(`${filePath}.tmp`, filePath)
+
+  const entries = await readIndex()
+  const now = new Date().toISOString()
+  entries[key] = { file, size, label, createdAt: now, lastUsedAt: now }
+
+  // Evict least recently used archives until everything fits
+  const byLastUse = Object.entries(entries)
+    .filter(([entryKey]) => entryKey !== key)
+    .sort(([, a], [, b]) => a.lastUsedAt.localeCompare(b.lastUsedAt))
+  let total = Object.values(entries).reduce((sum, entry) => sum + entry.size, 0)
+  for (const [entryKey, entry] of byLastUse) {
+    if (total <= maxBytes) break
+    await fsp.rm(path.join(dir, entry.file), { force: true })
+    delete entries[entryKey]
+    total -= entry.size
+  }
+
+  await writeIndex(entries)
+  return true
+}
+
+/**
+ * Get the saved ETag of an API response
+ * @param {string} url - Request URL
+ * @returns {Promise<{ etag: string, data: any }|null>} data is what the
+ *   caller stored with the ETag (e.g. the parsed response)
+ */
+export async function getCachedEtag (url) {
+  const etags = await readCacheFile('etags.json')
+  const entry = etags[url]
+  return entry?.etag ? { etag: entry.etag, data: entry.data } : null
+}
+
+/**
+ * Save the ETag of an API response, with the data to reuse on a 304
+ * @param {string} url - Request URL
+ * @param {string} etag - ETag response header
+ * @param {any} data - JSON-serializable data
+ */
+export async function saveCachedEtag (url, etag, data) {
+  const etags = await readCacheFile('etags.json')
+  etags[url] = { etag, data, savedAt: new Date().toISOString() }
+
+  const urls = Object.keys(etags).sort((a, b) =>
+    etags[b].savedAt.localeCompare(etags[a].savedAt)
+  )
+  for (const stale of urls.slice(MAX_ETAGS)) {
+    delete etags[stale]
+  }
+  await writeCacheFile('etags.json', etags)
+}
+
+/**
+ * List cached archives, most recently used first
+ * @returns {Promise<{ dir: string, entries: Array<{ key: string, label: string, size: number, createdAt: string, lastUsedAt: string }>, totalBytes: number, maxBytes: number }>}
+ */
+export async function listCache () {
+  const entries = Object.entries(await readIndex())
+    .map(([key, { label, size, createdAt, lastUsedAt }]) => ({
+      key,
+      label: label || key,
+      size,
+      createdAt,
+      lastUsedAt
+    }))
+    .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+
+  return {
+    dir: getCacheDir(),
+    entries,
+    totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    maxBytes: getCacheMaxBytes()
+  }
+}
+
+/**
+ * Delete all cached archives and ETags
+ * @returns {Promise<{ count: number, bytes: number }>} What was removed
+ */
+export async function clearCache () {
+  const { entries, totalBytes } = await listCache()
+  await fsp.rm(getCacheDir(), { recursive: true, force: true })
+  return { count: entries.length, bytes: totalBytes }
+}
@@ -3,12 +3,30 @@ import { join, relative, posix, sep } from 'node:path'
 import mime from 'mime-types'
 import { config } from '../config.js'
 import { getApiKey, getApiSecret } from './credentials.js'
-import { createHmac } from 'node:crypto'
-import { isIgnored } from './ignore.js'
-import { createFetchTimeout, API_TIMEOUT_MS } from './api.js'
+import { createHmac, createHash } from 'node:crypto'
+import { loadIgnoreMatcher, describeIgnoreRule } from './ignore.js'
+import {
+  createFetchTimeout,
+  getActiveManifest,
+  API_TIMEOUT_MS
+} from './api.js'
+import { withRetry } from './retry.js'
+import {
+  APIError,
+  AuthError,
+  MaintenanceError,
+  NetworkError,
+  QuotaError
+} from './errors.js'
 
 const API_BASE_URL = config.apiUrl
 
+/** Default number of files uploaded in parallel */
+export const DEFAULT_UPLOAD_CONCURRENCY = 4
+
+/** Upper bound for the upload concurrency setting */
+export const MAX_UPLOAD_CONCURRENCY = 32
+
 /**
  * Convert Windows path to POSIX for R2 keys
  * @param {string} windowsPath
@@ -18,6 +36,46 @@ function toPosixPath (windowsPath) {
   return windowsPath.split(sep).join(posix.sep)
 }
 
+/**
+ * Error for a failed upload request, by category: timeouts and connection
+ * failures are NetworkErrors, anything else is re-thrown
+ * @param {Error} err - Error thrown by fetch
+ * @param {string} timeoutMessage - Message for a timed-out request
+ * @returns {Error}
+ */
+function toRequestError (err, timeoutMessage) {
+  if (err.name === 'AbortError') {
+    return new NetworkError(timeoutMessage)
+  }
+  const code = err.cause?.code || ''
+  if (
+    err.message.includes('fetch failed') ||
+    /^E(CONNRESET|CONNREFUSED|NOTFOUND|TIMEDOUT|AI_AGAIN)$/.test(code)
+  ) {
+    return new NetworkError(
+      `Unable to connect to LaunchPd servers${code ? ` (${code})` : ''}`
+    )
+  }
+  return err
+}
+
+/**
+ * Error for a failed upload response, by category: 401 is an AuthError, 429
+ * a QuotaError and 503 in maintenance mode a MaintenanceError
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {object} [data] - Parsed response body
+ * @returns {APIError}
+ */
+function toResponseError (status, message, data = {}) {
+  if (status === 401) return new AuthError(message, data)
+  if (status === 429) return new QuotaError(message, data)
+  if (status === 503 && data.maintenance_mode) {
+    return new MaintenanceError(message)
+  }
+  return new APIError(message, status, data)
+}
+
 /**
  * Upload a single file via API proxy
  * @param {Buffer} content - File content
@@ -25,62 +83,94 @@ function toPosixPath (windowsPath) {
  * @param {number} version - Version number
  * @param {string} filePath - Relative file path
  * @param {string} contentType - MIME type
+ * @param {AbortSignal} [cancelSignal] - Aborts the upload when another file fails
  */
-async function uploadFile (content, subdomain, version, filePath, contentType) {
+async function uploadFile (
+  content,
+  subdomain,
+  version,
+  filePath,
+  contentType,
+  cancelSignal = null
+) {
   const apiKey = await getApiKey()
   const apiSecret = await getApiSecret()
-  const headers = {
-    'X-API-Key': apiKey,
-    'X-Subdomain': subdomain,
-    'X-Version': String(version),
-    'X-File-Path': filePath,
-    'X-Content-Type': contentType,
-    'Content-Type': 'application/octet-stream'
-  }
 
-  if (apiSecret) {
-    const timestamp = Date.now().toString()
-    const endpoint = '/api/upload/file' // Match the worker path
-    const hmac = createHmac('sha256', apiSecret)
-    hmac.update('POST')
-    hmac.update(endpoint)
-    hmac.update(timestamp)
-    hmac.update(content) // Buffer is fine for update()
-
-    headers['X-Timestamp'] = timestamp
-    headers['X-Signature'] = hmac.digest('hex')
+  /**
+   * Build request headers; signed per attempt so retries get a fresh timestamp
+   */
+  const buildHeaders = () => {
+    const headers = {
+      'X-API-Key': apiKey,
+      'X-Subdomain': subdomain,
+      'X-Version': String(version),
+      'X-File-Path': filePath,
+      'X-Content-Type': contentType,
+      'Content-Type': 'application/octet-stream'
+    }
+
+    if (apiSecret) {
+      const timestamp = Date.now().toString()
+      const endpoint = '/api/upload/file' // Match the worker path
+      const hmac = createHmac('sha256', apiSecret)
+      hmac.update('POST')
+      hmac.update(endpoint)
+      hmac.update(timestamp)
+      hmac.update(content) // Buffer is fine for update()
+
+      headers['X-Timestamp'] = timestamp
+      headers['X-Signature'] = hmac.digest('hex')
+    }
+    return headers
   }
 
-  const { signal, clear } = createFetchTimeout(API_TIMEOUT_MS)
   let response = null
   try {
-    response = await fetch(`${API_BASE_URL}/api/upload/file`, {
-      method: 'POST',
-      headers,
-      body: content,
-      signal
-    })
+    // Re-uploading the same path for the same version is idempotent
+    response = await withRetry(
+      async () => {
+        const { signal, clear } = createFetchTimeout(
+          API_TIMEOUT_MS,
+          cancelSignal
+        )
+        try {
+          return await fetch(`${API_BASE_URL}/api/upload/file`, {
+            method: 'POST',
+            headers: buildHeaders(),
+            body: content,
+            signal
+          })
+        } finally {
+          clear()
+        }
+      },
+      { label: `Upload of ${filePath}`, signal: cancelSignal }
+    )
   } catch (err) {
-    if (err.name === 'AbortError') {
-      throw new Error(
-        `Upload timed out after ${API_TIMEOUT_MS / 1000}s. The server did not respond in time.`
-      )
+    if (err.name === 'AbortError' && cancelSignal?.aborted) {
+      throw new Error(`Upload of "${filePath}" was cancelled.`)
     }
-    throw err
-  } finally {
-    clear()
+    throw toRequestError(
+      err,
+      `Upload timed out after ${API_TIMEOUT_MS / 1000}s. The server did not respond in time.`
+    )
   }
 
   if (!response.ok) {
     const text = await response.text().catch(() => '')
     let errorMsg = ''
+    let data = {}
     try {
-      const data = JSON.parse(text)
+      data = JSON.parse(text) || {}
       errorMsg = data.error
     } catch {
       if (text) errorMsg = text
     }
-    throw new Error(errorMsg || `Upload failed: ${response.status}`)
+    throw toResponseError(
+      response.status,
+      errorMsg || `Upload failed: ${response.status}`,
+      data
+    )
   }
 
   return response.json()
@@ -94,6 +184,8 @@ async function uploadFile (content, subdomain, version, filePath, contentType) {
  * @param {number} totalBytes - Total bytes uploaded
  * @param {string} folderName - Original folder name
  * @param {string|null} expiresAt - ISO expiration timestamp
+ * @param {string|null} message - Deployment message
+ * @param {object} metadata - Extra deployment metadata (manifest, carryForward, ...)
  */
 async function completeUpload (
   subdomain,
@@ -102,16 +194,14 @@ async function completeUpload (
   totalBytes,
   folderName,
   expiresAt,
-  message
+  message,
+  metadata
 ) {
   const apiKey = await getApiKey()
   const apiSecret = await getApiSecret()
-  const headers = {
-    'X-API-Key': apiKey,
-    'Content-Type': 'application/json'
-  }
 
   const body = JSON.stringify({
+    ...metadata,
     subdomain,
     version,
     fileCount,
@@ -122,121 +212,363 @@ async function completeUpload (
     cliVersion: config.version
   })
 
-  if (apiSecret) {
-    const timestamp = Date.now().toString()
-    const endpoint = '/api/upload/complete'
-    const hmac = createHmac('sha256', apiSecret)
-    hmac.update('POST')
-    hmac.update(endpoint)
-    hmac.update(timestamp)
-    hmac.update(body)
-
-    headers['X-Timestamp'] = timestamp
-    headers['X-Signature'] = hmac.digest('hex')
+  /**
+   * Build request headers; signed per attempt so retries get a fresh timestamp
+   */
+  const buildHeaders = () => {
+    const headers = {
+      'X-API-Key': apiKey,
+      'Content-Type': 'application/json'
+    }
+
+    if (apiSecret) {
+      const timestamp = Date.now().toString()
+      const endpoint = '/api/upload/complete'
+      const hmac = createHmac('sha256', apiSecret)
+      hmac.update('POST')
+      hmac.update(endpoint)
+      hmac.update(timestamp)
+      hmac.update(body)
+
+      headers['X-Timestamp'] = timestamp
+      headers['X-Signature'] = hmac.digest('hex')
+    }
+    return headers
   }
 
-  const { signal, clear } = createFetchTimeout(API_TIMEOUT_MS)
   let response = null
   try {
-    response = await fetch(`${API_BASE_URL}/api/upload/complete`, {
-      method: 'POST',
-      headers,
-      body,
-      signal
-    })
+    // Completing the same version twice activates the same files
+    response = await withRetry(
+      async () => {
+        const { signal, clear } = createFetchTimeout(API_TIMEOUT_MS)
+        try {
+          return await fetch(`${API_BASE_URL}/api/upload/complete`, {
+            method: 'POST',
+            headers: buildHeaders(),
+            body,
+            signal
+          })
+        } finally {
+          clear()
+        }
+      },
+      { label: 'Upload completion' }
+    )
   } catch (err) {
-    if (err.name === 'AbortError') {
-      throw new Error(
-        `Upload completion timed out after ${API_TIMEOUT_MS / 1000}s. The server did not respond in time.`
-      )
-    }
-    throw err
-  } finally {
-    clear()
+    throw toRequestError(
+      err,
+      `Upload completion timed out after ${API_TIMEOUT_MS / 1000}s. The server did not respond in time.`
+    )
   }
 
   if (!response.ok) {
     let errorMsg = 'Complete upload failed'
+    let data = {}
     const text = await response.text()
     try {
-      const data = JSON.parse(text)
+      data = JSON.parse(text) || {}
       errorMsg =
         data.error ||
         `Complete upload failed: ${response.status} ${response.statusText}`
     } catch {
       errorMsg = `Complete upload failed: ${response.status} ${response.statusText} - ${text.substring(0, 100)}`
     }
-    throw new Error(errorMsg)
+    throw toResponseError(response.status, errorMsg, data)
   }
 
   return response.json()
 }
 
 /**
- * Upload a folder to Launchpd via API proxy
+ * Collect the files of a folder that would be uploaded, skipping ignored paths.
+ * Ignored directories are reported once with the number of files inside.
  * @param {string} localPath - Local folder path
- * @param {string} subdomain - Subdomain to use as bucket prefix
- * @param {number} version - Version number for this deployment
- * @param {function} onProgress - Progress callback (uploaded, total, fileName)
+ * @param {object} matcher - Ignore matcher from loadIgnoreMatcher
+ * @returns {Promise<{files: Array<{fullPath: string, posixPath: string, contentType: string}>, ignored: Array<{path: string, reason: string, files?: number}>}>}
  */
-export async function uploadFolder (
-  localPath,
-  subdomain,
-  version = 1,
-  onProgress = null
-) {
+async function collectFiles (localPath, matcher) {
   const files = await readdir(localPath, {
     recursive: true,
     withFileTypes: true
   })
 
-  let uploaded = 0
-  let totalBytes = 0
-  const total = files.filter((f) => f.isFile()).length
-
+  const collected = []
+  const ignoredFiles = []
+  const ignoredDirs = new Map()
   for (const file of files) {
     if (!file.isFile()) continue
 
     const fileName = file.name
     const parentDir = file.parentPath || file.path
-
-    // Skip ignored directories in the path
     const relativePath = relative(localPath, join(parentDir, fileName))
-    const pathParts = relativePath.split(sep)
+    const posixPath = toPosixPath(relativePath)
+    const result = matcher.check(posixPath, false)
 
-    if (pathParts.some((part) => isIgnored(part, true))) {
+    if (result.ignored && result.path !== posixPath) {
+      // Inside an ignored directory
+      const dirPath = `${result.path}/`
+      const dir = ignoredDirs.get(dirPath) || {
+        path: dirPath,
+        reason: describeIgnoreRule(result.rule),
+        files: 0
+      }
+      dir.files++
+      ignoredDirs.set(dirPath, dir)
       continue
     }
 
-    // Skip ignored files
-    if (isIgnored(fileName, false)) {
+    if (result.ignored) {
+      ignoredFiles.push({
+        path: posixPath,
+        reason: describeIgnoreRule(result.rule)
+      })
       continue
     }
 
-    // Build full local path
-    const fullPath = join(parentDir, fileName)
+    collected.push({
+      fullPath: join(parentDir, fileName),
+      // Relative path for R2 key
+      posixPath,
+      contentType: mime.lookup(fileName) || 'application/octet-stream'
+    })
+  }
 
-    // Build relative path for R2 key
-    const posixPath = toPosixPath(relativePath)
+  return {
+    files: collected,
+    ignored: [...ignoredDirs.values(), ...ignoredFiles]
+  }
+}
+
+/**
+ * Compute the SHA-256 hex digest of file content
+ * @param {Buffer} content
+ * @returns {string}
+ */
+function hashContent (content) {
+  return createHash('sha256').update(content).digest('hex')
+}
+
+/**
+ * Fetch the manifest of the currently active version.
+ * Returns null when there is no usable manifest, so the caller falls back
+ * to uploading every file.
+ * @param {string} subdomain
+ * @returns {Promise<{version: number, files: object}|null>}
+ */
+async function fetchActiveManifest (subdomain) {
+  try {
+    const result = await getActiveManifest(subdomain)
+    if (!result?.version || !result.files) return null
+    return result
+  } catch {
+    // Older API deployments have no manifest endpoint
+    return null
+  }
+}
+
+/**
+ * Run a worker over items with at most `concurrency` calls in flight.
+ * On the first failure the shared signal is aborted so in-flight workers
+ * can cancel, no new items are started, and the first error is re-thrown
+ * once every worker has settled.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel workers
+ * @param {(item: any, signal: AbortSignal) => Promise<void>} worker
+ */
+async function runPool (items, concurrency, worker) {
+  const controller = new AbortController()
+  let next = 0
+  let firstError = null
+
+  const runWorker = async () => {
+    while (next < items.length && !controller.signal.aborted) {
+      const item = items[next++]
+      try {
+        await worker(item, controller.signal)
+      } catch (err) {
+        if (!firstError) {
+          firstError = err
+          controller.abort()
+        }
+        return
+      }
+    }
+  }
+
+  const workerCount = Math.min(concurrency, items.length)
+  await Promise.all(Array.from({ length: workerCount }, runWorker))
+
+  if (firstError) throw firstError
+}
+
+/**
+ * Work out what deploying a folder would upload, without uploading anything.
+ * Each file is hashed and compared with the manifest of the active version.
+ * @param {string} localPath - Local folder path
+ * @param {string} subdomain - Target subdomain
+ * @param {number} version - Version number the files would be deployed as
+ * @param {object} [options]
+ * @param {object} [options.ignoreMatcher] - Ignore rules (loaded from the
+ *   folder's .launchpdignore and .launchpd.json when omitted)
+ * @returns {Promise<{files: Array<{path: string, fullPath: string, contentType: string, size: number, hash: string, status: 'new'|'changed'|'unchanged'}>, ignored: Array<{path: string, reason: string, files?: number}>, manifest: object, previousVersion: number|null, totalBytes: number}>}
+ */
+export async function planUpload (
+  localPath,
+  subdomain,
+  version = 1,
+  options = {}
+) {
+  const matcher =
+    options.ignoreMatcher || (await loadIgnoreMatcher(localPath))
+  const { files, ignored } = await collectFiles(localPath, matcher)
+
+  // The first version has nothing to carry forward
+  const previous = version > 1 ? await fetchActiveManifest(subdomain) : null
+
+  const manifest = {}
+  const planned = []
+  let totalBytes = 0
+
+  for (const file of files) {
+    const body = await readFile(file.fullPath)
+    const entry = {
+      hash: hashContent(body),
+      size: body.length,
+      contentType: file.contentType
+    }
+    manifest[file.posixPath] = entry
+    totalBytes += entry.size
+
+    const previousHash = previous?.files[file.posixPath]?.hash
+    let status = 'new'
+    if (previousHash === entry.hash) {
+      status = 'unchanged'
+    } else if (previousHash) {
+      status = 'changed'
+    }
+
+    planned.push({
+      path: file.posixPath,
+      fullPath: file.fullPath,
+      ...entry,
+      status
+    })
+  }
+
+  return {
+    files: planned,
+    ignored,
+    manifest,
+    previousVersion: previous?.version ?? null,
+    totalBytes
+  }
+}
 
-    // Detect content type
-    const contentType = mime.lookup(file.name) || 'application/octet-stream'
+/**
+ * Upload a folder to Launchpd via API proxy.
+ * Only files that are new or changed since the active version are uploaded;
+ * unchanged files are reported in `carryForward` so the server can reuse them.
+ * When resuming, files already uploaded for this version with the same
+ * content are skipped as well.
+ * @param {string} localPath - Local folder path
+ * @param {string} subdomain - Subdomain to use as bucket prefix
+ * @param {number} version - Version number for this deployment
+ * @param {function} onProgress - Progress callback (uploaded, total, fileName)
+ * @param {object} options - Upload options
+ * @param {number} options.concurrency - Maximum number of parallel file uploads
+ * @param {object} [options.ignoreMatcher] - Ignore rules, see planUpload
+ * @param {{manifest: object, uploaded: string[]}} [options.resumeFrom] - Journal
+ *   of an interrupted upload of the same version
+ * @param {(manifest: object, resumed: string[]) => Promise<void>} [options.onManifest]
+ *   Called once the manifest is built, before any file is uploaded, with the
+ *   paths skipped because they were already uploaded
+ * @param {(filePath: string) => Promise<void>} [options.onFileUploaded] - Called
+ *   after each file reaches the server
+ * @returns {Promise<{uploaded: number, skipped: number, resumed: number, subdomain: string, totalBytes: number, uploadedBytes: number, manifest: object, carryForward: {fromVersion: number, files: string[]}|null}>}
+ */
+export async function uploadFolder (
+  localPath,
+  subdomain,
+  version = 1,
+  onProgress = null,
+  options = {}
+) {
+  const concurrency = options.concurrency || DEFAULT_UPLOAD_CONCURRENCY
+  const { resumeFrom = null, onManifest = null, onFileUploaded = null } =
+    options
+  const plan = await planUpload(localPath, subdomain, version, {
+    ignoreMatcher: options.ignoreMatcher
+  })
+  const { manifest, totalBytes } = plan
+  const alreadyUploaded = new Set(resumeFrom?.uploaded)
 
-    // Read file and upload via API
-    const body = await readFile(fullPath)
-    totalBytes += body.length
+  const changed = []
+  const unchanged = []
+  const resumed = []
 
-    await uploadFile(body, subdomain, version, posixPath, contentType)
+  for (const file of plan.files) {
+    if (file.status === 'unchanged') {
+      unchanged.push(file.path)
+    } else if (
+      alreadyUploaded.has(file.path) &&
+      resumeFrom.manifest[file.path]?.hash === file.hash
+    ) {
+      resumed.push(file.path)
+    } else {
+      changed.push(file)
+    }
+  }
+
+  if (onManifest) {
+    await onManifest(manifest, resumed)
+  }
+
+  let uploaded = 0
+  let uploadedBytes = 0
+  const total = changed.length
+
+  await runPool(changed, concurrency, async (file, signal) => {
+    // Re-read so only in-flight file bodies are held in memory
+    const body = await readFile(file.fullPath)
+
+    await uploadFile(
+      body,
+      subdomain,
+      version,
+      file.path,
+      file.contentType,
+      signal
+    )
 
     uploaded++
+    uploadedBytes += body.length
+
+    if (onFileUploaded) {
+      await onFileUploaded(file.path)
+    }
 
     // Call progress callback if provided
     if (onProgress) {
-      onProgress(uploaded, total, posixPath)
+      onProgress(uploaded, total, file.path)
     }
-  }
+  })
 
-  return { uploaded, subdomain, totalBytes }
+  const carryForward =
+    plan.previousVersion && unchanged.length > 0
+      ? { fromVersion: plan.previousVersion, files: unchanged }
+      : null
+
+  return {
+    uploaded,
+    skipped: unchanged.length,
+    resumed: resumed.length,
+    subdomain,
+    totalBytes,
+    uploadedBytes,
+    manifest,
+    carryForward
+  }
 }
 
 /**
@@ -247,6 +579,9 @@ export async function uploadFolder (
  * @param {number} totalBytes - Total bytes
  * @param {string} folderName - Folder name
  * @param {string|null} expiresAt - Expiration ISO timestamp
+ * @param {string|null} message - Deployment message
+ * @param {object} metadata - Extra deployment metadata, e.g. the `manifest`
+ *   and `carryForward` returned by uploadFolder
  */
 export async function finalizeUpload (
   subdomain,
@@ -255,7 +590,8 @@ export async function finalizeUpload (
   totalBytes,
   folderName,
   expiresAt = null,
-  message = null
+  message = null,
+  metadata = {}
 ) {
   return await completeUpload(
     subdomain,
@@ -264,6 +600,7 @@ export async function finalizeUpload (
     totalBytes,
     folderName,
     expiresAt,
-    message
+    message,
+    metadata
   )
 }
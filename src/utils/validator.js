@@ -1,6 +1,6 @@
 import { readdir } from 'node:fs/promises'
-import { extname } from 'node:path'
-import { isIgnored } from './ignore.js'
+import { extname, join, relative, sep, posix } from 'node:path'
+import { loadIgnoreMatcher } from './ignore.js'
 
 // Allowed static file extensions
 const ALLOWED_EXTENSIONS = new Set([
@@ -92,13 +92,22 @@ const FORBIDDEN_INDICATORS = new Set([
 
 /**
  * Validates that a folder contains ONLY static files.
+ * Paths excluded by project ignore rules (.launchpdignore, .launchpd.json)
+ * are never uploaded and so are skipped; built-in ignores such as
+ * node_modules still count as violations.
  * @param {string} folderPath
- * @returns {Promise<{success: boolean, violations: string[]}>}
+ * @param {object} [ignoreMatcher] - Ignore rules (loaded from the folder
+ *   when omitted)
+ * @returns {Promise<{success: boolean, violations: string[], violationPaths: string[]}>}
+ *   Violations are file names; violationPaths are their paths relative to the
+ *   folder, with POSIX separators
  */
-export async function validateStaticOnly (folderPath) {
+export async function validateStaticOnly (folderPath, ignoreMatcher = null) {
   const violations = []
+  const violationPaths = []
 
   try {
+    const matcher = ignoreMatcher || (await loadIgnoreMatcher(folderPath))
     const files = await readdir(folderPath, {
       recursive: true,
       withFileTypes: true
@@ -107,15 +116,26 @@ export async function validateStaticOnly (folderPath) {
     for (const file of files) {
       const fileName = file.name.toLowerCase()
       const ext = extname(fileName)
+      const parentDir = file.parentPath || file.path || folderPath
+      const relativePath = relative(folderPath, join(parentDir, file.name))
+        .split(sep)
+        .join(posix.sep)
+      const ignore = matcher.check(relativePath, file.isDirectory())
+
+      // 0. Skip paths the project explicitly excluded from the deploy
+      if (ignore.ignored && ignore.rule.source !== 'default') {
+        continue
+      }
 
       // 1. Check if the file/dir itself is a forbidden indicator
       if (FORBIDDEN_INDICATORS.has(fileName) || FORBIDDEN_INDICATORS.has(ext)) {
         violations.push(file.name)
+        violationPaths.push(relativePath)
         continue
       }
 
       // 2. Skip ignored files and directories
-      if (isIgnored(fileName, file.isDirectory())) {
+      if (ignore.ignored) {
         continue
       }
 
@@ -124,13 +144,15 @@ export async function validateStaticOnly (folderPath) {
         // Ignore files without extensions or if they start with a dot (but handle indicators above)
         if (ext && !ALLOWED_EXTENSIONS.has(ext)) {
           violations.push(file.name)
+          violationPaths.push(relativePath)
         }
       }
     }
 
     return {
       success: violations.length === 0,
-      violations: [...new Set(violations)] // Deduplicate
+      violations: [...new Set(violations)], // Deduplicate
+      violationPaths
     }
   } catch (err) {
     throw new Error(`Failed to validate folder: ${err.message}`)
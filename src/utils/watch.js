@@ -0,0 +1,177 @@
+/**
+ * Folder watcher for `launchpd deploy --watch`
+ *
+ * - Applies the same ignore rules as deploys, reloaded when they change
+ * - Debounces bursts of changes (e.g. an editor saving several files)
+ * - Drops events whose file content did not change, so files rewritten with
+ *   the same content do not trigger a redeploy
+ * - Never runs two change handlers at once
+ * - sync() marks the current content as seen, e.g. after a predeploy hook
+ *   wrote files that the running deploy uploads anyway
+ */
+
+import { watch } from 'node:fs'
+import { readdir, readFile } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import { join, relative, sep, posix } from 'node:path'
+import { IGNORE_FILE_NAME } from './ignore.js'
+
+/** Quiet period before a burst of changes is reported (milliseconds) */
+export const WATCH_DEBOUNCE_MS = 300
+
+/** Files in the watched folder that hold ignore rules (never uploaded) */
+const RULE_FILES = new Set([IGNORE_FILE_NAME, '.launchpd.json'])
+
+/**
+ * Hash a file's content
+ * @param {string} fullPath
+ * @returns {Promise<string|null>} null if the path is missing or not a file
+ */
+async function hashFile (fullPath) {
+  try {
+    return createHash('sha256')
+      .update(await readFile(fullPath))
+      .digest('hex')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Hash every deployable file in a folder
+ * @returns {Promise<Map<string, string>>} POSIX relative path → hash
+ */
+async function hashFolder (folderPath, matcher) {
+  const hashes = new Map()
+  const entries = await readdir(folderPath, {
+    recursive: true,
+    withFileTypes: true
+  })
+
+  for (const entry of entries) {
+    if (!entry.isFile()) continue
+    const fullPath = join(entry.parentPath || entry.path, entry.name)
+    const path = relative(folderPath, fullPath).split(sep).join(posix.sep)
+    if (matcher.ignores(path)) continue
+    hashes.set(path, await hashFile(fullPath))
+  }
+
+  return hashes
+}
+
+/**
+ * Hash the rule files of a folder
+ * @returns {Promise<Map<string, string|null>>}
+ */
+async function hashRuleFiles (folderPath) {
+  const hashes = new Map()
+  for (const name of RULE_FILES) {
+    hashes.set(name, await hashFile(join(folderPath, name)))
+  }
+  return hashes
+}
+
+/**
+ * Watch a folder and report changed files after each burst of changes
+ * @param {string} folderPath - Folder to watch
+ * @param {object} options
+ * @param {object} options.matcher - Ignore matcher (see ignore.js)
+ * @param {() => Promise<object>} [options.reloadMatcher] - Loads the ignore
+ *   matcher again when .launchpdignore or .launchpd.json in the folder
+ *   changes; files it starts or stops ignoring are reported with the rule file
+ * @param {(paths: string[]) => Promise<void>} options.onChange - Called with
+ *   the sorted POSIX paths that changed; must handle its own errors
+ * @param {number} [options.debounceMs] - Quiet period before reporting
+ * @returns {Promise<{ close: () => void, sync: () => Promise<void> }>}
+ *   sync() takes the current content of the folder as seen, so changes made
+ *   so far are not reported
+ */
+export async function watchFolder (folderPath, options) {
+  const { reloadMatcher, onChange, debounceMs = WATCH_DEBOUNCE_MS } = options
+  let matcher = options.matcher
+  let hashes = await hashFolder(folderPath, matcher)
+  let ruleHashes = await hashRuleFiles(folderPath)
+  const pending = new Set()
+  let timer = null
+  let queue = Promise.resolve()
+
+  /**
+   * Reload the ignore rules if a rule file changed
+   * @returns {Promise<string[]>} Changed rule files and the files that
+   *   became deployable or ignored
+   */
+  const reloadRules = async () => {
+    const newRuleHashes = await hashRuleFiles(folderPath)
+    const changedRules = [...RULE_FILES].filter(
+      (name) => ruleHashes.get(name) !== newRuleHashes.get(name)
+    )
+    ruleHashes = newRuleHashes
+    if (changedRules.length === 0) return []
+
+    matcher = await reloadMatcher()
+    const newHashes = await hashFolder(folderPath, matcher)
+    const changed = [...changedRules]
+    for (const path of new Set([...hashes.keys(), ...newHashes.keys()])) {
+      if (hashes.has(path) !== newHashes.has(path)) changed.push(path)
+    }
+    // Content changes of files deployed under both rules are reported below
+    for (const [path, hash] of hashes) {
+      if (newHashes.has(path)) newHashes.set(path, hash)
+    }
+    hashes = newHashes
+    return changed
+  }
+
+  const flush = async () => {
+    const paths = [...pending]
+    pending.clear()
+
+    const changed = []
+    if (reloadMatcher && paths.some((path) => RULE_FILES.has(path))) {
+      changed.push(...(await reloadRules()))
+    }
+    for (const path of paths) {
+      if (RULE_FILES.has(path) || matcher.ignores(path)) continue
+      const hash = await hashFile(join(folderPath, path))
+      // New directories and files that came and went are not changes
+      if ((hashes.get(path) ?? null) === hash) continue
+      if (hash === null) {
+        hashes.delete(path)
+      } else {
+        hashes.set(path, hash)
+      }
+      changed.push(path)
+    }
+
+    if (changed.length > 0) {
+      await onChange([...new Set(changed)].sort())
+    }
+  }
+
+  const watcher = watch(folderPath, { recursive: true }, (_event, filename) => {
+    if (!filename) return
+    const path = filename.toString().split(sep).join(posix.sep)
+    // Paths are matched again on flush, with the rules reloaded if needed
+    if (matcher.ignores(path) && !(reloadMatcher && RULE_FILES.has(path))) {
+      return
+    }
+
+    pending.add(path)
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      // Changes made while a handler runs are reported after it finishes;
+      // a failed handler must not stop later ones
+      queue = queue.then(flush).catch(() => {})
+    }, debounceMs)
+  })
+
+  return {
+    close: () => {
+      clearTimeout(timer)
+      watcher.close()
+    },
+    sync: async () => {
+      hashes = await hashFolder(folderPath, matcher)
+    }
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Minimal zip reader for deploying local .zip archives
+ *
+ * Reads the central directory of an in-memory archive and inflates entries
+ * on demand, either into a buffer (small files) or as a stream. Supports
+ * stored and deflated entries; ZIP64, encrypted and multi-disk archives are
+ * rejected. Entry sizes are enforced while inflating, so a forged header
+ * cannot expand beyond its declared size; callers cap the declared sizes.
+ */
+
+import { Readable, Transform } from 'node:stream'
+import { createInflateRaw, inflateRawSync } from 'node:zlib'
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50
+const END_OF_CENTRAL_DIR_SIZE = 22
+const MAX_COMMENT_LENGTH = 0xffff
+const ZIP64_MARKER = 0xffffffff
+
+const METHOD_STORED = 0
+const METHOD_DEFLATED = 8
+
+/** Unix file type bits (stored in the high 16 bits of external attributes) */
+const UNIX_TYPE_MASK = 0o170000
+const UNIX_SYMLINK = 0o120000
+
+/**
+ * Locate the end of central directory record
+ * @param {Buffer} buffer
+ * @returns {number} Offset of the record
+ */
+function findEndOfCentralDirectory (buffer) {
+  const last = buffer.length - END_OF_CENTRAL_DIR_SIZE
+  const first = Math.max(0, last - MAX_COMMENT_LENGTH)
+  for (let offset = last; offset >= first; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIR_SIGNATURE) {
+      return offset
+    }
+  }
+  throw new Error('Invalid zip archive: end of central directory not found.')
+}
+
+/**
+ * Locate the compressed data of one entry
+ * @param {Buffer} buffer - Whole archive
+ * @param {object} entry - Parsed central directory entry
+ * @returns {Buffer}
+ */
+function getEntryData (buffer, entry) {
+  const { path, flags, method, localOffset, compressedSize } = entry
+
+  if (flags & 0x1) {
+    throw new Error(`Encrypted zip entries are not supported: "${path}".`)
+  }
+  if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+    throw new Error(
+      `Unsupported compression method ${method} for zip entry "${path}".`
+    )
+  }
+  if (
+    localOffset + 30 > buffer.length ||
+    buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE
+  ) {
+    throw new Error(`Invalid zip archive: corrupt local header for "${path}".`)
+  }
+
+  const dataStart =
+    localOffset +
+    30 +
+    buffer.readUInt16LE(localOffset + 26) +
+    buffer.readUInt16LE(localOffset + 28)
+  const data = buffer.subarray(dataStart, dataStart + compressedSize)
+  if (data.length !== compressedSize) {
+    throw new Error(`Invalid zip archive: "${path}" is truncated.`)
+  }
+  return data
+}
+
+/**
+ * Read and decompress the data of one entry into memory
+ * @param {Buffer} buffer - Whole archive
+ * @param {object} entry - Parsed central directory entry
+ * @returns {Buffer}
+ */
+function readEntryData (buffer, entry) {
+  const { path, method, size } = entry
+  const data = getEntryData(buffer, entry)
+
+  let content = data
+  if (method === METHOD_DEFLATED) {
+    try {
+      content = inflateRawSync(data, { maxOutputLength: Math.max(size, 1) })
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(
+          `Zip entry "${path}" expands beyond its declared size. This may be a zip bomb.`
+        )
+      }
+      throw new Error(`Invalid zip archive: cannot inflate "${path}".`)
+    }
+  }
+
+  if (content.length !== size) {
+    throw new Error(`Invalid zip archive: size mismatch for "${path}".`)
+  }
+  return content
+}
+
+/**
+ * Stream the decompressed data of one entry, failing as soon as it grows
+ * past its declared size
+ * @param {Buffer} buffer - Whole archive
+ * @param {object} entry - Parsed central directory entry
+ * @returns {import('node:stream').Readable}
+ */
+function streamEntryData (buffer, entry) {
+  const { path, method, size } = entry
+  const data = getEntryData(buffer, entry)
+
+  let received = 0
+  const output = new Transform({
+    transform (chunk, _encoding, callback) {
+      received += chunk.length
+      if (received > size) {
+        callback(
+          new Error(
+            `Zip entry "${path}" expands beyond its declared size. This may be a zip bomb.`
+          )
+        )
+        return
+      }
+      callback(null, chunk)
+    },
+    flush (callback) {
+      callback(
+        received === size
+          ? null
+          : new Error(`Invalid zip archive: size mismatch for "${path}".`)
+      )
+    }
+  })
+
+  const source = Readable.from([data], { objectMode: false })
+  if (method === METHOD_STORED) {
+    return source.pipe(output)
+  }
+
+  const inflate = createInflateRaw()
+  inflate.on('error', () => {
+    output.destroy(new Error(`Invalid zip archive: cannot inflate "${path}".`))
+  })
+  output.on('close', () => inflate.destroy())
+  return source.pipe(inflate).pipe(output)
+}
+
+/**
+ * List the entries of a zip archive
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Array<{ path: string, type: 'File'|'Directory'|'SymbolicLink', size: number, read: () => Buffer, stream: () => import('node:stream').Readable }>}
+ *   Entries in archive order; paths use forward slashes and directories have
+ *   no trailing slash. `size` is the declared size, which `read` and `stream`
+ *   enforce
+ * @throws {Error} If the archive is invalid or uses unsupported features
+ */
+export function readZipEntries (buffer) {
+  if (buffer.length < END_OF_CENTRAL_DIR_SIZE) {
+    throw new Error('Invalid zip archive: file is too small.')
+  }
+
+  const end = findEndOfCentralDirectory(buffer)
+  const diskNumber = buffer.readUInt16LE(end + 4)
+  const entryCount = buffer.readUInt16LE(end + 10)
+  const directorySize = buffer.readUInt32LE(end + 12)
+  const directoryOffset = buffer.readUInt32LE(end + 16)
+
+  if (entryCount === 0xffff || directoryOffset === ZIP64_MARKER) {
+    throw new Error('ZIP64 archives are not supported.')
+  }
+  if (diskNumber !== 0) {
+    throw new Error('Multi-part zip archives are not supported.')
+  }
+  if (directoryOffset + directorySize > end) {
+    throw new Error('Invalid zip archive: corrupt central directory.')
+  }
+
+  const entries = []
+  let offset = directoryOffset
+
+  for (let i = 0; i < entryCount; i++) {
+    if (
+      offset + 46 > end ||
+      buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE
+    ) {
+      throw new Error('Invalid zip archive: corrupt central directory.')
+    }
+
+    const madeByUnix = buffer.readUInt8(offset + 5) === 3
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const externalAttributes = buffer.readUInt32LE(offset + 38)
+    const entry = {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    }
+    const name = buffer
+      .subarray(offset + 46, offset + 46 + nameLength)
+      .toString('utf8')
+      .replace(/\\/g, '/')
+
+    offset +=
+      46 +
+      nameLength +
+      buffer.readUInt16LE(offset + 30) +
+      buffer.readUInt16LE(offset + 32)
+
+    if (
+      entry.compressedSize === ZIP64_MARKER ||
+      entry.size === ZIP64_MARKER ||
+      entry.localOffset === ZIP64_MARKER
+    ) {
+      throw new Error('ZIP64 archives are not supported.')
+    }
+
+    const unixType = madeByUnix ? (externalAttributes >>> 16) & UNIX_TYPE_MASK : 0
+    const isDirectory = name.endsWith('/')
+    let type = 'File'
+    if (unixType === UNIX_SYMLINK) {
+      type = 'SymbolicLink'
+    } else if (isDirectory) {
+      type = 'Directory'
+    }
+
+    const path = isDirectory ? name.replace(/\/+$/, '') : name
+    const parsed = { ...entry, path }
+    entries.push({
+      path,
+      type,
+      size: entry.size,
+      read: () => readEntryData(buffer, parsed),
+      stream: () => streamEntryData(buffer, parsed)
+    })
+  }
+
+  return entries
+}
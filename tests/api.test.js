@@ -5,6 +5,7 @@ import {
   listDeployments,
   getDeployment,
   getVersions,
+  getActiveManifest,
   rollbackVersion,
   checkSubdomainAvailable,
   reserveSubdomain,
@@ -16,6 +17,7 @@ import {
   regenerateApiKey
 } from '../src/utils/api.js'
 import * as credentials from '../src/utils/credentials.js'
+import { configureRetry, resetRetryPolicy } from '../src/utils/retry.js'
 import { createHmac } from 'node:crypto'
 
 // Mock dependencies
@@ -54,6 +56,12 @@ describe('api.js', () => {
   beforeEach(() => {
     vi.clearAllMocks()
     mockFetch.mockReset()
+    // Error-parsing tests expect a single attempt; retries are covered below
+    configureRetry({ maxAttempts: 1 })
+  })
+
+  afterEach(() => {
+    resetRetryPolicy()
   })
 
   describe('apiRequest', () => {
@@ -230,6 +238,84 @@ describe('api.js', () => {
     })
   })
 
+  describe('retries', () => {
+    const okResponse = (data) => ({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(data)
+    })
+
+    beforeEach(() => {
+      configureRetry({ maxAttempts: 3, baseDelayMs: 0 })
+    })
+
+    it('should retry an idempotent GET after a 502 and return the later result', async () => {
+      mockFetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 502,
+          json: () => Promise.resolve({ error: 'Bad gateway' })
+        })
+        .mockResolvedValueOnce(okResponse({ success: true }))
+
+      const result = await apiRequest('/test')
+
+      expect(result).toEqual({ success: true })
+      expect(mockFetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should retry after a connection reset on GET', async () => {
+      const reset = new TypeError('fetch failed')
+      reset.cause = { code: 'ECONNRESET' }
+      mockFetch
+        .mockRejectedValueOnce(reset)
+        .mockResolvedValueOnce(okResponse({ success: true }))
+
+      await expect(apiRequest('/test')).resolves.toEqual({ success: true })
+      expect(mockFetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not retry a POST after a 500', async () => {
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 500,
+        json: () => Promise.resolve({ error: 'Server error' })
+      })
+
+      await expect(
+        apiRequest('/test', { method: 'POST', body: '{}' })
+      ).rejects.toThrow('Server error')
+      expect(mockFetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry a POST after a 429 and honor Retry-After', async () => {
+      mockFetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          headers: new Headers({ 'Retry-After': '0' }),
+          json: () => Promise.resolve({})
+        })
+        .mockResolvedValueOnce(okResponse({ created: true }))
+
+      const result = await apiRequest('/test', { method: 'POST', body: '{}' })
+
+      expect(result).toEqual({ created: true })
+      expect(mockFetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should give up after max attempts', async () => {
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 429,
+        json: () => Promise.resolve({ message: 'Slow down' })
+      })
+
+      await expect(apiRequest('/test')).rejects.toThrow('Slow down')
+      expect(mockFetch).toHaveBeenCalledTimes(3)
+    })
+  })
+
   describe('Helper Functions', () => {
     beforeEach(() => {
       vi.mocked(credentials.getApiKey).mockResolvedValue('key')
@@ -295,6 +381,12 @@ describe('api.js', () => {
         expect.anything()
       )
 
+      await getActiveManifest('sub')
+      expect(mockFetch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/versions/sub/manifest'),
+        expect.anything()
+      )
+
       await rollbackVersion('sub', 1)
       expect(mockFetch).toHaveBeenCalledWith(
         expect.stringContaining('/rollback'),
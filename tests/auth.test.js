@@ -8,10 +8,11 @@ import {
 } from '../src/commands/auth.js'
 import * as credentials from '../src/utils/credentials.js'
 import { promptSecret } from '../src/utils/prompt.js'
-import { spinner, warning, success, log, info, errorWithSuggestions, error } from '../src/utils/logger.js'
+import { spinner, warning, success, log, info, errorWithSuggestions, error, registerSecret } from '../src/utils/logger.js'
 import * as api from '../src/utils/api.js'
 import { execFile } from 'node:child_process'
 import { handleCommonError } from '../src/utils/errors.js'
+import { setCIMode } from '../src/utils/ci.js'
 
 vi.mock('../src/utils/credentials.js')
 vi.mock('../src/utils/prompt.js')
@@ -23,7 +24,13 @@ vi.mock('../src/utils/api.js', async (importOriginal) => {
     resendVerification: vi.fn()
   }
 })
-vi.mock('../src/utils/errors.js')
+vi.mock('../src/utils/errors.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    handleCommonError: vi.fn()
+  }
+})
 vi.mock('node:child_process', () => ({
   execFile: vi.fn((cmd, args, cb) => cb(null))
 }))
@@ -166,7 +173,7 @@ describe('auth commands', () => {
           })
       })
 
-      await expect(login()).rejects.toThrow('Process.exit(1)')
+      await expect(login()).rejects.toThrow('Process.exit(6)')
       expect(info).toHaveBeenCalledWith(
         expect.stringContaining('2FA is required')
       )
@@ -176,11 +183,16 @@ describe('auth commands', () => {
       vi.mocked(credentials.isLoggedIn).mockResolvedValue(false)
       vi.mocked(promptSecret).mockResolvedValue('invalid-format')
 
-      await expect(login()).rejects.toThrow('Process.exit(1)')
+      await expect(login()).rejects.toThrow('Process.exit(6)')
 
       expect(spinner().fail).toHaveBeenCalledWith(
         expect.stringContaining('Invalid API key')
       )
+      expect(errorWithSuggestions).toHaveBeenCalledWith(
+        'Please check and try again.',
+        expect.any(Array),
+        { code: 'AUTH_FAILED' }
+      )
     })
 
     it('should fail with server error during API key validation', async () => {
@@ -189,7 +201,7 @@ describe('auth commands', () => {
 
       fetch.mockRejectedValue(new Error('Network error'))
 
-      await expect(login()).rejects.toThrow('Process.exit(1)')
+      await expect(login()).rejects.toThrow('Process.exit(6)')
       expect(spinner().fail).toHaveBeenCalledWith('Invalid API key')
     })
 
@@ -201,22 +213,106 @@ describe('auth commands', () => {
       abortErr.name = 'AbortError'
       fetch.mockRejectedValue(abortErr)
 
-      await expect(login()).rejects.toThrow('Process.exit(1)')
+      await expect(login()).rejects.toThrow('Process.exit(7)')
       expect(spinner().fail).toHaveBeenCalledWith('Request timed out')
+      expect(errorWithSuggestions).toHaveBeenCalledWith(
+        'The server did not respond in time.',
+        expect.any(Array),
+        { code: 'TIMEOUT' }
+      )
     })
 
     it('should fail if no API key is provided at prompt', async () => {
       vi.mocked(credentials.isLoggedIn).mockResolvedValue(false)
       vi.mocked(promptSecret).mockResolvedValue('')
 
-      await expect(login()).rejects.toThrow('Process.exit(1)')
+      await expect(login()).rejects.toThrow('Process.exit(6)')
       expect(errorWithSuggestions).toHaveBeenCalledWith(
         expect.stringContaining('API key is required'),
-        expect.anything()
+        expect.anything(),
+        { code: 'AUTH_FAILED' }
       )
     })
   })
 
+  describe('login github', () => {
+    it('should validate and save a GitHub token', async () => {
+      vi.mocked(promptSecret).mockResolvedValue(' ghp_token123 ')
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ login: 'octocat' })
+      })
+
+      await login('github')
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.github.com/user',
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            Authorization: 'Bearer ghp_token123'
+          })
+        })
+      )
+      expect(registerSecret).toHaveBeenCalledWith('ghp_token123')
+      expect(credentials.saveGitHubToken).toHaveBeenCalledWith({
+        token: 'ghp_token123',
+        login: 'octocat'
+      })
+      expect(credentials.isLoggedIn).not.toHaveBeenCalled()
+    })
+
+    it('should not save a token GitHub rejects', async () => {
+      vi.mocked(promptSecret).mockResolvedValue('ghp_revoked')
+      fetch.mockResolvedValueOnce({ ok: false, status: 401 })
+
+      await expect(login('github')).rejects.toThrow('Process.exit(6)')
+      expect(errorWithSuggestions).toHaveBeenCalledWith(
+        'GitHub rejected the token.',
+        expect.any(Array),
+        { code: 'AUTH_FAILED' }
+      )
+      expect(credentials.saveGitHubToken).not.toHaveBeenCalled()
+    })
+
+    it('should require a token', async () => {
+      vi.mocked(promptSecret).mockResolvedValue('')
+
+      await expect(login('github')).rejects.toThrow('Process.exit(6)')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('should reject unknown providers', async () => {
+      await expect(login('gitlab')).rejects.toThrow('Process.exit(2)')
+      expect(errorWithSuggestions).toHaveBeenCalledWith(
+        'Unknown login provider: "gitlab"',
+        expect.arrayContaining(['Supported providers: github']),
+        { code: 'INVALID_OPTION' }
+      )
+    })
+
+    it('should remove the saved GitHub token on logout github', async () => {
+      vi.mocked(credentials.getSavedGitHubLogin).mockResolvedValue({
+        token: 'ghp_token123',
+        login: 'octocat'
+      })
+      vi.mocked(credentials.clearGitHubToken).mockResolvedValue(true)
+
+      await logout('github')
+
+      expect(credentials.clearCredentials).not.toHaveBeenCalled()
+      expect(success).toHaveBeenCalledWith('Removed saved GitHub token')
+      expect(info).toHaveBeenCalledWith(expect.stringContaining('octocat'))
+    })
+
+    it('should warn when no GitHub token is saved', async () => {
+      vi.mocked(credentials.clearGitHubToken).mockResolvedValue(false)
+
+      await logout('github')
+
+      expect(warning).toHaveBeenCalledWith('No saved GitHub token')
+    })
+  })
+
   describe('logout', () => {
     it('should warn if not logged in', async () => {
       vi.mocked(credentials.isLoggedIn).mockResolvedValue(false)
@@ -247,6 +343,96 @@ describe('auth commands', () => {
     })
   })
 
+  describe('CI mode and environment credentials', () => {
+    const envCredentials = {
+      apiKey: 'lpd_1234567890123456',
+      apiSecret: null,
+      userId: null,
+      email: null,
+      tier: 'free',
+      savedAt: null
+    }
+
+    afterEach(() => {
+      setCIMode(false)
+    })
+
+    it('should fail instead of prompting for an API key', async () => {
+      setCIMode()
+      vi.mocked(credentials.isLoggedIn).mockResolvedValue(false)
+
+      await expect(login()).rejects.toThrow('Process.exit(6)')
+
+      expect(promptSecret).not.toHaveBeenCalled()
+      expect(errorWithSuggestions).toHaveBeenCalledWith(
+        'Cannot prompt for an API key in CI mode.',
+        expect.arrayContaining([expect.stringContaining('LAUNCHPD_API_KEY')]),
+        { code: 'AUTH_FAILED' }
+      )
+    })
+
+    it('should fail instead of prompting for a GitHub token', async () => {
+      setCIMode()
+
+      await expect(login('github')).rejects.toThrow('Process.exit(6)')
+
+      expect(promptSecret).not.toHaveBeenCalled()
+      expect(errorWithSuggestions).toHaveBeenCalledWith(
+        'Cannot prompt for a GitHub token in CI mode.',
+        expect.any(Array),
+        { code: 'AUTH_FAILED' }
+      )
+    })
+
+    it('should not log in or out with LAUNCHPD_API_KEY set', async () => {
+      vi.mocked(credentials.getEnvCredentials).mockReturnValue(envCredentials)
+
+      await login()
+      await logout()
+
+      expect(promptSecret).not.toHaveBeenCalled()
+      expect(credentials.saveCredentials).not.toHaveBeenCalled()
+      expect(credentials.clearCredentials).not.toHaveBeenCalled()
+      expect(warning).toHaveBeenCalledWith(
+        expect.stringContaining('unset it to log out')
+      )
+    })
+
+    it('should never write environment credentials to disk', async () => {
+      vi.mocked(credentials.getEnvCredentials).mockReturnValue(envCredentials)
+      vi.mocked(credentials.getCredentials).mockResolvedValue(envCredentials)
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          authenticated: true,
+          user: { id: '123', api_secret: 'new_secret' },
+          tier: 'pro',
+          usage: {},
+          limits: {}
+        })
+      })
+
+      await whoami()
+
+      expect(credentials.saveCredentials).not.toHaveBeenCalled()
+    })
+
+    it('should report an invalid LAUNCHPD_API_KEY without clearing saved credentials', async () => {
+      vi.mocked(credentials.getEnvCredentials).mockReturnValue(envCredentials)
+      vi.mocked(credentials.getCredentials).mockResolvedValue(envCredentials)
+      fetch.mockResolvedValueOnce({ ok: false, status: 500 })
+
+      await expect(whoami()).rejects.toThrow('Process.exit(6)')
+
+      expect(errorWithSuggestions).toHaveBeenCalledWith(
+        'The API key in LAUNCHPD_API_KEY is invalid.',
+        expect.any(Array),
+        { code: 'AUTH_FAILED' }
+      )
+      expect(credentials.clearCredentials).not.toHaveBeenCalled()
+    })
+  })
+
   describe('whoami', () => {
     it('should show anonymous status if not logged in', async () => {
       vi.mocked(credentials.getCredentials).mockResolvedValue(null)
@@ -0,0 +1,99 @@
+import { cache } from '../src/commands/cache.js'
+import * as sourceCache from '../src/utils/sourceCache.js'
+import * as logger from '../src/utils/logger.js'
+
+vi.mock('../src/utils/sourceCache.js')
+vi.mock('../src/utils/logger.js')
+
+describe('cache command', () => {
+  const listing = {
+    dir: '/home/me/.staticlaunch/cache',
+    entries: [
+      {
+        key: 'github:github.com/org/site@0123456789abcdef',
+        label: 'github.com/org/site@0123456',
+        size: 2048,
+        createdAt: '2026-01-02T00:00:00.000Z',
+        lastUsedAt: '2026-01-03T00:00:00.000Z'
+      }
+    ],
+    totalBytes: 2048,
+    maxBytes: 4096
+  }
+
+  beforeEach(() => {
+    vi.resetAllMocks()
+    logger.formatSize.mockImplementation((bytes) => `${bytes} B`)
+    vi.spyOn(process, 'exit').mockImplementation(() => { })
+  })
+
+  it('should list cached sources', async () => {
+    sourceCache.listCache.mockResolvedValue(listing)
+
+    await cache('ls', {})
+
+    expect(logger.log).toHaveBeenCalledWith(
+      expect.stringContaining('github.com/org/site@0123456')
+    )
+    expect(logger.log).toHaveBeenCalledWith(
+      expect.stringContaining('2048 B of 4096 B')
+    )
+  })
+
+  it('should list cached sources as JSON', async () => {
+    sourceCache.listCache.mockResolvedValue(listing)
+
+    await cache('ls', { json: true })
+
+    expect(JSON.parse(logger.log.mock.calls[0][0])).toEqual(listing)
+  })
+
+  it('should say when the cache is empty', async () => {
+    sourceCache.listCache.mockResolvedValue({ ...listing, entries: [], totalBytes: 0 })
+
+    await cache('ls', {})
+
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringContaining('No cached sources')
+    )
+  })
+
+  it('should clear the cache', async () => {
+    sourceCache.clearCache.mockResolvedValue({ count: 3, bytes: 300 })
+
+    await cache('clear', {})
+
+    expect(sourceCache.clearCache).toHaveBeenCalled()
+    expect(logger.success).toHaveBeenCalledWith(
+      'Cleared 3 cached source(s) (300 B)'
+    )
+  })
+
+  it('should reject unknown actions', async () => {
+    await cache('purge', {})
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Unknown cache action: "purge"',
+      expect.any(Array),
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(2)
+    expect(sourceCache.clearCache).not.toHaveBeenCalled()
+  })
+
+  it('should report cache errors', async () => {
+    sourceCache.clearCache.mockRejectedValue(new Error('EACCES'))
+
+    await cache('clear', {})
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Failed to clear the cache: EACCES',
+      expect.any(Array),
+      expect.objectContaining({
+        cause: expect.any(Error),
+        code: 'UNKNOWN_ERROR'
+      })
+    )
+    expect(process.exit).toHaveBeenCalledWith(1)
+  })
+})
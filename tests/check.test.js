@@ -0,0 +1,174 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { check } from '../src/commands/check.js'
+import * as logger from '../src/utils/logger.js'
+import { findPublishDir } from '../src/utils/projectConfig.js'
+import { ConfigError } from '../src/utils/errors.js'
+
+vi.mock('../src/utils/logger.js')
+vi.mock('../src/utils/projectConfig.js', () => ({
+  findProjectRoot: vi.fn().mockReturnValue(null),
+  getProjectConfig: vi.fn().mockResolvedValue(null),
+  findPublishDir: vi.fn().mockResolvedValue(null)
+}))
+
+describe('check command', () => {
+  let dir
+  let checkSpinner
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    checkSpinner = { succeed: vi.fn(), fail: vi.fn(), stop: vi.fn() }
+    vi.mocked(logger.spinner).mockReturnValue(checkSpinner)
+    vi.spyOn(process, 'exit').mockImplementation(() => {})
+    dir = mkdtempSync(join(tmpdir(), 'launchpd-check-'))
+    writeFileSync(
+      join(dir, 'index.html'),
+      '<link rel="stylesheet" href="style.css">\n<a href="about.html">About</a>'
+    )
+    writeFileSync(join(dir, 'style.css'), 'body { margin: 0 }')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should succeed when no link is broken', async () => {
+    writeFileSync(join(dir, 'about.html'), '<a href="/">Home</a>')
+
+    await check(dir, {})
+
+    expect(checkSpinner.succeed).toHaveBeenCalledWith(
+      'No broken links (3 reference(s) in 3 file(s))'
+    )
+    expect(process.exit).not.toHaveBeenCalled()
+  })
+
+  it('should list broken links and exit with the validation exit code', async () => {
+    writeFileSync(join(dir, 'README.md'), '# Site')
+    writeFileSync(
+      join(dir, 'about.html'),
+      '<a href="README.md">Readme</a>\n<img src="img/team.png">'
+    )
+
+    await check(dir, {})
+
+    expect(checkSpinner.fail).toHaveBeenCalledWith(
+      'Found 2 broken link(s) in 1 file(s)'
+    )
+    const output = vi.mocked(logger.log).mock.calls.map(([line]) => line).join('\n')
+    expect(output).toContain('about.html')
+    expect(output).toContain('README.md')
+    expect(output).toContain('excluded by built-in ignore list ("README.md")')
+    expect(output).toContain('img/team.png')
+    expect(output).toContain('file not found')
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Some links point to files that would not be deployed.',
+      expect.any(Array),
+      expect.objectContaining({ code: 'BROKEN_LINKS' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(3)
+  })
+
+  it('should print a JSON report', async () => {
+    await check(dir, { json: true })
+
+    const report = JSON.parse(vi.mocked(logger.log).mock.calls[0][0])
+    expect(report).toEqual({
+      folder: dir,
+      checkedFiles: 2,
+      references: 2,
+      broken: [
+        {
+          file: 'index.html',
+          line: 2,
+          url: 'about.html',
+          target: 'about.html',
+          reason: 'missing',
+          message: 'file not found'
+        }
+      ]
+    })
+    expect(logger.errorWithSuggestions).not.toHaveBeenCalled()
+    expect(process.exit).toHaveBeenCalledWith(3)
+  })
+
+  it('should accept page links with --spa', async () => {
+    await check(dir, { spa: true })
+
+    expect(checkSpinner.succeed).toHaveBeenCalled()
+    expect(process.exit).not.toHaveBeenCalled()
+  })
+
+  it('should accept links handled by _redirects', async () => {
+    writeFileSync(join(dir, '_redirects'), '/about.html /  301')
+
+    await check(dir, {})
+
+    expect(checkSpinner.succeed).toHaveBeenCalled()
+  })
+
+  it('should check the publicDir of a project root', async () => {
+    mkdirSync(join(dir, 'dist'))
+    writeFileSync(join(dir, 'dist', 'index.html'), '<h1>Built</h1>')
+    vi.mocked(findPublishDir).mockResolvedValueOnce({
+      path: join(dir, 'dist'),
+      publicDir: 'dist',
+      build: 'npm run build'
+    })
+
+    await check(dir, {})
+
+    expect(findPublishDir).toHaveBeenCalledWith(dir)
+    expect(logger.info).toHaveBeenCalledWith(
+      'Checking "dist" (run "npm run build" first to refresh it)'
+    )
+    expect(checkSpinner.succeed).toHaveBeenCalledWith(
+      'No broken links (0 reference(s) in 1 file(s))'
+    )
+  })
+
+  it('should reject a publicDir that deploy rejects', async () => {
+    vi.mocked(findPublishDir).mockRejectedValueOnce(
+      new ConfigError(
+        'Invalid "publicDir" in .launchpd.json: "../elsewhere" is outside the project.',
+        ['Use a path inside the project, e.g. "dist" or "build"']
+      )
+    )
+
+    await check(dir, {})
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Invalid "publicDir" in .launchpd.json: "../elsewhere" is outside the project.',
+      ['Use a path inside the project, e.g. "dist" or "build"'],
+      expect.objectContaining({ code: 'INVALID_CONFIG' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(2)
+  })
+
+  it('should fail for a missing folder', async () => {
+    await check(join(dir, 'missing'), {})
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      expect.stringContaining('Folder not found'),
+      expect.any(Array),
+      expect.objectContaining({ code: 'SOURCE_NOT_FOUND' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(3)
+  })
+
+  it('should fail for invalid redirect rules', async () => {
+    writeFileSync(join(dir, '_redirects'), '/old')
+
+    await check(dir, {})
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Invalid redirect or header rules.',
+      expect.any(Array),
+      expect.objectContaining({ code: 'INVALID_CONFIG' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(2)
+  })
+})
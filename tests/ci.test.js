@@ -0,0 +1,46 @@
+import { detectCI, setCIMode, isCIMode } from '../src/utils/ci.js'
+import * as logger from '../src/utils/logger.js'
+
+vi.mock('../src/utils/logger.js')
+
+describe('CI mode', () => {
+  const tty = { isTTY: true }
+
+  afterEach(() => {
+    setCIMode(false)
+  })
+
+  describe('detectCI', () => {
+    it('should follow --ci and --no-ci', () => {
+      expect(detectCI({ flag: true, env: {}, stdin: tty })).toBe(true)
+      expect(detectCI({ flag: false, env: { CI: 'true' }, stdin: {} })).toBe(
+        false
+      )
+    })
+
+    it('should detect the CI environment variable', () => {
+      expect(detectCI({ env: { CI: 'true' }, stdin: tty })).toBe(true)
+      expect(detectCI({ env: { CI: '1' }, stdin: tty })).toBe(true)
+      expect(detectCI({ env: { CI: 'false' }, stdin: tty })).toBe(false)
+      expect(detectCI({ env: { CI: '0' }, stdin: tty })).toBe(false)
+      expect(detectCI({ env: {}, stdin: tty })).toBe(false)
+    })
+
+    it('should detect a stdin that is not a terminal', () => {
+      expect(detectCI({ env: {}, stdin: { isTTY: false } })).toBe(true)
+      expect(detectCI({ env: {}, stdin: {} })).toBe(true)
+    })
+  })
+
+  it('should switch the logger to plain output', () => {
+    expect(isCIMode()).toBe(false)
+
+    setCIMode()
+    expect(isCIMode()).toBe(true)
+    expect(logger.setPlainOutput).toHaveBeenLastCalledWith(true)
+
+    setCIMode(false)
+    expect(isCIMode()).toBe(false)
+    expect(logger.setPlainOutput).toHaveBeenLastCalledWith(false)
+  })
+})
@@ -11,7 +11,11 @@ import {
   isLoggedIn,
   getApiKey,
   getClientToken,
-  getApiSecret
+  getApiSecret,
+  getGitHubToken,
+  saveGitHubToken,
+  clearGitHubToken,
+  getEnvCredentials
 } from '../src/utils/credentials.js'
 
 // Mock the fs modules
@@ -156,6 +160,112 @@ describe('credentials utils', () => {
     })
   })
 
+  describe('GitHub token', () => {
+    const mockGitHubPath = '/home/testuser/.staticlaunch/github.json'
+
+    afterEach(() => {
+      vi.unstubAllEnvs()
+    })
+
+    it('prefers GITHUB_TOKEN, then GH_TOKEN, over the saved token', async () => {
+      vi.stubEnv('GITHUB_TOKEN', '')
+      vi.stubEnv('GH_TOKEN', ' gh-cli-token ')
+      readFile.mockResolvedValue(JSON.stringify({ token: 'saved-token' }))
+
+      expect(await getGitHubToken()).toEqual({
+        token: 'gh-cli-token',
+        source: 'GH_TOKEN'
+      })
+
+      vi.stubEnv('GITHUB_TOKEN', 'actions-token')
+      expect(await getGitHubToken()).toEqual({
+        token: 'actions-token',
+        source: 'GITHUB_TOKEN'
+      })
+    })
+
+    it('falls back to the token saved by login github', async () => {
+      vi.stubEnv('GITHUB_TOKEN', '')
+      vi.stubEnv('GH_TOKEN', '')
+      readFile.mockResolvedValue(
+        JSON.stringify({ token: 'saved-token', login: 'octocat' })
+      )
+
+      expect(await getGitHubToken()).toEqual({
+        token: 'saved-token',
+        source: 'launchpd login github'
+      })
+      expect(readFile).toHaveBeenCalledWith(mockGitHubPath, 'utf-8')
+    })
+
+    it('returns null without any token', async () => {
+      vi.stubEnv('GITHUB_TOKEN', '')
+      vi.stubEnv('GH_TOKEN', '')
+      readFile.mockRejectedValue(new Error('ENOENT'))
+
+      expect(await getGitHubToken()).toBeNull()
+    })
+
+    it('saves the token with owner-only permissions', async () => {
+      existsSync.mockReturnValue(true)
+
+      await saveGitHubToken({ token: 'ghp_abc', login: 'octocat' })
+
+      expect(writeFile).toHaveBeenCalledWith(
+        mockGitHubPath,
+        expect.stringContaining('"login": "octocat"'),
+        expect.objectContaining({ mode: 0o600 })
+      )
+      expect(chmod).toHaveBeenCalledWith(mockGitHubPath, 0o600)
+    })
+
+    it('reports whether a saved token was removed', async () => {
+      unlink.mockResolvedValueOnce(undefined)
+      expect(await clearGitHubToken()).toBe(true)
+
+      unlink.mockRejectedValueOnce(new Error('ENOENT'))
+      expect(await clearGitHubToken()).toBe(false)
+    })
+  })
+
+  describe('environment credentials', () => {
+    afterEach(() => {
+      vi.unstubAllEnvs()
+    })
+
+    it('reads LAUNCHPD_API_KEY and LAUNCHPD_API_SECRET', async () => {
+      vi.stubEnv('LAUNCHPD_API_KEY', ' lpd_env_key ')
+      vi.stubEnv('LAUNCHPD_API_SECRET', 'env-secret')
+
+      expect(getEnvCredentials()).toEqual({
+        apiKey: 'lpd_env_key',
+        apiSecret: 'env-secret',
+        userId: null,
+        email: null,
+        tier: 'free',
+        savedAt: null
+      })
+    })
+
+    it('takes precedence over credentials.json without reading it', async () => {
+      vi.stubEnv('LAUNCHPD_API_KEY', 'lpd_env_key')
+      existsSync.mockReturnValue(true)
+      readFile.mockResolvedValue(JSON.stringify({ apiKey: 'stored-key' }))
+
+      expect(await getApiKey()).toBe('lpd_env_key')
+      expect(await getApiSecret()).toBeNull()
+      expect(await isLoggedIn()).toBe(true)
+      expect(readFile).not.toHaveBeenCalled()
+    })
+
+    it('is ignored when LAUNCHPD_API_KEY is empty', async () => {
+      vi.stubEnv('LAUNCHPD_API_KEY', '  ')
+      vi.stubEnv('LAUNCHPD_API_SECRET', 'env-secret')
+
+      expect(getEnvCredentials()).toBeNull()
+    })
+  })
+
   describe('isLoggedIn', () => {
     it('returns true when credentials exist', async () => {
       existsSync.mockReturnValue(true)
@@ -8,9 +8,10 @@ import {
   getProjectConfig,
   findProjectRoot,
   updateProjectConfig,
-  initProjectConfig
+  initProjectConfig,
+  findPublishDir
 } from '../src/utils/projectConfig.js'
-import { existsSync } from 'node:fs'
+import { existsSync, statSync } from 'node:fs'
 import { readdir } from 'node:fs/promises'
 import * as credentials from '../src/utils/credentials.js'
 import { execFile } from 'node:child_process'
@@ -21,6 +22,12 @@ import * as prompt from '../src/utils/prompt.js'
 import * as ignore from '../src/utils/ignore.js'
 import * as expiration from '../src/utils/expiration.js'
 import * as remoteSource from '../src/utils/remoteSource.js'
+import * as journal from '../src/utils/journal.js'
+import { runShellCommand } from '../src/utils/shell.js'
+import { watchFolder } from '../src/utils/watch.js'
+import { setCIMode } from '../src/utils/ci.js'
+import * as githubActions from '../src/utils/githubActions.js'
+import { checkLinks } from '../src/utils/linkChecker.js'
 
 // Mock everything
 vi.mock('node:child_process')
@@ -46,6 +53,14 @@ vi.mock('../src/utils/api.js')
 vi.mock('../src/utils/logger.js')
 vi.mock('../src/utils/quota.js')
 vi.mock('../src/utils/validator.js')
+vi.mock('../src/utils/githubActions.js')
+vi.mock('../src/utils/linkChecker.js', async () => {
+  const actual = await vi.importActual('../src/utils/linkChecker.js')
+  return {
+    ...actual,
+    checkLinks: vi.fn()
+  }
+})
 vi.mock('../src/utils/prompt.js', () => ({
   prompt: vi.fn().mockResolvedValue(''),
   confirm: vi.fn().mockResolvedValue(true)
@@ -54,7 +69,8 @@ vi.mock('../src/utils/projectConfig.js', () => ({
   getProjectConfig: vi.fn().mockResolvedValue(null),
   findProjectRoot: vi.fn().mockReturnValue(null),
   updateProjectConfig: vi.fn().mockResolvedValue({}),
-  initProjectConfig: vi.fn().mockResolvedValue({})
+  initProjectConfig: vi.fn().mockResolvedValue({}),
+  findPublishDir: vi.fn().mockResolvedValue(null)
 }))
 vi.mock('../src/utils/localConfig.js', () => ({
   saveLocalDeployment: vi.fn().mockResolvedValue({})
@@ -64,15 +80,37 @@ vi.mock('../src/utils/expiration.js', () => ({
   formatTimeRemaining: vi.fn().mockReturnValue('1h')
 }))
 vi.mock('../src/utils/credentials.js', () => ({
-  getCredentials: vi.fn().mockResolvedValue({ email: 'test@example.com' })
+  getCredentials: vi.fn().mockResolvedValue({
+    apiKey: 'lpd_test',
+    email: 'test@example.com'
+  }),
+  getGitHubToken: vi.fn().mockResolvedValue(null),
+  API_KEY_ENV: 'LAUNCHPD_API_KEY'
 }))
 vi.mock('../src/utils/ignore.js')
 vi.mock('../src/utils/expiration.js')
+vi.mock('../src/utils/journal.js', () => ({
+  startDeployJournal: vi.fn().mockResolvedValue(undefined),
+  recordUploadedFile: vi.fn().mockResolvedValue(undefined),
+  getDeployJournal: vi.fn().mockResolvedValue(null),
+  clearDeployJournal: vi.fn().mockResolvedValue(undefined),
+  findJournaledSubdomain: vi.fn().mockResolvedValue(null)
+}))
+vi.mock('../src/utils/shell.js', () => ({
+  runShellCommand: vi.fn().mockResolvedValue(0)
+}))
+vi.mock('../src/utils/watch.js', () => ({
+  watchFolder: vi.fn()
+}))
 vi.mock('../src/utils/remoteSource.js', () => ({
   isRemoteUrl: vi.fn().mockReturnValue(false),
+  isArchivePath: vi.fn().mockReturnValue(false),
   parseRemoteUrl: vi.fn(),
   fetchRemoteSource: vi.fn(),
-  cleanupTempDir: vi.fn().mockResolvedValue(undefined)
+  extractLocalArchive: vi.fn(),
+  extractArchiveStream: vi.fn(),
+  cleanupTempDir: vi.fn().mockResolvedValue(undefined),
+  STDIN_SOURCE: '-'
 }))
 
 describe('deploy command', () => {
@@ -92,6 +130,7 @@ describe('deploy command', () => {
       stop: vi.fn()
     })
     vi.mocked(existsSync).mockReturnValue(true)
+    vi.mocked(findPublishDir).mockResolvedValue(null)
     vi.mocked(readdir).mockResolvedValue([
       {
         isFile: () => true,
@@ -109,18 +148,27 @@ describe('deploy command', () => {
       warnings: []
     })
     vi.mocked(api.getNextVersionFromAPI).mockResolvedValue(1)
+    vi.mocked(api.checkSubdomainAvailable).mockResolvedValue(true)
     vi.mocked(upload.uploadFolder).mockResolvedValue({
       uploaded: 1,
-      totalBytes: 100
+      skipped: 0,
+      totalBytes: 100,
+      uploadedBytes: 100,
+      manifest: {},
+      carryForward: null
     })
     vi.mocked(upload.finalizeUpload).mockResolvedValue({ success: true })
     vi.mocked(credentials.getCredentials).mockResolvedValue({
+      apiKey: 'lpd_test',
       email: 'test@example.com'
     })
     vi.mocked(quota.formatBytes).mockImplementation((b) => `${b} bytes`)
     vi.mocked(prompt.prompt).mockResolvedValue('')
     vi.mocked(prompt.confirm).mockResolvedValue(true)
-    vi.mocked(ignore.isIgnored).mockReturnValue(false)
+    vi.mocked(ignore.loadIgnoreMatcher).mockResolvedValue({
+      ignores: () => false,
+      check: (path) => ({ ignored: false, rule: null, path })
+    })
     vi.mocked(expiration.calculateExpiresAt).mockReturnValue(new Date())
   })
 
@@ -148,7 +196,8 @@ describe('deploy command', () => {
       expect.any(Number),
       expect.any(String),
       null,
-      'test deployment'
+      'test deployment',
+      { manifest: {}, carryForward: null }
     )
     expect(logger.success).toHaveBeenCalledWith(
       expect.stringContaining('Deployed successfully')
@@ -158,27 +207,27 @@ describe('deploy command', () => {
   it('should exit if folder does not exist', async () => {
     vi.mocked(existsSync).mockReturnValue(false)
 
-    await deploy('./non-existent', {})
+    await deploy('./non-existent', { message: 'test' })
 
     expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
       expect.stringContaining('Folder not found'),
       expect.anything(),
       expect.anything()
     )
-    expect(exitMock).toHaveBeenCalledWith(1)
+    expect(exitMock).toHaveBeenCalledWith(3)
   })
 
   it('should exit if folder is empty', async () => {
     vi.mocked(readdir).mockResolvedValue([])
 
-    await deploy('./empty', {})
+    await deploy('./empty', { message: 'test' })
 
     expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
       expect.stringContaining('Nothing to deploy'),
       expect.anything(),
       expect.anything()
     )
-    expect(exitMock).toHaveBeenCalledWith(1)
+    expect(exitMock).toHaveBeenCalledWith(3)
   })
 
   it('should exit if quota check fails', async () => {
@@ -187,9 +236,9 @@ describe('deploy command', () => {
       warnings: ['Out of space']
     })
 
-    await deploy('./test', {})
+    await deploy('./test', { message: 'test' })
 
-    expect(exitMock).toHaveBeenCalledWith(1)
+    expect(exitMock).toHaveBeenCalledWith(5)
   })
 
   it('should exit if static-only validation fails', async () => {
@@ -198,7 +247,7 @@ describe('deploy command', () => {
       violations: ['package.json', 'src/api.py']
     })
 
-    await deploy('./test', {})
+    await deploy('./test', { message: 'test' })
 
     expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
       expect.stringContaining('contains files that are not allowed'),
@@ -208,7 +257,7 @@ describe('deploy command', () => {
       ]),
       expect.anything()
     )
-    expect(exitMock).toHaveBeenCalledWith(1)
+    expect(exitMock).toHaveBeenCalledWith(3)
   })
 
   it('should show truncated list when there are more than 10 validation violations', async () => {
@@ -224,7 +273,7 @@ describe('deploy command', () => {
       expect.arrayContaining([expect.stringContaining('...and 1 more')]),
       expect.anything()
     )
-    expect(exitMock).toHaveBeenCalledWith(1)
+    expect(exitMock).toHaveBeenCalledWith(3)
   })
 
   it('should generate a QR code when --qr option is provided', async () => {
@@ -324,6 +373,80 @@ describe('deploy command', () => {
     })
   })
 
+  describe('CI mode and link flags', () => {
+    afterEach(() => {
+      setCIMode(false)
+    })
+
+    it('should deploy without prompting or linking in CI mode', async () => {
+      setCIMode()
+
+      await deploy('./test-folder', { name: 'new-site', message: 'ci' })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(initProjectConfig).not.toHaveBeenCalled()
+      expect(upload.finalizeUpload).toHaveBeenCalled()
+    })
+
+    it('should leave a mismatched config unchanged in CI mode', async () => {
+      setCIMode()
+      vi.mocked(findProjectRoot).mockReturnValue('/root')
+      vi.mocked(getProjectConfig).mockResolvedValue({ subdomain: 'old-site' })
+
+      await deploy('./test-folder', { name: 'new-site', message: 'ci' })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(updateProjectConfig).not.toHaveBeenCalled()
+      expect(logger.info).toHaveBeenCalledWith(
+        expect.stringContaining('use --link to update it')
+      )
+    })
+
+    it('should link without prompting with --link in CI mode', async () => {
+      setCIMode()
+      vi.mocked(findProjectRoot).mockReturnValue('/root')
+      vi.mocked(getProjectConfig).mockResolvedValue({ subdomain: 'old-site' })
+
+      await deploy('./test-folder', {
+        name: 'new-site',
+        message: 'ci',
+        link: true
+      })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(updateProjectConfig).toHaveBeenCalledWith(
+        { subdomain: 'new-site' },
+        '/root'
+      )
+    })
+
+    it('should auto-init without prompting with --yes', async () => {
+      await deploy('./test-folder', {
+        name: 'new-site',
+        message: 'test',
+        yes: true
+      })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(initProjectConfig).toHaveBeenCalledWith(
+        'new-site',
+        expect.anything()
+      )
+    })
+
+    it('should never ask to link with --no-link', async () => {
+      await deploy('./test-folder', {
+        name: 'new-site',
+        message: 'test',
+        link: false,
+        yes: true
+      })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(initProjectConfig).not.toHaveBeenCalled()
+    })
+  })
+
   describe('Validation and Quota with Force', () => {
     it('should proceed if validation fails but --force is used', async () => {
       vi.mocked(validator.validateStaticOnly).mockResolvedValue({
@@ -365,9 +488,8 @@ describe('deploy command', () => {
 
   describe('Error Handling', () => {
     it('should handle MaintenanceError', async () => {
-      const { MaintenanceError } = await import('../src/utils/api.js')
       vi.mocked(upload.uploadFolder).mockRejectedValue(
-        new MaintenanceError('Down')
+        new errors.MaintenanceError('Down')
       )
 
       await deploy('./test', { name: 'site', message: 'test' })
@@ -377,12 +499,13 @@ describe('deploy command', () => {
         expect.anything(),
         expect.anything()
       )
-      expect(exitMock).toHaveBeenCalledWith(1)
+      expect(exitMock).toHaveBeenCalledWith(8)
     })
 
     it('should handle NetworkError', async () => {
-      const { NetworkError } = await import('../src/utils/api.js')
-      vi.mocked(upload.uploadFolder).mockRejectedValue(new NetworkError('Net'))
+      vi.mocked(upload.uploadFolder).mockRejectedValue(
+        new errors.NetworkError('Net')
+      )
 
       await deploy('./test', { name: 'site', message: 'test' })
 
@@ -391,12 +514,13 @@ describe('deploy command', () => {
         expect.anything(),
         expect.anything()
       )
-      expect(exitMock).toHaveBeenCalledWith(1)
+      expect(exitMock).toHaveBeenCalledWith(7)
     })
 
     it('should handle AuthError', async () => {
-      const { AuthError } = await import('../src/utils/api.js')
-      vi.mocked(upload.uploadFolder).mockRejectedValue(new AuthError('401'))
+      vi.mocked(upload.uploadFolder).mockRejectedValue(
+        new errors.AuthError('401')
+      )
 
       await deploy('./test', { name: 'site', message: 'test' })
 
@@ -405,7 +529,10 @@ describe('deploy command', () => {
         expect.anything(),
         expect.anything()
       )
-      expect(exitMock).toHaveBeenCalledWith(1)
+      expect(logger.info).toHaveBeenCalledWith(
+        'Run "launchpd login" to authenticate'
+      )
+      expect(exitMock).toHaveBeenCalledWith(6)
     })
 
     it('should handle generic errors', async () => {
@@ -459,14 +586,30 @@ describe('deploy command', () => {
           parentPath: mockFolderPath
         }
       ])
-      vi.mocked(ignore.isIgnored).mockImplementation(
-        (name) => name === 'ignored.tmp'
-      )
+      const matcher = {
+        ignores: (path) => path === 'ignored.tmp',
+        check: (path) => ({ ignored: path === 'ignored.tmp', rule: null, path })
+      }
+      vi.mocked(ignore.loadIgnoreMatcher).mockResolvedValue(matcher)
 
       await deploy('./test', { name: 'site', message: 'test' })
 
-      // If it didn't crash and called upload, it handled the ignore correctly
-      expect(upload.uploadFolder).toHaveBeenCalled()
+      expect(ignore.loadIgnoreMatcher).toHaveBeenCalledWith(mockFolderPath)
+      expect(logger.spinner().succeed).toHaveBeenCalledWith(
+        expect.stringContaining('Found 1 file(s)')
+      )
+      // The same rules are used for validation and upload
+      expect(validator.validateStaticOnly).toHaveBeenCalledWith(
+        mockFolderPath,
+        matcher
+      )
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        mockFolderPath,
+        expect.any(String),
+        expect.any(Number),
+        expect.any(Function),
+        expect.objectContaining({ ignoreMatcher: matcher })
+      )
     })
   })
 
@@ -483,7 +626,7 @@ describe('deploy command', () => {
         expect.any(Array),
         expect.anything()
       )
-      expect(exitMock).toHaveBeenCalledWith(1)
+      expect(exitMock).toHaveBeenCalledWith(2)
     })
 
     it('should warn when anonymous user uses custom subdomain', async () => {
@@ -494,6 +637,36 @@ describe('deploy command', () => {
       )
     })
 
+    it('should use --name with credentials from LAUNCHPD_API_KEY', async () => {
+      const { getEnvCredentials } = await vi.importActual(
+        '../src/utils/credentials.js'
+      )
+      vi.stubEnv('LAUNCHPD_API_KEY', 'lpd_ci_key')
+      vi.mocked(credentials.getCredentials).mockResolvedValue(
+        getEnvCredentials()
+      )
+      vi.unstubAllEnvs()
+
+      await deploy('./test-folder', { name: 'ci-site', message: 'test' })
+
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        expect.any(String),
+        'ci-site',
+        expect.any(Number),
+        expect.any(Function),
+        expect.any(Object)
+      )
+      expect(logger.info).toHaveBeenCalledWith(
+        'Deploying as: the API key in LAUNCHPD_API_KEY'
+      )
+      expect(logger.warning).not.toHaveBeenCalledWith(
+        expect.stringContaining('Custom subdomains require registration')
+      )
+      expect(logger.warning).not.toHaveBeenCalledWith(
+        expect.stringContaining('Anonymous deployment limits')
+      )
+    })
+
     it('should show anonymous warnings if not logged in', async () => {
       vi.mocked(credentials.getCredentials).mockResolvedValue({}) // No email
       const { log } = await import('../src/utils/logger.js')
@@ -608,7 +781,7 @@ describe('deploy command', () => {
         ]),
         expect.anything()
       )
-      expect(exitMock).toHaveBeenCalledWith(1)
+      expect(exitMock).toHaveBeenCalledWith(2)
     })
 
     it('should exit with error if subdomain starts with hyphen', async () => {
@@ -619,7 +792,7 @@ describe('deploy command', () => {
         expect.any(Array),
         expect.anything()
       )
-      expect(exitMock).toHaveBeenCalledWith(1)
+      expect(exitMock).toHaveBeenCalledWith(2)
     })
   })
 
@@ -652,162 +825,1649 @@ describe('deploy command', () => {
     })
   })
 
-  describe('CLI Options and Platforms', () => {
-    it('should open URL on Windows if --open is provided', async () => {
-      const originalPlatform = process.platform
-      Object.defineProperty(process, 'platform', { value: 'win32' })
-
-      await deploy('./test', { name: 'site', message: 'test', open: true })
-
-      expect(execFile).toHaveBeenCalledWith('rundll32', [
-        'url.dll,FileProtocolHandler',
-        expect.stringContaining('site.launchpd.cloud')
-      ])
+  describe('Upload concurrency', () => {
+    it('should pass --concurrency to uploadFolder', async () => {
+      await deploy('./test', { name: 'site', message: 'test', concurrency: '8' })
 
-      Object.defineProperty(process, 'platform', { value: originalPlatform })
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        expect.any(String),
+        'site',
+        1,
+        expect.any(Function),
+        expect.objectContaining({ concurrency: 8 })
+      )
     })
 
-    it('should open URL on Mac if --open is provided', async () => {
-      const originalPlatform = process.platform
-      Object.defineProperty(process, 'platform', { value: 'darwin' })
-
-      await deploy('./test', { name: 'site', message: 'test', open: true })
+    it('should read concurrency from .launchpd.json', async () => {
+      vi.mocked(findProjectRoot).mockReturnValue('/root')
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        subdomain: 'site',
+        concurrency: 6
+      })
 
-      expect(execFile).toHaveBeenCalledWith('open', [expect.any(String)])
+      await deploy('./test', { message: 'test' })
 
-      Object.defineProperty(process, 'platform', { value: originalPlatform })
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        expect.any(String),
+        'site',
+        1,
+        expect.any(Function),
+        expect.objectContaining({ concurrency: 6 })
+      )
     })
 
-    it('should open URL on Linux if --open is provided', async () => {
-      const originalPlatform = process.platform
-      Object.defineProperty(process, 'platform', { value: 'linux' })
+    it('should exit on an invalid concurrency value', async () => {
+      vi.mocked(upload.uploadFolder).mockClear()
+      exitMock.mockImplementation(() => {
+        throw new Error('exit')
+      })
 
-      await deploy('./test', { name: 'site', message: 'test', open: true })
+      await expect(
+        deploy('./test', { name: 'site', message: 'test', concurrency: '0' })
+      ).rejects.toThrow('exit')
 
-      expect(execFile).toHaveBeenCalledWith('xdg-open', [
-        expect.stringContaining('site.launchpd.cloud')
-      ])
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        expect.stringContaining('Invalid concurrency'),
+        expect.anything(),
+        expect.anything()
+      )
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+  })
 
-      Object.defineProperty(process, 'platform', { value: originalPlatform })
+  describe('Resumable deploys', () => {
+    const interrupted = () => ({
+      subdomain: 'site',
+      version: 3,
+      source: resolve('./test'),
+      folderName: 'test',
+      message: 'Original message',
+      expiresAt: null,
+      manifest: { 'index.html': { hash: 'abc', size: 10 } },
+      uploaded: ['index.html']
     })
 
-    it('should show expiration warning if --expires is used', async () => {
-      await deploy('./test', { message: 'test', expires: '1h' })
-      expect(logger.warning).toHaveBeenCalledWith(
-        expect.stringContaining('Expires:')
-      )
+    beforeEach(() => {
+      vi.mocked(journal.getDeployJournal).mockResolvedValue(null)
+      vi.mocked(journal.findJournaledSubdomain).mockResolvedValue(null)
     })
-  })
 
-  describe('QR Code Edge Cases', () => {
-    it('should warn if terminal is too narrow for QR code', async () => {
-      const QRCode = await import('qrcode')
-      vi.spyOn(QRCode.default, 'toString').mockResolvedValue(
-        'VERY_WIDE_QR_CODE_CONTENT'
+    it('should journal the upload and clear it once finalized', async () => {
+      vi.mocked(upload.uploadFolder).mockImplementation(
+        async (path, sub, ver, cb, options) => {
+          await options.onManifest({ 'index.html': { hash: 'abc' } }, [])
+          await options.onFileUploaded('index.html')
+          return { uploaded: 1, skipped: 0, totalBytes: 10, uploadedBytes: 10 }
+        }
       )
-      const originalColumns = process.stdout.columns
-      process.stdout.columns = 5 // Very narrow
 
-      await deploy('./test', { message: 'test', qr: true })
+      await deploy('./test', { name: 'site', message: 'test' })
 
-      expect(logger.warning).toHaveBeenCalledWith(
-        expect.stringContaining('Terminal is too narrow')
+      expect(journal.startDeployJournal).toHaveBeenCalledWith(
+        expect.objectContaining({
+          subdomain: 'site',
+          version: 1,
+          message: 'test',
+          manifest: { 'index.html': { hash: 'abc' } }
+        }),
+        []
       )
-
-      process.stdout.columns = originalColumns
+      expect(journal.recordUploadedFile).toHaveBeenCalledWith(
+        'site',
+        'index.html'
+      )
+      expect(journal.clearDeployJournal).toHaveBeenCalledWith('site')
     })
 
-    it('should handle QR code generation error', async () => {
-      const QRCode = await import('qrcode')
-      vi.spyOn(QRCode.default, 'toString').mockRejectedValue(
-        new Error('QR Fail')
-      )
+    it('should finish the journaled version with --resume', async () => {
+      vi.mocked(journal.getDeployJournal).mockResolvedValue(interrupted())
+      vi.mocked(api.getNextVersionFromAPI).mockResolvedValue(3)
 
-      await deploy('./test', { message: 'test', qr: true })
+      await deploy('./test', { name: 'site', resume: true })
 
-      expect(logger.warning).toHaveBeenCalledWith(
-        expect.stringContaining('Could not generate QR code')
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        expect.any(String),
+        'site',
+        3,
+        expect.any(Function),
+        expect.objectContaining({
+          resumeFrom: expect.objectContaining({ uploaded: ['index.html'] })
+        })
+      )
+      expect(upload.finalizeUpload).toHaveBeenCalledWith(
+        'site',
+        3,
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(String),
+        null,
+        'Original message',
+        expect.any(Object)
       )
+      expect(exitMock).not.toHaveBeenCalled()
     })
 
-    it('should show verbose error if QR generation fails and --verbose is used', async () => {
-      const { raw } = await import('../src/utils/logger.js')
-      const QRCode = (await import('qrcode')).default
-      vi.mocked(QRCode.toString).mockRejectedValue(new Error('QR Fail'))
+    it('should find the journal by source for random subdomains', async () => {
+      vi.mocked(credentials.getCredentials).mockResolvedValue(null)
+      vi.mocked(journal.findJournaledSubdomain).mockResolvedValue('site')
+      vi.mocked(journal.getDeployJournal).mockResolvedValue(interrupted())
+      vi.mocked(api.getNextVersionFromAPI).mockResolvedValue(3)
 
-      await deploy('./test', { message: 'test', qr: true, verbose: true })
+      await deploy('./test', { resume: true })
 
-      expect(raw).toHaveBeenCalledWith(expect.any(Error), 'error')
+      expect(journal.findJournaledSubdomain).toHaveBeenCalledWith(
+        resolve('./test')
+      )
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        expect.any(String),
+        'site',
+        3,
+        expect.any(Function),
+        expect.any(Object)
+      )
     })
-  })
 
-  describe('Standardized Error Handling', () => {
-    it('should handle errors via handleCommonError', async () => {
-      vi.mocked(api.getNextVersionFromAPI).mockRejectedValue(
-        new Error('Common Fail')
+    it('should exit when there is nothing to resume', async () => {
+      exitMock.mockImplementation(() => {
+        throw new Error('exit')
+      })
+
+      await expect(
+        deploy('./test', { name: 'site', resume: true })
+      ).rejects.toThrow('exit')
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Nothing to resume.',
+        expect.anything(),
+        expect.anything()
       )
-      const handleSpy = vi
-        .spyOn(errors, 'handleCommonError')
-        .mockReturnValue(true)
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
 
-      await deploy('./test', { message: 'test' })
+    it('should refuse to resume a version that was already finalized', async () => {
+      exitMock.mockImplementation(() => {
+        throw new Error('exit')
+      })
+      vi.mocked(journal.getDeployJournal).mockResolvedValue(interrupted())
+      vi.mocked(api.getNextVersionFromAPI).mockResolvedValue(4)
 
-      expect(handleSpy).toHaveBeenCalled()
-      expect(exitMock).toHaveBeenCalledWith(1)
-      handleSpy.mockRestore()
+      await expect(
+        deploy('./test', { name: 'site', resume: true })
+      ).rejects.toThrow('exit')
+
+      expect(journal.clearDeployJournal).toHaveBeenCalledWith('site')
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
     })
 
-    it('should handle common errors via handleCommonError and call its error callback', async () => {
-      vi.mocked(api.getNextVersionFromAPI).mockRejectedValue(
-        new Error('Common Fail')
-      )
-      const handleSpy = vi
-        .spyOn(errors, 'handleCommonError')
-        .mockImplementation((err, callbacks) => {
-          callbacks.error('Mocked Error Message')
-          return true
-        })
+    it('should suggest --resume when an upload is interrupted', async () => {
+      vi.mocked(upload.uploadFolder).mockRejectedValue(new Error('socket hang up'))
+      vi.mocked(journal.getDeployJournal)
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(interrupted())
 
-      await deploy('./test', { message: 'test' })
+      await deploy('./test', { name: 'site', message: 'test' })
 
       expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
-        'Mocked Error Message',
-        expect.any(Array),
+        'Upload failed: socket hang up',
+        expect.arrayContaining([
+          'Run "launchpd deploy ./test --name site --resume" to finish uploading this version'
+        ]),
         expect.anything()
       )
-      expect(exitMock).toHaveBeenCalledWith(1)
-      handleSpy.mockRestore()
     })
 
-    it('should provide suggestions for Unauthorized/401 errors', async () => {
-      vi.mocked(api.getNextVersionFromAPI).mockRejectedValue(
-        new Error('401 Unauthorized')
-      )
+    it('should suggest --resume when the network or the platform fails mid-upload', async () => {
+      for (const [err, message] of [
+        [new errors.NetworkError('Unable to connect'), 'Unable to connect to LaunchPd'],
+        [new errors.MaintenanceError(), '⚠️ LaunchPd is under maintenance']
+      ]) {
+        vi.mocked(logger.errorWithSuggestions).mockClear()
+        vi.mocked(upload.uploadFolder).mockRejectedValueOnce(err)
+        vi.mocked(journal.getDeployJournal)
+          .mockResolvedValueOnce(null)
+          .mockResolvedValueOnce(interrupted())
+
+        await deploy('./test', { name: 'site', message: 'test' })
+
+        expect(logger.errorWithSuggestions).toHaveBeenCalledTimes(1)
+        expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+          message,
+          expect.arrayContaining([
+            'Run "launchpd deploy ./test --name site --resume" to finish uploading this version'
+          ]),
+          expect.anything()
+        )
+      }
+    })
+  })
 
-      await deploy('./test', { message: 'test' })
+  describe('Dry run', () => {
+    const plan = () => ({
+      files: [
+        {
+          path: 'index.html',
+          fullPath: '/test/index.html',
+          contentType: 'text/html',
+          size: 40,
+          hash: 'a',
+          status: 'changed'
+        },
+        {
+          path: 'css/site.css',
+          fullPath: '/test/css/site.css',
+          contentType: 'text/css',
+          size: 60,
+          hash: 'b',
+          status: 'unchanged'
+        }
+      ],
+      ignored: [
+        { path: 'node_modules/', reason: 'built-in ignore list ("node_modules")', files: 12 }
+      ],
+      manifest: {},
+      previousVersion: 1,
+      totalBytes: 100
+    })
 
-      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+    beforeEach(() => {
+      vi.mocked(upload.planUpload).mockResolvedValue(plan())
+      vi.mocked(api.getNextVersionFromAPI).mockResolvedValue(2)
+    })
+
+    it('should run the checks and stop before uploading', async () => {
+      await deploy('./test', { name: 'site', dryRun: true })
+
+      expect(validator.validateStaticOnly).toHaveBeenCalled()
+      expect(api.checkSubdomainAvailable).toHaveBeenCalledWith('site')
+      expect(quota.checkQuota).toHaveBeenCalled()
+      expect(upload.planUpload).toHaveBeenCalledWith(
         expect.any(String),
-        expect.arrayContaining([expect.stringContaining('launchpd login')]),
-        expect.anything()
+        'site',
+        2,
+        expect.objectContaining({ ignoreMatcher: expect.any(Object) })
       )
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+      expect(upload.finalizeUpload).not.toHaveBeenCalled()
+      expect(initProjectConfig).not.toHaveBeenCalled()
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(logger.success).toHaveBeenCalledWith(
+        'Dry run complete. Nothing was uploaded.'
+      )
+      expect(exitMock).not.toHaveBeenCalled()
     })
-  })
 
-  describe('Remote URL Deploy', () => {
-    it('should detect and fetch from a GitHub repo URL', async () => {
-      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
-      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
-        type: 'repo',
-        owner: 'user',
-        repo: 'my-repo'
-      })
-      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
-        tempDir: '/tmp/launchpd-repo-test',
-        folderPath: '/tmp/launchpd-repo-test'
-      })
+    it('should print each file and ignored path', async () => {
+      await deploy('./test', { name: 'site', dryRun: true })
 
-      await deploy('https://github.com/user/my-repo', {
+      const lines = vi.mocked(logger.log).mock.calls.map((c) => c[0])
+      expect(lines.some((l) => l.includes('index.html') && l.includes('text/html'))).toBe(true)
+      expect(lines.some((l) => l.includes('node_modules/ (12 file(s))'))).toBe(true)
+      expect(logger.info).toHaveBeenCalledWith(
+        expect.stringContaining('Would upload 1 file(s) (40 bytes), 1 unchanged')
+      )
+    })
+
+    it('should not update the project config on a subdomain mismatch', async () => {
+      vi.mocked(findProjectRoot).mockReturnValue('/root')
+      vi.mocked(getProjectConfig).mockResolvedValue({ subdomain: 'linked' })
+
+      await deploy('./test', { name: 'other', dryRun: true })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(updateProjectConfig).not.toHaveBeenCalled()
+    })
+
+    it('should print the plan as JSON on stdout with --json', async () => {
+      vi.mocked(quota.checkQuota).mockResolvedValue({
+        allowed: true,
+        isNewSite: false,
+        quota: {
+          usage: { storageUsed: 1000, sitesRemaining: 2 },
+          limits: { maxStorageBytes: 5000 }
+        },
+        warnings: []
+      })
+
+      await deploy('./test', { name: 'site', dryRun: true, json: true })
+
+      expect(logger.setJsonOutput).toHaveBeenCalledWith()
+      expect(logger.setJsonOutput).toHaveBeenLastCalledWith(false)
+      const output = JSON.parse(vi.mocked(logger.raw).mock.calls[0][0])
+      expect(output).toMatchObject({
+        dryRun: true,
+        subdomain: 'site',
+        url: 'https://site.launchpd.cloud',
+        version: 2,
+        files: [
+          { path: 'index.html', contentType: 'text/html', size: 40, status: 'changed' },
+          { path: 'css/site.css', contentType: 'text/css', size: 60, status: 'unchanged' }
+        ],
+        ignored: [{ path: 'node_modules/', files: 12 }],
+        totals: { files: 2, bytes: 100, uploadFiles: 1, uploadBytes: 40, unchangedFiles: 1 },
+        quota: { allowed: true, isNewSite: false, storageUsed: 1000, storageLimit: 5000, sitesRemaining: 2 }
+      })
+      expect(output.files[0].fullPath).toBeUndefined()
+      expect(logger.success).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('JSON output', () => {
+    it('should print one JSON document with the deploy result', async () => {
+      vi.mocked(logger.getRecordedWarnings).mockReturnValue([
+        'You have 1 site(s) remaining'
+      ])
+      vi.mocked(upload.uploadFolder).mockResolvedValue({
+        uploaded: 3,
+        skipped: 2,
+        totalBytes: 500,
+        uploadedBytes: 300,
+        manifest: {},
+        carryForward: null
+      })
+
+      await deploy('./test', { name: 'site', message: 'ci', json: true })
+
+      expect(logger.setJsonOutput).toHaveBeenCalledWith()
+      expect(logger.setJsonOutput).toHaveBeenLastCalledWith(false)
+      expect(logger.raw).toHaveBeenCalledTimes(1)
+      const output = JSON.parse(vi.mocked(logger.raw).mock.calls[0][0])
+      expect(output).toMatchObject({
+        ok: true,
+        subdomain: 'site',
+        url: 'https://site.launchpd.cloud',
+        version: 1,
+        fileCount: 1,
+        totalBytes: 500,
+        uploadedFiles: 3,
+        unchangedFiles: 2,
+        expiresAt: null,
+        message: 'ci',
+        source: { type: 'folder', location: resolve('./test') },
+        warnings: ['You have 1 site(s) remaining']
+      })
+      expect(Object.keys(output.durationsMs)).toEqual([
+        'source',
+        'build',
+        'prepare',
+        'predeploy',
+        'scan',
+        'validate',
+        'quota',
+        'upload',
+        'finalize',
+        'postdeploy',
+        'total'
+      ])
+    })
+
+    it('should include remote source details', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'user',
+        repo: 'site'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-repo-test',
+        folderPath: '/tmp/launchpd-repo-test',
+        commit: { sha: 'abcdef0123456789', ref: 'main' },
+        cached: true
+      })
+
+      await deploy('https://github.com/user/site', { message: 'ci', json: true })
+
+      const output = JSON.parse(vi.mocked(logger.raw).mock.calls[0][0])
+      expect(output.source).toEqual({
+        type: 'repo',
+        location: 'https://github.com/user/site',
+        commit: 'abcdef0123456789',
+        ref: 'main',
+        cached: true
+      })
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(false)
+    })
+
+    it('should never prompt', async () => {
+      await deploy('./test', { name: 'new-site', message: 'ci', json: true })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(initProjectConfig).not.toHaveBeenCalled()
+    })
+
+    it('should not print a result document when the deploy fails', async () => {
+      vi.mocked(quota.checkQuota).mockResolvedValue({
+        allowed: false,
+        warnings: []
+      })
+      exitMock.mockImplementationOnce(() => {
+        throw new Error('process.exit(1)')
+      })
+
+      await expect(
+        deploy('./test', { message: 'ci', json: true })
+      ).rejects.toThrow('process.exit(1)')
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Deployment blocked due to quota limits.',
+        expect.any(Array),
+        expect.objectContaining({ code: 'QUOTA_EXCEEDED' })
+      )
+      expect(logger.raw).not.toHaveBeenCalled()
+    })
+
+    it('should reject --watch', async () => {
+      await deploy('./test', { message: 'ci', json: true, watch: true })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        '--watch cannot be combined with --json.',
+        expect.any(Array),
+        expect.objectContaining({ code: 'INVALID_OPTION' })
+      )
+      expect(exitMock).toHaveBeenCalledWith(2)
+    })
+  })
+
+  describe('Redirect and header rules', () => {
+    it('should send the rules with the finalize request', async () => {
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        redirects: [{ from: '/old', to: '/new' }],
+        headers: [{ for: '/*', values: { 'X-Frame-Options': 'DENY' } }]
+      })
+
+      await deploy('./test-folder', { name: 'my-site', message: 'rules' })
+
+      expect(upload.finalizeUpload).toHaveBeenCalledWith(
+        'my-site',
+        1,
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(String),
+        null,
+        'rules',
+        expect.objectContaining({
+          redirects: [{ from: '/old', to: '/new', status: 301, force: false }],
+          headers: [{ for: '/*', values: { 'X-Frame-Options': 'DENY' } }]
+        })
+      )
+      expect(logger.info).toHaveBeenCalledWith(
+        'Loaded 1 redirect rule(s) and 1 header rule(s)'
+      )
+    })
+
+    it('should send the fallback and 404 pages', async () => {
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        notFoundPage: '/errors/404.html'
+      })
+      vi.mocked(statSync)
+        .mockReturnValueOnce({ isFile: () => true })
+        .mockReturnValueOnce({ isFile: () => true })
+
+      await deploy('./test-folder', {
+        name: 'my-site',
+        message: 'spa',
+        spa: true
+      })
+
+      expect(upload.finalizeUpload).toHaveBeenCalledWith(
+        'my-site',
+        1,
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(String),
+        null,
+        'spa',
+        expect.objectContaining({
+          fallback: 'index.html',
+          notFoundPage: 'errors/404.html'
+        })
+      )
+      expect(logger.warning).not.toHaveBeenCalledWith(
+        expect.stringContaining('does not exist')
+      )
+    })
+
+    it('should warn when the fallback page is not in the upload set', async () => {
+      vi.mocked(getProjectConfig).mockResolvedValue({ fallback: 'app.html' })
+      vi.mocked(statSync).mockReturnValueOnce(undefined)
+
+      await deploy('./test-folder', { name: 'my-site', message: 'spa' })
+
+      expect(logger.warning).toHaveBeenCalledWith(
+        'The SPA fallback "app.html" does not exist in the deployed folder.'
+      )
+      expect(upload.uploadFolder).toHaveBeenCalled()
+    })
+
+    it('should block the deploy on invalid rules', async () => {
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        redirects: [{ from: 'old', to: '/new' }]
+      })
+      exitMock.mockImplementationOnce((code) => {
+        throw new Error(`process.exit(${code})`)
+      })
+
+      await expect(
+        deploy('./test-folder', { name: 'my-site', message: 'rules' })
+      ).rejects.toThrow('process.exit(2)')
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Invalid redirect or header rules.',
+        expect.arrayContaining([
+          '.launchpd.json: redirects[0]: path "old" must start with "/"'
+        ]),
+        expect.objectContaining({ code: 'INVALID_CONFIG' })
+      )
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should include the rules in the dry run plan', async () => {
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        redirects: [{ from: '/old', to: '/new', status: 302 }]
+      })
+      vi.mocked(upload.planUpload).mockResolvedValueOnce({
+        files: [],
+        ignored: [],
+        totalBytes: 0
+      })
+
+      await deploy('./test-folder', {
+        name: 'my-site',
+        dryRun: true,
+        json: true
+      })
+
+      const report = JSON.parse(vi.mocked(logger.raw).mock.calls.at(-1)[0])
+      expect(report.redirects).toEqual([
+        { from: '/old', to: '/new', status: 302, force: false }
+      ])
+      expect(report.headers).toEqual([])
+    })
+  })
+
+  describe('Link check', () => {
+    const brokenReadme = {
+      file: 'index.html',
+      line: 12,
+      url: 'README.md',
+      target: 'README.md',
+      reason: 'ignored',
+      rule: { pattern: 'README.md', source: 'default' }
+    }
+
+    beforeEach(() => {
+      vi.mocked(ignore.describeIgnoreRule).mockReturnValue(
+        'built-in ignore list ("README.md")'
+      )
+    })
+
+    it('should not check links unless --check-links is passed', async () => {
+      await deploy('./test-folder', { name: 'my-site', message: 'test' })
+
+      expect(checkLinks).not.toHaveBeenCalled()
+    })
+
+    it('should check links between the scan and the static validation', async () => {
+      vi.mocked(checkLinks).mockResolvedValueOnce({
+        checkedFiles: 1,
+        references: 3,
+        broken: []
+      })
+
+      await deploy('./test-folder', {
+        name: 'my-site',
+        message: 'test',
+        checkLinks: true
+      })
+
+      expect(checkLinks).toHaveBeenCalledWith(
+        resolve('./test-folder'),
+        expect.objectContaining({ ignores: expect.any(Function) }),
+        expect.objectContaining({ redirects: [], fallback: null })
+      )
+      expect(readdir.mock.invocationCallOrder[0]).toBeLessThan(
+        checkLinks.mock.invocationCallOrder[0]
+      )
+      expect(checkLinks.mock.invocationCallOrder[0]).toBeLessThan(
+        validator.validateStaticOnly.mock.invocationCallOrder[0]
+      )
+      expect(logger.spinner().succeed).toHaveBeenCalledWith(
+        'No broken links (3 reference(s) in 1 file(s))'
+      )
+      expect(upload.uploadFolder).toHaveBeenCalled()
+    })
+
+    it('should block the deploy on broken links', async () => {
+      vi.mocked(checkLinks).mockResolvedValueOnce({
+        checkedFiles: 1,
+        references: 1,
+        broken: [brokenReadme]
+      })
+      exitMock.mockImplementationOnce((code) => {
+        throw new Error(`Process.exit(${code})`)
+      })
+
+      await expect(
+        deploy('./test-folder', {
+          name: 'my-site',
+          message: 'test',
+          checkLinks: true
+        })
+      ).rejects.toThrow('Process.exit(3)')
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Some links point to files that would not be deployed.',
+        expect.arrayContaining([
+          'index.html:12 README.md (excluded by built-in ignore list ("README.md"))'
+        ]),
+        expect.objectContaining({ code: 'BROKEN_LINKS' })
+      )
+      expect(validator.validateStaticOnly).not.toHaveBeenCalled()
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should only warn about broken links with --force', async () => {
+      vi.mocked(checkLinks).mockResolvedValueOnce({
+        checkedFiles: 1,
+        references: 1,
+        broken: [{ ...brokenReadme, url: 'img/logo.png', reason: 'missing' }]
+      })
+
+      await deploy('./test-folder', {
+        name: 'my-site',
+        message: 'test',
+        checkLinks: true,
+        force: true
+      })
+
+      expect(logger.spinner().warn).toHaveBeenCalledWith(
+        'Found 1 broken link(s), but proceeding due to --force'
+      )
+      expect(logger.warning).toHaveBeenCalledWith(
+        'Broken link: index.html:12 img/logo.png (file not found)'
+      )
+      expect(upload.uploadFolder).toHaveBeenCalled()
+    })
+
+    it('should annotate broken links in GitHub Actions', async () => {
+      vi.mocked(githubActions.isGitHubActions).mockReturnValueOnce(true)
+      vi.mocked(githubActions.toWorkspacePath).mockReturnValueOnce(
+        'site/index.html'
+      )
+      vi.mocked(checkLinks).mockResolvedValueOnce({
+        checkedFiles: 1,
+        references: 1,
+        broken: [brokenReadme]
+      })
+
+      await deploy('./test-folder', {
+        name: 'my-site',
+        message: 'test',
+        checkLinks: true,
+        force: true
+      })
+
+      expect(githubActions.annotateWarning).toHaveBeenCalledWith(
+        'Broken link: index.html:12 README.md (excluded by built-in ignore list ("README.md"))',
+        { file: 'site/index.html', line: '12', title: 'Launchpd links' }
+      )
+    })
+  })
+
+  describe('GitHub Actions', () => {
+    beforeEach(() => {
+      vi.mocked(githubActions.isGitHubActions).mockReturnValue(true)
+      vi.mocked(githubActions.toWorkspacePath).mockImplementation(
+        (path) => `workspace${path}`
+      )
+      vi.mocked(githubActions.formatDeploySummary).mockReturnValue('summary')
+    })
+
+    afterEach(() => {
+      vi.mocked(githubActions.isGitHubActions).mockReturnValue(false)
+    })
+
+    it('should write step outputs and a job summary', async () => {
+      vi.mocked(quota.checkQuota).mockResolvedValueOnce({
+        allowed: true,
+        warnings: ['You have 1 site(s) remaining']
+      })
+
+      await deploy('./test-folder', { name: 'my-site', message: 'ci' })
+
+      expect(githubActions.setOutputs).toHaveBeenCalledWith({
+        url: 'https://my-site.launchpd.cloud',
+        subdomain: 'my-site',
+        version: 1
+      })
+      expect(githubActions.formatDeploySummary).toHaveBeenCalledWith(
+        expect.objectContaining({
+          subdomain: 'my-site',
+          url: 'https://my-site.launchpd.cloud',
+          version: 1,
+          fileCount: 1,
+          totalBytes: 100,
+          message: 'ci',
+          quotaWarnings: ['You have 1 site(s) remaining']
+        })
+      )
+      expect(githubActions.appendStepSummary).toHaveBeenCalledWith('summary')
+    })
+
+    it('should annotate quota warnings', async () => {
+      vi.mocked(quota.checkQuota).mockResolvedValueOnce({
+        allowed: true,
+        warnings: ['Storage 90% used']
+      })
+
+      await deploy('./test-folder', { name: 'my-site', message: 'ci' })
+
+      expect(githubActions.annotateWarning).toHaveBeenCalledWith(
+        'Storage 90% used',
+        { title: 'Launchpd quota' }
+      )
+    })
+
+    it('should annotate validator violations with their file', async () => {
+      vi.mocked(validator.validateStaticOnly).mockResolvedValueOnce({
+        success: false,
+        violations: ['server.php'],
+        violationPaths: ['api/server.php']
+      })
+
+      await deploy('./test-folder', {
+        name: 'my-site',
+        message: 'ci',
+        force: true
+      })
+
+      expect(githubActions.annotateWarning).toHaveBeenCalledWith(
+        'Non-static file: api/server.php',
+        {
+          file: `workspace${resolve('./test-folder', 'api/server.php')}`,
+          title: 'Launchpd validation'
+        }
+      )
+    })
+
+    it('should not write outputs for a dry run', async () => {
+      await deploy('./test-folder', {
+        name: 'my-site',
+        message: 'ci',
+        dryRun: true
+      })
+
+      expect(githubActions.setOutputs).not.toHaveBeenCalled()
+      expect(githubActions.appendStepSummary).not.toHaveBeenCalled()
+    })
+
+    it('should only warn when the outputs cannot be written', async () => {
+      vi.mocked(githubActions.setOutputs).mockImplementationOnce(() => {
+        throw new Error('EACCES')
+      })
+
+      await deploy('./test-folder', { name: 'my-site', message: 'ci' })
+
+      expect(logger.warning).toHaveBeenCalledWith(
+        'Could not write the GitHub Actions outputs: EACCES'
+      )
+      expect(exitMock).not.toHaveBeenCalled()
+    })
+
+    it('should do nothing outside GitHub Actions', async () => {
+      vi.mocked(githubActions.isGitHubActions).mockReturnValue(false)
+
+      await deploy('./test-folder', { name: 'my-site', message: 'ci' })
+
+      expect(githubActions.setOutputs).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Error codes', () => {
+    it('should report a missing message as INVALID_OPTION', async () => {
+      await deploy('./test', {})
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Deployment message is required.',
+        expect.any(Array),
+        expect.objectContaining({ code: 'INVALID_OPTION' })
+      )
+    })
+
+    it('should report a subdomain owned by someone else as SUBDOMAIN_TAKEN', async () => {
+      vi.mocked(api.checkSubdomainAvailable).mockResolvedValueOnce(false)
+      vi.mocked(api.listSubdomains).mockResolvedValueOnce({ subdomains: [] })
+
+      await deploy('./test', { name: 'taken', message: 'm' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        expect.stringContaining('You do not own this subdomain'),
+        expect.any(Array),
+        expect.objectContaining({ code: 'SUBDOMAIN_TAKEN' })
+      )
+      expect(exitMock).toHaveBeenCalledWith(4)
+    })
+
+    it('should classify upload errors', async () => {
+      vi.mocked(upload.uploadFolder).mockRejectedValue(
+        new errors.NetworkError('offline')
+      )
+
+      await deploy('./test', { message: 'm' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(Array),
+        expect.objectContaining({ code: 'NETWORK_ERROR' })
+      )
+    })
+
+    it('should exit with the exit code of the category when an upload fails', async () => {
+      const cases = [
+        [new errors.NetworkError('Upload timed out after 30s.'), 'NETWORK_ERROR', 7],
+        [new errors.AuthError('Invalid API key'), 'AUTH_FAILED', 6],
+        [new errors.QuotaError('Storage quota exceeded'), 'QUOTA_EXCEEDED', 5],
+        [new errors.MaintenanceError(), 'MAINTENANCE', 8]
+      ]
+
+      for (const [err, code, exitCode] of cases) {
+        vi.mocked(logger.errorWithSuggestions).mockClear()
+        exitMock.mockClear()
+        vi.mocked(upload.uploadFolder).mockRejectedValueOnce(err)
+
+        await deploy('./test', { message: 'm' })
+
+        expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+          expect.any(String),
+          expect.any(Array),
+          expect.objectContaining({ code })
+        )
+        expect(exitMock).toHaveBeenNthCalledWith(1, exitCode)
+      }
+    })
+
+    it('should exit with the exit code of the category when finalizing fails', async () => {
+      const cases = [
+        [new errors.NetworkError('Unable to connect to LaunchPd servers'), 7],
+        [new errors.AuthError('Invalid API key'), 6],
+        [new errors.QuotaError('Storage quota exceeded'), 5]
+      ]
+
+      for (const [err, exitCode] of cases) {
+        exitMock.mockClear()
+        vi.mocked(upload.finalizeUpload).mockRejectedValueOnce(err)
+
+        await deploy('./test', { message: 'm' })
+
+        expect(exitMock).toHaveBeenNthCalledWith(1, exitCode)
+      }
+    })
+
+    it('should fall back to UPLOAD_FAILED', async () => {
+      vi.mocked(upload.uploadFolder).mockRejectedValue(new Error('500 boom'))
+
+      await deploy('./test', { message: 'm' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Upload failed: 500 boom',
+        expect.any(Array),
+        expect.objectContaining({ code: 'UPLOAD_FAILED' })
+      )
+    })
+  })
+
+  describe('Build step and publish directory', () => {
+    const projectRoot = resolve('./app')
+    const publishDir = resolve('./app/dist')
+
+    beforeEach(() => {
+      vi.mocked(findProjectRoot).mockReturnValue(projectRoot)
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        subdomain: 'site',
+        build: 'npm run build',
+        publicDir: 'dist'
+      })
+      vi.mocked(findPublishDir).mockImplementation(async (folderPath) =>
+        folderPath === projectRoot
+          ? { projectRoot, build: 'npm run build', publicDir: 'dist', path: publishDir }
+          : null
+      )
+      vi.mocked(runShellCommand).mockResolvedValue(0)
+      vi.mocked(statSync).mockReturnValue({ isDirectory: () => true, size: 10 })
+    })
+
+    it('should run the build in the project root and deploy the publish dir', async () => {
+      await deploy('./app', { message: 'test' })
+
+      expect(runShellCommand).toHaveBeenCalledWith('npm run build', {
+        cwd: projectRoot,
+        stdoutToStderr: false
+      })
+      expect(ignore.loadIgnoreMatcher).toHaveBeenCalledWith(publishDir)
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        publishDir,
+        'site',
+        expect.any(Number),
+        expect.any(Function),
+        expect.any(Object)
+      )
+    })
+
+    it('should abort with the command failed exit code when the build fails', async () => {
+      vi.mocked(runShellCommand).mockResolvedValue(6)
+      exitMock.mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`)
+      })
+
+      await expect(deploy('./app', { message: 'test' })).rejects.toThrow(
+        'process.exit(10)'
+      )
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Build failed with exit code 6: npm run build',
+        expect.any(Array),
+        expect.objectContaining({
+          code: 'BUILD_FAILED',
+          details: { command: 'npm run build', commandExitCode: 6 }
+        })
+      )
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should skip the build with --skip-build', async () => {
+      await deploy('./app', { message: 'test', skipBuild: true })
+
+      expect(runShellCommand).not.toHaveBeenCalled()
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        publishDir,
+        'site',
+        expect.any(Number),
+        expect.any(Function),
+        expect.any(Object)
+      )
+    })
+
+    it('should not run the build on a dry run', async () => {
+      vi.mocked(upload.planUpload).mockResolvedValue({
+        files: [],
+        ignored: [],
+        manifest: {},
+        previousVersion: null,
+        totalBytes: 0
+      })
+
+      await deploy('./app', { dryRun: true })
+
+      expect(runShellCommand).not.toHaveBeenCalled()
+      expect(upload.planUpload).toHaveBeenCalledWith(
+        publishDir,
+        'site',
+        expect.any(Number),
+        expect.any(Object)
+      )
+    })
+
+    it('should exit if the publish dir does not exist after the build', async () => {
+      vi.mocked(existsSync).mockImplementation((path) => path !== publishDir)
+
+      await deploy('./app', { message: 'test' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        `Publish directory not found: ${publishDir}`,
+        expect.arrayContaining([
+          'Check that "npm run build" writes its output to "dist"'
+        ]),
+        expect.any(Object)
+      )
+      expect(exitMock).toHaveBeenCalledWith(2)
+    })
+
+    it('should reject invalid build and publicDir settings', async () => {
+      vi.mocked(findPublishDir).mockRejectedValue(
+        new errors.ConfigError(
+          'Invalid "publicDir" in .launchpd.json: "../other" is outside the project.',
+          ['Use a path inside the project, e.g. "dist" or "build"']
+        )
+      )
+
+      await deploy('./app', { message: 'test' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Invalid "publicDir" in .launchpd.json: "../other" is outside the project.',
+        ['Use a path inside the project, e.g. "dist" or "build"'],
+        expect.objectContaining({ code: 'INVALID_CONFIG' })
+      )
+      expect(runShellCommand).not.toHaveBeenCalled()
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+      expect(exitMock).toHaveBeenCalledWith(2)
+    })
+
+    it('should deploy the project root when only a build is set', async () => {
+      vi.mocked(findPublishDir).mockResolvedValue({
+        projectRoot,
+        build: 'npm run build',
+        publicDir: null,
+        path: null
+      })
+
+      await deploy('./app', { message: 'test' })
+
+      expect(runShellCommand).toHaveBeenCalledWith('npm run build', expect.any(Object))
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        projectRoot,
+        'site',
+        expect.any(Number),
+        expect.any(Function),
+        expect.any(Object)
+      )
+    })
+
+    it('should ignore the settings when deploying a folder other than the project root', async () => {
+      await deploy('./app/public', { message: 'test' })
+
+      expect(runShellCommand).not.toHaveBeenCalled()
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        resolve('./app/public'),
+        'site',
+        expect.any(Number),
+        expect.any(Function),
+        expect.any(Object)
+      )
+    })
+
+    it('should link an existing config in place on auto-init', async () => {
+      vi.mocked(getProjectConfig).mockResolvedValue({ publicDir: 'dist' })
+      vi.mocked(prompt.prompt).mockResolvedValue('y')
+
+      await deploy('./app', { name: 'new-site', message: 'test' })
+
+      expect(updateProjectConfig).toHaveBeenCalledWith(
+        { subdomain: 'new-site' },
+        projectRoot
+      )
+      expect(initProjectConfig).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Lifecycle hooks', () => {
+    const projectRoot = resolve('./app')
+    const hookCall = (command) =>
+      vi.mocked(runShellCommand).mock.calls.find(([cmd]) => cmd === command)
+
+    beforeEach(() => {
+      vi.mocked(findProjectRoot).mockReturnValue(projectRoot)
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        subdomain: 'site',
+        hooks: {
+          predeploy: 'npm run sitemap',
+          postdeploy: './purge.sh',
+          onError: './notify.sh'
+        }
+      })
+      vi.mocked(runShellCommand).mockResolvedValue(0)
+      vi.mocked(api.getNextVersionFromAPI).mockResolvedValue(4)
+    })
+
+    it('should run predeploy before scanning with the deploy context', async () => {
+      await deploy('./app', { message: 'Update docs' })
+
+      const [, options] = hookCall('npm run sitemap')
+      expect(options.cwd).toBe(projectRoot)
+      expect(options.env).toEqual({
+        LAUNCHPD_HOOK: 'predeploy',
+        LAUNCHPD_SUBDOMAIN: 'site',
+        LAUNCHPD_VERSION: '4',
+        LAUNCHPD_URL: 'https://site.launchpd.cloud',
+        LAUNCHPD_MESSAGE: 'Update docs',
+        LAUNCHPD_SOURCE: projectRoot
+      })
+      expect(vi.mocked(runShellCommand).mock.invocationCallOrder[0]).toBeLessThan(
+        vi.mocked(readdir).mock.invocationCallOrder[0]
+      )
+    })
+
+    it('should run postdeploy after the deployment is finalized', async () => {
+      await deploy('./app', { message: 'Update docs' })
+
+      expect(hookCall('./purge.sh')[1].env.LAUNCHPD_HOOK).toBe('postdeploy')
+      expect(hookCall('./notify.sh')).toBeUndefined()
+      const postdeployCall = vi
+        .mocked(runShellCommand)
+        .mock.calls.findIndex(([cmd]) => cmd === './purge.sh')
+      expect(
+        vi.mocked(runShellCommand).mock.invocationCallOrder[postdeployCall]
+      ).toBeGreaterThan(vi.mocked(upload.finalizeUpload).mock.invocationCallOrder[0])
+    })
+
+    it('should block the deploy when predeploy fails', async () => {
+      vi.mocked(runShellCommand).mockImplementation(async (command) =>
+        command === 'npm run sitemap' ? 3 : 0
+      )
+      exitMock.mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`)
+      })
+
+      await expect(deploy('./app', { message: 'Update docs' })).rejects.toThrow(
+        'process.exit(10)'
+      )
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Deployment blocked: predeploy hook failed with exit code 3',
+        expect.any(Array),
+        expect.objectContaining({
+          code: 'HOOK_FAILED',
+          details: { command: 'npm run sitemap', commandExitCode: 3 }
+        })
+      )
+      expect(hookCall('./notify.sh')[1].env.LAUNCHPD_ERROR).toBe(
+        'Deployment blocked: predeploy hook failed with exit code 3'
+      )
+      expect(readdir).not.toHaveBeenCalled()
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should run onError with the error when the upload fails', async () => {
+      vi.mocked(upload.uploadFolder).mockRejectedValue(new Error('Upload failed'))
+
+      await deploy('./app', { message: 'Update docs' })
+
+      const [, options] = hookCall('./notify.sh')
+      expect(options.env.LAUNCHPD_HOOK).toBe('onError')
+      expect(options.env.LAUNCHPD_ERROR).toBe('Upload failed')
+      expect(hookCall('./purge.sh')).toBeUndefined()
+    })
+
+    it('should run onError before exiting when validation fails', async () => {
+      vi.mocked(validator.validateStaticOnly).mockResolvedValueOnce({
+        success: false,
+        violations: ['server.php']
+      })
+
+      await deploy('./app', { message: 'Update docs' })
+
+      const [, options] = hookCall('./notify.sh')
+      expect(options.env.LAUNCHPD_VERSION).toBe('4')
+      expect(options.env.LAUNCHPD_ERROR).toBe(
+        'Your project contains files that are not allowed.'
+      )
+      const onErrorCall = vi
+        .mocked(runShellCommand)
+        .mock.calls.findIndex(([cmd]) => cmd === './notify.sh')
+      expect(
+        vi.mocked(runShellCommand).mock.invocationCallOrder[onErrorCall]
+      ).toBeLessThan(exitMock.mock.invocationCallOrder[0])
+      expect(exitMock).toHaveBeenCalledWith(3)
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should run onError when the quota blocks the deploy', async () => {
+      vi.mocked(quota.checkQuota).mockResolvedValueOnce({
+        allowed: false,
+        warnings: []
+      })
+
+      await deploy('./app', { message: 'Update docs' })
+
+      expect(hookCall('./notify.sh')[1].env.LAUNCHPD_ERROR).toBe(
+        'Deployment blocked due to quota limits.'
+      )
+      expect(exitMock).toHaveBeenCalledWith(5)
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should run onError when the subdomain is taken', async () => {
+      vi.mocked(api.checkSubdomainAvailable).mockResolvedValueOnce(false)
+      vi.mocked(api.listSubdomains).mockResolvedValueOnce({ subdomains: [] })
+
+      await deploy('./app', { message: 'Update docs' })
+
+      const [, options] = hookCall('./notify.sh')
+      expect(options.env.LAUNCHPD_SUBDOMAIN).toBe('site')
+      expect(options.env.LAUNCHPD_VERSION).toBe('')
+      expect(exitMock).toHaveBeenCalledWith(4)
+      expect(hookCall('npm run sitemap')).toBeUndefined()
+    })
+
+    it('should not run onError when a dry run fails', async () => {
+      vi.mocked(validator.validateStaticOnly).mockResolvedValueOnce({
+        success: false,
+        violations: ['server.php']
+      })
+
+      await deploy('./app', { dryRun: true })
+
+      expect(runShellCommand).not.toHaveBeenCalled()
+      expect(exitMock).toHaveBeenCalledWith(3)
+    })
+
+    it('should only warn when postdeploy fails', async () => {
+      vi.mocked(runShellCommand).mockImplementation(async (command) =>
+        command === './purge.sh' ? 1 : 0
+      )
+
+      await deploy('./app', { message: 'Update docs' })
+
+      expect(logger.warning).toHaveBeenCalledWith(
+        expect.stringContaining('postdeploy hook failed with exit code 1')
+      )
+      expect(exitMock).not.toHaveBeenCalled()
+    })
+
+    it('should not run hooks on a dry run', async () => {
+      vi.mocked(upload.planUpload).mockResolvedValue({
+        files: [],
+        ignored: [],
+        manifest: {},
+        previousVersion: null,
+        totalBytes: 0
+      })
+
+      await deploy('./app', { dryRun: true })
+
+      expect(runShellCommand).not.toHaveBeenCalled()
+      expect(logger.info).toHaveBeenCalledWith(
+        'Dry run: lifecycle hooks are not run'
+      )
+    })
+
+    it('should exit on an invalid hooks setting', async () => {
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        hooks: { prepublish: 'npm test' }
+      })
+      exitMock.mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`)
+      })
+
+      await expect(deploy('./app', { message: 'Update docs' })).rejects.toThrow(
+        'process.exit(2)'
+      )
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        expect.stringContaining('Unknown hook "prepublish"'),
+        expect.any(Array),
+        expect.any(Object)
+      )
+      expect(exitMock).toHaveBeenCalledWith(2)
+    })
+
+    it('should never run hooks from a remote source', async () => {
+      const tempDir = resolve('/tmp/launchpd-repo-abc')
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'user',
+        repo: 'site'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir,
+        folderPath: tempDir
+      })
+      vi.mocked(findProjectRoot).mockReturnValue(tempDir)
+
+      await deploy('https://github.com/user/site', { message: 'Remote' })
+
+      expect(runShellCommand).not.toHaveBeenCalled()
+      expect(logger.warning).toHaveBeenCalledWith(
+        'Skipping hooks defined in the remote .launchpd.json'
+      )
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(false)
+    })
+  })
+
+  describe('Watch mode', () => {
+    let onChange
+    let closeWatcher
+    let syncWatcher
+
+    const startWatch = async (options = {}) => {
+      const running = deploy('./site', { message: 'first', watch: true, ...options })
+      await vi.waitFor(() => expect(watchFolder).toHaveBeenCalled())
+      // Wrapped so awaiting startWatch() does not wait for the watch to end
+      return { running }
+    }
+    const stopWatch = async ({ running }) => {
+      process.emit('SIGINT')
+      await running
+    }
+
+    beforeEach(() => {
+      closeWatcher = vi.fn()
+      syncWatcher = vi.fn().mockResolvedValue()
+      vi.mocked(watchFolder).mockImplementation(async (_folder, options) => {
+        onChange = options.onChange
+        return { close: closeWatcher, sync: syncWatcher }
+      })
+    })
+
+    it('should deploy, watch the folder and redeploy with a change message', async () => {
+      vi.mocked(api.getNextVersionFromAPI)
+        .mockResolvedValueOnce(1)
+        .mockResolvedValueOnce(2)
+      const running = await startWatch({ name: 'my-site' })
+
+      expect(watchFolder).toHaveBeenCalledWith(
+        resolve('./site'),
+        expect.objectContaining({ matcher: expect.any(Object) })
+      )
+      expect(upload.finalizeUpload).toHaveBeenCalledTimes(1)
+
+      await onChange(['a.css', 'b.html', 'index.html'])
+
+      expect(upload.finalizeUpload).toHaveBeenCalledTimes(2)
+      const [subdomain, version, , , , , message] =
+        vi.mocked(upload.finalizeUpload).mock.calls[1]
+      expect(subdomain).toBe('my-site')
+      expect(version).toBe(2)
+      expect(message).toBe('watch: 3 files changed')
+
+      await stopWatch(running)
+      expect(closeWatcher).toHaveBeenCalled()
+    })
+
+    it('should keep the random subdomain of the first deploy', async () => {
+      vi.mocked(credentials.getCredentials).mockResolvedValue(null)
+      const running = await startWatch()
+      const [firstSubdomain] = vi.mocked(upload.finalizeUpload).mock.calls[0]
+
+      await onChange(['index.html'])
+
+      const [subdomain, , , , , , message] =
+        vi.mocked(upload.finalizeUpload).mock.calls[1]
+      expect(subdomain).toBe(firstSubdomain)
+      expect(message).toBe('watch: 1 file changed')
+      // Ownership was verified by the first deploy only
+      expect(api.checkSubdomainAvailable).toHaveBeenCalledTimes(1)
+
+      await stopWatch(running)
+    })
+
+    it('should use a default message for the first deploy', async () => {
+      const running = await startWatch({ message: undefined })
+
+      expect(upload.finalizeUpload.mock.calls[0][6]).toBe('watch: initial deploy')
+
+      await stopWatch(running)
+    })
+
+    it('should keep watching when a redeploy fails', async () => {
+      const running = await startWatch({ name: 'my-site' })
+      vi.mocked(upload.uploadFolder).mockRejectedValueOnce(
+        new Error('Upload failed')
+      )
+
+      await onChange(['index.html'])
+
+      expect(logger.warning).toHaveBeenCalledWith(
+        'Redeploy failed; waiting for the next change.'
+      )
+      // The failed redeploy must not exit the process
+      expect(exitMock).not.toHaveBeenCalled()
+
+      await onChange(['index.html'])
+      expect(upload.finalizeUpload).toHaveBeenCalledTimes(2)
+
+      await stopWatch(running)
+    })
+
+    it('should report a failed redeploy once without replacing process.exit', async () => {
+      const running = await startWatch({ name: 'my-site' })
+      let exitDuringRedeploy
+      vi.mocked(validator.validateStaticOnly).mockImplementationOnce(async () => {
+        exitDuringRedeploy = process.exit
+        return { success: false, violations: ['server.php'] }
+      })
+
+      await onChange(['server.php'])
+
+      expect(exitDuringRedeploy).toBe(exitMock)
+      expect(logger.errorWithSuggestions).toHaveBeenCalledTimes(1)
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Your project contains files that are not allowed.',
+        expect.any(Array),
+        expect.objectContaining({ code: 'VALIDATION_FAILED' })
+      )
+      expect(exitMock).not.toHaveBeenCalled()
+
+      await stopWatch(running)
+    })
+
+    it('should not rebuild or reopen the site on redeploys', async () => {
+      vi.mocked(findProjectRoot).mockReturnValue(resolve('./site'))
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        subdomain: 'my-site',
+        build: 'npm run build'
+      })
+      vi.mocked(findPublishDir).mockResolvedValue({
+        projectRoot: resolve('./site'),
+        build: 'npm run build',
+        publicDir: null,
+        path: null
+      })
+      const running = await startWatch({ open: true })
+      vi.mocked(execFile).mockClear()
+
+      await onChange(['index.html'])
+
+      expect(runShellCommand).toHaveBeenCalledTimes(1)
+      expect(execFile).not.toHaveBeenCalled()
+
+      await stopWatch(running)
+    })
+
+    it('should not redeploy for the files written by the predeploy hook', async () => {
+      vi.mocked(findProjectRoot).mockReturnValue(resolve('./site'))
+      vi.mocked(getProjectConfig).mockResolvedValue({
+        subdomain: 'my-site',
+        hooks: { predeploy: 'npm run sitemap' }
+      })
+      vi.mocked(runShellCommand).mockResolvedValue(0)
+      const running = await startWatch()
+      // The first deploy runs before the watcher exists
+      expect(syncWatcher).not.toHaveBeenCalled()
+
+      await onChange(['index.html'])
+
+      expect(syncWatcher).toHaveBeenCalledTimes(1)
+      const predeployCall = vi.mocked(runShellCommand).mock.invocationCallOrder[1]
+      expect(syncWatcher.mock.invocationCallOrder[0]).toBeGreaterThan(
+        predeployCall
+      )
+      expect(syncWatcher.mock.invocationCallOrder[0]).toBeLessThan(
+        vi.mocked(upload.uploadFolder).mock.invocationCallOrder[1]
+      )
+
+      await stopWatch(running)
+    })
+
+    it('should reload the ignore rules of the watched folder', async () => {
+      const running = await startWatch()
+      const { reloadMatcher } = vi.mocked(watchFolder).mock.calls[0][1]
+      vi.mocked(ignore.loadIgnoreMatcher).mockClear()
+
+      await reloadMatcher()
+
+      expect(ignore.loadIgnoreMatcher).toHaveBeenCalledWith(resolve('./site'))
+
+      await stopWatch(running)
+    })
+
+    it('should reject remote sources and dry runs', async () => {
+      exitMock.mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`)
+      })
+
+      await expect(
+        deploy('./site', { watch: true, dryRun: true })
+      ).rejects.toThrow('process.exit(2)')
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        '--watch cannot be combined with --dry-run.',
+        expect.any(Array),
+        expect.any(Object)
+      )
+
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValueOnce(true)
+      await expect(
+        deploy('https://github.com/user/repo', { watch: true, message: 'x' })
+      ).rejects.toThrow('process.exit(2)')
+      expect(watchFolder).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('CLI Options and Platforms', () => {
+    it('should open URL on Windows if --open is provided', async () => {
+      const originalPlatform = process.platform
+      Object.defineProperty(process, 'platform', { value: 'win32' })
+
+      await deploy('./test', { name: 'site', message: 'test', open: true })
+
+      expect(execFile).toHaveBeenCalledWith('rundll32', [
+        'url.dll,FileProtocolHandler',
+        expect.stringContaining('site.launchpd.cloud')
+      ])
+
+      Object.defineProperty(process, 'platform', { value: originalPlatform })
+    })
+
+    it('should open URL on Mac if --open is provided', async () => {
+      const originalPlatform = process.platform
+      Object.defineProperty(process, 'platform', { value: 'darwin' })
+
+      await deploy('./test', { name: 'site', message: 'test', open: true })
+
+      expect(execFile).toHaveBeenCalledWith('open', [expect.any(String)])
+
+      Object.defineProperty(process, 'platform', { value: originalPlatform })
+    })
+
+    it('should open URL on Linux if --open is provided', async () => {
+      const originalPlatform = process.platform
+      Object.defineProperty(process, 'platform', { value: 'linux' })
+
+      await deploy('./test', { name: 'site', message: 'test', open: true })
+
+      expect(execFile).toHaveBeenCalledWith('xdg-open', [
+        expect.stringContaining('site.launchpd.cloud')
+      ])
+
+      Object.defineProperty(process, 'platform', { value: originalPlatform })
+    })
+
+    it('should show expiration warning if --expires is used', async () => {
+      await deploy('./test', { message: 'test', expires: '1h' })
+      expect(logger.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Expires:')
+      )
+    })
+  })
+
+  describe('QR Code Edge Cases', () => {
+    it('should warn if terminal is too narrow for QR code', async () => {
+      const QRCode = await import('qrcode')
+      vi.spyOn(QRCode.default, 'toString').mockResolvedValue(
+        'VERY_WIDE_QR_CODE_CONTENT'
+      )
+      const originalColumns = process.stdout.columns
+      process.stdout.columns = 5 // Very narrow
+
+      await deploy('./test', { message: 'test', qr: true })
+
+      expect(logger.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Terminal is too narrow')
+      )
+
+      process.stdout.columns = originalColumns
+    })
+
+    it('should handle QR code generation error', async () => {
+      const QRCode = await import('qrcode')
+      vi.spyOn(QRCode.default, 'toString').mockRejectedValue(
+        new Error('QR Fail')
+      )
+
+      await deploy('./test', { message: 'test', qr: true })
+
+      expect(logger.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Could not generate QR code')
+      )
+    })
+
+    it('should show verbose error if QR generation fails and --verbose is used', async () => {
+      const { raw } = await import('../src/utils/logger.js')
+      const QRCode = (await import('qrcode')).default
+      vi.mocked(QRCode.toString).mockRejectedValue(new Error('QR Fail'))
+
+      await deploy('./test', { message: 'test', qr: true, verbose: true })
+
+      expect(raw).toHaveBeenCalledWith(expect.any(Error), 'error')
+    })
+  })
+
+  describe('Standardized Error Handling', () => {
+    it('should handle errors via handleCommonError', async () => {
+      vi.mocked(api.getNextVersionFromAPI).mockRejectedValue(
+        new Error('Common Fail')
+      )
+      const handleSpy = vi
+        .spyOn(errors, 'handleCommonError')
+        .mockReturnValue(true)
+
+      await deploy('./test', { message: 'test' })
+
+      expect(handleSpy).toHaveBeenCalled()
+      expect(exitMock).toHaveBeenCalledWith(1)
+      handleSpy.mockRestore()
+    })
+
+    it('should handle common errors via handleCommonError and call its error callback', async () => {
+      vi.mocked(api.getNextVersionFromAPI).mockRejectedValue(
+        new Error('Common Fail')
+      )
+      const handleSpy = vi
+        .spyOn(errors, 'handleCommonError')
+        .mockImplementation((err, callbacks) => {
+          callbacks.error('Mocked Error Message')
+          return true
+        })
+
+      await deploy('./test', { message: 'test' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Mocked Error Message',
+        expect.any(Array),
+        expect.anything()
+      )
+      expect(exitMock).toHaveBeenCalledWith(1)
+      handleSpy.mockRestore()
+    })
+
+    it('should provide suggestions for Unauthorized/401 errors', async () => {
+      vi.mocked(api.getNextVersionFromAPI).mockRejectedValue(
+        new Error('401 Unauthorized')
+      )
+
+      await deploy('./test', { message: 'test' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.arrayContaining([expect.stringContaining('launchpd login')]),
+        expect.anything()
+      )
+    })
+  })
+
+  describe('Remote URL Deploy', () => {
+    it('should detect and fetch from a GitHub repo URL', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'user',
+        repo: 'my-repo'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-repo-test',
+        folderPath: '/tmp/launchpd-repo-test'
+      })
+
+      await deploy('https://github.com/user/my-repo', {
         message: 'from repo'
       })
 
@@ -816,7 +2476,7 @@ describe('deploy command', () => {
       )
       expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
         { type: 'repo', owner: 'user', repo: 'my-repo' },
-        { branch: undefined, dir: undefined }
+        { branch: undefined, dir: undefined, githubToken: null, cache: true }
       )
       expect(upload.uploadFolder).toHaveBeenCalled()
       expect(remoteSource.cleanupTempDir).toHaveBeenCalledWith(
@@ -844,7 +2504,7 @@ describe('deploy command', () => {
 
       expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
         expect.anything(),
-        { branch: 'main', dir: 'dist' }
+        { branch: 'main', dir: 'dist', githubToken: null, cache: true }
       )
     })
 
@@ -866,11 +2526,243 @@ describe('deploy command', () => {
 
       expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
         { type: 'gist', owner: 'user', gistId: 'abc123' },
-        { branch: undefined, dir: undefined }
+        { branch: undefined, dir: undefined, githubToken: null, cache: true }
+      )
+      expect(upload.uploadFolder).toHaveBeenCalled()
+    })
+
+    it('should deploy an npm package and show its version', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'npm',
+        name: '@scope/docs-site',
+        version: '2.3.1'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-npm-test',
+        folderPath: '/tmp/launchpd-npm-test/dist',
+        commit: null,
+        package: { name: '@scope/docs-site', version: '2.3.1' }
+      })
+
+      await deploy('npm:@scope/docs-site@2.3.1', {
+        message: 'storybook',
+        dir: 'dist'
+      })
+
+      expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
+        { type: 'npm', name: '@scope/docs-site', version: '2.3.1' },
+        expect.objectContaining({ dir: 'dist' })
+      )
+      expect(logger.spinner().succeed).toHaveBeenCalledWith(
+        'Downloaded from npm: @scope/docs-site@2.3.1'
+      )
+      expect(upload.uploadFolder).toHaveBeenCalled()
+      expect(remoteSource.cleanupTempDir).toHaveBeenCalledWith(
+        '/tmp/launchpd-npm-test'
+      )
+    })
+
+    it('should not look up the GitHub token for npm packages', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'npm',
+        name: 'docs-site'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-npm-test',
+        folderPath: '/tmp/launchpd-npm-test',
+        commit: null,
+        package: { name: 'docs-site', version: '1.0.0' }
+      })
+
+      await deploy('npm:docs-site', { message: 'npm' })
+
+      expect(credentials.getGitHubToken).not.toHaveBeenCalled()
+      expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ githubToken: null })
+      )
+    })
+
+    it('should skip the source cache with --no-cache', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'user',
+        repo: 'my-repo'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-repo-test',
+        folderPath: '/tmp/launchpd-repo-test'
+      })
+
+      await deploy('https://github.com/user/my-repo', {
+        message: 'fresh',
+        cache: false
+      })
+
+      expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ cache: false })
+      )
+    })
+
+    it('should say when a remote source came from the cache', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'user',
+        repo: 'my-repo'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-repo-test',
+        folderPath: '/tmp/launchpd-repo-test',
+        commit: { sha: 'abcdef0123456789', ref: 'main' },
+        cached: true
+      })
+
+      await deploy('https://github.com/user/my-repo', { message: 'again' })
+
+      expect(logger.spinner().succeed).toHaveBeenCalledWith(
+        'Using cached repo: user/my-repo @ main (abcdef0)'
+      )
+    })
+
+    it('should pass the GitHub token and mask it in output', async () => {
+      vi.mocked(credentials.getGitHubToken).mockResolvedValueOnce({
+        token: 'ghp_secret',
+        source: 'GITHUB_TOKEN'
+      })
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'user',
+        repo: 'private-repo'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-repo-test',
+        folderPath: '/tmp/launchpd-repo-test'
+      })
+
+      await deploy('https://github.com/user/private-repo', {
+        message: 'private',
+        verbose: true
+      })
+
+      expect(logger.registerSecret).toHaveBeenCalledWith('ghp_secret')
+      expect(logger.info).toHaveBeenCalledWith(
+        'Using GitHub token from GITHUB_TOKEN'
+      )
+      expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ githubToken: 'ghp_secret' })
+      )
+    })
+
+    it('should record the deployed commit in the finalize metadata', async () => {
+      const sha = '0123456789abcdef0123456789abcdef01234567'
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'org',
+        repo: 'site',
+        ref: 'gh-pages',
+        dir: 'docs'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-repo-test',
+        folderPath: '/tmp/launchpd-repo-test/docs',
+        commit: { sha, ref: 'gh-pages' }
+      })
+
+      await deploy('https://github.com/org/site/tree/gh-pages/docs', {
+        message: 'pinned'
+      })
+
+      expect(upload.finalizeUpload).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(Number),
+        'docs',
+        null,
+        'pinned',
+        expect.objectContaining({ commit: sha, ref: 'gh-pages' })
+      )
+    })
+
+    it('should pass --asset and report the release it came from', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'org',
+        repo: 'site',
+        release: 'latest'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-local-test',
+        folderPath: '/tmp/launchpd-local-test',
+        commit: null,
+        release: { tag: 'v2.0.0', asset: 'site.zip' }
+      })
+
+      await deploy('https://github.com/org/site/releases/latest', {
+        message: 'release',
+        asset: 'site.zip'
+      })
+
+      expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ asset: 'site.zip' })
+      )
+      expect(logger.spinner().succeed).toHaveBeenCalledWith(
+        'Downloaded from repo: org/site (release v2.0.0, asset site.zip)'
       )
       expect(upload.uploadFolder).toHaveBeenCalled()
     })
 
+    it('should reject --asset for local sources', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(false)
+      exitMock.mockImplementationOnce(() => {
+        throw new Error('process.exit(1)')
+      })
+
+      await expect(
+        deploy('./dist', { message: 'local', asset: 'site.zip' })
+      ).rejects.toThrow('process.exit(1)')
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        '--asset only works with GitHub repo or release URLs.',
+        expect.any(Array),
+        expect.anything()
+      )
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should not look up the GitHub token for other providers', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        provider: 'gitlab',
+        host: 'gitlab.com',
+        owner: 'group',
+        repo: 'site'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockResolvedValue({
+        tempDir: '/tmp/launchpd-repo-test',
+        folderPath: '/tmp/launchpd-repo-test'
+      })
+
+      await deploy('https://gitlab.com/group/site', { message: 'gitlab' })
+
+      expect(credentials.getGitHubToken).not.toHaveBeenCalled()
+      expect(remoteSource.fetchRemoteSource).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ githubToken: null })
+      )
+    })
+
     it('should clean up temp dir even if deploy fails', async () => {
       vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
       vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
@@ -913,9 +2805,32 @@ describe('deploy command', () => {
         expect.arrayContaining([
           expect.stringContaining('URL is correct')
         ]),
-        expect.anything()
+        expect.objectContaining({ code: 'REMOTE_FETCH_FAILED' })
       )
-      expect(exitMock).toHaveBeenCalledWith(1)
+      expect(exitMock).toHaveBeenCalledWith(3)
+    })
+
+    it('should exit with the network exit code if a remote fetch can be retried', async () => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(true)
+      vi.mocked(remoteSource.parseRemoteUrl).mockReturnValue({
+        type: 'repo',
+        owner: 'user',
+        repo: 'site'
+      })
+      vi.mocked(remoteSource.fetchRemoteSource).mockRejectedValue(
+        new errors.NetworkError('GitHub API rate limit exceeded.')
+      )
+
+      await deploy('https://github.com/user/site', { message: 'retry' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Remote fetch failed: GitHub API rate limit exceeded.',
+        expect.arrayContaining([
+          expect.stringContaining('Try again in a few minutes')
+        ]),
+        expect.objectContaining({ code: 'NETWORK_ERROR' })
+      )
+      expect(exitMock).toHaveBeenCalledWith(7)
     })
 
     it('should skip auto-init prompt for remote URL deploys', async () => {
@@ -949,4 +2864,167 @@ describe('deploy command', () => {
       expect(remoteSource.cleanupTempDir).not.toHaveBeenCalled()
     })
   })
+
+  describe('Local archives', () => {
+    beforeEach(() => {
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(false)
+    })
+
+    it('should extract the archive, deploy it and clean up', async () => {
+      vi.mocked(remoteSource.isArchivePath).mockReturnValueOnce(true)
+      vi.mocked(remoteSource.extractLocalArchive).mockResolvedValue({
+        tempDir: '/tmp/launchpd-local-test',
+        folderPath: '/tmp/launchpd-local-test/dist'
+      })
+
+      await deploy('./site.zip', {
+        name: 'my-site',
+        message: 'from archive',
+        dir: 'dist'
+      })
+
+      expect(remoteSource.extractLocalArchive).toHaveBeenCalledWith(
+        expect.stringMatching(/site\.zip$/),
+        { dir: 'dist' }
+      )
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        '/tmp/launchpd-local-test/dist',
+        'my-site',
+        expect.anything(),
+        expect.any(Function),
+        expect.anything()
+      )
+      expect(initProjectConfig).not.toHaveBeenCalled()
+      expect(remoteSource.cleanupTempDir).toHaveBeenCalledWith(
+        '/tmp/launchpd-local-test'
+      )
+    })
+
+    it('should exit with error if extraction fails', async () => {
+      vi.mocked(remoteSource.isArchivePath).mockReturnValueOnce(true)
+      vi.mocked(remoteSource.extractLocalArchive).mockRejectedValue(
+        new Error('Invalid zip archive: end of central directory not found.')
+      )
+
+      await deploy('./broken.zip', { message: 'broken' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Archive extraction failed: Invalid zip archive: end of central directory not found.',
+        expect.any(Array),
+        expect.anything()
+      )
+      expect(exitMock).toHaveBeenCalledWith(3)
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should not watch an archive', async () => {
+      vi.mocked(remoteSource.isArchivePath).mockReturnValueOnce(true)
+      exitMock.mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`)
+      })
+
+      await expect(
+        deploy('./site.tgz', { watch: true, message: 'x' })
+      ).rejects.toThrow('process.exit(2)')
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        '--watch only works with local folders.',
+        expect.any(Array),
+        expect.any(Object)
+      )
+      expect(remoteSource.extractLocalArchive).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Tarball on stdin', () => {
+    let originalIsTTY
+
+    beforeEach(() => {
+      originalIsTTY = process.stdin.isTTY
+      process.stdin.isTTY = false
+      vi.mocked(remoteSource.isRemoteUrl).mockReturnValue(false)
+      vi.mocked(remoteSource.extractArchiveStream).mockResolvedValue({
+        tempDir: '/tmp/launchpd-local-stdin',
+        folderPath: '/tmp/launchpd-local-stdin'
+      })
+    })
+
+    afterEach(() => {
+      process.stdin.isTTY = originalIsTTY
+    })
+
+    it('should extract stdin, deploy it and clean up', async () => {
+      await deploy('-', { name: 'my-site', message: 'ci', dir: 'dist' })
+
+      expect(remoteSource.extractArchiveStream).toHaveBeenCalledWith(
+        process.stdin,
+        { dir: 'dist' }
+      )
+      expect(upload.uploadFolder).toHaveBeenCalledWith(
+        '/tmp/launchpd-local-stdin',
+        'my-site',
+        expect.anything(),
+        expect.any(Function),
+        expect.anything()
+      )
+      expect(logger.info).toHaveBeenCalledWith(
+        expect.stringContaining('from stdin')
+      )
+      expect(remoteSource.cleanupTempDir).toHaveBeenCalledWith(
+        '/tmp/launchpd-local-stdin'
+      )
+    })
+
+    it('should never prompt, even on a subdomain mismatch', async () => {
+      vi.mocked(findProjectRoot).mockReturnValue('/tmp/launchpd-local-stdin')
+      vi.mocked(getProjectConfig).mockResolvedValue({ subdomain: 'old-site' })
+
+      await deploy('-', { name: 'new-site', message: 'ci', yes: true })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(updateProjectConfig).not.toHaveBeenCalled()
+      expect(initProjectConfig).not.toHaveBeenCalled()
+      expect(upload.uploadFolder).toHaveBeenCalled()
+    })
+
+    it('should exit with error if nothing is piped to stdin', async () => {
+      process.stdin.isTTY = true
+
+      await deploy('-', { message: 'ci' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'No archive piped to stdin.',
+        expect.arrayContaining([expect.stringContaining('tar cz dist')]),
+        expect.anything()
+      )
+      expect(exitMock).toHaveBeenCalledWith(3)
+      expect(remoteSource.extractArchiveStream).not.toHaveBeenCalled()
+    })
+
+    it('should report extraction errors', async () => {
+      vi.mocked(remoteSource.extractArchiveStream).mockRejectedValue(
+        new Error('No archive data received.')
+      )
+
+      await deploy('-', { message: 'ci' })
+
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Archive extraction failed: No archive data received.',
+        expect.any(Array),
+        expect.anything()
+      )
+      expect(exitMock).toHaveBeenCalledWith(3)
+      expect(upload.uploadFolder).not.toHaveBeenCalled()
+    })
+
+    it('should not watch stdin', async () => {
+      exitMock.mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`)
+      })
+
+      await expect(deploy('-', { watch: true })).rejects.toThrow(
+        'process.exit(2)'
+      )
+      expect(remoteSource.extractArchiveStream).not.toHaveBeenCalled()
+    })
+  })
 })
@@ -4,7 +4,12 @@ import errors, {
   AuthError,
   QuotaError,
   NetworkError,
-  handleCommonError
+  handleCommonError,
+  getErrorCode,
+  getExitCode,
+  getErrorCodesForExitCode,
+  ERROR_CODES,
+  EXIT_CODES
 } from '../src/utils/errors.js'
 
 describe('Errors', () => {
@@ -104,4 +109,66 @@ describe('Errors', () => {
       expect(handled).toBe(false)
     })
   })
+
+  describe('getErrorCode', () => {
+    it('should map error classes to stable codes', () => {
+      expect(getErrorCode(new AuthError())).toBe(ERROR_CODES.AUTH_FAILED)
+      expect(getErrorCode(new QuotaError())).toBe(ERROR_CODES.QUOTA_EXCEEDED)
+      expect(getErrorCode(new MaintenanceError())).toBe(ERROR_CODES.MAINTENANCE)
+      expect(getErrorCode(new NetworkError())).toBe(ERROR_CODES.NETWORK_ERROR)
+      expect(getErrorCode({ isAuthError: true })).toBe(ERROR_CODES.AUTH_FAILED)
+    })
+
+    it('should report timeouts', () => {
+      const err = new Error('aborted')
+      err.name = 'AbortError'
+      expect(getErrorCode(err)).toBe(ERROR_CODES.TIMEOUT)
+    })
+
+    it('should use the fallback for other errors', () => {
+      expect(getErrorCode(new Error('boom'))).toBe(ERROR_CODES.UNKNOWN_ERROR)
+      expect(getErrorCode(new Error('boom'), ERROR_CODES.UPLOAD_FAILED)).toBe(
+        'UPLOAD_FAILED'
+      )
+    })
+  })
+
+  describe('getExitCode', () => {
+    it('should give each failure category its own exit code', () => {
+      expect(getExitCode(ERROR_CODES.INVALID_OPTION)).toBe(2)
+      expect(getExitCode(ERROR_CODES.VALIDATION_FAILED)).toBe(3)
+      expect(getExitCode(ERROR_CODES.BROKEN_LINKS)).toBe(3)
+      expect(getExitCode(ERROR_CODES.SUBDOMAIN_TAKEN)).toBe(4)
+      expect(getExitCode(ERROR_CODES.QUOTA_EXCEEDED)).toBe(5)
+      expect(getExitCode(ERROR_CODES.AUTH_FAILED)).toBe(6)
+      expect(getExitCode(ERROR_CODES.NETWORK_ERROR)).toBe(7)
+      expect(getExitCode(ERROR_CODES.TIMEOUT)).toBe(7)
+      expect(getExitCode(ERROR_CODES.MAINTENANCE)).toBe(8)
+      expect(getExitCode(ERROR_CODES.VERSION_NOT_FOUND)).toBe(9)
+      expect(getExitCode(ERROR_CODES.BUILD_FAILED)).toBe(10)
+      expect(getExitCode(ERROR_CODES.HOOK_FAILED)).toBe(10)
+    })
+
+    it('should fall back to the general error exit code', () => {
+      expect(getExitCode(ERROR_CODES.UPLOAD_FAILED)).toBe(
+        EXIT_CODES.GENERAL_ERROR
+      )
+      expect(getExitCode(undefined)).toBe(1)
+    })
+
+    it('should map every error code to a known exit code', () => {
+      const exitCodes = Object.values(EXIT_CODES)
+      for (const errorCode of Object.values(ERROR_CODES)) {
+        expect(exitCodes).toContain(getExitCode(errorCode))
+      }
+    })
+
+    it('should list the error codes of an exit code', () => {
+      expect(getErrorCodesForExitCode(EXIT_CODES.NETWORK_ERROR)).toEqual([
+        'NETWORK_ERROR',
+        'TIMEOUT'
+      ])
+      expect(getErrorCodesForExitCode(EXIT_CODES.SUCCESS)).toEqual([])
+    })
+  })
 })
@@ -0,0 +1,75 @@
+import { explain, EXIT_CODE_DETAILS } from '../src/commands/explain.js'
+import { EXIT_CODES } from '../src/utils/errors.js'
+import * as logger from '../src/utils/logger.js'
+
+vi.mock('../src/utils/logger.js')
+
+describe('explain command', () => {
+  const output = () => vi.mocked(logger.log).mock.calls.map(([line]) => line).join('\n')
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(process, 'exit').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should document every exit code', () => {
+    for (const exitCode of Object.values(EXIT_CODES)) {
+      expect(EXIT_CODE_DETAILS[exitCode]).toMatchObject({
+        summary: expect.any(String),
+        cause: expect.any(String),
+        retry: expect.any(String)
+      })
+    }
+  })
+
+  it('should list every exit code', () => {
+    explain(undefined)
+
+    for (const name of Object.keys(EXIT_CODES)) {
+      expect(output()).toContain(name)
+    }
+  })
+
+  it('should explain an exit code', () => {
+    explain('7')
+
+    expect(output()).toContain('Exit code 7: NETWORK_ERROR')
+    expect(output()).toContain('Retry:')
+    expect(output()).toContain('NETWORK_ERROR, TIMEOUT')
+  })
+
+  it('should explain an error code from --json output', () => {
+    explain('quota-exceeded')
+
+    expect(output()).toContain(
+      'Exit code 5: QUOTA_EXCEEDED (error code QUOTA_EXCEEDED)'
+    )
+    expect(output()).toContain('launchpd quota')
+  })
+
+  it('should print JSON', () => {
+    explain('TIMEOUT', { json: true })
+
+    expect(JSON.parse(output())).toMatchObject({
+      exitCode: 7,
+      name: 'NETWORK_ERROR',
+      errorCode: 'TIMEOUT',
+      errorCodes: ['NETWORK_ERROR', 'TIMEOUT']
+    })
+  })
+
+  it('should reject unknown codes', () => {
+    explain('42')
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Unknown exit code or error code: "42"',
+      expect.any(Array),
+      { code: 'INVALID_OPTION' }
+    )
+    expect(process.exit).toHaveBeenCalledWith(EXIT_CODES.INVALID_USAGE)
+  })
+})
@@ -0,0 +1,140 @@
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join, resolve } from 'node:path'
+import {
+  isGitHubActions,
+  annotateWarning,
+  toWorkspacePath,
+  setOutputs,
+  appendStepSummary,
+  formatDeploySummary
+} from '../src/utils/githubActions.js'
+import * as logger from '../src/utils/logger.js'
+
+vi.mock('../src/utils/logger.js')
+
+describe('GitHub Actions', () => {
+  let dir
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    dir = mkdtempSync(join(tmpdir(), 'launchpd-gha-'))
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should detect GitHub Actions', () => {
+    expect(isGitHubActions({ GITHUB_ACTIONS: 'true' })).toBe(true)
+    expect(isGitHubActions({ CI: 'true' })).toBe(false)
+  })
+
+  describe('annotateWarning', () => {
+    it('should print a warning command for a file', () => {
+      annotateWarning('Non-static file: api/server.php', {
+        file: 'site/api/server.php',
+        title: 'Launchpd validation'
+      })
+
+      expect(logger.log).toHaveBeenCalledWith(
+        '::warning file=site/api/server.php,title=Launchpd validation::Non-static file: api/server.php'
+      )
+    })
+
+    it('should escape the message and properties', () => {
+      annotateWarning('50% used\nsecond line', { file: 'a,b:c.txt', title: null })
+
+      expect(logger.log).toHaveBeenCalledWith(
+        '::warning file=a%2Cb%3Ac.txt::50%25 used%0Asecond line'
+      )
+    })
+  })
+
+  it('should resolve paths against the workspace', () => {
+    const env = { GITHUB_WORKSPACE: dir }
+
+    expect(toWorkspacePath(join(dir, 'site', 'a.php'), env)).toBe('site/a.php')
+    expect(toWorkspacePath(resolve(dir, '..', 'elsewhere.php'), env)).toBeNull()
+  })
+
+  describe('setOutputs', () => {
+    it('should append outputs to $GITHUB_OUTPUT', () => {
+      const env = { GITHUB_OUTPUT: join(dir, 'output') }
+
+      expect(setOutputs({ url: 'https://a.launchpd.cloud', version: 3 }, env)).toBe(true)
+      setOutputs({ subdomain: 'a' }, env)
+
+      expect(readFileSync(env.GITHUB_OUTPUT, 'utf8')).toBe(
+        'url=https://a.launchpd.cloud\nversion=3\nsubdomain=a\n'
+      )
+    })
+
+    it('should use a delimiter for multiline values', () => {
+      const env = { GITHUB_OUTPUT: join(dir, 'output') }
+
+      setOutputs({ message: 'one\ntwo' }, env)
+
+      expect(readFileSync(env.GITHUB_OUTPUT, 'utf8')).toMatch(
+        /^message<<(ghadelimiter_[\w-]+)\none\ntwo\n\1\n$/
+      )
+    })
+
+    it('should skip when $GITHUB_OUTPUT is not set', () => {
+      expect(setOutputs({ url: 'x' }, {})).toBe(false)
+    })
+  })
+
+  it('should append to the job summary', () => {
+    const env = { GITHUB_STEP_SUMMARY: join(dir, 'summary.md') }
+
+    appendStepSummary('## One', env)
+    appendStepSummary('## Two', env)
+
+    expect(readFileSync(env.GITHUB_STEP_SUMMARY, 'utf8')).toBe('## One\n## Two\n')
+    expect(appendStepSummary('## Three', {})).toBe(false)
+  })
+
+  describe('formatDeploySummary', () => {
+    const deployment = {
+      subdomain: 'my-site',
+      url: 'https://my-site.launchpd.cloud',
+      version: 4,
+      fileCount: 12,
+      totalBytes: 2048,
+      uploadedFiles: 2,
+      unchangedFiles: 10,
+      expiresAt: null,
+      message: 'fix | typo'
+    }
+
+    it('should describe the deployment', () => {
+      const summary = formatDeploySummary(deployment)
+
+      expect(summary).toContain('## 🚀 Deployed my-site (v4)')
+      expect(summary).toContain(
+        '| URL | [https://my-site.launchpd.cloud](https://my-site.launchpd.cloud) |'
+      )
+      expect(summary).toContain('| Message | fix \\| typo |')
+      expect(summary).toContain('| Files | 12 (2 uploaded, 10 unchanged) |')
+      expect(summary).toContain('| Size | 2 KB |')
+      expect(summary).toContain('| Expires | Never |')
+      expect(summary).toContain(
+        'data=https%3A%2F%2Fmy-site.launchpd.cloud'
+      )
+      expect(summary).not.toContain('Quota warnings')
+    })
+
+    it('should list quota warnings', () => {
+      const summary = formatDeploySummary({
+        ...deployment,
+        expiresAt: new Date('2026-01-02T03:04:05.000Z'),
+        quotaWarnings: ['You have 1 site(s) remaining']
+      })
+
+      expect(summary).toContain('| Expires | 2026-01-02T03:04:05.000Z |')
+      expect(summary).toContain('### ⚠️ Quota warnings')
+      expect(summary).toContain('- You have 1 site(s) remaining')
+    })
+  })
+})
@@ -0,0 +1,107 @@
+import { getHooks, getHookEnv, runHook, HOOK_NAMES } from '../src/utils/hooks.js'
+import { runShellCommand } from '../src/utils/shell.js'
+
+vi.mock('../src/utils/shell.js', () => ({
+  runShellCommand: vi.fn().mockResolvedValue(0)
+}))
+
+describe('hooks', () => {
+  const context = {
+    subdomain: 'my-site',
+    version: 3,
+    url: 'https://my-site.launchpd.cloud',
+    message: 'Update docs',
+    source: '/projects/site'
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('getHooks', () => {
+    it('should return no hooks when none are configured', () => {
+      expect(getHooks(null)).toEqual({})
+      expect(getHooks({ subdomain: 'my-site' })).toEqual({})
+    })
+
+    it('should return the configured hook commands', () => {
+      const hooks = {
+        predeploy: 'npm run sitemap',
+        postdeploy: './purge.sh',
+        onError: './notify.sh'
+      }
+      expect(getHooks({ hooks })).toEqual(hooks)
+      expect(HOOK_NAMES).toEqual(['predeploy', 'postdeploy', 'onError'])
+    })
+
+    it('should reject hooks that are not an object', () => {
+      expect(() => getHooks({ hooks: 'npm test' })).toThrow(
+        'Invalid "hooks" in .launchpd.json'
+      )
+      expect(() => getHooks({ hooks: ['npm test'] })).toThrow(
+        'Invalid "hooks" in .launchpd.json'
+      )
+    })
+
+    it('should reject unknown hook names', () => {
+      expect(() => getHooks({ hooks: { prebuild: 'npm test' } })).toThrow(
+        'Unknown hook "prebuild"'
+      )
+    })
+
+    it('should reject empty or non-string commands', () => {
+      expect(() => getHooks({ hooks: { predeploy: '  ' } })).toThrow(
+        'Invalid "hooks.predeploy"'
+      )
+      expect(() => getHooks({ hooks: { postdeploy: 42 } })).toThrow(
+        'Invalid "hooks.postdeploy"'
+      )
+    })
+  })
+
+  describe('getHookEnv', () => {
+    it('should pass the deploy context as LAUNCHPD_* variables', () => {
+      expect(getHookEnv({ ...context, hook: 'postdeploy' })).toEqual({
+        LAUNCHPD_HOOK: 'postdeploy',
+        LAUNCHPD_SUBDOMAIN: 'my-site',
+        LAUNCHPD_VERSION: '3',
+        LAUNCHPD_URL: 'https://my-site.launchpd.cloud',
+        LAUNCHPD_MESSAGE: 'Update docs',
+        LAUNCHPD_SOURCE: '/projects/site'
+      })
+    })
+
+    it('should add LAUNCHPD_ERROR and default a missing message', () => {
+      const env = getHookEnv({
+        ...context,
+        message: null,
+        hook: 'onError',
+        error: 'Upload failed'
+      })
+      expect(env.LAUNCHPD_MESSAGE).toBe('')
+      expect(env.LAUNCHPD_ERROR).toBe('Upload failed')
+    })
+  })
+
+  describe('runHook', () => {
+    it('should run the command in the shell with the hook environment', async () => {
+      vi.mocked(runShellCommand).mockResolvedValue(2)
+
+      const exitCode = await runHook('predeploy', 'npm run sitemap', context, {
+        cwd: '/projects/site',
+        stdoutToStderr: true
+      })
+
+      expect(exitCode).toBe(2)
+      expect(runShellCommand).toHaveBeenCalledWith('npm run sitemap', {
+        cwd: '/projects/site',
+        env: expect.objectContaining({
+          LAUNCHPD_HOOK: 'predeploy',
+          LAUNCHPD_SUBDOMAIN: 'my-site',
+          LAUNCHPD_VERSION: '3'
+        }),
+        stdoutToStderr: true
+      })
+    })
+  })
+})
@@ -0,0 +1,227 @@
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  isIgnored,
+  compileIgnorePattern,
+  parseIgnoreFile,
+  createIgnoreMatcher,
+  loadIgnoreMatcher,
+  describeIgnoreRule
+} from '../src/utils/ignore.js'
+
+describe('ignore', () => {
+  describe('isIgnored', () => {
+    it('should match built-in directories and files by name', () => {
+      expect(isIgnored('node_modules', true)).toBe(true)
+      expect(isIgnored('.DS_Store')).toBe(true)
+      expect(isIgnored('README.md', true)).toBe(false)
+      expect(isIgnored('index.html')).toBe(false)
+    })
+  })
+
+  describe('compileIgnorePattern', () => {
+    it('should skip blank lines and comments', () => {
+      expect(compileIgnorePattern('', 'test')).toBeNull()
+      expect(compileIgnorePattern('   ', 'test')).toBeNull()
+      expect(compileIgnorePattern('# comment', 'test')).toBeNull()
+    })
+
+    it('should parse negation and directory-only patterns', () => {
+      const rule = compileIgnorePattern('!build/', 'test')
+      expect(rule).toMatchObject({
+        pattern: '!build/',
+        source: 'test',
+        negated: true,
+        dirOnly: true
+      })
+    })
+
+    it('should treat escaped "!" and "#" literally', () => {
+      expect(compileIgnorePattern('\\!important.txt', 'test').regex.test('!important.txt')).toBe(true)
+      expect(compileIgnorePattern('\\#notes.md', 'test').regex.test('#notes.md')).toBe(true)
+    })
+  })
+
+  describe('parseIgnoreFile', () => {
+    it('should return rules in file order', () => {
+      const rules = parseIgnoreFile('# drafts\n*.psd\r\n\n!keep.psd\n')
+      expect(rules.map((rule) => rule.pattern)).toEqual(['*.psd', '!keep.psd'])
+      expect(rules[0].source).toBe('.launchpdignore')
+    })
+  })
+
+  describe('createIgnoreMatcher', () => {
+    it('should apply the built-in rules at any depth', () => {
+      const matcher = createIgnoreMatcher()
+      expect(matcher.ignores('node_modules', true)).toBe(true)
+      expect(matcher.ignores('assets/.DS_Store')).toBe(true)
+      expect(matcher.ignores('docs/README.md')).toBe(true)
+      expect(matcher.ignores('index.html')).toBe(false)
+    })
+
+    it('should only ignore the rule files at the root', () => {
+      const matcher = createIgnoreMatcher()
+      expect(matcher.ignores('_redirects')).toBe(true)
+      expect(matcher.ignores('_headers')).toBe(true)
+      expect(matcher.ignores('docs/_headers')).toBe(false)
+      expect(matcher.ignores('docs/_redirects')).toBe(false)
+      expect(describeIgnoreRule(matcher.check('_headers').rule)).toBe(
+        'built-in ignore list ("/_headers")'
+      )
+    })
+
+    it('should not treat built-in file names as directories', () => {
+      const matcher = createIgnoreMatcher()
+      expect(matcher.ignores('LICENSE', true)).toBe(false)
+      expect(matcher.ignores('LICENSE/index.html')).toBe(false)
+    })
+
+    it('should match globs within a path segment', () => {
+      const matcher = createIgnoreMatcher({ ignoreFile: '*.psd\nimg-?.png\n' })
+      expect(matcher.ignores('hero.psd')).toBe(true)
+      expect(matcher.ignores('assets/hero.psd')).toBe(true)
+      expect(matcher.ignores('img-1.png')).toBe(true)
+      expect(matcher.ignores('img-10.png')).toBe(false)
+    })
+
+    it('should match "**" across directories', () => {
+      const matcher = createIgnoreMatcher({
+        ignoreFile: 'drafts/**\n**/tmp/*.log\n'
+      })
+      expect(matcher.ignores('drafts/post.html')).toBe(true)
+      expect(matcher.ignores('drafts/2024/post.html')).toBe(true)
+      expect(matcher.ignores('drafts', true)).toBe(false)
+      expect(matcher.ignores('a/b/tmp/x.log')).toBe(true)
+      expect(matcher.ignores('tmp/x.log')).toBe(true)
+    })
+
+    it('should support character classes', () => {
+      const matcher = createIgnoreMatcher({ ignoreFile: 'v[0-9].html\nx[!a].txt\n' })
+      expect(matcher.ignores('v1.html')).toBe(true)
+      expect(matcher.ignores('va.html')).toBe(false)
+      expect(matcher.ignores('xb.txt')).toBe(true)
+      expect(matcher.ignores('xa.txt')).toBe(false)
+    })
+
+    it('should anchor patterns that contain a slash', () => {
+      const matcher = createIgnoreMatcher({ ignoreFile: '/todo.html\ndocs/api\n' })
+      expect(matcher.ignores('todo.html')).toBe(true)
+      expect(matcher.ignores('pages/todo.html')).toBe(false)
+      expect(matcher.ignores('docs/api/index.html')).toBe(true)
+      expect(matcher.ignores('site/docs/api/index.html')).toBe(false)
+    })
+
+    it('should only match directories with a trailing slash', () => {
+      const matcher = createIgnoreMatcher({ ignoreFile: 'src/\n' })
+      expect(matcher.ignores('src', true)).toBe(true)
+      expect(matcher.ignores('src/main.ts')).toBe(true)
+      expect(matcher.ignores('src')).toBe(false)
+    })
+
+    it('should re-include paths with "!" (last matching rule wins)', () => {
+      const matcher = createIgnoreMatcher({
+        ignoreFile: '*.md\n!CHANGELOG.md\n!README.md\n'
+      })
+      expect(matcher.ignores('notes.md')).toBe(true)
+      expect(matcher.ignores('CHANGELOG.md')).toBe(false)
+      expect(matcher.ignores('README.md')).toBe(false)
+    })
+
+    it('should re-include built-in directories', () => {
+      const matcher = createIgnoreMatcher({ ignoreFile: '!build/\n' })
+      expect(matcher.ignores('build', true)).toBe(false)
+      expect(matcher.ignores('build/app.js')).toBe(false)
+    })
+
+    it('should not re-include files inside an ignored directory', () => {
+      const matcher = createIgnoreMatcher({
+        ignoreFile: 'private/\n!private/index.html\n'
+      })
+      const result = matcher.check('private/index.html')
+      expect(result.ignored).toBe(true)
+      expect(result.path).toBe('private')
+      expect(result.rule.pattern).toBe('private/')
+    })
+
+    it('should apply config ignore before and include after the ignore file', () => {
+      const matcher = createIgnoreMatcher({
+        ignoreFile: '!notes.txt\n*.bak\n',
+        config: {
+          ignore: ['notes.txt', 'drafts/'],
+          include: ['important.bak', '!README.md']
+        }
+      })
+      expect(matcher.ignores('notes.txt')).toBe(false)
+      expect(matcher.ignores('drafts', true)).toBe(true)
+      expect(matcher.ignores('old.bak')).toBe(true)
+      expect(matcher.ignores('important.bak')).toBe(false)
+      expect(matcher.ignores('README.md')).toBe(false)
+      expect(matcher.check('drafts', true).rule.source).toBe('.launchpd.json ignore')
+    })
+
+    it('should accept a single string and skip invalid config values', () => {
+      const matcher = createIgnoreMatcher({
+        config: { ignore: '*.log', include: [42, null] }
+      })
+      expect(matcher.ignores('debug.log')).toBe(true)
+      expect(matcher.ignores('index.html')).toBe(false)
+    })
+  })
+
+  describe('describeIgnoreRule', () => {
+    it('should name the built-in list or the rule source', () => {
+      const matcher = createIgnoreMatcher({ ignoreFile: 'drafts/**\n' })
+      expect(describeIgnoreRule(matcher.check('node_modules', true).rule)).toBe(
+        'built-in ignore list ("node_modules")'
+      )
+      expect(describeIgnoreRule(matcher.check('drafts/a.html').rule)).toBe(
+        '.launchpdignore: "drafts/**"'
+      )
+    })
+  })
+
+  describe('loadIgnoreMatcher', () => {
+    let dir
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'launchpd-ignore-'))
+    })
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should read .launchpdignore and the nearest .launchpd.json', async () => {
+      const site = join(dir, 'site')
+      mkdirSync(site)
+      writeFileSync(join(site, '.launchpdignore'), '*.psd\n')
+      writeFileSync(
+        join(dir, '.launchpd.json'),
+        JSON.stringify({ subdomain: 'demo', ignore: ['drafts/'] })
+      )
+
+      const matcher = await loadIgnoreMatcher(site)
+      expect(matcher.ignores('logo.psd')).toBe(true)
+      expect(matcher.ignores('drafts', true)).toBe(true)
+      expect(matcher.ignores('index.html')).toBe(false)
+    })
+
+    it('should use a given project config instead of looking one up', async () => {
+      writeFileSync(
+        join(dir, '.launchpd.json'),
+        JSON.stringify({ ignore: ['drafts/'] })
+      )
+
+      const matcher = await loadIgnoreMatcher(dir, { ignore: ['*.txt'] })
+      expect(matcher.ignores('drafts', true)).toBe(false)
+      expect(matcher.ignores('notes.txt')).toBe(true)
+    })
+
+    it('should fall back to the built-in rules', async () => {
+      const matcher = await loadIgnoreMatcher(dir, null)
+      expect(matcher.ignores('node_modules', true)).toBe(true)
+      expect(matcher.ignores('index.html')).toBe(false)
+    })
+  })
+})
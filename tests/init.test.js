@@ -4,6 +4,7 @@ import * as api from '../src/utils/api.js'
 import * as credentials from '../src/utils/credentials.js'
 import * as logger from '../src/utils/logger.js'
 import * as prompt from '../src/utils/prompt.js'
+import { setCIMode } from '../src/utils/ci.js'
 
 vi.mock('../src/utils/projectConfig.js')
 vi.mock('../src/utils/api.js')
@@ -190,4 +191,57 @@ describe('init command', () => {
 
     expect(projectConfig.saveProjectConfig).not.toHaveBeenCalled()
   })
+
+  describe('CI mode', () => {
+    beforeEach(() => {
+      setCIMode()
+      vi.spyOn(process, 'exit').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      setCIMode(false)
+      vi.restoreAllMocks()
+    })
+
+    it('should require --name instead of prompting', async () => {
+      await init({})
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'A subdomain is required in CI mode.',
+        expect.arrayContaining(['Pass --name <subdomain>']),
+        { code: 'INVALID_OPTION' }
+      )
+      expect(process.exit).toHaveBeenCalledWith(2)
+    })
+
+    it('should refuse to re-link without --yes', async () => {
+      projectConfig.findProjectRoot.mockReturnValue('/root')
+      projectConfig.getProjectConfig.mockResolvedValue({ subdomain: 'old' })
+
+      await init({ name: 'new-site' })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+        'Refusing to re-link the project without confirmation in CI mode.',
+        expect.any(Array),
+        { code: 'INVALID_OPTION' }
+      )
+      expect(process.exit).toHaveBeenCalledWith(2)
+      expect(projectConfig.saveProjectConfig).not.toHaveBeenCalled()
+    })
+
+    it('should re-link with --yes and --name', async () => {
+      projectConfig.findProjectRoot.mockReturnValue('/root')
+      projectConfig.getProjectConfig.mockResolvedValue({ subdomain: 'old' })
+
+      await init({ name: 'new-site', yes: true })
+
+      expect(prompt.prompt).not.toHaveBeenCalled()
+      expect(projectConfig.saveProjectConfig).toHaveBeenCalledWith(
+        expect.objectContaining({ subdomain: 'new-site' }),
+        '/root'
+      )
+    })
+  })
 })
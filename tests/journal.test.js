@@ -0,0 +1,105 @@
+import { mkdtempSync, rmSync, writeFileSync, appendFileSync } from 'node:fs'
+import { tmpdir, homedir } from 'node:os'
+import { join } from 'node:path'
+import {
+  startDeployJournal,
+  recordUploadedFile,
+  getDeployJournal,
+  clearDeployJournal,
+  findJournaledSubdomain
+} from '../src/utils/journal.js'
+
+vi.mock('node:os', async () => {
+  const actual = await vi.importActual('node:os')
+  const homedir = vi.fn()
+  return { ...actual, default: { ...actual, homedir }, homedir }
+})
+
+describe('journal', () => {
+  let home
+  const plan = (overrides = {}) => ({
+    subdomain: 'my-site',
+    version: 4,
+    source: '/projects/site',
+    folderName: 'site',
+    message: 'Update',
+    expiresAt: null,
+    manifest: {
+      'index.html': { hash: 'a', size: 1 },
+      'css/style.css': { hash: 'b', size: 2 }
+    },
+    ...overrides
+  })
+
+  beforeEach(() => {
+    home = mkdtempSync(join(tmpdir(), 'launchpd-journal-'))
+    homedir.mockReturnValue(home)
+  })
+
+  afterEach(() => {
+    rmSync(home, { recursive: true, force: true })
+  })
+
+  it('should return null when there is no journal', async () => {
+    expect(await getDeployJournal('my-site')).toBeNull()
+  })
+
+  it('should record the plan and uploaded files', async () => {
+    await startDeployJournal(plan())
+    await recordUploadedFile('my-site', 'index.html')
+
+    const journal = await getDeployJournal('my-site')
+
+    expect(journal).toMatchObject({
+      subdomain: 'my-site',
+      version: 4,
+      message: 'Update',
+      uploaded: ['index.html']
+    })
+    expect(journal.startedAt).toEqual(expect.any(String))
+  })
+
+  it('should keep paths that were already uploaded when restarted', async () => {
+    await startDeployJournal(plan(), ['css/style.css'])
+
+    const journal = await getDeployJournal('my-site')
+
+    expect(journal.uploaded).toEqual(['css/style.css'])
+  })
+
+  it('should ignore a partially written line and unknown paths', async () => {
+    await startDeployJournal(plan())
+    const uploadedPath = join(home, '.staticlaunch', 'journals', 'my-site.uploaded')
+    appendFileSync(uploadedPath, 'index.html\nold.js\nindex.html\ncss/sty')
+
+    const journal = await getDeployJournal('my-site')
+
+    expect(journal.uploaded).toEqual(['index.html'])
+  })
+
+  it('should return null for a corrupt plan', async () => {
+    await startDeployJournal(plan())
+    writeFileSync(join(home, '.staticlaunch', 'journals', 'my-site.json'), '{')
+
+    expect(await getDeployJournal('my-site')).toBeNull()
+  })
+
+  it('should clear the journal', async () => {
+    await startDeployJournal(plan())
+    await clearDeployJournal('my-site')
+
+    expect(await getDeployJournal('my-site')).toBeNull()
+  })
+
+  it('should find the latest journaled subdomain for a source', async () => {
+    expect(await findJournaledSubdomain('/projects/site')).toBeNull()
+
+    await startDeployJournal(plan({ subdomain: 'calm-river-1' }))
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    await startDeployJournal(plan({ subdomain: 'bold-sun-2' }))
+    await startDeployJournal(plan({ subdomain: 'other', source: '/elsewhere' }))
+
+    expect(await findJournaledSubdomain('/projects/site')).toBe('bold-sun-2')
+    expect(await findJournaledSubdomain('/nothing')).toBeNull()
+  })
+})
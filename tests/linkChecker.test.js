@@ -0,0 +1,258 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { dirname, join } from 'node:path'
+import { createIgnoreMatcher } from '../src/utils/ignore.js'
+import {
+  resolveReference,
+  describeBrokenLink,
+  checkLinks
+} from '../src/utils/linkChecker.js'
+
+describe('link checker', () => {
+  describe('resolveReference', () => {
+    it('should resolve relative references against the file', () => {
+      expect(resolveReference('img/logo.png', 'index.html')).toBe('img/logo.png')
+      expect(resolveReference('../style.css', 'blog/post.html')).toBe('style.css')
+      expect(resolveReference('./a.html', 'blog/post.html')).toBe('blog/a.html')
+    })
+
+    it('should resolve root-relative references against the folder', () => {
+      expect(resolveReference('/img/logo.png', 'blog/post.html')).toBe(
+        'img/logo.png'
+      )
+      expect(resolveReference('/', 'blog/post.html')).toBe('')
+      expect(resolveReference('/docs/', 'index.html')).toBe('docs/')
+    })
+
+    it('should strip query strings and fragments and decode the path', () => {
+      expect(resolveReference('about.html?ref=nav#team', 'index.html')).toBe(
+        'about.html'
+      )
+      expect(resolveReference('my%20file.pdf', 'index.html')).toBe('my file.pdf')
+    })
+
+    it('should not leave the folder', () => {
+      expect(resolveReference('../../secret.txt', 'index.html')).toBe(
+        'secret.txt'
+      )
+    })
+
+    it('should skip references that are not local files', () => {
+      for (const url of [
+        'https://example.com/a.png',
+        '//cdn.example.com/lib.js',
+        'mailto:hi@example.com',
+        'tel:+15555555555',
+        'data:image/png;base64,iVBORw0KGgo=',
+        'javascript:void(0)',
+        '#top',
+        '?page=2',
+        '',
+        '{{ url }}',
+        '${base}/app.js'
+      ]) {
+        expect(resolveReference(url, 'index.html')).toBeNull()
+      }
+    })
+  })
+
+  describe('describeBrokenLink', () => {
+    it('should explain why a link is broken', () => {
+      expect(describeBrokenLink({ reason: 'missing' })).toBe('file not found')
+      expect(
+        describeBrokenLink({
+          reason: 'ignored',
+          rule: { pattern: 'README.md', source: 'default' }
+        })
+      ).toBe('excluded by built-in ignore list ("README.md")')
+    })
+  })
+
+  describe('checkLinks', () => {
+    let dir
+
+    const write = (path, content = '') => {
+      mkdirSync(dirname(join(dir, path)), { recursive: true })
+      writeFileSync(join(dir, path), content)
+    }
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'launchpd-links-'))
+    })
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should report nothing when every reference is deployed', async () => {
+      write(
+        'index.html',
+        [
+          '<link rel="stylesheet" href="style.css">',
+          '<a href="docs/">Docs</a> <a href="/docs">Docs</a> <a href="./">Home</a>',
+          '<img src="img/a.png" srcset="img/a.png 1x, img/b.png 2x">',
+          '<a href="https://example.com">External</a> <a href="#top">Top</a>'
+        ].join('\n')
+      )
+      write('style.css', 'body { background: url("img/a.png") }')
+      write('docs/index.html', '<a href="../index.html">Back</a>')
+      write('img/a.png')
+      write('img/b.png')
+
+      const result = await checkLinks(dir, createIgnoreMatcher())
+
+      expect(result).toEqual({ checkedFiles: 3, references: 9, broken: [] })
+    })
+
+    it('should report missing files with their line', async () => {
+      write(
+        'index.html',
+        [
+          '<h1>Home</h1>',
+          '<a href="about.html">About</a>',
+          '<img src="/img/logo.png">'
+        ].join('\n')
+      )
+
+      const { broken } = await checkLinks(dir, createIgnoreMatcher())
+
+      expect(broken).toEqual([
+        {
+          file: 'index.html',
+          line: 2,
+          url: 'about.html',
+          target: 'about.html',
+          reason: 'missing'
+        },
+        {
+          file: 'index.html',
+          line: 3,
+          url: '/img/logo.png',
+          target: 'img/logo.png',
+          reason: 'missing'
+        }
+      ])
+    })
+
+    it('should report links to files excluded by the ignore rules', async () => {
+      write(
+        'index.html',
+        '<a href="README.md">Readme</a>\n<script src="build/app.js"></script>'
+      )
+      write('README.md', '# Site')
+      write('build/app.js')
+      write('drafts/post.html')
+      write('blog.html', '<a href="drafts/post.html">Draft</a>')
+
+      const { broken } = await checkLinks(
+        dir,
+        createIgnoreMatcher({ ignoreFile: 'drafts/' })
+      )
+
+      expect(broken.map((link) => [link.file, link.url, link.reason])).toEqual([
+        ['blog.html', 'drafts/post.html', 'ignored'],
+        ['index.html', 'README.md', 'ignored'],
+        ['index.html', 'build/app.js', 'ignored']
+      ])
+      expect(broken[0].rule).toEqual(
+        expect.objectContaining({ pattern: 'drafts/', source: '.launchpdignore' })
+      )
+      expect(describeBrokenLink(broken[1])).toBe(
+        'excluded by built-in ignore list ("README.md")'
+      )
+    })
+
+    it('should check CSS url() and @import references', async () => {
+      write(
+        'css/site.css',
+        [
+          '@import "base.css";',
+          '/* url(commented.png) */',
+          '.hero { background: url(../img/hero.jpg) }',
+          '.logo { background: url("data:image/svg+xml,<svg/>") }'
+        ].join('\n')
+      )
+
+      const { broken } = await checkLinks(dir, createIgnoreMatcher())
+
+      expect(broken.map((link) => [link.line, link.target])).toEqual([
+        [1, 'css/base.css'],
+        [3, 'img/hero.jpg']
+      ])
+    })
+
+    it('should check inline styles, style blocks and media attributes', async () => {
+      write(
+        'index.html',
+        [
+          '<style>.a { background: url(a.png) }</style>',
+          '<div style="background: url(\'b.png\')"></div>',
+          '<video src="c.mp4" poster="d.jpg"></video>',
+          '<object data="e.svg"></object>',
+          '<source srcset="f.webp 480w,g.webp 800w">'
+        ].join('\n')
+      )
+
+      const { broken } = await checkLinks(dir, createIgnoreMatcher())
+
+      expect(broken.map((link) => link.target)).toEqual([
+        'a.png',
+        'b.png',
+        'c.mp4',
+        'd.jpg',
+        'e.svg',
+        'f.webp',
+        'g.webp'
+      ])
+    })
+
+    it('should skip comments and inline scripts', async () => {
+      write(
+        'index.html',
+        [
+          '<!-- <a href="old.html">Old</a> -->',
+          '<script>const tpl = \'<img src="runtime.png">\'</script>',
+          '<script src="app.js"></script>'
+        ].join('\n')
+      )
+
+      const { broken } = await checkLinks(dir, createIgnoreMatcher())
+
+      expect(broken.map((link) => [link.line, link.target])).toEqual([
+        [3, 'app.js']
+      ])
+    })
+
+    it('should accept paths handled by redirect rules', async () => {
+      write('index.html', '<a href="/old-page">Old</a> <a href="/blog/post">Post</a>')
+
+      const { broken } = await checkLinks(dir, createIgnoreMatcher(), {
+        redirects: [
+          { from: '/old-page', to: '/', status: 301, force: false },
+          { from: '/blog/*', to: '/posts/:splat', status: 301, force: false }
+        ]
+      })
+
+      expect(broken).toEqual([])
+    })
+
+    it('should accept page links but not assets with a single-page app fallback', async () => {
+      write('index.html', '<a href="/settings">Settings</a>\n<img src="/missing.png">')
+
+      const { broken } = await checkLinks(dir, createIgnoreMatcher(), {
+        fallback: 'index.html'
+      })
+
+      expect(broken.map((link) => link.target)).toEqual(['missing.png'])
+    })
+
+    it('should not parse files that are not deployed', async () => {
+      write('index.html', '<h1>Home</h1>')
+      write('node_modules/pkg/readme.html', '<a href="missing.html">x</a>')
+
+      const result = await checkLinks(dir, createIgnoreMatcher())
+
+      expect(result).toEqual({ checkedFiles: 1, references: 0, broken: [] })
+    })
+  })
+})
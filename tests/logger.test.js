@@ -1,5 +1,6 @@
 import * as logger from '../src/utils/logger.js'
 import ora from 'ora'
+import chalk from 'chalk'
 
 vi.mock('ora')
 
@@ -73,6 +74,161 @@ describe('Logger', () => {
     expect(consoleLogSpy).toHaveBeenCalledWith('test')
   })
 
+  describe('redirectToStderr', () => {
+    afterEach(() => {
+      logger.redirectToStderr(false)
+    })
+
+    it('should send human-readable output to stderr', () => {
+      logger.redirectToStderr()
+      logger.log('plain')
+      logger.info('info')
+      logger.success('done')
+      logger.warning('careful')
+
+      expect(consoleLogSpy).not.toHaveBeenCalled()
+      expect(consoleErrorSpy).toHaveBeenCalledTimes(4)
+      expect(consoleErrorSpy).toHaveBeenCalledWith('plain')
+    })
+
+    it('should leave raw output on stdout', () => {
+      logger.redirectToStderr()
+      logger.raw('{"ok":true}')
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('{"ok":true}')
+    })
+  })
+
+  describe('setJsonOutput', () => {
+    afterEach(() => {
+      logger.setJsonOutput(false)
+    })
+
+    it('should print the first error as a JSON object on stdout', () => {
+      logger.setJsonOutput()
+      logger.errorWithSuggestions('Quota exceeded.', ['Run "launchpd quota"'], {
+        code: 'QUOTA_EXCEEDED'
+      })
+      logger.errorWithSuggestions('Second error', [], { code: 'UPLOAD_FAILED' })
+
+      expect(consoleLogSpy).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(consoleLogSpy.mock.calls[0][0])).toEqual({
+        ok: false,
+        error: {
+          code: 'QUOTA_EXCEEDED',
+          message: 'Quota exceeded.',
+          suggestions: ['Run "launchpd quota"']
+        }
+      })
+    })
+
+    it('should include the error details', () => {
+      logger.setJsonOutput()
+      logger.errorWithSuggestions('Build failed with exit code 2: make', [], {
+        code: 'BUILD_FAILED',
+        details: { command: 'make', commandExitCode: 2 }
+      })
+
+      expect(JSON.parse(consoleLogSpy.mock.calls[0][0]).error.details).toEqual({
+        command: 'make',
+        commandExitCode: 2
+      })
+    })
+
+    it('should default to UNKNOWN_ERROR', () => {
+      logger.setJsonOutput()
+      logger.errorWithSuggestions('Something broke')
+
+      expect(JSON.parse(consoleLogSpy.mock.calls[0][0]).error.code).toBe(
+        'UNKNOWN_ERROR'
+      )
+    })
+
+    it('should record warnings, including spinner warnings', () => {
+      vi.mocked(ora).mockReturnValue({
+        start: vi.fn().mockReturnThis(),
+        warn: vi.fn()
+      })
+      logger.setJsonOutput()
+      logger.warning('Only 1 site remaining')
+      logger.spinner('Checking').warn('Could not verify subdomain')
+
+      expect(logger.getRecordedWarnings()).toEqual([
+        'Only 1 site remaining',
+        'Could not verify subdomain'
+      ])
+      expect(consoleLogSpy).not.toHaveBeenCalled()
+
+      logger.setJsonOutput()
+      expect(logger.getRecordedWarnings()).toEqual([])
+    })
+
+    it('should not print JSON or record warnings when disabled', () => {
+      logger.warning('careful')
+      logger.errorWithSuggestions('Failed', [], { code: 'UPLOAD_FAILED' })
+
+      expect(logger.getRecordedWarnings()).toEqual([])
+      expect(consoleLogSpy).not.toHaveBeenCalledWith(
+        expect.stringContaining('UPLOAD_FAILED')
+      )
+    })
+  })
+
+  describe('setPlainOutput', () => {
+    afterEach(() => {
+      logger.setPlainOutput(false)
+    })
+
+    it('should disable colors and restore them', () => {
+      chalk.level = 2
+      logger.setPlainOutput()
+      expect(chalk.level).toBe(0)
+      expect(chalk.green('ok')).toBe('ok')
+
+      logger.setPlainOutput(false)
+      expect(chalk.level).toBe(2)
+    })
+
+    it('should disable spinner animation', () => {
+      vi.mocked(ora).mockReturnValue({ start: vi.fn().mockReturnThis() })
+
+      logger.spinner('Uploading')
+      expect(ora).toHaveBeenLastCalledWith(
+        expect.not.objectContaining({ isEnabled: false })
+      )
+
+      logger.setPlainOutput()
+      logger.spinner('Uploading')
+      expect(ora).toHaveBeenLastCalledWith(
+        expect.objectContaining({ text: 'Uploading', isEnabled: false })
+      )
+    })
+  })
+
+  describe('registerSecret', () => {
+    it('should mask secrets in messages and verbose stack traces', () => {
+      logger.registerSecret('ghp_maskme123')
+      logger.info('token=ghp_maskme123')
+      logger.error('failed with ghp_maskme123', {
+        verbose: true,
+        cause: new Error('Bearer ghp_maskme123 rejected')
+      })
+
+      const output = [...consoleLogSpy.mock.calls, ...consoleErrorSpy.mock.calls]
+        .flat()
+        .join('\n')
+      expect(output).not.toContain('ghp_maskme123')
+      expect(output).toContain('token=***')
+      expect(output).toContain('Bearer *** rejected')
+    })
+
+    it('should ignore values too short to mask safely', () => {
+      logger.registerSecret('ab')
+      logger.log('abc')
+      expect(consoleLogSpy).toHaveBeenCalledWith('abc')
+    })
+  })
+
   it('formatSize should format bytes correctly', () => {
     expect(logger.formatSize(0)).toBe('0 Bytes')
     expect(logger.formatSize(1024)).toBe('1 KB')
@@ -0,0 +1,262 @@
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  createPreviewServer,
+  resolveRequest
+} from '../src/utils/previewServer.js'
+import { createIgnoreMatcher } from '../src/utils/ignore.js'
+import { parseRedirectsFile, parseHeadersFile } from '../src/utils/siteRules.js'
+
+describe('preview server', () => {
+  let dir
+  let site
+
+  const write = (path, content = path) => {
+    const filePath = join(dir, path)
+    mkdirSync(join(filePath, '..'), { recursive: true })
+    writeFileSync(filePath, content)
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'launchpd-serve-'))
+    write('index.html', '<h1>Home</h1>')
+    write('about/index.html', '<h1>About</h1>')
+    write('css/site.css', 'body {}')
+    write('drafts/post.html')
+    write('api/server.php')
+    write('README.md')
+    site = {
+      matcher: createIgnoreMatcher({ ignoreFile: 'drafts/\n' }),
+      blockedPaths: new Set(['api/server.php'])
+    }
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('resolveRequest', () => {
+    it('should serve index.html for the root and folders', async () => {
+      expect(await resolveRequest(dir, '/', site)).toEqual({
+        status: 200,
+        file: 'index.html',
+        warnings: []
+      })
+      expect(await resolveRequest(dir, '/about/', site)).toMatchObject({
+        status: 200,
+        file: 'about/index.html'
+      })
+    })
+
+    it('should redirect folders without a trailing slash', async () => {
+      expect(await resolveRequest(dir, '/about', site)).toEqual({
+        status: 301,
+        location: '/about/',
+        warnings: []
+      })
+    })
+
+    it('should serve files', async () => {
+      expect(await resolveRequest(dir, '/css/site.css', site)).toMatchObject({
+        status: 200,
+        file: 'css/site.css'
+      })
+    })
+
+    it('should 404 files that would not be deployed, with a warning', async () => {
+      expect(await resolveRequest(dir, '/drafts/post.html', site)).toEqual({
+        status: 404,
+        warnings: ['drafts/post.html is ignored by .launchpdignore: "drafts/"']
+      })
+      expect(await resolveRequest(dir, '/README.md', site)).toMatchObject({
+        status: 404,
+        warnings: [expect.stringContaining('built-in ignore list')]
+      })
+      expect(await resolveRequest(dir, '/api/server.php', site)).toMatchObject({
+        status: 404,
+        warnings: [expect.stringContaining('not a static file')]
+      })
+    })
+
+    it('should 404 missing files without a warning', async () => {
+      expect(await resolveRequest(dir, '/missing.html', site)).toEqual({
+        status: 404,
+        warnings: []
+      })
+    })
+
+    it('should serve a deployed 404.html', async () => {
+      write('404.html', 'Not here')
+
+      expect(await resolveRequest(dir, '/missing.html', site)).toEqual({
+        status: 404,
+        file: '404.html',
+        warnings: []
+      })
+    })
+
+    describe('redirect rules', () => {
+      beforeEach(() => {
+        site.redirects = parseRedirectsFile(
+          [
+            '/old-post /blog/new-post',
+            '/css/site.css /elsewhere.css',
+            '/about /home 302!',
+            '/app/* /index.html 200',
+            '/gone /index.html 410',
+            '/api/* https://api.example.com/:splat 200',
+            '/broken /missing.html 200'
+          ].join('\n')
+        ).redirects
+      })
+
+      it('should redirect and keep the query string', async () => {
+        expect(await resolveRequest(dir, '/old-post', site, '?ref=1')).toEqual({
+          status: 301,
+          location: '/blog/new-post?ref=1',
+          warnings: []
+        })
+      })
+
+      it('should let deployed files win over rules that are not forced', async () => {
+        expect(await resolveRequest(dir, '/css/site.css', site)).toMatchObject({
+          status: 200,
+          file: 'css/site.css'
+        })
+        expect(await resolveRequest(dir, '/about', site)).toMatchObject({
+          status: 302,
+          location: '/home'
+        })
+      })
+
+      it('should rewrite to the target with the rule status', async () => {
+        expect(await resolveRequest(dir, '/app/settings', site)).toEqual({
+          status: 200,
+          file: 'index.html',
+          warnings: []
+        })
+        expect(await resolveRequest(dir, '/gone', site)).toMatchObject({
+          status: 410,
+          file: 'index.html'
+        })
+      })
+
+      it('should warn about targets it cannot preview', async () => {
+        expect(await resolveRequest(dir, '/api/users', site)).toEqual({
+          status: 502,
+          warnings: [
+            'rewriting to https://api.example.com/users (proxying) is not previewed locally'
+          ]
+        })
+        expect(await resolveRequest(dir, '/broken', site)).toEqual({
+          status: 404,
+          warnings: ['the target /missing.html of "/broken /missing.html" is not deployed']
+        })
+      })
+    })
+
+    it('should serve the single-page app fallback for unknown paths', async () => {
+      site.fallback = 'index.html'
+
+      expect(await resolveRequest(dir, '/dashboard/settings', site)).toEqual({
+        status: 200,
+        file: 'index.html',
+        warnings: []
+      })
+      expect(await resolveRequest(dir, '/css/site.css', site)).toMatchObject({
+        file: 'css/site.css'
+      })
+    })
+
+    it('should serve the configured 404 page', async () => {
+      write('errors/not-found.html', 'Gone')
+      site.notFoundPage = 'errors/not-found.html'
+
+      expect(await resolveRequest(dir, '/missing', site)).toEqual({
+        status: 404,
+        file: 'errors/not-found.html',
+        warnings: []
+      })
+    })
+
+    it('should not leave the folder', async () => {
+      expect(await resolveRequest(dir, '/../../etc/passwd', site)).toMatchObject({
+        status: 404
+      })
+    })
+  })
+
+  describe('createPreviewServer', () => {
+    let server
+    let baseUrl
+    let warnings
+
+    beforeEach(async () => {
+      warnings = []
+      server = createPreviewServer(dir, {
+        matcher: site.matcher,
+        violationPaths: ['api/server.php'],
+        redirects: parseRedirectsFile('/old /about/').redirects,
+        headers: parseHeadersFile(
+          '/*\n  X-Frame-Options: DENY\n/css/*\n  Cache-Control: max-age=60\n'
+        ).headers,
+        onWarning: (message) => warnings.push(message)
+      })
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      baseUrl = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve))
+    })
+
+    it('should serve files with their MIME type', async () => {
+      const response = await fetch(`${baseUrl}/css/site.css`)
+
+      expect(response.status).toBe(200)
+      expect(response.headers.get('content-type')).toBe('text/css')
+      expect(await response.text()).toBe('body {}')
+    })
+
+    it('should redirect to the trailing slash and keep the query', async () => {
+      const response = await fetch(`${baseUrl}/about?ref=nav`, {
+        redirect: 'manual'
+      })
+
+      expect(response.status).toBe(301)
+      expect(response.headers.get('location')).toBe('/about/?ref=nav')
+    })
+
+    it('should warn about requests that would 404 in production', async () => {
+      const response = await fetch(`${baseUrl}/drafts/post.html`)
+
+      expect(response.status).toBe(404)
+      expect(await response.text()).toBe('404 Not Found')
+      expect(warnings).toEqual([
+        'GET /drafts/post.html would 404 in production: drafts/post.html is ignored by .launchpdignore: "drafts/"'
+      ])
+    })
+
+    it('should add the headers of matching rules', async () => {
+      const response = await fetch(`${baseUrl}/css/site.css`)
+
+      expect(response.headers.get('x-frame-options')).toBe('DENY')
+      expect(response.headers.get('cache-control')).toBe('max-age=60')
+    })
+
+    it('should follow redirect rules', async () => {
+      const response = await fetch(`${baseUrl}/old`, { redirect: 'manual' })
+
+      expect(response.status).toBe(301)
+      expect(response.headers.get('location')).toBe('/about/')
+      expect(response.headers.get('x-frame-options')).toBe('DENY')
+    })
+
+    it('should reject other methods', async () => {
+      const response = await fetch(`${baseUrl}/`, { method: 'POST' })
+
+      expect(response.status).toBe(405)
+    })
+  })
+})
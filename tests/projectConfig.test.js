@@ -1,7 +1,8 @@
-import { findProjectRoot, getProjectConfig, saveProjectConfig, initProjectConfig, updateProjectConfig } from '../src/utils/projectConfig.js'
+import { findProjectRoot, getProjectConfig, findPublishDir, saveProjectConfig, initProjectConfig, updateProjectConfig } from '../src/utils/projectConfig.js'
 import { existsSync } from 'node:fs'
 import { readFile, writeFile } from 'node:fs/promises'
-import { join, resolve } from 'node:path'
+import { isAbsolute, join, relative, resolve } from 'node:path'
+import { ConfigError } from '../src/utils/errors.js'
 
 vi.mock('node:fs')
 vi.mock('node:fs/promises')
@@ -79,6 +80,84 @@ describe('projectConfig', () => {
     })
   })
 
+  describe('findPublishDir', () => {
+    beforeEach(async () => {
+      const { posix } = await vi.importActual('node:path')
+      // Drop return values queued but not consumed by the tests above
+      resolve.mockReset()
+      resolve.mockImplementation(posix.resolve)
+      relative.mockImplementation(posix.relative)
+      isAbsolute.mockImplementation(posix.isAbsolute)
+      existsSync.mockReset()
+    })
+
+    it('should return the build and publicDir of a project root', async () => {
+      existsSync.mockReturnValue(true)
+      readFile.mockResolvedValue('{"publicDir": "dist", "build": "npm run build"}')
+
+      const publish = await findPublishDir('/app')
+      expect(publish).toEqual({
+        projectRoot: '/app',
+        build: 'npm run build',
+        publicDir: 'dist',
+        path: '/app/dist'
+      })
+    })
+
+    it('should return the build without a publicDir', async () => {
+      existsSync.mockReturnValue(true)
+      readFile.mockResolvedValue('{"build": "npm run build"}')
+
+      expect(await findPublishDir('/app')).toEqual({
+        projectRoot: '/app',
+        build: 'npm run build',
+        publicDir: null,
+        path: null
+      })
+    })
+
+    it('should return null for a folder inside the project', async () => {
+      existsSync.mockReturnValueOnce(false).mockReturnValue(true)
+      readFile.mockResolvedValue('{"publicDir": "dist"}')
+
+      const publish = await findPublishDir('/app/docs')
+      expect(publish).toBeNull()
+      expect(readFile).not.toHaveBeenCalled()
+    })
+
+    it('should return null without build or publicDir', async () => {
+      existsSync.mockReturnValue(true)
+      readFile.mockResolvedValue('{"subdomain": "site"}')
+
+      expect(await findPublishDir('/app')).toBeNull()
+    })
+
+    it('should reject settings that are not non-empty strings', async () => {
+      existsSync.mockReturnValue(true)
+      for (const [config, key] of [
+        ['{"publicDir": " "}', 'publicDir'],
+        ['{"publicDir": 1}', 'publicDir'],
+        ['{"build": ["npm", "run"]}', 'build']
+      ]) {
+        readFile.mockResolvedValueOnce(config)
+        const err = await findPublishDir('/app').catch((e) => e)
+        expect(err).toBeInstanceOf(ConfigError)
+        expect(err.message).toBe(
+          `Invalid "${key}" in .launchpd.json: expected a non-empty string.`
+        )
+      }
+    })
+
+    it('should reject a publicDir outside the project', async () => {
+      existsSync.mockReturnValue(true)
+      readFile.mockResolvedValue('{"publicDir": "../elsewhere"}')
+
+      await expect(findPublishDir('/app')).rejects.toThrow(
+        'Invalid "publicDir" in .launchpd.json: "../elsewhere" is outside the project.'
+      )
+    })
+  })
+
   describe('saveProjectConfig', () => {
     it('should write config to file', async () => {
       await saveProjectConfig({ subdomain: 'test' }, '/app')
@@ -0,0 +1,106 @@
+import {
+  getProvider,
+  getProviderForHost,
+  isGitHost,
+  PROVIDERS
+} from '../src/utils/providers/registry.js'
+import { encodeRefPath, parseOwnerRepo } from '../src/utils/providers/path.js'
+
+describe('git providers', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  describe('getProviderForHost', () => {
+    it('should recognize public hosts without configuration', () => {
+      expect(getProviderForHost('github.com').name).toBe('github')
+      expect(getProviderForHost('GitLab.com').name).toBe('gitlab')
+      expect(getProviderForHost('bitbucket.org').name).toBe('bitbucket')
+      expect(getProviderForHost('git.example.com')).toBeNull()
+    })
+
+    it('should read self-hosted servers from LAUNCHPD_GIT_HOSTS', () => {
+      vi.stubEnv(
+        'LAUNCHPD_GIT_HOSTS',
+        ' git.example.com = gitea ,gitlab.corp.com=gitlab,,ghe.corp.com:8443=GitHub-Enterprise'
+      )
+
+      expect(getProviderForHost('git.example.com').name).toBe('gitea')
+      expect(getProviderForHost('gitlab.corp.com').name).toBe('gitlab')
+      expect(getProviderForHost('ghe.corp.com:8443').name).toBe(
+        'github-enterprise'
+      )
+      expect(isGitHost('ghe.corp.com')).toBe(false)
+    })
+
+    it('should not allow public-only providers for self-hosted servers', () => {
+      vi.stubEnv('LAUNCHPD_GIT_HOSTS', 'git.example.com=bitbucket')
+      expect(isGitHost('git.example.com')).toBe(true)
+      expect(() => getProviderForHost('git.example.com')).toThrow(
+        'Supported providers: github-enterprise, gitlab, gitea'
+      )
+    })
+  })
+
+  describe('getProvider', () => {
+    it('should default to GitHub and reject unknown names', () => {
+      expect(getProvider()).toBe(PROVIDERS.github)
+      expect(() => getProvider('sourcehut')).toThrow('Unknown git provider')
+    })
+  })
+
+  describe('archive URLs', () => {
+    const fetchJson = vi.fn()
+
+    it('should encode refs but keep slashes in path refs', async () => {
+      expect(encodeRefPath('feature/new nav')).toBe('feature/new%20nav')
+      expect(
+        await PROVIDERS.github.getArchiveUrl(
+          { owner: 'user', repo: 'site' },
+          'release/v1'
+        )
+      ).toBe('https://api.github.com/repos/user/site/tarball/release/v1')
+    })
+
+    it('should pass GitLab refs as a query parameter', async () => {
+      expect(
+        await PROVIDERS.gitlab.getArchiveUrl(
+          { host: 'gitlab.corp.com', owner: 'web', repo: 'docs' },
+          'feature/x'
+        )
+      ).toBe(
+        'https://gitlab.corp.com/api/v4/projects/web%2Fdocs/repository/archive.tar.gz?sha=feature%2Fx'
+      )
+      expect(fetchJson).not.toHaveBeenCalled()
+    })
+
+    it('should fail clearly when the default branch is unknown', async () => {
+      fetchJson.mockResolvedValue({})
+      await expect(
+        PROVIDERS.gitea.getArchiveUrl(
+          { host: 'git.example.com', owner: 'me', repo: 'site' },
+          undefined,
+          fetchJson
+        )
+      ).rejects.toThrow('Pass it with --branch')
+    })
+  })
+
+  describe('parsePath', () => {
+    it('should read owner and repo', () => {
+      expect(parseOwnerRepo(['user', 'site.git', 'tree', 'main'])).toEqual({
+        owner: 'user',
+        repo: 'site'
+      })
+      expect(parseOwnerRepo(['user'])).toBeNull()
+    })
+
+    it('should read nested GitLab groups', () => {
+      expect(PROVIDERS.gitlab.parsePath(['a', 'b', 'c', 'site'])).toEqual({
+        owner: 'a/b/c',
+        repo: 'site'
+      })
+      expect(PROVIDERS.gitlab.parsePath(['site', '-', 'tree', 'x'])).toBeNull()
+    })
+  })
+})
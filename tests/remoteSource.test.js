@@ -7,16 +7,46 @@ import {
     validateGistFilename,
     createSizeLimitStream,
     createTarFilter,
+    isArchivePath,
+    extractLocalArchive,
+    extractArchiveStream,
     MAX_DOWNLOAD_BYTES,
+    MAX_UNPACKED_BYTES,
     MAX_FILE_COUNT,
     MAX_EXTRACT_DEPTH,
     GIST_PARALLEL_LIMIT,
     FETCH_TIMEOUT_MS
 } from '../src/utils/remoteSource.js'
-import { mkdtemp, writeFile, rm, readdir, readFile } from 'node:fs/promises'
+import { createIgnoreMatcher } from '../src/utils/ignore.js'
+import { NetworkError } from '../src/utils/errors.js'
+import { mkdtemp, mkdir, writeFile, rm, readdir, readFile } from 'node:fs/promises'
 import { existsSync } from 'node:fs'
+import { Readable } from 'node:stream'
 import { join } from 'node:path'
 import { tmpdir } from 'node:os'
+import { createServer } from 'node:http'
+import { createHash } from 'node:crypto'
+
+/** Commit that GitHub repo refs resolve to in fetch mocks */
+const COMMIT_SHA = '0123456789abcdef0123456789abcdef01234567'
+
+/**
+ * Answer GitHub commit lookups (repo deploys are pinned to a SHA) and pass
+ * every other request on to the current fetch mock
+ */
+function mockCommitLookup (sha = COMMIT_SHA) {
+    const fetchMock = globalThis.fetch
+    globalThis.fetch = vi.fn((url, init) =>
+        url.includes('/commits?')
+            ? Promise.resolve({
+                ok: true,
+                status: 200,
+                headers: new Headers(),
+                json: async () => [{ sha }]
+            })
+            : fetchMock(url, init)
+    )
+}
 
 // ============================================================================
 // isRemoteUrl Tests
@@ -31,6 +61,11 @@ describe('isRemoteUrl', () => {
         expect(isRemoteUrl('https://gist.github.com/user/abc123')).toBe(true)
     })
 
+    it('should return true for npm package sources', () => {
+        expect(isRemoteUrl('npm:@scope/docs-site@2.3.1')).toBe(true)
+        expect(isArchivePath('npm:site.tgz')).toBe(false)
+    })
+
     it('should return false for HTTP (non-HTTPS) GitHub URLs', () => {
         expect(isRemoteUrl('http://github.com/user/repo')).toBe(false)
         expect(isRemoteUrl('http://gist.github.com/user/abc123')).toBe(false)
@@ -49,10 +84,22 @@ describe('isRemoteUrl', () => {
         expect(isRemoteUrl(undefined)).toBe(false)
     })
 
-    it('should return false for non-GitHub URLs', () => {
-        expect(isRemoteUrl('https://gitlab.com/user/repo')).toBe(false)
-        expect(isRemoteUrl('https://bitbucket.org/user/repo')).toBe(false)
+    it('should return true for GitLab and Bitbucket URLs', () => {
+        expect(isRemoteUrl('https://gitlab.com/user/repo')).toBe(true)
+        expect(isRemoteUrl('https://bitbucket.org/user/repo')).toBe(true)
+    })
+
+    it('should return false for unknown hosts', () => {
         expect(isRemoteUrl('https://example.com')).toBe(false)
+        expect(isRemoteUrl('https://git.example.com/user/repo')).toBe(false)
+    })
+
+    it('should return true for self-hosted servers in LAUNCHPD_GIT_HOSTS', () => {
+        vi.stubEnv('LAUNCHPD_GIT_HOSTS', 'git.example.com=gitea, GHE.corp.com:8443=github-enterprise')
+        expect(isRemoteUrl('https://git.example.com/user/repo')).toBe(true)
+        expect(isRemoteUrl('https://ghe.corp.com:8443/team/site')).toBe(true)
+        expect(isRemoteUrl('http://git.example.com/user/repo')).toBe(false)
+        vi.unstubAllEnvs()
     })
 })
 
@@ -106,8 +153,8 @@ describe('parseRemoteUrl', () => {
             })
         })
 
-        it('should handle URLs with extra path segments', () => {
-            const result = parseRemoteUrl('https://github.com/user/repo/tree/main')
+        it('should ignore unrelated extra path segments', () => {
+            const result = parseRemoteUrl('https://github.com/user/repo/pulls')
             expect(result).toEqual({
                 type: 'repo',
                 owner: 'user',
@@ -115,6 +162,45 @@ describe('parseRemoteUrl', () => {
             })
         })
 
+        it('should read the branch and folder from tree URLs', () => {
+            expect(parseRemoteUrl('https://github.com/user/repo/tree/main')).toEqual({
+                type: 'repo',
+                owner: 'user',
+                repo: 'repo',
+                ref: 'main'
+            })
+            expect(
+                parseRemoteUrl('https://github.com/org/site/tree/gh-pages/docs/public%20site/')
+            ).toEqual({
+                type: 'repo',
+                owner: 'org',
+                repo: 'site',
+                ref: 'gh-pages',
+                dir: 'docs/public site'
+            })
+        })
+
+        it('should deploy the folder containing a blob URL file', () => {
+            expect(
+                parseRemoteUrl('https://github.com/org/site/blob/main/docs/index.html')
+            ).toMatchObject({ ref: 'main', dir: 'docs' })
+            expect(
+                parseRemoteUrl('https://github.com/org/site/blob/main/index.html')
+            ).not.toHaveProperty('dir')
+        })
+
+        it('should read commit and release tag URLs', () => {
+            expect(
+                parseRemoteUrl(`https://github.com/org/site/commit/${COMMIT_SHA}`)
+            ).toEqual({ type: 'repo', owner: 'org', repo: 'site', ref: COMMIT_SHA })
+            expect(
+                parseRemoteUrl('https://github.com/org/site/releases/tag/v1.2.0')
+            ).toEqual({ type: 'repo', owner: 'org', repo: 'site', ref: 'v1.2.0', release: 'v1.2.0' })
+            expect(
+                parseRemoteUrl('https://github.com/org/site/releases/latest')
+            ).toEqual({ type: 'repo', owner: 'org', repo: 'site', release: 'latest' })
+        })
+
         it('should throw on repo URL with missing repo name', () => {
             expect(() => parseRemoteUrl('https://github.com/user')).toThrow(
                 'Invalid GitHub URL'
@@ -122,6 +208,90 @@ describe('parseRemoteUrl', () => {
         })
     })
 
+    describe('Other git providers', () => {
+        afterEach(() => {
+            vi.unstubAllEnvs()
+        })
+
+        it('should parse GitLab URLs with subgroups and UI paths', () => {
+            expect(parseRemoteUrl('https://gitlab.com/group/sub/site/-/tree/main')).toEqual({
+                type: 'repo',
+                provider: 'gitlab',
+                host: 'gitlab.com',
+                owner: 'group/sub',
+                repo: 'site'
+            })
+        })
+
+        it('should parse Bitbucket URLs and strip .git', () => {
+            expect(parseRemoteUrl('https://bitbucket.org/team/site.git')).toEqual({
+                type: 'repo',
+                provider: 'bitbucket',
+                host: 'bitbucket.org',
+                owner: 'team',
+                repo: 'site'
+            })
+        })
+
+        it('should parse configured self-hosted servers', () => {
+            vi.stubEnv('LAUNCHPD_GIT_HOSTS', 'git.example.com=gitea,ghe.corp.com=github-enterprise')
+            expect(parseRemoteUrl('https://git.example.com/me/site')).toMatchObject({
+                provider: 'gitea',
+                host: 'git.example.com',
+                owner: 'me',
+                repo: 'site'
+            })
+            expect(parseRemoteUrl('https://ghe.corp.com/team/docs')).toMatchObject({
+                provider: 'github-enterprise',
+                host: 'ghe.corp.com'
+            })
+        })
+
+        it('should reject unknown providers in LAUNCHPD_GIT_HOSTS', () => {
+            vi.stubEnv('LAUNCHPD_GIT_HOSTS', 'git.example.com=sourcehut')
+            expect(() => parseRemoteUrl('https://git.example.com/me/site')).toThrow(
+                'unknown provider "sourcehut"'
+            )
+        })
+
+        it('should name the provider when the repo is missing', () => {
+            expect(() => parseRemoteUrl('https://gitlab.com/group')).toThrow(
+                'Invalid GitLab URL'
+            )
+        })
+    })
+
+    describe('npm packages', () => {
+        it('should parse scoped packages with a version', () => {
+            expect(parseRemoteUrl('npm:@scope/docs-site@2.3.1')).toEqual({
+                type: 'npm',
+                name: '@scope/docs-site',
+                version: '2.3.1'
+            })
+        })
+
+        it('should parse packages without a version or with a dist-tag', () => {
+            expect(parseRemoteUrl('npm:@scope/docs-site')).toEqual({
+                type: 'npm',
+                name: '@scope/docs-site'
+            })
+            expect(parseRemoteUrl('npm:docs-site@next')).toEqual({
+                type: 'npm',
+                name: 'docs-site',
+                version: 'next'
+            })
+        })
+
+        it('should reject invalid names and version ranges', () => {
+            expect(() => parseRemoteUrl('npm:Docs Site')).toThrow('Invalid npm package')
+            expect(() => parseRemoteUrl('npm:../etc')).toThrow('Invalid npm package')
+            expect(() => parseRemoteUrl('npm:docs-site@^2.0.0')).toThrow(
+                'ranges are not supported'
+            )
+            expect(() => parseRemoteUrl('npm:docs-site@')).toThrow('Invalid npm version')
+        })
+    })
+
     describe('Error cases', () => {
         it('should throw on null input', () => {
             expect(() => parseRemoteUrl(null)).toThrow('URL is required')
@@ -136,9 +306,12 @@ describe('parseRemoteUrl', () => {
         })
 
         it('should throw on unsupported host', () => {
-            expect(() => parseRemoteUrl('https://gitlab.com/user/repo')).toThrow(
+            expect(() => parseRemoteUrl('https://example.com/user/repo')).toThrow(
                 'Unsupported URL host'
             )
+            expect(() => parseRemoteUrl('https://example.com/user/repo')).toThrow(
+                'LAUNCHPD_GIT_HOSTS'
+            )
         })
 
         it('should throw on insecure http:// URLs', () => {
@@ -577,6 +750,44 @@ describe('Security', () => {
             expect(result.tempDir).toBeTruthy()
         })
 
+        it('should send the GitHub token for secret gists but not to raw_url', async () => {
+            globalThis.fetch = vi.fn().mockImplementation((url) => {
+                if (url.includes('/gists/')) {
+                    return Promise.resolve({
+                        ok: true,
+                        status: 200,
+                        json: async () => ({
+                            files: {
+                                'secret.html': {
+                                    content: null,
+                                    truncated: true,
+                                    raw_url: 'https://gist.githubusercontent.com/user/abc/raw/secret.html'
+                                }
+                            }
+                        }),
+                        headers: new Headers()
+                    })
+                }
+                return Promise.resolve({
+                    ok: true,
+                    text: async () => '<h1>Secret</h1>',
+                    headers: new Headers()
+                })
+            })
+
+            const result = await fetchRemoteSource(
+                { type: 'gist', gistId: 'secret' },
+                { githubToken: 'ghp_secret' }
+            )
+            tempDirs.push(result.tempDir)
+
+            const [apiCall, rawCall] = globalThis.fetch.mock.calls
+            expect(apiCall[0]).toBe('https://api.github.com/gists/secret')
+            expect(apiCall[1].headers.Authorization).toBe('Bearer ghp_secret')
+            expect(rawCall[0]).toContain('gist.githubusercontent.com')
+            expect(rawCall[1].headers).not.toHaveProperty('Authorization')
+        })
+
         it('should allow raw_url from raw.githubusercontent.com', async () => {
             globalThis.fetch = vi.fn().mockImplementation((url) => {
                 if (url.includes('/gists/')) {
@@ -666,6 +877,43 @@ describe('Security', () => {
         })
     })
 
+    describe('Retryable errors', () => {
+        it('should throw NetworkErrors for connection failures and timeouts', async () => {
+            const dnsErr = new TypeError('fetch failed')
+            dnsErr.cause = Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' })
+            globalThis.fetch = vi.fn().mockRejectedValue(dnsErr)
+
+            const err = await fetchRemoteSource({ type: 'gist', gistId: 'offline' }, {}).catch((e) => e)
+            expect(err).toBeInstanceOf(NetworkError)
+            expect(err.message).toBe('Network error while fetching Gist "offline": ENOTFOUND')
+
+            const abortErr = new Error('The operation was aborted')
+            abortErr.name = 'AbortError'
+            globalThis.fetch = vi.fn().mockRejectedValue(abortErr)
+
+            await expect(
+                fetchRemoteSource({ type: 'gist', gistId: 'slow' }, {})
+            ).rejects.toBeInstanceOf(NetworkError)
+        })
+
+        it('should throw NetworkErrors for rate limits and server errors only', async () => {
+            const respond = (status, headers = {}) => {
+                globalThis.fetch = vi.fn().mockResolvedValue({
+                    ok: false,
+                    status,
+                    headers: new Headers(headers)
+                })
+                return fetchRemoteSource({ type: 'gist', gistId: 'abc123' }, {}).catch((e) => e)
+            }
+
+            expect(await respond(502)).toBeInstanceOf(NetworkError)
+            expect(await respond(429)).toBeInstanceOf(NetworkError)
+            expect(await respond(403, { 'X-RateLimit-Remaining': '0' })).toBeInstanceOf(NetworkError)
+            expect(await respond(404)).not.toBeInstanceOf(NetworkError)
+            expect(await respond(401)).not.toBeInstanceOf(NetworkError)
+        })
+    })
+
     describe('Fetch timeout', () => {
         it('should throw a timeout error if gist API fetch hangs', async () => {
             // Simulate an AbortError as would be thrown by fetch when signal fires
@@ -730,6 +978,7 @@ describe('Security', () => {
                 }),
                 body: null
             })
+            mockCommitLookup()
 
             await expect(
                 fetchRemoteSource({ type: 'repo', owner: 'user', repo: 'repo' }, {})
@@ -745,6 +994,7 @@ describe('Security', () => {
                 }),
                 body: null
             })
+            mockCommitLookup()
 
             await expect(
                 fetchRemoteSource({ type: 'repo', owner: 'user', repo: 'repo' }, {})
@@ -1158,6 +1408,7 @@ describe('fetchRemoteSource', () => {
                 }),
                 body: null
             })
+            mockCommitLookup()
 
             await expect(
                 fetchRemoteSource(
@@ -1200,6 +1451,7 @@ describe('fetchRemoteSource', () => {
                     }
                 })
             })
+            mockCommitLookup()
 
             const result = await fetchRemoteSource(
                 { type: 'repo', owner: 'user', repo: 'no-content-type' },
@@ -1253,6 +1505,7 @@ describe('fetchRemoteSource', () => {
                     }
                 })
             })
+            mockCommitLookup()
 
             const result = await fetchRemoteSource(
                 { type: 'repo', owner: 'user', repo: 'repo' },
@@ -1311,8 +1564,60 @@ describe('fetchRemoteSource', () => {
                     }
                 })
             })
+            mockCommitLookup()
         }
 
+        it("should apply the repo's .launchpdignore and .launchpd.json rules", async () => {
+            const tarballBuffer = await buildTarballBuffer(async (srcDir, topDir, { mkdir }) => {
+                const root = join(srcDir, topDir)
+                await mkdir(join(root, 'drafts'))
+                await writeFile(join(root, 'index.html'), '<h1>Hi</h1>')
+                await writeFile(join(root, 'logo.psd'), 'psd')
+                await writeFile(join(root, 'notes.txt'), 'notes')
+                await writeFile(join(root, 'drafts', 'post.html'), 'draft')
+                await writeFile(join(root, '.launchpdignore'), '*.psd\ndrafts/\n')
+                await writeFile(
+                    join(root, '.launchpd.json'),
+                    JSON.stringify({ ignore: ['*.txt'] })
+                )
+            })
+            mockFetchWithTarball(tarballBuffer)
+
+            const result = await fetchRemoteSource(
+                { type: 'repo', owner: 'user', repo: 'ignored' },
+                {}
+            )
+            tempDirs.push(result.tempDir)
+
+            const entries = await readdir(result.tempDir)
+            expect(entries).toContain('index.html')
+            expect(entries).not.toContain('logo.psd')
+            expect(entries).not.toContain('notes.txt')
+            expect(entries).not.toContain('drafts')
+        })
+
+        it('should read .launchpdignore from the --dir folder', async () => {
+            const tarballBuffer = await buildTarballBuffer(async (srcDir, topDir, { mkdir }) => {
+                const dist = join(srcDir, topDir, 'dist')
+                await mkdir(dist)
+                await writeFile(join(dist, 'index.html'), '<h1>Hi</h1>')
+                await writeFile(join(dist, 'app.js.map'), '{}')
+                await writeFile(join(dist, '.launchpdignore'), '*.map\n')
+            })
+            mockFetchWithTarball(tarballBuffer)
+
+            const result = await fetchRemoteSource(
+                { type: 'repo', owner: 'user', repo: 'built' },
+                { dir: 'dist' }
+            )
+            tempDirs.push(result.tempDir)
+
+            expect(result.folderPath).toBe(join(result.tempDir, 'dist'))
+            const entries = await readdir(result.folderPath)
+            expect(entries).toContain('index.html')
+            expect(entries).not.toContain('app.js.map')
+        })
+
         it('should reject tarball whose streamed body exceeds size limit', async () => {
             // Build a tarball with a file larger than MAX_DOWNLOAD_BYTES
             // Instead of building a real huge file, we mock the response body
@@ -1335,6 +1640,7 @@ describe('fetchRemoteSource', () => {
                     }
                 })
             })
+            mockCommitLookup()
 
             await expect(
                 fetchRemoteSource(
@@ -1344,6 +1650,849 @@ describe('fetchRemoteSource', () => {
             ).rejects.toThrow('exceeds maximum size limit')
         })
 
+        describe('Source cache', () => {
+            let home
+            let originalHome
+
+            beforeEach(async () => {
+                originalHome = process.env.HOME
+                home = await mkdtemp(join(tmpdir(), 'launchpd-home-'))
+                process.env.HOME = home
+            })
+
+            afterEach(async () => {
+                process.env.HOME = originalHome
+                await rm(home, { recursive: true, force: true })
+            })
+
+            /** GitHub API and codeload mock that answers If-None-Match with 304 */
+            function mockCachingGitHub (tarballBuffer) {
+                globalThis.fetch = vi.fn((url, init) => {
+                    if (url.includes('/commits?')) {
+                        return Promise.resolve(
+                            init.headers['If-None-Match'] === '"v1"'
+                                ? { ok: false, status: 304, headers: new Headers() }
+                                : {
+                                    ok: true,
+                                    status: 200,
+                                    headers: new Headers({ ETag: '"v1"' }),
+                                    json: async () => [{ sha: COMMIT_SHA }]
+                                }
+                        )
+                    }
+                    return Promise.resolve({
+                        ok: true,
+                        status: 200,
+                        headers: new Headers({ 'Content-Type': 'application/x-gzip' }),
+                        body: new ReadableStream({
+                            start (controller) {
+                                controller.enqueue(new Uint8Array(tarballBuffer))
+                                controller.close()
+                            }
+                        })
+                    })
+                })
+            }
+
+            it('should reuse the archive of a commit deployed before', async () => {
+                const tarballBuffer = await buildTarballBuffer(async (srcDir, topDir) => {
+                    await writeFile(join(srcDir, topDir, 'index.html'), '<h1>Cached</h1>')
+                })
+                mockCachingGitHub(tarballBuffer)
+                const parsed = { type: 'repo', owner: 'user', repo: 'site' }
+
+                const first = await fetchRemoteSource(parsed, { cache: true })
+                tempDirs.push(first.tempDir)
+                expect(first.cached).toBe(false)
+                expect(globalThis.fetch).toHaveBeenCalledTimes(2)
+
+                globalThis.fetch.mockClear()
+                const second = await fetchRemoteSource(parsed, { cache: true })
+                tempDirs.push(second.tempDir)
+
+                expect(second.cached).toBe(true)
+                expect(second.commit).toEqual({ sha: COMMIT_SHA, ref: null })
+                // Only the conditional ref lookup, which GitHub answers with 304
+                expect(globalThis.fetch).toHaveBeenCalledTimes(1)
+                expect(globalThis.fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"')
+                expect(
+                    await readFile(join(second.tempDir, 'index.html'), 'utf8')
+                ).toBe('<h1>Cached</h1>')
+            })
+
+            it('should not look up a full commit SHA', async () => {
+                const tarballBuffer = await buildTarballBuffer(async (srcDir, topDir) => {
+                    await writeFile(join(srcDir, topDir, 'index.html'), 'ok')
+                })
+                mockCachingGitHub(tarballBuffer)
+                const parsed = { type: 'repo', owner: 'user', repo: 'site', ref: COMMIT_SHA }
+
+                tempDirs.push((await fetchRemoteSource(parsed, { cache: true })).tempDir)
+                globalThis.fetch.mockClear()
+                const second = await fetchRemoteSource(parsed, { cache: true })
+                tempDirs.push(second.tempDir)
+
+                expect(second.cached).toBe(true)
+                expect(globalThis.fetch).not.toHaveBeenCalled()
+            })
+
+            it('should not write to the cache unless enabled', async () => {
+                const tarballBuffer = await buildTarballBuffer(async (srcDir, topDir) => {
+                    await writeFile(join(srcDir, topDir, 'index.html'), 'ok')
+                })
+                mockCachingGitHub(tarballBuffer)
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', owner: 'user', repo: 'site' },
+                    {}
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(result.cached).toBe(false)
+                expect(existsSync(join(home, '.staticlaunch'))).toBe(false)
+                expect(globalThis.fetch.mock.calls[0][1].headers['If-None-Match']).toBeUndefined()
+            })
+
+            it('should restore an unchanged gist revision from the cache', async () => {
+                globalThis.fetch = vi.fn((url, init) =>
+                    Promise.resolve(
+                        init.headers['If-None-Match'] === '"g1"'
+                            ? { ok: false, status: 304, headers: new Headers() }
+                            : {
+                                ok: true,
+                                status: 200,
+                                headers: new Headers({ ETag: '"g1"' }),
+                                json: async () => ({
+                                    files: {
+                                        'index.html': { content: '<h1>Gist</h1>', truncated: false }
+                                    },
+                                    history: [{ version: 'fedcba9876543210' }]
+                                })
+                            }
+                    )
+                )
+                const parsed = { type: 'gist', gistId: 'abc123' }
+
+                const first = await fetchRemoteSource(parsed, { cache: true })
+                tempDirs.push(first.tempDir)
+                expect(first.cached).toBe(false)
+
+                const second = await fetchRemoteSource(parsed, { cache: true })
+                tempDirs.push(second.tempDir)
+
+                expect(second.cached).toBe(true)
+                expect(globalThis.fetch).toHaveBeenCalledTimes(2)
+                expect(
+                    await readFile(join(second.tempDir, 'index.html'), 'utf8')
+                ).toBe('<h1>Gist</h1>')
+            })
+        })
+
+        describe('Git providers', () => {
+            const tarballResponse = (tarballBuffer) => ({
+                ok: true,
+                status: 200,
+                headers: new Headers({ 'Content-Type': 'application/x-gzip' }),
+                body: new ReadableStream({
+                    start (controller) {
+                        controller.enqueue(new Uint8Array(tarballBuffer))
+                        controller.close()
+                    }
+                })
+            })
+
+            const redirectResponse = (location) => ({
+                ok: false,
+                status: 302,
+                headers: new Headers({ Location: location })
+            })
+
+            const buildSite = () =>
+                buildTarballBuffer(async (srcDir, topDir) => {
+                    await writeFile(join(srcDir, topDir, 'index.html'), '<h1>Hi</h1>')
+                })
+
+            afterEach(() => {
+                vi.unstubAllEnvs()
+            })
+
+            it('should fetch a GitLab project archive for a branch', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn().mockResolvedValue(tarballResponse(tarballBuffer))
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', provider: 'gitlab', host: 'gitlab.com', owner: 'group/sub', repo: 'site' },
+                    { branch: 'main' }
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(globalThis.fetch).toHaveBeenCalledWith(
+                    'https://gitlab.com/api/v4/projects/group%2Fsub%2Fsite/repository/archive.tar.gz?sha=main',
+                    expect.objectContaining({ redirect: 'manual' })
+                )
+                expect(await readdir(result.tempDir)).toEqual(['index.html'])
+            })
+
+            it('should look up the Bitbucket main branch when none is given', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn().mockImplementation((url) =>
+                    Promise.resolve(
+                        url.startsWith('https://api.bitbucket.org/')
+                            ? {
+                                ok: true,
+                                status: 200,
+                                headers: new Headers(),
+                                json: async () => ({ mainbranch: { name: 'trunk' } })
+                            }
+                            : tarballResponse(tarballBuffer)
+                    )
+                )
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', provider: 'bitbucket', host: 'bitbucket.org', owner: 'team', repo: 'site' },
+                    {}
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(globalThis.fetch).toHaveBeenNthCalledWith(
+                    1,
+                    'https://api.bitbucket.org/2.0/repositories/team/site',
+                    expect.anything()
+                )
+                expect(globalThis.fetch).toHaveBeenNthCalledWith(
+                    2,
+                    'https://bitbucket.org/team/site/get/trunk.tar.gz',
+                    expect.anything()
+                )
+            })
+
+            it('should fetch a Gitea archive for the default branch', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn()
+                    .mockResolvedValueOnce({
+                        ok: true,
+                        status: 200,
+                        headers: new Headers(),
+                        json: async () => ({ default_branch: 'develop' })
+                    })
+                    .mockResolvedValueOnce(tarballResponse(tarballBuffer))
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', provider: 'gitea', host: 'git.example.com', owner: 'me', repo: 'site' },
+                    {}
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(globalThis.fetch).toHaveBeenLastCalledWith(
+                    'https://git.example.com/api/v1/repos/me/site/archive/develop.tar.gz',
+                    expect.anything()
+                )
+            })
+
+            it('should fetch GitHub Enterprise tarballs from the server API', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn()
+                    .mockResolvedValueOnce(redirectResponse(`https://codeload.ghe.corp.com/team/docs/legacy.tar.gz/${COMMIT_SHA}`))
+                    .mockResolvedValueOnce(tarballResponse(tarballBuffer))
+                mockCommitLookup()
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', provider: 'github-enterprise', host: 'ghe.corp.com', owner: 'team', repo: 'docs' },
+                    { branch: 'main' }
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(globalThis.fetch).toHaveBeenNthCalledWith(
+                    1,
+                    'https://ghe.corp.com/api/v3/repos/team/docs/commits?sha=main&per_page=1',
+                    expect.anything()
+                )
+                expect(globalThis.fetch).toHaveBeenNthCalledWith(
+                    2,
+                    `https://ghe.corp.com/api/v3/repos/team/docs/tarball/${COMMIT_SHA}`,
+                    expect.anything()
+                )
+                expect(result.commit).toEqual({ sha: COMMIT_SHA, ref: 'main' })
+                expect(await readdir(result.tempDir)).toEqual(['index.html'])
+            })
+
+            it('should follow GitHub redirects to codeload', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn()
+                    .mockResolvedValueOnce(redirectResponse('https://codeload.github.com/user/repo/legacy.tar.gz/main'))
+                    .mockResolvedValueOnce(tarballResponse(tarballBuffer))
+                mockCommitLookup()
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', owner: 'user', repo: 'repo' },
+                    {}
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(globalThis.fetch).toHaveBeenLastCalledWith(
+                    'https://codeload.github.com/user/repo/legacy.tar.gz/main',
+                    expect.anything()
+                )
+            })
+
+            it('should pin GitHub repo deploys to the resolved commit', async () => {
+                const tarballBuffer = await buildTarballBuffer(async (srcDir, topDir, { mkdir }) => {
+                    await mkdir(join(srcDir, topDir, 'docs'))
+                    await writeFile(join(srcDir, topDir, 'docs', 'index.html'), '<h1>Docs</h1>')
+                })
+                globalThis.fetch = vi.fn().mockResolvedValue(tarballResponse(tarballBuffer))
+                mockCommitLookup()
+
+                const result = await fetchRemoteSource(
+                    parseRemoteUrl('https://github.com/org/site/tree/gh-pages/docs'),
+                    {}
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(globalThis.fetch).toHaveBeenNthCalledWith(
+                    1,
+                    'https://api.github.com/repos/org/site/commits?sha=gh-pages&per_page=1',
+                    expect.anything()
+                )
+                expect(globalThis.fetch).toHaveBeenLastCalledWith(
+                    `https://api.github.com/repos/org/site/tarball/${COMMIT_SHA}`,
+                    expect.anything()
+                )
+                expect(result.commit).toEqual({ sha: COMMIT_SHA, ref: 'gh-pages' })
+                expect(result.folderPath).toBe(join(result.tempDir, 'docs'))
+            })
+
+            it('should move tree URL folders into branch names with slashes', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn((url) =>
+                    Promise.resolve(
+                        url.includes('/commits?')
+                            ? {
+                                ok: url.includes('sha=feature%2Fnav&'),
+                                status: url.includes('sha=feature%2Fnav&') ? 200 : 404,
+                                headers: new Headers(),
+                                json: async () => [{ sha: COMMIT_SHA }]
+                            }
+                            : tarballResponse(tarballBuffer)
+                    )
+                )
+
+                const result = await fetchRemoteSource(
+                    parseRemoteUrl('https://github.com/org/site/tree/feature/nav'),
+                    {}
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(result.commit).toEqual({ sha: COMMIT_SHA, ref: 'feature/nav' })
+                expect(result.folderPath).toBe(result.tempDir)
+            })
+
+            it('should let --branch and --dir override the URL', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn().mockResolvedValue(tarballResponse(tarballBuffer))
+                mockCommitLookup()
+
+                const result = await fetchRemoteSource(
+                    parseRemoteUrl('https://github.com/org/site/tree/gh-pages/docs'),
+                    { branch: 'main', dir: '.' }
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(globalThis.fetch).toHaveBeenNthCalledWith(
+                    1,
+                    'https://api.github.com/repos/org/site/commits?sha=main&per_page=1',
+                    expect.anything()
+                )
+                expect(result.commit.ref).toBe('main')
+            })
+
+            it('should report a ref that does not resolve', async () => {
+                globalThis.fetch = vi.fn().mockResolvedValue({
+                    ok: false,
+                    status: 422,
+                    headers: new Headers()
+                })
+
+                await expect(
+                    fetchRemoteSource(
+                        { type: 'repo', owner: 'org', repo: 'site' },
+                        { branch: 'missing' }
+                    )
+                ).rejects.toThrow('Repository not found: "org/site" (branch: "missing")')
+                expect(globalThis.fetch).toHaveBeenCalledTimes(1)
+            })
+
+            it('should not pin providers without commit lookup', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn().mockResolvedValue(tarballResponse(tarballBuffer))
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', provider: 'gitlab', host: 'gitlab.com', owner: 'group', repo: 'site' },
+                    { branch: 'main' }
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(result.commit).toBeNull()
+            })
+
+            it('should send the GitHub token to the API but not to codeload', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn()
+                    .mockResolvedValueOnce(redirectResponse('https://codeload.github.com/user/private/legacy.tar.gz/main'))
+                    .mockResolvedValueOnce(tarballResponse(tarballBuffer))
+                mockCommitLookup()
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', owner: 'user', repo: 'private' },
+                    { githubToken: 'ghp_secret' }
+                )
+                tempDirs.push(result.tempDir)
+
+                const [commitCall, apiCall, codeloadCall] = globalThis.fetch.mock.calls
+                expect(commitCall[1].headers.Authorization).toBe('Bearer ghp_secret')
+                expect(apiCall[1].headers.Authorization).toBe('Bearer ghp_secret')
+                expect(codeloadCall[0]).toContain('codeload.github.com')
+                expect(codeloadCall[1].headers).not.toHaveProperty('Authorization')
+            })
+
+            it('should never send the GitHub token to other providers', async () => {
+                const tarballBuffer = await buildSite()
+                globalThis.fetch = vi.fn().mockResolvedValue(tarballResponse(tarballBuffer))
+
+                const result = await fetchRemoteSource(
+                    { type: 'repo', provider: 'gitlab', host: 'gitlab.com', owner: 'group', repo: 'site' },
+                    { branch: 'main', githubToken: 'ghp_secret' }
+                )
+                tempDirs.push(result.tempDir)
+
+                expect(globalThis.fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization')
+            })
+
+            it('should suggest a token when a GitHub repo is not found', async () => {
+                globalThis.fetch = vi.fn().mockResolvedValue({
+                    ok: false,
+                    status: 404,
+                    headers: new Headers()
+                })
+
+                await expect(
+                    fetchRemoteSource({ type: 'repo', owner: 'user', repo: 'private' }, {})
+                ).rejects.toThrow('set GITHUB_TOKEN (or run "launchpd login github")')
+                await expect(
+                    fetchRemoteSource(
+                        { type: 'repo', owner: 'user', repo: 'private' },
+                        { githubToken: 'ghp_secret' }
+                    )
+                ).rejects.toThrow('your GitHub token can access it')
+            })
+
+            it('should drop the unauthenticated rate limit hint with a token', async () => {
+                globalThis.fetch = vi.fn().mockResolvedValue({
+                    ok: false,
+                    status: 403,
+                    headers: new Headers({ 'X-RateLimit-Remaining': '0' })
+                })
+
+                const err = await fetchRemoteSource(
+                    { type: 'repo', owner: 'user', repo: 'repo' },
+                    { githubToken: 'ghp_secret' }
+                ).catch((e) => e)
+                expect(err.message).toContain('GitHub API rate limit exceeded')
+                expect(err.message).not.toContain('60/hour')
+            })
+
+            it('should refuse redirects to untrusted hosts', async () => {
+                globalThis.fetch = vi.fn().mockResolvedValue(
+                    redirectResponse('https://169.254.169.254/latest/meta-data')
+                )
+
+                await expect(
+                    fetchRemoteSource(
+                        { type: 'repo', provider: 'gitlab', host: 'gitlab.com', owner: 'group', repo: 'site' },
+                        {}
+                    )
+                ).rejects.toThrow('untrusted host "169.254.169.254"')
+                expect(globalThis.fetch).toHaveBeenCalledTimes(1)
+            })
+
+            it('should refuse redirects to plain http', async () => {
+                globalThis.fetch = vi.fn().mockResolvedValue(
+                    redirectResponse('http://gitlab.com/archive.tar.gz')
+                )
+
+                await expect(
+                    fetchRemoteSource(
+                        { type: 'repo', provider: 'gitlab', host: 'gitlab.com', owner: 'group', repo: 'site' },
+                        {}
+                    )
+                ).rejects.toThrow('untrusted host')
+            })
+
+            it('should stop after too many redirects', async () => {
+                globalThis.fetch = vi.fn().mockResolvedValue(
+                    redirectResponse('https://gitlab.com/loop')
+                )
+
+                await expect(
+                    fetchRemoteSource(
+                        { type: 'repo', provider: 'gitlab', host: 'gitlab.com', owner: 'group', repo: 'site' },
+                        {}
+                    )
+                ).rejects.toThrow('Too many redirects')
+            })
+
+            it('should report provider rate limits (429)', async () => {
+                globalThis.fetch = vi.fn().mockResolvedValue({
+                    ok: false,
+                    status: 429,
+                    headers: new Headers({ 'Retry-After': '60' })
+                })
+
+                await expect(
+                    fetchRemoteSource(
+                        { type: 'repo', provider: 'gitlab', host: 'gitlab.com', owner: 'group', repo: 'site' },
+                        {}
+                    )
+                ).rejects.toThrow(/GitLab API rate limit exceeded\. Rate limit resets at/)
+            })
+
+            it('should name the provider in API errors', async () => {
+                globalThis.fetch = vi.fn().mockResolvedValue({
+                    ok: false,
+                    status: 500,
+                    headers: new Headers()
+                })
+
+                await expect(
+                    fetchRemoteSource(
+                        { type: 'repo', provider: 'bitbucket', host: 'bitbucket.org', owner: 'team', repo: 'site' },
+                        { branch: 'main' }
+                    )
+                ).rejects.toThrow('Bitbucket API error (500)')
+            })
+
+            describe('Release assets', () => {
+                const ASSET_URL = 'https://api.github.com/repos/org/site/releases/assets/42'
+
+                const releaseResponse = (assets) => ({
+                    ok: true,
+                    status: 200,
+                    headers: new Headers(),
+                    json: async () => ({ tag_name: 'v2.0.0', assets })
+                })
+
+                const siteAsset = { name: 'site.tar.gz', size: 1024, url: ASSET_URL }
+
+                it('should download and extract an asset of the latest release', async () => {
+                    const tarballBuffer = await buildSite()
+                    globalThis.fetch = vi.fn()
+                        .mockResolvedValueOnce(releaseResponse([
+                            { name: 'checksums.txt', size: 10, url: `${ASSET_URL}0` },
+                            siteAsset
+                        ]))
+                        .mockResolvedValueOnce(redirectResponse('https://objects.githubusercontent.com/release/42?sig=abc'))
+                        .mockResolvedValueOnce(tarballResponse(tarballBuffer))
+
+                    const result = await fetchRemoteSource(
+                        parseRemoteUrl('https://github.com/org/site/releases/latest'),
+                        { asset: 'site.tar.gz', githubToken: 'ghp_secret' }
+                    )
+                    tempDirs.push(result.tempDir)
+
+                    const [releaseCall, assetCall, storageCall] = globalThis.fetch.mock.calls
+                    expect(releaseCall[0]).toBe('https://api.github.com/repos/org/site/releases/latest')
+                    expect(assetCall[0]).toBe(ASSET_URL)
+                    expect(assetCall[1].headers).toMatchObject({
+                        Accept: 'application/octet-stream',
+                        Authorization: 'Bearer ghp_secret'
+                    })
+                    expect(storageCall[1].headers).not.toHaveProperty('Authorization')
+                    expect(result.release).toEqual({ tag: 'v2.0.0', asset: 'site.tar.gz' })
+                    expect(result.commit).toBeNull()
+                    expect(await readdir(result.folderPath)).toEqual(['index.html'])
+                })
+
+                it('should look up the release of a tag URL', async () => {
+                    globalThis.fetch = vi.fn().mockResolvedValue({
+                        ok: false,
+                        status: 404,
+                        headers: new Headers()
+                    })
+
+                    await expect(
+                        fetchRemoteSource(
+                            parseRemoteUrl('https://github.com/org/site/releases/tag/v9.9'),
+                            { asset: 'site.zip' }
+                        )
+                    ).rejects.toThrow('No release "v9.9" found in "org/site"')
+                    expect(globalThis.fetch).toHaveBeenCalledWith(
+                        'https://api.github.com/repos/org/site/releases/tags/v9.9',
+                        expect.anything()
+                    )
+                })
+
+                it('should list the available assets when the name does not match', async () => {
+                    globalThis.fetch = vi.fn().mockResolvedValue(releaseResponse([siteAsset]))
+
+                    await expect(
+                        fetchRemoteSource(
+                            { type: 'repo', owner: 'org', repo: 'site' },
+                            { asset: 'site.zip' }
+                        )
+                    ).rejects.toThrow('Available assets: site.tar.gz')
+                })
+
+                it('should reject assets that are not archives or are too large', async () => {
+                    globalThis.fetch = vi.fn().mockResolvedValue(releaseResponse([
+                        { name: 'site.exe', size: 10, url: ASSET_URL },
+                        { name: 'huge.zip', size: MAX_DOWNLOAD_BYTES + 1, url: ASSET_URL }
+                    ]))
+                    const parsed = { type: 'repo', owner: 'org', repo: 'site' }
+
+                    await expect(
+                        fetchRemoteSource(parsed, { asset: 'site.exe' })
+                    ).rejects.toThrow('is not a .zip, .tar, .tar.gz or .tgz archive')
+                    await expect(
+                        fetchRemoteSource(parsed, { asset: 'huge.zip' })
+                    ).rejects.toThrow('exceeds maximum size limit')
+                    expect(globalThis.fetch).toHaveBeenCalledTimes(2)
+                })
+
+                it('should reject --asset for gists, --branch and other providers', async () => {
+                    globalThis.fetch = vi.fn()
+
+                    await expect(
+                        fetchRemoteSource({ type: 'gist', gistId: 'abc' }, { asset: 'site.zip' })
+                    ).rejects.toThrow('--asset only works with GitHub repo or release URLs')
+                    await expect(
+                        fetchRemoteSource(
+                            { type: 'repo', owner: 'org', repo: 'site' },
+                            { asset: 'site.zip', branch: 'main' }
+                        )
+                    ).rejects.toThrow('--asset cannot be combined with --branch')
+                    await expect(
+                        fetchRemoteSource(
+                            { type: 'repo', provider: 'gitlab', host: 'gitlab.com', owner: 'group', repo: 'site' },
+                            { asset: 'site.zip' }
+                        )
+                    ).rejects.toThrow('not supported for GitLab repos')
+                    expect(globalThis.fetch).not.toHaveBeenCalled()
+                })
+
+                it('should deploy the source of the latest release without --asset', async () => {
+                    const tarballBuffer = await buildSite()
+                    globalThis.fetch = vi.fn()
+                        .mockResolvedValueOnce(releaseResponse([]))
+                        .mockResolvedValueOnce(tarballResponse(tarballBuffer))
+                    mockCommitLookup()
+
+                    const result = await fetchRemoteSource(
+                        parseRemoteUrl('https://github.com/org/site/releases/latest'),
+                        {}
+                    )
+                    tempDirs.push(result.tempDir)
+
+                    expect(result.commit).toEqual({ sha: COMMIT_SHA, ref: 'v2.0.0' })
+                })
+            })
+        })
+    })
+
+    describe('npm packages', () => {
+        const NAME = '@scope/docs-site'
+        let server
+        let registry
+        let routes
+        let requests
+
+        /** Build an npm-style tarball (files under package/) */
+        async function buildPackageTarball (files) {
+            const tarModule = await import('tar')
+            const srcDir = await mkdtemp(join(tmpdir(), 'launchpd-npmtest-'))
+            for (const [path, content] of Object.entries(files)) {
+                await mkdir(join(srcDir, 'package', path, '..'), { recursive: true })
+                await writeFile(join(srcDir, 'package', path), content)
+            }
+            const tarball = join(srcDir, 'package.tgz')
+            await tarModule.create({ cwd: srcDir, gzip: true, file: tarball }, ['package'])
+            const buffer = await readFile(tarball)
+            await rm(srcDir, { recursive: true, force: true })
+            return buffer
+        }
+
+        /** Publish versions ({ version: tarball }) to the stand-in registry */
+        function publish (versions, distTags, distOverrides = {}) {
+            const metadata = { name: NAME, 'dist-tags': distTags, versions: {} }
+            for (const [version, buffer] of Object.entries(versions)) {
+                const tarballPath = `/${NAME}/-/docs-site-${version}.tgz`
+                metadata.versions[version] = {
+                    name: NAME,
+                    version,
+                    dist: {
+                        tarball: `${registry}${tarballPath.slice(1)}`,
+                        integrity: `sha512-${createHash('sha512').update(buffer).digest('base64')}`,
+                        shasum: createHash('sha1').update(buffer).digest('hex'),
+                        ...distOverrides
+                    }
+                }
+                routes.set(tarballPath, {
+                    type: 'application/octet-stream',
+                    body: buffer
+                })
+            }
+            routes.set('/@scope%2fdocs-site', {
+                type: 'application/json',
+                body: JSON.stringify(metadata)
+            })
+        }
+
+        beforeEach(async () => {
+            routes = new Map()
+            requests = []
+            server = createServer((req, res) => {
+                requests.push(req.url)
+                const route = routes.get(req.url)
+                if (!route) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' })
+                    res.end('{"error":"Not found"}')
+                    return
+                }
+                res.writeHead(200, { 'Content-Type': route.type })
+                res.end(route.body)
+            })
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+            registry = `http://127.0.0.1:${server.address().port}/`
+            vi.stubEnv('npm_config_registry', registry)
+        })
+
+        afterEach(async () => {
+            vi.unstubAllEnvs()
+            await new Promise((resolve) => server.close(resolve))
+        })
+
+        it('should deploy a version from the configured registry', async () => {
+            publish(
+                {
+                    '2.3.1': await buildPackageTarball({
+                        'package.json': '{}',
+                        'dist/index.html': '<h1>Docs</h1>'
+                    })
+                },
+                { latest: '2.3.1' }
+            )
+
+            const result = await fetchRemoteSource(
+                { type: 'npm', name: NAME, version: '2.3.1' },
+                { dir: 'dist' }
+            )
+            tempDirs.push(result.tempDir)
+
+            expect(result.package).toEqual({ name: NAME, version: '2.3.1' })
+            expect(result.commit).toBeNull()
+            expect(result.folderPath).toBe(join(result.tempDir, 'dist'))
+            expect(
+                await readFile(join(result.folderPath, 'index.html'), 'utf8')
+            ).toBe('<h1>Docs</h1>')
+            expect(requests).toEqual([
+                '/@scope%2fdocs-site',
+                '/@scope/docs-site/-/docs-site-2.3.1.tgz'
+            ])
+        })
+
+        it('should resolve the latest dist-tag by default', async () => {
+            publish(
+                {
+                    '1.0.0': await buildPackageTarball({ 'index.html': 'old' }),
+                    '2.0.0': await buildPackageTarball({ 'index.html': 'new' })
+                },
+                { latest: '2.0.0' }
+            )
+
+            const result = await fetchRemoteSource({ type: 'npm', name: NAME }, {})
+            tempDirs.push(result.tempDir)
+
+            expect(result.package.version).toBe('2.0.0')
+            expect(await readFile(join(result.tempDir, 'index.html'), 'utf8')).toBe('new')
+        })
+
+        it('should list dist-tags for an unknown version', async () => {
+            publish({ '1.0.0': await buildPackageTarball({ 'index.html': 'x' }) }, { latest: '1.0.0' })
+
+            await expect(
+                fetchRemoteSource({ type: 'npm', name: NAME, version: '9.9.9' }, {})
+            ).rejects.toThrow('Version or dist-tag "9.9.9" not found for npm package "@scope/docs-site". Available dist-tags: latest.')
+        })
+
+        it('should report packages missing from the registry', async () => {
+            await expect(
+                fetchRemoteSource({ type: 'npm', name: NAME }, {})
+            ).rejects.toThrow(`npm package "${NAME}" not found in ${registry}`)
+        })
+
+        it('should reject tarballs that fail the integrity check', async () => {
+            publish(
+                { '1.0.0': await buildPackageTarball({ 'index.html': 'x' }) },
+                { latest: '1.0.0' },
+                { integrity: `sha512-${createHash('sha512').update('other').digest('base64')}` }
+            )
+
+            await expect(
+                fetchRemoteSource({ type: 'npm', name: NAME }, {})
+            ).rejects.toThrow('Integrity check failed for npm package "@scope/docs-site@1.0.0"')
+        })
+
+        it('should fall back to the sha1 shasum', async () => {
+            publish(
+                { '1.0.0': await buildPackageTarball({ 'index.html': 'x' }) },
+                { latest: '1.0.0' },
+                { integrity: undefined, shasum: 'deadbeef' }
+            )
+
+            await expect(
+                fetchRemoteSource({ type: 'npm', name: NAME }, {})
+            ).rejects.toThrow("does not match the registry's sha1 checksum")
+        })
+
+        it('should refuse tarballs served by another host', async () => {
+            publish(
+                { '1.0.0': await buildPackageTarball({ 'index.html': 'x' }) },
+                { latest: '1.0.0' },
+                { tarball: 'https://evil.example.com/docs-site-1.0.0.tgz' }
+            )
+
+            await expect(
+                fetchRemoteSource({ type: 'npm', name: NAME }, {})
+            ).rejects.toThrow('Tarballs must be served by the registry')
+            expect(requests).toEqual(['/@scope%2fdocs-site'])
+        })
+
+        it('should reject --branch', async () => {
+            await expect(
+                fetchRemoteSource({ type: 'npm', name: NAME }, { branch: 'main' })
+            ).rejects.toThrow('--branch only works with git repo URLs')
+        })
+
+        it('should reuse a cached version without downloading it again', async () => {
+            const originalHome = process.env.HOME
+            const home = await mkdtemp(join(tmpdir(), 'launchpd-home-'))
+            process.env.HOME = home
+            try {
+                publish({ '1.0.0': await buildPackageTarball({ 'index.html': 'x' }) }, { latest: '1.0.0' })
+
+                const first = await fetchRemoteSource({ type: 'npm', name: NAME }, { cache: true })
+                tempDirs.push(first.tempDir)
+                const second = await fetchRemoteSource({ type: 'npm', name: NAME }, { cache: true })
+                tempDirs.push(second.tempDir)
+
+                expect(first.cached).toBe(false)
+                expect(second.cached).toBe(true)
+                expect(await readFile(join(second.tempDir, 'index.html'), 'utf8')).toBe('x')
+                expect(requests.filter((url) => url.endsWith('.tgz'))).toHaveLength(1)
+            } finally {
+                process.env.HOME = originalHome
+                await rm(home, { recursive: true, force: true })
+            }
+        })
     })
 
     describe('createSizeLimitStream', () => {
@@ -1432,6 +2581,29 @@ describe('fetchRemoteSource', () => {
             expect(result).toBe(false)
         })
 
+        it('should match paths relative to the stripped repo root', () => {
+            const matcher = createIgnoreMatcher({ ignoreFile: '/drafts/\n*.psd\n' })
+            const { filter } = createTarFilter({ matcher })
+            expect(filter('repo/', { type: 'Directory' })).toBe(true)
+            expect(filter('repo/drafts', { type: 'Directory' })).toBe(false)
+            expect(filter('repo/site/drafts', { type: 'Directory' })).toBe(true)
+            expect(filter('repo/assets/logo.psd', { type: 'File' })).toBe(false)
+            expect(filter('repo/index.html', { type: 'File' })).toBe(true)
+        })
+
+        it('should apply project rules only inside the --dir root', () => {
+            const matcher = createIgnoreMatcher({ ignoreFile: '*.psd\n' })
+            const { filter } = createTarFilter({ matcher, root: 'site/dist' })
+            // The deployed folder and its parents are kept even if built-in ignored
+            expect(filter('repo/site', { type: 'Directory' })).toBe(true)
+            expect(filter('repo/site/dist', { type: 'Directory' })).toBe(true)
+            expect(filter('repo/site/dist/logo.psd', { type: 'File' })).toBe(false)
+            expect(filter('repo/site/dist/index.html', { type: 'File' })).toBe(true)
+            // Outside the root only the built-in list applies
+            expect(filter('repo/other/logo.psd', { type: 'File' })).toBe(true)
+            expect(filter('repo/node_modules', { type: 'Directory' })).toBe(false)
+        })
+
         it('should track file count via getStats', () => {
             const { filter, getStats } = createTarFilter()
             filter('repo/a.txt', { type: 'File' })
@@ -1471,6 +2643,342 @@ describe('fetchRemoteSource', () => {
     })
 })
 
+// ============================================================================
+// isArchivePath Tests
+// ============================================================================
+
+describe('isArchivePath', () => {
+    it('should match local .zip, .tar, .tar.gz and .tgz files', () => {
+        expect(isArchivePath('site.zip')).toBe(true)
+        expect(isArchivePath('./build/site.tar')).toBe(true)
+        expect(isArchivePath('/tmp/site.tar.gz')).toBe(true)
+        expect(isArchivePath('C:\\builds\\SITE.TGZ')).toBe(true)
+    })
+
+    it('should not match folders, other files or remote URLs', () => {
+        expect(isArchivePath('./dist')).toBe(false)
+        expect(isArchivePath('site.gz')).toBe(false)
+        expect(isArchivePath('site.zip.bak')).toBe(false)
+        expect(isArchivePath('https://github.com/user/site.zip')).toBe(false)
+        expect(isArchivePath('')).toBe(false)
+        expect(isArchivePath(null)).toBe(false)
+    })
+})
+
+// ============================================================================
+// extractLocalArchive Tests
+// ============================================================================
+
+describe('extractLocalArchive', () => {
+    let workDir
+    const tempDirs = []
+
+    /**
+     * Build a stored (uncompressed) zip archive
+     * @param {Array<{ name: string, content?: string, size?: number, mode?: number }>} files
+     */
+    function buildZipBuffer (files) {
+        const parts = []
+        const centrals = []
+        let offset = 0
+        for (const file of files) {
+            const name = Buffer.from(file.name)
+            const data = Buffer.from(file.content || '')
+            const size = file.size ?? data.length
+            const local = Buffer.alloc(30)
+            local.writeUInt32LE(0x04034b50, 0)
+            local.writeUInt32LE(data.length, 18)
+            local.writeUInt32LE(size, 22)
+            local.writeUInt16LE(name.length, 26)
+            parts.push(local, name, data)
+
+            const central = Buffer.alloc(46)
+            central.writeUInt32LE(0x02014b50, 0)
+            central.writeUInt16LE(3 << 8, 4)
+            central.writeUInt32LE(data.length, 20)
+            central.writeUInt32LE(size, 24)
+            central.writeUInt16LE(name.length, 28)
+            central.writeUInt32LE(((file.mode || 0o100644) << 16) >>> 0, 38)
+            central.writeUInt32LE(offset, 42)
+            centrals.push(central, name)
+            offset += local.length + name.length + data.length
+        }
+        const directory = Buffer.concat(centrals)
+        const end = Buffer.alloc(22)
+        end.writeUInt32LE(0x06054b50, 0)
+        end.writeUInt16LE(files.length, 8)
+        end.writeUInt16LE(files.length, 10)
+        end.writeUInt32LE(directory.length, 12)
+        end.writeUInt32LE(offset, 16)
+        return Buffer.concat([...parts, directory, end])
+    }
+
+    async function writeZip (name, files) {
+        const archivePath = join(workDir, name)
+        await writeFile(archivePath, buildZipBuffer(files))
+        return archivePath
+    }
+
+    async function writeTarball (name, entries, setupFn) {
+        const tarModule = await import('tar')
+        const srcDir = join(workDir, 'src')
+        await mkdir(srcDir, { recursive: true })
+        await setupFn(srcDir)
+        const archivePath = join(workDir, name)
+        await tarModule.create(
+            { cwd: srcDir, file: archivePath, gzip: name.endsWith('gz') },
+            entries
+        )
+        return archivePath
+    }
+
+    async function extract (archivePath, options) {
+        const result = await extractLocalArchive(archivePath, options)
+        tempDirs.push(result.tempDir)
+        return result
+    }
+
+    beforeEach(async () => {
+        workDir = await mkdtemp(join(tmpdir(), 'launchpd-archivetest-'))
+    })
+
+    afterEach(async () => {
+        for (const dir of tempDirs.splice(0)) {
+            await rm(dir, { recursive: true, force: true })
+        }
+        await rm(workDir, { recursive: true, force: true })
+    })
+
+    it('should extract a zip archive into a temp dir', async () => {
+        const archivePath = await writeZip('site.zip', [
+            { name: 'index.html', content: '<h1>Hi</h1>' },
+            { name: 'css/style.css', content: 'body {}' }
+        ])
+
+        const { tempDir, folderPath } = await extract(archivePath)
+
+        expect(folderPath).toBe(tempDir)
+        expect(tempDir.startsWith(tmpdir())).toBe(true)
+        expect(await readFile(join(tempDir, 'index.html'), 'utf8')).toBe('<h1>Hi</h1>')
+        expect(await readFile(join(tempDir, 'css', 'style.css'), 'utf8')).toBe('body {}')
+    })
+
+    it('should strip a single top-level folder', async () => {
+        const archivePath = await writeZip('site.zip', [
+            { name: 'site/', mode: 0o40755 },
+            { name: 'site/index.html', content: '<h1>Hi</h1>' }
+        ])
+
+        const { tempDir } = await extract(archivePath)
+
+        expect(await readdir(tempDir)).toEqual(['index.html'])
+    })
+
+    it('should resolve --dir inside the archive', async () => {
+        const archivePath = await writeZip('repo.zip', [
+            { name: 'README.md', content: '# Repo' },
+            { name: 'dist/index.html', content: '<h1>Hi</h1>' }
+        ])
+
+        const { tempDir, folderPath } = await extract(archivePath, { dir: 'dist' })
+
+        expect(folderPath).toBe(join(tempDir, 'dist'))
+        expect(await readdir(folderPath)).toEqual(['index.html'])
+    })
+
+    it('should reject a --dir that escapes the archive', async () => {
+        const archivePath = await writeZip('site.zip', [
+            { name: 'index.html', content: 'x' }
+        ])
+
+        await expect(
+            extractLocalArchive(archivePath, { dir: '../../etc' })
+        ).rejects.toThrow('Unsafe --dir path')
+    })
+
+    it('should skip symlinks and apply the archive ignore rules', async () => {
+        const archivePath = await writeZip('site.zip', [
+            { name: 'index.html', content: '<h1>Hi</h1>' },
+            { name: 'passwd', content: '/etc/passwd', mode: 0o120777 },
+            { name: 'hero.psd', content: 'psd' },
+            { name: 'node_modules/x.js', content: 'x' },
+            { name: '.launchpdignore', content: '*.psd\n' }
+        ])
+
+        const { tempDir } = await extract(archivePath)
+
+        expect(await readdir(tempDir)).toEqual(['index.html'])
+    })
+
+    it('should reject zip entries that escape the extraction directory', async () => {
+        const archivePath = await writeZip('evil.zip', [
+            { name: 'index.html', content: 'x' },
+            { name: '../../evil.sh', content: 'rm -rf /' }
+        ])
+
+        await expect(extractLocalArchive(archivePath)).rejects.toThrow(
+            'Unsafe path in archive'
+        )
+        expect(existsSync(join(workDir, '..', 'evil.sh'))).toBe(false)
+    })
+
+    it('should enforce the file count limit on zip archives', async () => {
+        const files = Array.from({ length: MAX_FILE_COUNT + 1 }, (_, i) => ({
+            name: `f${i}.txt`
+        }))
+        const archivePath = await writeZip('many.zip', files)
+
+        await expect(extractLocalArchive(archivePath)).rejects.toThrow(
+            'maximum file count'
+        )
+    })
+
+    it('should reject zip entries that pass the unpacked size limit', async () => {
+        const archivePath = await writeZip('bomb.zip', [
+            { name: 'index.html', content: '<h1>Hi</h1>' },
+            // Declared size fits the limit alone, but not after index.html
+            { name: 'video.mp4', content: 'x', size: MAX_UNPACKED_BYTES - 1 }
+        ])
+
+        await expect(extractLocalArchive(archivePath)).rejects.toThrow(
+            'maximum unpacked size'
+        )
+    })
+
+    it('should extract .tar.gz archives with the same rules', async () => {
+        const archivePath = await writeTarball(
+            'site.tar.gz',
+            ['public'],
+            async (srcDir) => {
+                await mkdir(join(srcDir, 'public', 'drafts'), { recursive: true })
+                await writeFile(join(srcDir, 'public', 'index.html'), '<h1>Hi</h1>')
+                await writeFile(join(srcDir, 'public', 'drafts', 'a.html'), 'a')
+                await writeFile(
+                    join(srcDir, 'public', '.launchpd.json'),
+                    JSON.stringify({ ignore: ['drafts/'] })
+                )
+            }
+        )
+
+        const { tempDir } = await extract(archivePath)
+
+        expect(await readdir(tempDir)).toEqual(['index.html'])
+    })
+
+    it('should extract plain .tar archives with several top-level entries', async () => {
+        const archivePath = await writeTarball(
+            'site.tar',
+            ['index.html', 'about.html'],
+            async (srcDir) => {
+                await writeFile(join(srcDir, 'index.html'), 'home')
+                await writeFile(join(srcDir, 'about.html'), 'about')
+            }
+        )
+
+        const { tempDir } = await extract(archivePath)
+
+        expect((await readdir(tempDir)).sort()).toEqual(['about.html', 'index.html'])
+    })
+
+    it('should reject a missing archive', async () => {
+        await expect(
+            extractLocalArchive(join(workDir, 'missing.zip'))
+        ).rejects.toThrow('Archive not found')
+    })
+
+    it('should clean up the temp dir when extraction fails', async () => {
+        const archivePath = join(workDir, 'broken.zip')
+        await writeFile(archivePath, 'not a zip')
+        const before = (await readdir(tmpdir())).filter((name) =>
+            name.startsWith('launchpd-local-')
+        )
+
+        await expect(extractLocalArchive(archivePath)).rejects.toThrow(
+            'Invalid zip archive'
+        )
+
+        const after = (await readdir(tmpdir())).filter((name) =>
+            name.startsWith('launchpd-local-')
+        )
+        expect(after).toEqual(before)
+    })
+})
+
+// ============================================================================
+// extractArchiveStream Tests
+// ============================================================================
+
+describe('extractArchiveStream', () => {
+    const tempDirs = []
+
+    afterEach(async () => {
+        for (const dir of tempDirs.splice(0)) {
+            await rm(dir, { recursive: true, force: true })
+        }
+    })
+
+    async function buildTarGz (files) {
+        const tarModule = await import('tar')
+        const srcDir = await mkdtemp(join(tmpdir(), 'launchpd-streamtest-'))
+        for (const [name, content] of Object.entries(files)) {
+            await mkdir(join(srcDir, 'dist', name, '..'), { recursive: true })
+            await writeFile(join(srcDir, 'dist', name), content)
+        }
+        const chunks = []
+        for await (const chunk of tarModule.create({ cwd: srcDir, gzip: true }, ['dist'])) {
+            chunks.push(chunk)
+        }
+        await rm(srcDir, { recursive: true, force: true })
+        return Buffer.concat(chunks)
+    }
+
+    it('should extract a tar.gz stream like `tar cz dist`', async () => {
+        const tarball = await buildTarGz({
+            'index.html': '<h1>Hi</h1>',
+            'js/app.js': 'app()'
+        })
+
+        const result = await extractArchiveStream(Readable.from([tarball]))
+        tempDirs.push(result.tempDir)
+
+        expect(result.folderPath).toBe(result.tempDir)
+        expect((await readdir(result.tempDir)).sort()).toEqual(['index.html', 'js'])
+        expect(await readFile(join(result.tempDir, 'js', 'app.js'), 'utf8')).toBe('app()')
+    })
+
+    it('should pass --dir through', async () => {
+        const tarball = await buildTarGz({
+            'index.html': 'root',
+            'docs/index.html': 'docs'
+        })
+
+        const result = await extractArchiveStream(Readable.from([tarball]), {
+            dir: 'docs'
+        })
+        tempDirs.push(result.tempDir)
+
+        expect(result.folderPath).toBe(join(result.tempDir, 'docs'))
+    })
+
+    it('should reject an empty stream', async () => {
+        await expect(extractArchiveStream(Readable.from([]))).rejects.toThrow(
+            'No archive data received'
+        )
+    })
+
+    it('should reject streams over the size limit', async () => {
+        const chunk = Buffer.alloc(16 * 1024 * 1024)
+        const chunks = Array.from(
+            { length: Math.ceil(MAX_DOWNLOAD_BYTES / chunk.length) + 1 },
+            () => chunk
+        )
+
+        await expect(extractArchiveStream(Readable.from(chunks))).rejects.toThrow(
+            'exceeds maximum size limit'
+        )
+    })
+})
+
 // ============================================================================
 // Constants Tests
 // ============================================================================
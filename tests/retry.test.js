@@ -0,0 +1,226 @@
+import {
+  withRetry,
+  configureRetry,
+  getRetryPolicy,
+  resetRetryPolicy,
+  getRetryAfterMs,
+  getBackoffDelay,
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_RETRY_DELAY_MS,
+  MAX_RETRY_DELAY_MS
+} from '../src/utils/retry.js'
+import { warning } from '../src/utils/logger.js'
+
+vi.mock('../src/utils/logger.js', () => ({
+  warning: vi.fn()
+}))
+
+const response = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: new Headers(headers)
+})
+
+describe('retry.js', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    resetRetryPolicy()
+    configureRetry({ baseDelayMs: 0 })
+  })
+
+  afterEach(() => {
+    resetRetryPolicy()
+    delete process.env.LAUNCHPD_MAX_ATTEMPTS
+    delete process.env.LAUNCHPD_RETRY_DELAY_MS
+  })
+
+  describe('policy configuration', () => {
+    it('should use defaults when no env is set', () => {
+      resetRetryPolicy()
+      expect(getRetryPolicy()).toEqual({
+        maxAttempts: DEFAULT_MAX_ATTEMPTS,
+        baseDelayMs: DEFAULT_RETRY_DELAY_MS,
+        verbose: false
+      })
+    })
+
+    it('should read the policy from environment variables', () => {
+      process.env.LAUNCHPD_MAX_ATTEMPTS = '5'
+      process.env.LAUNCHPD_RETRY_DELAY_MS = '250'
+      resetRetryPolicy()
+      expect(getRetryPolicy()).toMatchObject({ maxAttempts: 5, baseDelayMs: 250 })
+    })
+
+    it('should ignore invalid environment values', () => {
+      process.env.LAUNCHPD_MAX_ATTEMPTS = 'lots'
+      resetRetryPolicy()
+      expect(getRetryPolicy().maxAttempts).toBe(DEFAULT_MAX_ATTEMPTS)
+    })
+
+    it('should let explicit options override the environment', () => {
+      process.env.LAUNCHPD_MAX_ATTEMPTS = '5'
+      resetRetryPolicy()
+      configureRetry({ maxAttempts: '2', verbose: true })
+      expect(getRetryPolicy()).toMatchObject({ maxAttempts: 2, verbose: true })
+    })
+
+    it('should reject invalid option values', () => {
+      expect(() => configureRetry({ maxAttempts: 0 })).toThrow('Invalid max attempts')
+      expect(() => configureRetry({ baseDelayMs: '-1' })).toThrow('Invalid retry delay')
+    })
+  })
+
+  describe('getRetryAfterMs', () => {
+    it('should parse Retry-After seconds', () => {
+      expect(getRetryAfterMs(response(429, { 'Retry-After': '3' }))).toBe(3000)
+    })
+
+    it('should parse Retry-After HTTP dates', () => {
+      const date = new Date(Date.now() + 5000).toUTCString()
+      const ms = getRetryAfterMs(response(503, { 'Retry-After': date }))
+      expect(ms).toBeGreaterThan(3000)
+      expect(ms).toBeLessThanOrEqual(5000)
+    })
+
+    it('should parse X-RateLimit-Reset epoch seconds', () => {
+      const reset = Math.ceil(Date.now() / 1000) + 10
+      const ms = getRetryAfterMs(response(429, { 'X-RateLimit-Reset': String(reset) }))
+      expect(ms).toBeGreaterThan(8000)
+      expect(ms).toBeLessThanOrEqual(11000)
+    })
+
+    it('should return null without hints or headers', () => {
+      expect(getRetryAfterMs(response(502))).toBeNull()
+      expect(getRetryAfterMs({ status: 502 })).toBeNull()
+    })
+  })
+
+  describe('getBackoffDelay', () => {
+    it('should grow exponentially with jitter and respect the cap', () => {
+      configureRetry({ baseDelayMs: 1000 })
+      const third = getBackoffDelay(3)
+      expect(third).toBeGreaterThanOrEqual(2000)
+      expect(third).toBeLessThanOrEqual(4000)
+      expect(getBackoffDelay(20)).toBeLessThanOrEqual(MAX_RETRY_DELAY_MS)
+    })
+  })
+
+  describe('withRetry', () => {
+    it('should return immediately on success', async () => {
+      const attempt = vi.fn().mockResolvedValue(response(200))
+      const result = await withRetry(attempt)
+      expect(result.status).toBe(200)
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry retryable statuses until success', async () => {
+      const attempt = vi
+        .fn()
+        .mockResolvedValueOnce(response(502))
+        .mockResolvedValueOnce(response(504))
+        .mockResolvedValueOnce(response(200))
+      const result = await withRetry(attempt)
+      expect(result.status).toBe(200)
+      expect(attempt).toHaveBeenCalledTimes(3)
+    })
+
+    it('should return the last response after max attempts', async () => {
+      const attempt = vi.fn().mockResolvedValue(response(503))
+      const result = await withRetry(attempt)
+      expect(result.status).toBe(503)
+      expect(attempt).toHaveBeenCalledTimes(DEFAULT_MAX_ATTEMPTS)
+    })
+
+    it('should not retry 5xx for non-idempotent requests', async () => {
+      const attempt = vi.fn().mockResolvedValue(response(502))
+      await withRetry(attempt, { idempotent: false })
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry 429 even for non-idempotent requests', async () => {
+      const attempt = vi
+        .fn()
+        .mockResolvedValueOnce(response(429))
+        .mockResolvedValueOnce(response(201))
+      const result = await withRetry(attempt, { idempotent: false })
+      expect(result.status).toBe(201)
+    })
+
+    it('should not retry client errors', async () => {
+      const attempt = vi.fn().mockResolvedValue(response(404))
+      await withRetry(attempt)
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should give up when the server asks to wait longer than the cap', async () => {
+      const attempt = vi
+        .fn()
+        .mockResolvedValue(response(429, { 'Retry-After': '3600' }))
+      const result = await withRetry(attempt)
+      expect(result.status).toBe(429)
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry transient network errors for idempotent requests', async () => {
+      const err = new Error('socket hang up')
+      err.code = 'ECONNRESET'
+      const attempt = vi
+        .fn()
+        .mockRejectedValueOnce(err)
+        .mockResolvedValueOnce(response(200))
+      const result = await withRetry(attempt)
+      expect(result.status).toBe(200)
+    })
+
+    it('should not retry network errors for non-idempotent requests', async () => {
+      const err = new TypeError('fetch failed')
+      const attempt = vi.fn().mockRejectedValue(err)
+      await expect(withRetry(attempt, { idempotent: false })).rejects.toThrow(
+        'fetch failed'
+      )
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not retry unknown errors', async () => {
+      const attempt = vi.fn().mockRejectedValue(new Error('boom'))
+      await expect(withRetry(attempt)).rejects.toThrow('boom')
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should stop retrying once the signal is aborted', async () => {
+      const controller = new AbortController()
+      const err = new Error('aborted')
+      err.name = 'AbortError'
+      const attempt = vi.fn().mockImplementation(() => {
+        controller.abort()
+        return Promise.reject(err)
+      })
+      await expect(
+        withRetry(attempt, { signal: controller.signal })
+      ).rejects.toThrow('aborted')
+      expect(attempt).toHaveBeenCalledTimes(1)
+    })
+
+    it('should log each retry in verbose mode', async () => {
+      configureRetry({ verbose: true })
+      const attempt = vi
+        .fn()
+        .mockResolvedValueOnce(response(502))
+        .mockResolvedValueOnce(response(200))
+      await withRetry(attempt, { label: 'Upload of index.html' })
+      expect(warning).toHaveBeenCalledWith(
+        expect.stringContaining('Upload of index.html failed (HTTP 502)')
+      )
+      expect(warning).toHaveBeenCalledWith(expect.stringContaining('attempt 2/3'))
+    })
+
+    it('should not log retries when not verbose', async () => {
+      const attempt = vi
+        .fn()
+        .mockResolvedValueOnce(response(502))
+        .mockResolvedValueOnce(response(200))
+      await withRetry(attempt)
+      expect(warning).not.toHaveBeenCalled()
+    })
+  })
+})
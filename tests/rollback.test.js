@@ -49,6 +49,31 @@ describe('rollback command', () => {
     )
   })
 
+  it('should exit with the not found exit code', async () => {
+    getVersions.mockResolvedValue({})
+    getVersionsForSubdomain.mockResolvedValue([])
+    process.exit.mockImplementation(() => {})
+
+    await rollback('test', {})
+
+    expect(process.exit).toHaveBeenCalledWith(9)
+  })
+
+  it('should exit with the exit code of the error category', async () => {
+    const { NetworkError } = await import('../src/utils/errors.js')
+    getVersions.mockRejectedValue(new NetworkError())
+    process.exit.mockImplementation(() => {})
+
+    await rollback('test', {})
+
+    expect(errorWithSuggestions).toHaveBeenCalledWith(
+      expect.stringContaining('Rollback failed'),
+      expect.any(Array),
+      expect.objectContaining({ code: 'NETWORK_ERROR' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(7)
+  })
+
   it('should fail if only one version exists', async () => {
     getVersions.mockResolvedValue({
       versions: [{ version: 1 }],
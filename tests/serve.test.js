@@ -0,0 +1,195 @@
+import { createServer } from 'node:net'
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { serve } from '../src/commands/serve.js'
+import * as logger from '../src/utils/logger.js'
+import { findPublishDir, getProjectConfig } from '../src/utils/projectConfig.js'
+import { ConfigError } from '../src/utils/errors.js'
+
+vi.mock('../src/utils/logger.js')
+vi.mock('../src/utils/projectConfig.js', () => ({
+  findProjectRoot: vi.fn().mockReturnValue(null),
+  getProjectConfig: vi.fn().mockResolvedValue(null),
+  findPublishDir: vi.fn().mockResolvedValue(null)
+}))
+
+describe('serve command', () => {
+  let dir
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(process, 'exit').mockImplementation(() => {})
+    dir = mkdtempSync(join(tmpdir(), 'launchpd-serve-'))
+    writeFileSync(join(dir, 'index.html'), '<h1>Home</h1>')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  /**
+   * Start serving, wait until the server listens and return its URL and a
+   * function that stops it
+   */
+  const start = async (folder, options) => {
+    const serving = serve(folder, { host: '127.0.0.1', port: 0, ...options })
+    await vi.waitFor(() => expect(logger.success).toHaveBeenCalled())
+    const url = vi
+      .mocked(logger.log)
+      .mock.calls.map(([line]) => line)
+      .find((line) => line.includes('http://'))
+      .trim()
+    return {
+      url,
+      stop: async () => {
+        process.emit('SIGINT')
+        await serving
+      }
+    }
+  }
+
+  it('should serve the folder until interrupted', async () => {
+    const { url, stop } = await start(dir)
+
+    const response = await fetch(`${url}/`)
+    expect(await response.text()).toBe('<h1>Home</h1>')
+    expect(logger.log).toHaveBeenCalledWith(
+      expect.stringContaining('200 GET /')
+    )
+
+    await stop()
+    expect(logger.info).toHaveBeenCalledWith('Stopped serving.')
+  })
+
+  it('should warn about requests that would 404 in production', async () => {
+    writeFileSync(join(dir, 'server.php'), '<?php')
+    const { url, stop } = await start(dir)
+
+    const response = await fetch(`${url}/server.php`)
+    expect(response.status).toBe(404)
+    await stop()
+
+    expect(logger.warning).toHaveBeenCalledWith(
+      'Non-static files are not served: server.php'
+    )
+    expect(logger.warning).toHaveBeenCalledWith(
+      expect.stringContaining('GET /server.php would 404 in production')
+    )
+  })
+
+  it('should serve the publicDir of a project root', async () => {
+    mkdirSync(join(dir, 'public'))
+    writeFileSync(join(dir, 'public', 'index.html'), 'public')
+    vi.mocked(findPublishDir).mockResolvedValueOnce({
+      path: join(dir, 'public'),
+      publicDir: 'public',
+      build: 'npm run build'
+    })
+
+    const { url, stop } = await start(dir)
+    const response = await fetch(`${url}/`)
+    await stop()
+
+    expect(findPublishDir).toHaveBeenCalledWith(dir)
+    expect(await response.text()).toBe('public')
+    expect(logger.info).toHaveBeenCalledWith(
+      'Serving "public" (run "npm run build" first to refresh it)'
+    )
+  })
+
+  it('should serve index.html for unknown paths with --spa', async () => {
+    const { url, stop } = await start(dir, { spa: true })
+
+    const response = await fetch(`${url}/users/42`)
+    await stop()
+
+    expect(response.status).toBe(200)
+    expect(await response.text()).toBe('<h1>Home</h1>')
+    expect(logger.info).toHaveBeenCalledWith(
+      'Unknown paths serve index.html (single-page app)'
+    )
+  })
+
+  it('should warn when the 404 page is missing', async () => {
+    vi.mocked(getProjectConfig).mockResolvedValue({ notFoundPage: 'oops.html' })
+
+    const { stop } = await start(dir)
+    await stop()
+    vi.mocked(getProjectConfig).mockResolvedValue(null)
+
+    expect(logger.warning).toHaveBeenCalledWith(
+      'The 404 page "oops.html" does not exist in the deployed folder.'
+    )
+  })
+
+  it('should fail for invalid redirect rules', async () => {
+    writeFileSync(join(dir, '_redirects'), '/old\n')
+
+    await serve(dir, { port: 0 })
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Invalid redirect or header rules.',
+      ['_redirects:1: expected "<from> <to> [status]"'],
+      expect.objectContaining({ code: 'INVALID_CONFIG' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(2)
+  })
+
+  it('should reject an invalid port', async () => {
+    await serve(dir, { port: 'abc' })
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Invalid --port "abc": expected a number from 0 to 65535.',
+      expect.any(Array),
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(2)
+  })
+
+  it('should reject a publicDir that deploy rejects', async () => {
+    vi.mocked(findPublishDir).mockRejectedValueOnce(
+      new ConfigError(
+        'Invalid "publicDir" in .launchpd.json: "../elsewhere" is outside the project.',
+        ['Use a path inside the project, e.g. "dist" or "build"']
+      )
+    )
+
+    await serve(dir, {})
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      'Invalid "publicDir" in .launchpd.json: "../elsewhere" is outside the project.',
+      ['Use a path inside the project, e.g. "dist" or "build"'],
+      expect.objectContaining({ code: 'INVALID_CONFIG' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(2)
+  })
+
+  it('should fail for a missing folder', async () => {
+    await serve(join(dir, 'missing'), { port: 0 })
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      expect.stringContaining('Folder not found'),
+      expect.any(Array),
+      expect.objectContaining({ code: 'SOURCE_NOT_FOUND' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(3)
+  })
+
+  it('should report a port that is in use', async () => {
+    const blocker = createServer()
+    await new Promise((resolve) => blocker.listen(0, '127.0.0.1', resolve))
+    const { port } = blocker.address()
+
+    await serve(dir, { host: '127.0.0.1', port })
+    await new Promise((resolve) => blocker.close(resolve))
+
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      `Port ${port} is already in use.`,
+      ['Pick another port with --port <n>'],
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    )
+    expect(process.exit).toHaveBeenCalledWith(2)
+  })
+})
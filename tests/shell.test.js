@@ -0,0 +1,46 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { runShellCommand } from '../src/utils/shell.js'
+
+describe('runShellCommand', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'launchpd-shell-'))
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should resolve with 0 when the command succeeds', async () => {
+    await expect(runShellCommand('node -e "process.exit(0)"')).resolves.toBe(0)
+  })
+
+  it('should resolve with the exit code of a failed command', async () => {
+    await expect(runShellCommand('node -e "process.exit(3)"')).resolves.toBe(3)
+  })
+
+  it('should run in the given working directory', async () => {
+    writeFileSync(join(dir, 'marker.txt'), 'x')
+    const command = 'node -e "process.exit(require(\'fs\').existsSync(\'marker.txt\') ? 0 : 4)"'
+
+    await expect(runShellCommand(command, { cwd: dir })).resolves.toBe(0)
+    await expect(runShellCommand(command, { cwd: tmpdir() })).resolves.toBe(4)
+  })
+
+  it('should pass extra environment variables', async () => {
+    const command = 'node -e "process.exit(process.env.LAUNCHPD_TEST_VAR === \'yes\' ? 0 : 5)"'
+
+    await expect(
+      runShellCommand(command, { env: { LAUNCHPD_TEST_VAR: 'yes' } })
+    ).resolves.toBe(0)
+  })
+
+  it('should reject when the working directory does not exist', async () => {
+    await expect(
+      runShellCommand('node -e "0"', { cwd: join(dir, 'missing') })
+    ).rejects.toThrow()
+  })
+})
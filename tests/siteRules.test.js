@@ -0,0 +1,272 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createIgnoreMatcher } from '../src/utils/ignore.js'
+import {
+  parseRedirectsFile,
+  parseHeadersFile,
+  parseConfigRules,
+  parsePageSettings,
+  findMissingPages,
+  loadSiteRules,
+  findRedirect,
+  getHeadersFor
+} from '../src/utils/siteRules.js'
+
+describe('site rules', () => {
+  describe('parseRedirectsFile', () => {
+    it('should parse rules, statuses and forced rules', () => {
+      const { redirects, errors } = parseRedirectsFile(
+        [
+          '# Old blog URLs',
+          '/old-post   /blog/new-post',
+          '/blog/:year/*  /posts/:year/:splat  302   # moved',
+          '',
+          '/app/*  /app/index.html  200!'
+        ].join('\n')
+      )
+
+      expect(errors).toEqual([])
+      expect(redirects).toEqual([
+        { from: '/old-post', to: '/blog/new-post', status: 301, force: false },
+        { from: '/blog/:year/*', to: '/posts/:year/:splat', status: 302, force: false },
+        { from: '/app/*', to: '/app/index.html', status: 200, force: true }
+      ])
+    })
+
+    it('should report errors with their line number', () => {
+      const { redirects, errors } = parseRedirectsFile(
+        [
+          '/ok /fine',
+          '/missing-target',
+          'old /new',
+          '/a /b 299',
+          '/a /b abc',
+          '/a/* /b/:name',
+          '/a /b 301 Country=us',
+          '/a/*/b /c',
+          '/a ftp://example.com'
+        ].join('\n')
+      )
+
+      expect(redirects).toHaveLength(1)
+      expect(errors).toEqual([
+        '_redirects:2: expected "<from> <to> [status]"',
+        '_redirects:3: path "old" must start with "/"',
+        '_redirects:4: unsupported status 299 (use one of 200, 301, 302, 303, 307, 308, 404, 410)',
+        '_redirects:5: invalid status "abc"',
+        '_redirects:6: target uses ":name", which "/a/*" does not define',
+        '_redirects:7: unexpected "Country=us" (conditions such as Country= or Role= are not supported)',
+        '_redirects:8: path "/a/*/b" may only end with "*"',
+        '_redirects:9: target "ftp://example.com" must start with "/" or http(s)://'
+      ])
+    })
+  })
+
+  describe('parseHeadersFile', () => {
+    it('should parse header blocks', () => {
+      const { headers, errors } = parseHeadersFile(
+        [
+          '# Security',
+          '/*',
+          '  X-Frame-Options: DENY',
+          '  Content-Security-Policy: default-src \'self\'',
+          '/assets/*',
+          '  Cache-Control: public, max-age=31536000',
+          '  Cache-Control: immutable'
+        ].join('\n')
+      )
+
+      expect(errors).toEqual([])
+      expect(headers).toEqual([
+        {
+          for: '/*',
+          values: {
+            'X-Frame-Options': 'DENY',
+            'Content-Security-Policy': "default-src 'self'"
+          }
+        },
+        {
+          for: '/assets/*',
+          values: { 'Cache-Control': 'public, max-age=31536000, immutable' }
+        }
+      ])
+    })
+
+    it('should report errors with their line number', () => {
+      const { headers, errors } = parseHeadersFile(
+        [
+          '  X-Orphan: 1',
+          '/empty',
+          'no-slash',
+          '  X-Ignored: 1',
+          '/ok',
+          '  Missing colon',
+          '  Bad Name: 1',
+          '  X-Empty:',
+          '  X-Good: yes'
+        ].join('\n')
+      )
+
+      expect(headers).toEqual([{ for: '/ok', values: { 'X-Good': 'yes' } }])
+      expect(errors).toEqual([
+        '_headers:1: header without a path above it',
+        '_headers:2: path "/empty" has no headers',
+        '_headers:3: path "no-slash" must start with "/"',
+        '_headers:6: expected "Name: value"',
+        '_headers:7: invalid header name "Bad Name"',
+        '_headers:8: header "X-Empty" needs a single-line value'
+      ])
+    })
+  })
+
+  describe('parseConfigRules', () => {
+    it('should read redirects and headers from .launchpd.json', () => {
+      const result = parseConfigRules({
+        redirects: [{ from: '/old', to: '/new' }, { from: '/a', to: '/b', status: 302, force: true }],
+        headers: [{ for: '/*', values: { 'X-Frame-Options': 'DENY' } }]
+      })
+
+      expect(result).toEqual({
+        redirects: [
+          { from: '/old', to: '/new', status: 301, force: false },
+          { from: '/a', to: '/b', status: 302, force: true }
+        ],
+        headers: [{ for: '/*', values: { 'X-Frame-Options': 'DENY' } }],
+        errors: []
+      })
+    })
+
+    it('should report invalid entries by index', () => {
+      const result = parseConfigRules({
+        redirects: [{ from: '/old' }, { from: '/a', to: '/b', status: '301' }],
+        headers: { '/*': {} }
+      })
+
+      expect(result.errors).toEqual([
+        '.launchpd.json: redirects[0]: expected a "from" and a "to" path',
+        '.launchpd.json: redirects[1]: unsupported status 301 (use one of 200, 301, 302, 303, 307, 308, 404, 410)',
+        '.launchpd.json: "headers" must be an array'
+      ])
+    })
+
+    it('should accept a config without rules', () => {
+      expect(parseConfigRules(null)).toEqual({ redirects: [], headers: [], errors: [] })
+    })
+  })
+
+  describe('parsePageSettings', () => {
+    it('should fall back to index.html for single-page apps', () => {
+      expect(parsePageSettings({ spa: true })).toEqual({
+        fallback: 'index.html',
+        notFoundPage: null,
+        errors: []
+      })
+      expect(parsePageSettings(null, { spa: true }).fallback).toBe('index.html')
+      expect(parsePageSettings({ spa: false }).fallback).toBeNull()
+    })
+
+    it('should normalize the fallback and 404 pages', () => {
+      expect(
+        parsePageSettings(
+          { fallback: '/app.html', notFoundPage: 'errors//404.html' },
+          { spa: true }
+        )
+      ).toEqual({ fallback: 'app.html', notFoundPage: 'errors/404.html', errors: [] })
+    })
+
+    it('should reject invalid settings', () => {
+      expect(
+        parsePageSettings({ spa: 'yes', fallback: '../app.html', notFoundPage: '' })
+          .errors
+      ).toEqual([
+        '.launchpd.json: "spa" must be true or false',
+        '.launchpd.json: "fallback" must be a file inside the site, got "../app.html"',
+        '.launchpd.json: "notFoundPage" must be a file path, e.g. "index.html"'
+      ])
+    })
+  })
+
+  it('should warn about pages missing from the upload set', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'launchpd-rules-'))
+    try {
+      mkdirSync(join(dir, 'drafts'))
+      writeFileSync(join(dir, 'index.html'), '')
+      writeFileSync(join(dir, 'drafts', '404.html'), '')
+      const matcher = createIgnoreMatcher({ ignoreFile: 'drafts/\n' })
+
+      expect(
+        findMissingPages(dir, matcher, { fallback: 'index.html', notFoundPage: null })
+      ).toEqual([])
+      expect(
+        findMissingPages(dir, matcher, {
+          fallback: 'app.html',
+          notFoundPage: 'drafts/404.html'
+        })
+      ).toEqual([
+        'The SPA fallback "app.html" does not exist in the deployed folder.',
+        'The 404 page "drafts/404.html" is excluded by the ignore rules.'
+      ])
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should load the rules files of a folder before .launchpd.json', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'launchpd-rules-'))
+    try {
+      writeFileSync(join(dir, '_redirects'), '/one /two\n/bad\n')
+      writeFileSync(join(dir, '_headers'), '/*\n  X-Test: 1\n')
+
+      const rules = await loadSiteRules(dir, {
+        redirects: [{ from: '/three', to: '/four' }]
+      })
+
+      expect(rules.redirects.map((rule) => rule.from)).toEqual(['/one', '/three'])
+      expect(rules.headers).toEqual([{ for: '/*', values: { 'X-Test': '1' } }])
+      expect(rules.errors).toEqual(['_redirects:2: expected "<from> <to> [status]"'])
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  describe('findRedirect', () => {
+    const { redirects } = parseRedirectsFile(
+      [
+        '/old /new',
+        '/blog/:year/* /posts/:year/:splat 302',
+        '/shadowed /elsewhere',
+        '/forced /target 301!'
+      ].join('\n')
+    )
+
+    it('should fill in placeholders and the splat', () => {
+      expect(findRedirect(redirects, '/blog/2024/hello/world')).toEqual({
+        rule: redirects[1],
+        target: '/posts/2024/hello/world'
+      })
+      expect(findRedirect(redirects, '/old/').target).toBe('/new')
+      expect(findRedirect(redirects, '/nothing')).toBeNull()
+    })
+
+    it('should only apply forced rules over existing files', () => {
+      expect(findRedirect(redirects, '/shadowed', true)).toBeNull()
+      expect(findRedirect(redirects, '/forced', true).target).toBe('/target')
+    })
+  })
+
+  it('should merge the headers of every matching rule', () => {
+    const { headers } = parseHeadersFile(
+      '/*\n  X-Frame-Options: DENY\n  Vary: Accept\n/docs/:page\n  Vary: Cookie\n'
+    )
+
+    expect(getHeadersFor(headers, '/docs/intro')).toEqual({
+      'X-Frame-Options': 'DENY',
+      Vary: 'Accept, Cookie'
+    })
+    expect(getHeadersFor(headers, '/docs/a/b')).toEqual({
+      'X-Frame-Options': 'DENY',
+      Vary: 'Accept'
+    })
+  })
+})
@@ -0,0 +1,148 @@
+import { mkdtempSync, rmSync, writeFileSync, existsSync, readdirSync } from 'node:fs'
+import { tmpdir, homedir } from 'node:os'
+import { join } from 'node:path'
+import {
+  getCacheDir,
+  getCacheMaxBytes,
+  getCachedArchive,
+  addCachedArchive,
+  getCachedEtag,
+  saveCachedEtag,
+  listCache,
+  clearCache,
+  DEFAULT_CACHE_MAX_BYTES,
+  CACHE_MAX_ENV
+} from '../src/utils/sourceCache.js'
+
+vi.mock('node:os', async () => {
+  const actual = await vi.importActual('node:os')
+  const homedir = vi.fn()
+  return { ...actual, default: { ...actual, homedir }, homedir }
+})
+
+describe('sourceCache', () => {
+  let home
+  let work
+
+  const archive = (name, size) => {
+    const filePath = join(work, name)
+    writeFileSync(filePath, Buffer.alloc(size, 1))
+    return filePath
+  }
+
+  beforeEach(() => {
+    home = mkdtempSync(join(tmpdir(), 'launchpd-cache-home-'))
+    work = mkdtempSync(join(tmpdir(), 'launchpd-cache-work-'))
+    homedir.mockReturnValue(home)
+    delete process.env[CACHE_MAX_ENV]
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    delete process.env[CACHE_MAX_ENV]
+    rmSync(home, { recursive: true, force: true })
+    rmSync(work, { recursive: true, force: true })
+  })
+
+  it('lives in ~/.staticlaunch/cache', () => {
+    expect(getCacheDir()).toBe(join(home, '.staticlaunch', 'cache'))
+  })
+
+  it('reads the size limit from LAUNCHPD_CACHE_MAX_MB', () => {
+    expect(getCacheMaxBytes()).toBe(DEFAULT_CACHE_MAX_BYTES)
+    process.env[CACHE_MAX_ENV] = '2'
+    expect(getCacheMaxBytes()).toBe(2 * 1024 * 1024)
+    process.env[CACHE_MAX_ENV] = 'lots'
+    expect(getCacheMaxBytes()).toBe(DEFAULT_CACHE_MAX_BYTES)
+  })
+
+  it('stores and returns archives by key', async () => {
+    expect(await getCachedArchive('github:github.com/o/r@abc')).toBeNull()
+
+    const added = await addCachedArchive(
+      'github:github.com/o/r@abc',
+      archive('repo.tar.gz', 10),
+      'github.com/o/r@abc'
+    )
+
+    expect(added).toBe(true)
+    const cachedPath = await getCachedArchive('github:github.com/o/r@abc')
+    expect(cachedPath.startsWith(getCacheDir())).toBe(true)
+    expect(existsSync(cachedPath)).toBe(true)
+    expect(await getCachedArchive('github:github.com/o/r@def')).toBeNull()
+  })
+
+  it('forgets entries whose archive was deleted', async () => {
+    await addCachedArchive('k', archive('a.tgz', 10), 'a')
+    rmSync(await getCachedArchive('k'))
+
+    expect(await getCachedArchive('k')).toBeNull()
+    expect((await listCache()).entries).toEqual([])
+  })
+
+  it('evicts the least recently used archives past the size limit', async () => {
+    process.env[CACHE_MAX_ENV] = String(25 / 1024 / 1024)
+    vi.useFakeTimers({ toFake: ['Date'] })
+
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    await addCachedArchive('a', archive('a.tgz', 10), 'a')
+    vi.setSystemTime(new Date('2026-01-01T00:01:00Z'))
+    await addCachedArchive('b', archive('b.tgz', 10), 'b')
+    // Using "a" makes "b" the least recently used
+    vi.setSystemTime(new Date('2026-01-01T00:02:00Z'))
+    await getCachedArchive('a')
+    vi.setSystemTime(new Date('2026-01-01T00:03:00Z'))
+    await addCachedArchive('c', archive('c.tgz', 10), 'c')
+
+    expect(await getCachedArchive('b')).toBeNull()
+    expect(await getCachedArchive('a')).not.toBeNull()
+    expect(await getCachedArchive('c')).not.toBeNull()
+    const files = readdirSync(getCacheDir()).filter((f) => f.endsWith('.tgz'))
+    expect(files).toHaveLength(2)
+  })
+
+  it('does not cache archives larger than the limit', async () => {
+    process.env[CACHE_MAX_ENV] = String(5 / 1024 / 1024)
+
+    expect(await addCachedArchive('big', archive('big.tgz', 10), 'big')).toBe(false)
+    expect(await getCachedArchive('big')).toBeNull()
+  })
+
+  it('saves ETags with their data', async () => {
+    const url = 'https://api.github.com/repos/o/r/commits?sha=main&per_page=1'
+    expect(await getCachedEtag(url)).toBeNull()
+
+    await saveCachedEtag(url, 'W/"123"', [{ sha: 'abc' }])
+
+    expect(await getCachedEtag(url)).toEqual({
+      etag: 'W/"123"',
+      data: [{ sha: 'abc' }]
+    })
+  })
+
+  it('treats a corrupted index as empty', async () => {
+    await addCachedArchive('k', archive('a.tgz', 10), 'a')
+    writeFileSync(join(getCacheDir(), 'index.json'), '{not json')
+
+    expect(await getCachedArchive('k')).toBeNull()
+  })
+
+  it('lists entries most recently used first and clears them', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    await addCachedArchive('a', archive('a.tgz', 10), 'label a')
+    vi.setSystemTime(new Date('2026-01-01T00:01:00Z'))
+    await addCachedArchive('b', archive('b.tgz', 20), 'label b')
+    await saveCachedEtag('https://api.github.com/gists/1', '"e"', {})
+
+    const listing = await listCache()
+    expect(listing.dir).toBe(getCacheDir())
+    expect(listing.entries.map((e) => e.label)).toEqual(['label b', 'label a'])
+    expect(listing.totalBytes).toBe(30)
+    expect(listing.maxBytes).toBe(DEFAULT_CACHE_MAX_BYTES)
+
+    expect(await clearCache()).toEqual({ count: 2, bytes: 30 })
+    expect(existsSync(getCacheDir())).toBe(false)
+    expect(await getCachedEtag('https://api.github.com/gists/1')).toBeNull()
+  })
+})
@@ -1,5 +1,6 @@
-import { uploadFolder, finalizeUpload } from '../src/utils/upload.js'
+import { uploadFolder, planUpload, finalizeUpload } from '../src/utils/upload.js'
 import { readdir, readFile } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
 
 // Mock fs/promises
 vi.mock('node:fs/promises', () => ({
@@ -13,7 +14,19 @@ vi.mock('../src/utils/credentials.js', () => ({
   getApiSecret: vi.fn().mockResolvedValue('test-api-secret')
 }))
 
+// readFile is mocked above, so ignore rules come from the built-in lists
+vi.mock('../src/utils/ignore.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    loadIgnoreMatcher: vi.fn(async () => actual.createIgnoreMatcher())
+  }
+})
+
 import { getApiSecret } from '../src/utils/credentials.js'
+import { createIgnoreMatcher } from '../src/utils/ignore.js'
+
+import { configureRetry, resetRetryPolicy } from '../src/utils/retry.js'
 
 // Mock global fetch
 globalThis.fetch = vi.fn()
@@ -21,6 +34,12 @@ globalThis.fetch = vi.fn()
 describe('Upload Utility', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    // Error-parsing tests expect a single attempt; retries are covered below
+    configureRetry({ maxAttempts: 1 })
+  })
+
+  afterEach(() => {
+    resetRetryPolicy()
   })
 
   describe('uploadFolder', () => {
@@ -110,6 +129,343 @@ describe('Upload Utility', () => {
   })
 
 
+  describe('incremental uploads', () => {
+    const sha256 = (text) => createHash('sha256').update(text).digest('hex')
+
+    beforeEach(() => {
+      readdir.mockResolvedValue([
+        { isFile: () => true, name: 'index.html', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'style.css', path: '/test', parentPath: '/test' }
+      ])
+      readFile.mockImplementation((path) =>
+        Promise.resolve(Buffer.from(path.endsWith('index.html') ? 'html' : 'css v2'))
+      )
+    })
+
+    it('should not fetch a previous manifest for the first version', async () => {
+      fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({}) })
+
+      const result = await uploadFolder('/test', 'mysite', 1)
+
+      const manifestCalls = fetch.mock.calls.filter((c) => c[0].includes('/manifest'))
+      expect(manifestCalls).toHaveLength(0)
+      expect(result.uploaded).toBe(2)
+      expect(result.carryForward).toBeNull()
+    })
+
+    it('should only upload files whose hash changed since the active version', async () => {
+      fetch.mockImplementation((url) => {
+        if (url.includes('/api/versions/mysite/manifest')) {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: () =>
+              Promise.resolve({
+                version: 3,
+                files: {
+                  'index.html': { hash: sha256('html'), size: 4 },
+                  'style.css': { hash: sha256('css v1'), size: 6 }
+                }
+              })
+          })
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({}) })
+      })
+      const onProgress = vi.fn()
+
+      const result = await uploadFolder('/test', 'mysite', 4, onProgress)
+
+      const uploadCalls = fetch.mock.calls.filter((c) => c[0].includes('/upload/file'))
+      expect(uploadCalls).toHaveLength(1)
+      expect(uploadCalls[0][1].headers['X-File-Path']).toBe('style.css')
+      expect(onProgress).toHaveBeenCalledWith(1, 1, 'style.css')
+      expect(result.uploaded).toBe(1)
+      expect(result.skipped).toBe(1)
+      expect(result.totalBytes).toBe(10)
+      expect(result.uploadedBytes).toBe(6)
+      expect(result.carryForward).toEqual({ fromVersion: 3, files: ['index.html'] })
+      expect(result.manifest['style.css']).toEqual({
+        hash: sha256('css v2'),
+        size: 6,
+        contentType: 'text/css'
+      })
+    })
+
+    it('should upload everything if the manifest cannot be fetched', async () => {
+      fetch.mockImplementation((url) => {
+        if (url.includes('/manifest')) {
+          return Promise.resolve({
+            ok: false,
+            status: 404,
+            json: () => Promise.resolve({ error: 'Not found' })
+          })
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({}) })
+      })
+
+      const result = await uploadFolder('/test', 'mysite', 2)
+
+      expect(result.uploaded).toBe(2)
+      expect(result.skipped).toBe(0)
+      expect(result.carryForward).toBeNull()
+    })
+  })
+
+  describe('planUpload', () => {
+    const sha256 = (text) => createHash('sha256').update(text).digest('hex')
+
+    it('should classify files against the active manifest without uploading', async () => {
+      readdir.mockResolvedValue([
+        { isFile: () => true, name: 'index.html', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'style.css', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'new.js', path: '/test', parentPath: '/test' }
+      ])
+      readFile.mockImplementation((path) =>
+        Promise.resolve(Buffer.from(path.endsWith('style.css') ? 'css v2' : 'same'))
+      )
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () =>
+          Promise.resolve({
+            version: 2,
+            files: {
+              'index.html': { hash: sha256('same') },
+              'style.css': { hash: sha256('css v1') }
+            }
+          })
+      })
+
+      const plan = await planUpload('/test', 'mysite', 3)
+
+      const statuses = Object.fromEntries(plan.files.map((f) => [f.path, f.status]))
+      expect(statuses).toEqual({
+        'index.html': 'unchanged',
+        'style.css': 'changed',
+        'new.js': 'new'
+      })
+      expect(plan.files.find((f) => f.path === 'new.js')).toMatchObject({
+        contentType: 'application/javascript',
+        size: 4
+      })
+      expect(plan.previousVersion).toBe(2)
+      expect(plan.totalBytes).toBe(14)
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(fetch.mock.calls[0][0]).toContain('/manifest')
+    })
+
+    it('should report ignored directories once and ignored files with reasons', async () => {
+      readdir.mockResolvedValue([
+        { isFile: () => true, name: 'index.html', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'README.md', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'a.js', path: '/test/node_modules/a', parentPath: '/test/node_modules/a' },
+        { isFile: () => true, name: 'b.js', path: '/test/node_modules/b', parentPath: '/test/node_modules/b' },
+        { isFile: () => false, name: 'node_modules', path: '/test', parentPath: '/test' }
+      ])
+      readFile.mockResolvedValue(Buffer.from('x'))
+
+      const plan = await planUpload('/test', 'mysite', 1)
+
+      expect(plan.files.map((f) => f.path)).toEqual(['index.html'])
+      expect(plan.files[0].status).toBe('new')
+      expect(plan.ignored).toEqual([
+        { path: 'node_modules/', reason: 'built-in ignore list ("node_modules")', files: 2 },
+        { path: 'README.md', reason: 'built-in ignore list ("README.md")' }
+      ])
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('should apply project ignore rules and name the matching rule', async () => {
+      readdir.mockResolvedValue([
+        { isFile: () => true, name: 'index.html', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'README.md', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'hero.psd', path: '/test/assets', parentPath: '/test/assets' },
+        { isFile: () => true, name: 'post.html', path: '/test/drafts', parentPath: '/test/drafts' }
+      ])
+      readFile.mockResolvedValue(Buffer.from('x'))
+      const ignoreMatcher = createIgnoreMatcher({
+        ignoreFile: '*.psd\ndrafts/\n!README.md\n'
+      })
+
+      const plan = await planUpload('/test', 'mysite', 1, { ignoreMatcher })
+
+      expect(plan.files.map((f) => f.path)).toEqual(['index.html', 'README.md'])
+      expect(plan.ignored).toEqual([
+        { path: 'drafts/', reason: '.launchpdignore: "drafts/"', files: 1 },
+        { path: 'assets/hero.psd', reason: '.launchpdignore: "*.psd"' }
+      ])
+    })
+  })
+
+  describe('resumed uploads', () => {
+    const sha256 = (text) => createHash('sha256').update(text).digest('hex')
+
+    beforeEach(() => {
+      readdir.mockResolvedValue([
+        { isFile: () => true, name: 'index.html', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'style.css', path: '/test', parentPath: '/test' },
+        { isFile: () => true, name: 'app.js', path: '/test', parentPath: '/test' }
+      ])
+      readFile.mockImplementation((path) =>
+        Promise.resolve(Buffer.from(path.endsWith('style.css') ? 'css v2' : 'same'))
+      )
+      fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({}) })
+    })
+
+    it('should skip files already uploaded with the same content', async () => {
+      const resumeFrom = {
+        manifest: {
+          'index.html': { hash: sha256('same') },
+          'style.css': { hash: sha256('css v1') }
+        },
+        uploaded: ['index.html', 'style.css']
+      }
+      const onManifest = vi.fn()
+      const onFileUploaded = vi.fn()
+
+      const result = await uploadFolder('/test', 'mysite', 1, null, {
+        resumeFrom,
+        onManifest,
+        onFileUploaded
+      })
+
+      const uploaded = fetch.mock.calls.map((c) => c[1].headers['X-File-Path'])
+      // style.css changed since the interrupted attempt, so it is sent again
+      expect(uploaded.sort()).toEqual(['app.js', 'style.css'])
+      expect(result.uploaded).toBe(2)
+      expect(result.resumed).toBe(1)
+      expect(onManifest).toHaveBeenCalledWith(result.manifest, ['index.html'])
+      expect(onFileUploaded).toHaveBeenCalledWith('style.css')
+      expect(onFileUploaded).toHaveBeenCalledWith('app.js')
+      expect(onFileUploaded).not.toHaveBeenCalledWith('index.html')
+    })
+
+    it('should call onManifest before the first file is uploaded', async () => {
+      const order = []
+      fetch.mockImplementation(() => {
+        order.push('upload')
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({}) })
+      })
+
+      await uploadFolder('/test', 'mysite', 1, null, {
+        onManifest: async () => {
+          order.push('manifest')
+        }
+      })
+
+      expect(order[0]).toBe('manifest')
+      expect(order).toHaveLength(4)
+    })
+  })
+
+  describe('concurrent uploads', () => {
+    const files = ['a.html', 'b.css', 'c.js', 'd.svg', 'e.txt'].map((name) => ({
+      isFile: () => true,
+      name,
+      path: '/test',
+      parentPath: '/test'
+    }))
+
+    beforeEach(() => {
+      readdir.mockResolvedValue(files)
+      readFile.mockResolvedValue(Buffer.from('content'))
+    })
+
+    it('should never exceed the configured concurrency', async () => {
+      let inFlight = 0
+      let maxInFlight = 0
+      fetch.mockImplementation(async () => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        inFlight--
+        return { ok: true, json: () => Promise.resolve({}) }
+      })
+      const onProgress = vi.fn()
+
+      const result = await uploadFolder('/test', 'mysite', 1, onProgress, {
+        concurrency: 2
+      })
+
+      expect(maxInFlight).toBe(2)
+      expect(result.uploaded).toBe(5)
+      expect(onProgress).toHaveBeenCalledTimes(5)
+      expect(onProgress).toHaveBeenLastCalledWith(5, 5, expect.any(String))
+    })
+
+    it('should cancel in-flight uploads and reject when one file fails', async () => {
+      const cancelled = []
+      fetch.mockImplementation((url, options) => {
+        if (options.headers['X-File-Path'] === 'a.html') {
+          return Promise.resolve({
+            ok: false,
+            status: 500,
+            text: () => Promise.resolve('boom')
+          })
+        }
+        return new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => {
+            cancelled.push(options.headers['X-File-Path'])
+            const err = new Error('aborted')
+            err.name = 'AbortError'
+            reject(err)
+          })
+        })
+      })
+
+      await expect(
+        uploadFolder('/test', 'mysite', 1, null, { concurrency: 3 })
+      ).rejects.toThrow('boom')
+
+      // b.css and c.js were in flight; d.svg and e.txt never started
+      expect(cancelled.sort()).toEqual(['b.css', 'c.js'])
+      expect(fetch).toHaveBeenCalledTimes(3)
+    })
+  })
+
+  describe('retries', () => {
+    beforeEach(() => {
+      configureRetry({ maxAttempts: 3, baseDelayMs: 0 })
+      readdir.mockResolvedValue([
+        { isFile: () => true, name: 'index.html', path: '/test', parentPath: '/test' }
+      ])
+      readFile.mockResolvedValue(Buffer.from('content'))
+    })
+
+    it('should retry a file upload after a transient 503', async () => {
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 503, text: () => Promise.resolve('') })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) })
+
+      const result = await uploadFolder('/test', 'mysite', 1)
+
+      expect(result.uploaded).toBe(1)
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should retry the complete request after ECONNRESET', async () => {
+      const reset = new TypeError('fetch failed')
+      reset.cause = { code: 'ECONNRESET' }
+      fetch
+        .mockRejectedValueOnce(reset)
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ success: true }) })
+
+      await expect(finalizeUpload('mysite', 1, 1, 100, 'test')).resolves.toEqual({ success: true })
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not retry a client error', async () => {
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 400,
+        text: () => Promise.resolve(JSON.stringify({ error: 'Bad path' }))
+      })
+
+      await expect(uploadFolder('/test', 'mysite', 1)).rejects.toThrow('Bad path')
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
   describe('finalizeUpload', () => {
     it('should call complete upload endpoint', async () => {
       fetch.mockResolvedValue({
@@ -135,6 +491,23 @@ describe('Upload Utility', () => {
       )
     })
 
+    it('should send deployment metadata with the complete request', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ success: true })
+      })
+
+      await finalizeUpload('mysite', 2, 2, 1024, 'site', null, 'msg', {
+        manifest: { 'index.html': { hash: 'abc', size: 4 } },
+        carryForward: { fromVersion: 1, files: ['index.html'] }
+      })
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body)
+      expect(body.manifest).toEqual({ 'index.html': { hash: 'abc', size: 4 } })
+      expect(body.carryForward).toEqual({ fromVersion: 1, files: ['index.html'] })
+      expect(body.subdomain).toBe('mysite')
+    })
+
     it('should handle JSON error in complete upload', async () => {
       fetch.mockResolvedValue({
         ok: false,
@@ -301,6 +674,71 @@ describe('Upload Utility', () => {
       )
     })
 
+    it('should throw an AuthError for a 401 upload response', async () => {
+      readdir.mockResolvedValue([
+        { isFile: () => true, name: 'index.html', path: '/test' }
+      ])
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        text: () => Promise.resolve(JSON.stringify({ error: 'Invalid API key' }))
+      })
+
+      await expect(uploadFolder('/test', 'mysite', 1)).rejects.toMatchObject({
+        name: 'AuthError',
+        message: 'Invalid API key'
+      })
+    })
+
+    it('should throw a QuotaError for a 429 upload response', async () => {
+      readdir.mockResolvedValue([
+        { isFile: () => true, name: 'index.html', path: '/test' }
+      ])
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        text: () => Promise.resolve(JSON.stringify({ error: 'Storage quota exceeded' }))
+      })
+
+      await expect(uploadFolder('/test', 'mysite', 1)).rejects.toMatchObject({
+        name: 'QuotaError',
+        message: 'Storage quota exceeded'
+      })
+    })
+
+    it('should throw a MaintenanceError when completing during maintenance', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 503,
+        statusText: 'Service Unavailable',
+        text: () =>
+          Promise.resolve(
+            JSON.stringify({ error: 'Down for maintenance', maintenance_mode: true })
+          )
+      })
+
+      await expect(finalizeUpload('mysite', 1, 1, 100, 'test')).rejects.toMatchObject({
+        name: 'MaintenanceError'
+      })
+    })
+
+    it('should throw NetworkErrors for timeouts and connection failures', async () => {
+      const abortErr = new Error('The operation was aborted')
+      abortErr.name = 'AbortError'
+      const reset = new TypeError('fetch failed')
+      reset.cause = { code: 'ECONNRESET' }
+      fetch.mockRejectedValueOnce(abortErr).mockRejectedValueOnce(reset)
+
+      await expect(finalizeUpload('mysite', 1, 1, 100, 'test')).rejects.toMatchObject({
+        name: 'NetworkError',
+        message: expect.stringContaining('Upload completion timed out')
+      })
+      await expect(finalizeUpload('mysite', 1, 1, 100, 'test')).rejects.toMatchObject({
+        name: 'NetworkError',
+        message: 'Unable to connect to LaunchPd servers (ECONNRESET)'
+      })
+    })
+
     it('should handle empty error response and fallback to status code', async () => {
       readdir.mockResolvedValue([
         { isFile: () => true, name: 'index.html', path: '/test' }
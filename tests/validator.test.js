@@ -1,4 +1,5 @@
 import { validateStaticOnly } from '../src/utils/validator.js'
+import { createIgnoreMatcher } from '../src/utils/ignore.js'
 import { readdir } from 'node:fs/promises'
 
 vi.mock('node:fs/promises')
@@ -91,6 +92,32 @@ describe('validateStaticOnly', () => {
     expect(result.violations).toHaveLength(0)
   })
 
+  it('should skip paths excluded by project ignore rules', async () => {
+    vi.mocked(readdir).mockResolvedValue([
+      { isFile: () => true, isDirectory: () => false, name: 'index.html', parentPath: '/fake/path' },
+      { isFile: () => false, isDirectory: () => true, name: 'src', parentPath: '/fake/path' },
+      { isFile: () => true, isDirectory: () => false, name: 'main.ts', parentPath: '/fake/path/src' },
+      { isFile: () => true, isDirectory: () => false, name: 'server.py', parentPath: '/fake/path' }
+    ])
+    const matcher = createIgnoreMatcher({ ignoreFile: 'src/\nserver.py\n' })
+
+    const result = await validateStaticOnly('/fake/path', matcher)
+    expect(result.success).toBe(true)
+    expect(result.violations).toHaveLength(0)
+  })
+
+  it('should still flag built-in ignored indicators like node_modules', async () => {
+    vi.mocked(readdir).mockResolvedValue([
+      { isFile: () => true, isDirectory: () => false, name: 'index.html', parentPath: '/fake/path' },
+      { isFile: () => false, isDirectory: () => true, name: 'node_modules', parentPath: '/fake/path' }
+    ])
+    const matcher = createIgnoreMatcher({ ignoreFile: 'drafts/\n' })
+
+    const result = await validateStaticOnly('/fake/path', matcher)
+    expect(result.success).toBe(false)
+    expect(result.violations).toContain('node_modules')
+  })
+
   it('should fail for files with non-allowed extensions', async () => {
     vi.mocked(readdir).mockResolvedValue([
       { isFile: () => true, isDirectory: () => false, name: 'setup.exe' },
@@ -103,6 +130,18 @@ describe('validateStaticOnly', () => {
     expect(result.violations).not.toContain('document.pdf')
   })
 
+  it('should report the path of each violation', async () => {
+    vi.mocked(readdir).mockResolvedValue([
+      { isFile: () => true, isDirectory: () => false, name: 'index.html', parentPath: '/fake/path' },
+      { isFile: () => true, isDirectory: () => false, name: 'server.php', parentPath: '/fake/path/api' },
+      { isFile: () => true, isDirectory: () => false, name: 'server.php', parentPath: '/fake/path/admin' }
+    ])
+
+    const result = await validateStaticOnly('/fake/path')
+    expect(result.violations).toEqual(['server.php'])
+    expect(result.violationPaths).toEqual(['api/server.php', 'admin/server.php'])
+  })
+
   it('should throw an error if readdir fails', async () => {
     vi.mocked(readdir).mockRejectedValue(new Error('Permission denied'))
 
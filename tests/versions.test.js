@@ -61,7 +61,7 @@ describe('versions command', () => {
   it('should fail if not logged in', async () => {
     vi.mocked(credentials.isLoggedIn).mockResolvedValue(false)
 
-    await expect(versions('test-site', {})).rejects.toThrow('Process.exit(1)')
+    await expect(versions('test-site', {})).rejects.toThrow('Process.exit(6)')
     expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
       expect.stringContaining('only available for authenticated'),
       expect.anything(),
@@ -98,6 +98,29 @@ describe('versions command', () => {
     )
   })
 
+  it('should exit with the not found exit code', async () => {
+    vi.mocked(credentials.isLoggedIn).mockResolvedValue(true)
+    vi.mocked(api.getVersions).mockResolvedValue({ versions: [] })
+    process.exit.mockImplementation(() => {})
+
+    await versions('test-site', {})
+
+    expect(process.exit).toHaveBeenNthCalledWith(1, 9)
+  })
+
+  it('should exit with the exit code of the error category', async () => {
+    const { AuthError } = await import('../src/utils/errors.js')
+    vi.mocked(credentials.isLoggedIn).mockResolvedValue(true)
+    vi.mocked(api.getVersions).mockRejectedValue(new AuthError())
+
+    await expect(versions('test-site', {})).rejects.toThrow('Process.exit(6)')
+    expect(logger.errorWithSuggestions).toHaveBeenCalledWith(
+      expect.stringContaining('Failed to list versions'),
+      expect.any(Array),
+      expect.objectContaining({ code: 'AUTH_FAILED' })
+    )
+  })
+
   it('should warn about --to usage', async () => {
     vi.mocked(credentials.isLoggedIn).mockResolvedValue(true)
     vi.mocked(api.getVersions).mockResolvedValue({ versions: [] })
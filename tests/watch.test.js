@@ -0,0 +1,152 @@
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, unlinkSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { watchFolder } from '../src/utils/watch.js'
+import { createIgnoreMatcher } from '../src/utils/ignore.js'
+
+describe('watchFolder', () => {
+  let dir
+  let watcher
+  let changes
+
+  const startWatching = async (matcher = createIgnoreMatcher()) => {
+    watcher = await watchFolder(dir, {
+      matcher,
+      debounceMs: 50,
+      onChange: async (paths) => {
+        changes.push(paths)
+      }
+    })
+    // Let the watcher settle before changing files
+    await sleep(50)
+  }
+
+  const waitForChanges = async (count = 1) => {
+    for (let i = 0; i < 100 && changes.length < count; i++) {
+      await sleep(20)
+    }
+    return changes
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'launchpd-watch-'))
+    writeFileSync(join(dir, 'index.html'), '<h1>v1</h1>')
+    writeFileSync(join(dir, 'style.css'), 'body {}')
+    changes = []
+  })
+
+  afterEach(() => {
+    watcher?.close()
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should report a burst of changes once with sorted paths', async () => {
+    await startWatching()
+
+    writeFileSync(join(dir, 'style.css'), 'body { color: red }')
+    writeFileSync(join(dir, 'index.html'), '<h1>v2</h1>')
+    mkdirSync(join(dir, 'img'))
+    writeFileSync(join(dir, 'img', 'logo.svg'), '<svg/>')
+
+    expect(await waitForChanges()).toEqual([
+      ['img/logo.svg', 'index.html', 'style.css']
+    ])
+  })
+
+  it('should skip ignored paths', async () => {
+    await startWatching(createIgnoreMatcher({ ignoreFile: '*.psd\n' }))
+
+    mkdirSync(join(dir, 'node_modules'))
+    writeFileSync(join(dir, 'node_modules', 'x.js'), 'x')
+    writeFileSync(join(dir, 'hero.psd'), 'psd')
+    writeFileSync(join(dir, 'about.html'), '<h1>About</h1>')
+
+    expect(await waitForChanges()).toEqual([['about.html']])
+  })
+
+  it('should ignore files rewritten with the same content', async () => {
+    await startWatching()
+
+    writeFileSync(join(dir, 'index.html'), '<h1>v1</h1>')
+    await sleep(200)
+
+    expect(changes).toEqual([])
+  })
+
+  it('should report deleted files', async () => {
+    await startWatching()
+
+    unlinkSync(join(dir, 'style.css'))
+
+    expect(await waitForChanges()).toEqual([['style.css']])
+  })
+
+  it('should not report changes made before sync()', async () => {
+    await startWatching()
+
+    writeFileSync(join(dir, 'sitemap.xml'), '<urlset/>')
+    await watcher.sync()
+    await sleep(200)
+    expect(changes).toEqual([])
+
+    writeFileSync(join(dir, 'sitemap.xml'), '<urlset><url/></urlset>')
+    expect(await waitForChanges()).toEqual([['sitemap.xml']])
+  })
+
+  it('should reload the ignore rules when .launchpdignore changes', async () => {
+    writeFileSync(join(dir, '.launchpdignore'), 'drafts/\n')
+    mkdirSync(join(dir, 'drafts'))
+    writeFileSync(join(dir, 'drafts', 'post.html'), '<h1>Draft</h1>')
+    watcher = await watchFolder(dir, {
+      matcher: createIgnoreMatcher({ ignoreFile: 'drafts/\n' }),
+      reloadMatcher: async () =>
+        createIgnoreMatcher({ ignoreFile: '*.css\n' }),
+      debounceMs: 50,
+      onChange: async (paths) => {
+        changes.push(paths)
+      }
+    })
+    await sleep(50)
+
+    writeFileSync(join(dir, '.launchpdignore'), '*.css\n')
+
+    expect(await waitForChanges()).toEqual([
+      ['.launchpdignore', 'drafts/post.html', 'style.css']
+    ])
+
+    // The reloaded rules apply to later changes
+    writeFileSync(join(dir, 'style.css'), 'body { color: red }')
+    writeFileSync(join(dir, 'drafts', 'post.html'), '<h1>Published</h1>')
+    expect(await waitForChanges(2)).toEqual([
+      ['.launchpdignore', 'drafts/post.html', 'style.css'],
+      ['drafts/post.html']
+    ])
+  })
+
+  it('should report changes made during a handler after it finishes', async () => {
+    let release
+    watcher = await watchFolder(dir, {
+      matcher: createIgnoreMatcher(),
+      debounceMs: 50,
+      onChange: async (paths) => {
+        changes.push(paths)
+        if (changes.length === 1) {
+          await new Promise((resolve) => {
+            release = resolve
+          })
+        }
+      }
+    })
+    await sleep(50)
+
+    writeFileSync(join(dir, 'index.html'), '<h1>v2</h1>')
+    await waitForChanges(1)
+    writeFileSync(join(dir, 'style.css'), 'body { margin: 0 }')
+    await sleep(200)
+    expect(changes).toHaveLength(1)
+
+    release()
+    expect(await waitForChanges(2)).toEqual([['index.html'], ['style.css']])
+  })
+})
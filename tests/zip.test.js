@@ -0,0 +1,182 @@
+import { Writable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { deflateRawSync } from 'node:zlib'
+import { readZipEntries } from '../src/utils/zip.js'
+
+/**
+ * Build a zip archive in memory
+ * @param {Array<{ name: string, content?: string, method?: number, size?: number, flags?: number, mode?: number }>} files
+ */
+function createZip (files) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = Buffer.from(file.name)
+    const raw = Buffer.from(file.content || '')
+    const method = file.method ?? 8
+    const data = method === 8 ? deflateRawSync(raw) : raw
+    const size = file.size ?? raw.length
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(file.flags || 0, 6)
+    local.writeUInt16LE(method, 8)
+    local.writeUInt32LE(data.length, 18)
+    local.writeUInt32LE(size, 22)
+    local.writeUInt16LE(name.length, 26)
+    locals.push(local, name, data)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE((3 << 8) | 20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(file.flags || 0, 8)
+    central.writeUInt16LE(method, 10)
+    central.writeUInt32LE(data.length, 20)
+    central.writeUInt32LE(size, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(((file.mode || 0o100644) << 16) >>> 0, 38)
+    central.writeUInt32LE(offset, 42)
+    centrals.push(central, name)
+
+    offset += local.length + name.length + data.length
+  }
+
+  const directory = Buffer.concat(centrals)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...locals, directory, end])
+}
+
+/**
+ * Stream an entry and count its bytes
+ * @returns {Promise<number>}
+ */
+async function drain (entry) {
+  let bytes = 0
+  await pipeline(
+    entry.stream(),
+    new Writable({
+      write (chunk, _encoding, callback) {
+        bytes += chunk.length
+        callback()
+      }
+    })
+  )
+  return bytes
+}
+
+describe('readZipEntries', () => {
+  it('should read stored and deflated files', () => {
+    const entries = readZipEntries(
+      createZip([
+        { name: 'index.html', content: '<h1>Hi</h1>', method: 0 },
+        { name: 'css/style.css', content: 'body { margin: 0 }'.repeat(20) }
+      ])
+    )
+
+    expect(entries.map((entry) => [entry.path, entry.type])).toEqual([
+      ['index.html', 'File'],
+      ['css/style.css', 'File']
+    ])
+    expect(entries[0].read().toString()).toBe('<h1>Hi</h1>')
+    expect(entries[1].read().toString()).toBe('body { margin: 0 }'.repeat(20))
+  })
+
+  it('should report directories without a trailing slash', () => {
+    const [entry] = readZipEntries(
+      createZip([{ name: 'assets/', method: 0, mode: 0o40755 }])
+    )
+    expect(entry).toMatchObject({ path: 'assets', type: 'Directory' })
+  })
+
+  it('should detect symlinks from the Unix mode', () => {
+    const [entry] = readZipEntries(
+      createZip([
+        { name: 'link', content: '/etc/passwd', method: 0, mode: 0o120777 }
+      ])
+    )
+    expect(entry.type).toBe('SymbolicLink')
+  })
+
+  it('should normalize backslashes in entry names', () => {
+    const [entry] = readZipEntries(
+      createZip([{ name: 'img\\logo.svg', content: '<svg/>' }])
+    )
+    expect(entry.path).toBe('img/logo.svg')
+  })
+
+  it('should reject entries that expand beyond their declared size', () => {
+    const [entry] = readZipEntries(
+      createZip([{ name: 'bomb.txt', content: 'a'.repeat(10_000), size: 10 }])
+    )
+    expect(() => entry.read()).toThrow('expands beyond its declared size')
+  })
+
+  it('should stream stored and deflated files', async () => {
+    const entries = readZipEntries(
+      createZip([
+        { name: 'index.html', content: '<h1>Hi</h1>', method: 0 },
+        { name: 'data.json', content: '[]'.repeat(50_000) }
+      ])
+    )
+
+    expect(await drain(entries[0])).toBe(11)
+    expect(await drain(entries[1])).toBe(100_000)
+  })
+
+  it('should stop streaming a high-ratio entry at its declared size', async () => {
+    const [entry] = readZipEntries(
+      createZip([{ name: 'bomb.txt', content: '0'.repeat(5_000_000), size: 1024 }])
+    )
+    await expect(drain(entry)).rejects.toThrow(
+      'expands beyond its declared size'
+    )
+  })
+
+  it('should reject streamed entries smaller than their declared size', async () => {
+    const [entry] = readZipEntries(
+      createZip([{ name: 'short.txt', content: 'abc', size: 10 }])
+    )
+    await expect(drain(entry)).rejects.toThrow('size mismatch')
+  })
+
+  it('should reject encrypted entries', () => {
+    const [entry] = readZipEntries(
+      createZip([{ name: 'secret.txt', content: 'x', method: 0, flags: 1 }])
+    )
+    expect(() => entry.read()).toThrow('Encrypted zip entries are not supported')
+  })
+
+  it('should reject unsupported compression methods', () => {
+    const [entry] = readZipEntries(
+      createZip([{ name: 'a.txt', content: 'x', method: 12 }])
+    )
+    expect(() => entry.read()).toThrow('Unsupported compression method 12')
+    expect(() => entry.stream()).toThrow('Unsupported compression method 12')
+  })
+
+  it('should reject files that are not zip archives', () => {
+    expect(() => readZipEntries(Buffer.from('not a zip'))).toThrow(
+      'Invalid zip archive'
+    )
+    expect(() => readZipEntries(Buffer.alloc(100))).toThrow(
+      'end of central directory not found'
+    )
+  })
+
+  it('should reject a corrupt central directory', () => {
+    const zip = createZip([{ name: 'index.html', content: 'x' }])
+    // Point the central directory past the end of the archive
+    zip.writeUInt32LE(zip.length, zip.length - 6)
+    expect(() => readZipEntries(zip)).toThrow('corrupt central directory')
+  })
+})